@@ -0,0 +1,260 @@
+/**
+ * Accelo Queries
+ * The lookups behind the /api/chat endpoints, shared with the MCP server:
+ * - Results are the JSON the chat endpoints return
+ * - Failures throw AcceloQueryError carrying an { error, message, action } body and HTTP status
+ */
+
+const AgreementUsage = require('../src/agreement-usage');
+
+class AcceloQueryError extends Error {
+    /**
+     * @param {Object} body - { error, message, action } plus any context fields
+     * @param {number} statusCode - HTTP status for the chat endpoints
+     */
+    constructor(body, statusCode = 500) {
+        super(body.message || body.error);
+        this.name = 'AcceloQueryError';
+        this.body = body;
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * @param {Object} options
+ * @param {Function} options.getApiSettings - async () => current settings (see TokenManager.getSettings)
+ * @param {Function} options.makeAcceloRequest - async (url, accessToken) => parsed response
+ * @param {Function} [options.log] - Logger with the server's addLog(type, message, details) signature
+ */
+function createAcceloQueries({ getApiSettings, makeAcceloRequest, log = () => {} }) {
+    /**
+     * Settings with an access token, or an error telling the user to configure credentials
+     */
+    async function requireSettings() {
+        const apiSettings = await getApiSettings();
+        if (!apiSettings || !apiSettings.accessToken) {
+            throw new AcceloQueryError({
+                error: 'No API credentials configured',
+                message: 'Please configure your Accelo API credentials in the Settings page first',
+                action: 'Visit /settings to configure credentials'
+            }, 400);
+        }
+        return apiSettings;
+    }
+
+    /**
+     * Run a query, turning unexpected failures into a structured error
+     */
+    async function run(label, failure, query) {
+        try {
+            return await query();
+        } catch (error) {
+            if (error instanceof AcceloQueryError) {
+                throw error;
+            }
+            log('error', `Chat API - ${label} Error: ${error.message}`);
+            throw new AcceloQueryError({ error: failure.error, message: error.message, ...failure }, 500);
+        }
+    }
+
+    function apiUrl(apiSettings, endpoint) {
+        return `https://${apiSettings.deployment}.api.accelo.com/api/v0/${endpoint}`;
+    }
+
+    async function listCompanies({ search, limit = 10, offset = 0 } = {}) {
+        const apiSettings = await requireSettings();
+
+        return run('Companies', {
+            error: 'Failed to fetch companies',
+            action: 'Check your API credentials and try again'
+        }, async () => {
+            const params = new URLSearchParams({
+                _fields: 'id,name,website,phone,standing,status,date_created,date_modified',
+                _limit: limit,
+                _offset: offset
+            });
+
+            if (search) {
+                params.append('_search', search);
+            }
+
+            const response = await makeAcceloRequest(`${apiUrl(apiSettings, 'companies')}?${params}`, apiSettings.accessToken);
+
+            return {
+                success: true,
+                companies: response.response || [],
+                meta: {
+                    count: response.response ? response.response.length : 0,
+                    search_term: search || null,
+                    pagination: {
+                        limit: parseInt(limit),
+                        offset: parseInt(offset)
+                    }
+                }
+            };
+        });
+    }
+
+    async function getCompany(companyId) {
+        const apiSettings = await requireSettings();
+
+        return run('Company Details', {
+            error: 'Failed to fetch company details',
+            company_id: companyId,
+            action: 'Verify the company ID exists and try again'
+        }, async () => {
+            const companyUrl = apiUrl(apiSettings, `companies/${companyId}?_fields=id,name,website,phone,standing,status,date_created,date_modified,custom_fields`);
+            const projectsUrl = apiUrl(apiSettings, `jobs?_filters=against_type(company),against_id(${companyId})&_fields=id,title,status,standing,manager(id,firstname,surname),date_started,date_due,billable_seconds,unbillable_seconds&_limit=50`);
+            const agreementsUrl = apiUrl(apiSettings, `contracts?_filters=against_type(company),against_id(${companyId})&_fields=id,title,status,standing,date_started,date_expires,retainer_type&_limit=50`);
+
+            const [companyResponse, projectsResponse, agreementsResponse] = await Promise.all([
+                makeAcceloRequest(companyUrl, apiSettings.accessToken),
+                makeAcceloRequest(projectsUrl, apiSettings.accessToken),
+                makeAcceloRequest(agreementsUrl, apiSettings.accessToken)
+            ]);
+
+            // Get agreement periods for active agreements
+            const agreements = agreementsResponse.response || [];
+            const agreementDetails = await Promise.all(
+                agreements.map(async (agreement) => {
+                    if (agreement.standing === 'active') {
+                        try {
+                            const periodsUrl = apiUrl(apiSettings, `contracts/${agreement.id}/periods?_limit=1&_order_by=date_commenced&_order_by_desc=1`);
+                            const periodsResponse = await makeAcceloRequest(periodsUrl, apiSettings.accessToken);
+                            agreement.current_period = periodsResponse.response ? periodsResponse.response[0] : null;
+                        } catch (error) {
+                            log('error', `Failed to get periods for agreement ${agreement.id}: ${error.message}`);
+                            agreement.current_period = null;
+                        }
+                    }
+                    return agreement;
+                })
+            );
+
+            return {
+                success: true,
+                company: companyResponse.response,
+                projects: projectsResponse.response || [],
+                agreements: agreementDetails,
+                summary: {
+                    total_projects: (projectsResponse.response || []).length,
+                    active_projects: (projectsResponse.response || []).filter(p => p.standing === 'active').length,
+                    total_agreements: agreements.length,
+                    active_agreements: agreements.filter(a => a.standing === 'active').length
+                }
+            };
+        });
+    }
+
+    async function getProject(projectId) {
+        const apiSettings = await requireSettings();
+
+        return run('Project Details', {
+            error: 'Failed to fetch project details',
+            project_id: projectId,
+            action: 'Verify the project ID exists and try again'
+        }, async () => {
+            const projectUrl = apiUrl(apiSettings, `jobs/${projectId}?_fields=id,title,description,status,standing,manager(id,firstname,surname),against,date_started,date_due,billable_seconds,unbillable_seconds,custom_fields`);
+
+            // Project time allocations contain the real time data
+            const allocationsUrl = apiUrl(apiSettings, `activities/allocations?_filters=against_type(job),against_id(${projectId})&_fields=billable,nonbillable,logged,charged&_limit=1`);
+
+            const [projectResponse, allocationsResponse] = await Promise.all([
+                makeAcceloRequest(projectUrl, apiSettings.accessToken),
+                makeAcceloRequest(allocationsUrl, apiSettings.accessToken)
+            ]);
+
+            const project = projectResponse.response;
+            const allocation = allocationsResponse.response;
+
+            let billableHours = 0;
+            let unbillableHours = 0;
+            let totalHours = 0;
+
+            if (allocation) {
+                // Convert seconds to hours
+                billableHours = allocation.billable ? parseFloat(allocation.billable) / 3600 : 0;
+                unbillableHours = allocation.nonbillable ? parseFloat(allocation.nonbillable) / 3600 : 0;
+                totalHours = billableHours + unbillableHours;
+            }
+
+            return {
+                success: true,
+                project: project,
+                time_summary: {
+                    billable_hours: billableHours.toFixed(2),
+                    unbillable_hours: unbillableHours.toFixed(2),
+                    total_hours: totalHours.toFixed(2),
+                    allocation_details: {
+                        billable: allocation?.billable || 0,
+                        nonbillable: allocation?.nonbillable || 0,
+                        logged: allocation?.logged || 0,
+                        charged: allocation?.charged || 0
+                    }
+                }
+            };
+        });
+    }
+
+    async function getAgreement(agreementId) {
+        const apiSettings = await requireSettings();
+
+        return run('Agreement Details', {
+            error: 'Failed to fetch agreement details',
+            agreement_id: agreementId,
+            action: 'Verify the agreement ID exists and try again'
+        }, async () => {
+            const agreementUrl = apiUrl(apiSettings, `contracts/${agreementId}?_fields=id,title,description,status,standing,against,date_started,date_expires,retainer_type,retainer_value,custom_fields`);
+
+            // Get recent periods (need multiple to find current one)
+            const periodsUrl = apiUrl(apiSettings, `contracts/${agreementId}/periods?_fields=id,date_commenced,date_expires,allowance,budget_used,standing&_limit=50&_order_by=date_commenced&_order_by_desc=1`);
+
+            const [agreementResponse, periodsResponse] = await Promise.all([
+                makeAcceloRequest(agreementUrl, apiSettings.accessToken),
+                makeAcceloRequest(periodsUrl, apiSettings.accessToken)
+            ]);
+
+            const agreement = agreementResponse.response;
+            const periodsData = periodsResponse.response;
+            const periods = periodsData?.periods || [];
+
+            const currentPeriod = AgreementUsage.selectCurrentPeriod(periods);
+            const usage = AgreementUsage.getPeriodUsage(currentPeriod);
+
+            // The dashboard's usage numbers, in the chat API's snake_case
+            const usage_summary = usage && {
+                budget_type: usage.budgetType,
+                time_allowance_hours: usage.timeAllowance,
+                time_used_hours: usage.timeUsed,
+                time_remaining_hours: usage.timeRemaining,
+                usage_percentage: usage.percentage,
+                value_allowance: usage.valueAllowance,
+                value_used: usage.valueUsed,
+                value_remaining: usage.valueRemaining,
+                period_start: usage.periodStart,
+                period_end: usage.periodEnd,
+                period_id: usage.periodId
+            };
+
+            return {
+                success: true,
+                agreement: agreement,
+                current_period: currentPeriod,
+                usage_summary: usage_summary
+            };
+        });
+    }
+
+    return {
+        requireSettings,
+        listCompanies,
+        getCompany,
+        getProject,
+        getAgreement
+    };
+}
+
+module.exports = {
+    AcceloQueryError,
+    createAcceloQueries
+};
@@ -0,0 +1,110 @@
+/**
+ * Accelo Request
+ * Server-side GET requests to the Accelo API, shared by the web server and the MCP server
+ */
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * Create a function that points Accelo URLs at another server, e.g. the mock Accelo (see lib/mock-accelo.js):
+ * https://acme.api.accelo.com/api/v0/jobs?_limit=10 -> http://127.0.0.1:8090/api/v0/jobs?_limit=10
+ * Without a base URL, URLs are returned unchanged
+ * @param {string} [baseUrl] - e.g. http://127.0.0.1:8080/mock-accelo
+ */
+function createUrlResolver(baseUrl) {
+    if (!baseUrl) {
+        return url => url;
+    }
+
+    const base = baseUrl.replace(/\/+$/, '');
+    return function resolveUrl(url) {
+        const parsedUrl = new URL(url);
+        if (!parsedUrl.hostname.endsWith('accelo.com')) {
+            return url;
+        }
+        return `${base}${parsedUrl.pathname}${parsedUrl.search}`;
+    };
+}
+
+/**
+ * GET an Accelo API URL and parse the JSON response
+ * Errors carry the HTTP status as statusCode
+ */
+function sendAcceloRequest(url, accessToken) {
+    return new Promise((resolve, reject) => {
+        const parsedUrl = new URL(url);
+        const isHttp = parsedUrl.protocol === 'http:';
+        const options = {
+            hostname: parsedUrl.hostname,
+            port: parsedUrl.port || (isHttp ? 80 : 443),
+            path: parsedUrl.pathname + parsedUrl.search,
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Accept': 'application/json'
+            }
+        };
+
+        const req = (isHttp ? http : https).request(options, (res) => {
+            let data = '';
+
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                try {
+                    const jsonData = JSON.parse(data);
+
+                    if (res.statusCode >= 400) {
+                        const apiError = new Error(`API Error ${res.statusCode}: ${jsonData.meta?.message || res.statusMessage}`);
+                        apiError.statusCode = res.statusCode;
+                        reject(apiError);
+                    } else {
+                        resolve(jsonData);
+                    }
+                } catch (error) {
+                    const parseError = new Error(`Failed to parse API response: ${error.message}`);
+                    parseError.statusCode = res.statusCode;
+                    reject(parseError);
+                }
+            });
+        });
+
+        req.on('error', (error) => {
+            reject(new Error(`Request failed: ${error.message}`));
+        });
+
+        req.end();
+    });
+}
+
+/**
+ * Create makeAcceloRequest(url, accessToken) for a token manager
+ * On a 401 the token is renewed with the stored client credentials and the request retried once
+ * @param {Object} tokenManager
+ * @param {Object} [options]
+ * @param {Function} [options.resolveUrl] - Rewrites Accelo URLs before sending (see createUrlResolver)
+ */
+function createAcceloRequest(tokenManager, { resolveUrl = url => url } = {}) {
+    return async function makeAcceloRequest(url, accessToken) {
+        const targetUrl = resolveUrl(url);
+        try {
+            return await sendAcceloRequest(targetUrl, accessToken);
+        } catch (error) {
+            if (error.statusCode !== 401 || !tokenManager.canRenew()) {
+                throw error;
+            }
+
+            const settings = await tokenManager.renew('401 from Accelo API');
+            return sendAcceloRequest(targetUrl, settings.accessToken);
+        }
+    };
+}
+
+module.exports = {
+    createUrlResolver,
+    sendAcceloRequest,
+    createAcceloRequest
+};
@@ -0,0 +1,348 @@
+/**
+ * Chat Providers
+ * Pluggable language model back ends for the /chat page.
+ *
+ * A provider is an object with:
+ * - name, model: shown on the chat page
+ * - respond({ messages, tools, callTool }): resolves to { content }
+ *   messages: the conversation as [{ role: 'user' | 'assistant', content }]
+ *   tools: tool definitions ({ name, description, parameters }) from chat-tools.js
+ *   callTool(name, args): runs a tool and resolves to its JSON result
+ *
+ * Answers mention dashboard items as markdown links with an item: URL,
+ * e.g. [Website Redesign](item:project/123), which the chat page turns into dashboard links.
+ */
+
+const MAX_TOOL_ROUNDS = 5;
+const MAX_TOOL_RESULT_LENGTH = 20000;
+
+const SYSTEM_PROMPT = [
+    'You answer questions about the Accelo projects, agreements and companies shown on a time tracking dashboard.',
+    'Use the tools to look up data; never guess IDs, hours or budgets.',
+    'When you mention a company, project or agreement, link it as [Title](item:company/ID), [Title](item:project/ID) or [Title](item:agreement/ID).',
+    'If a tool returns an error, explain the message and the suggested action.',
+    'Keep answers short and use bullet lists for several items.'
+].join(' ');
+
+class ChatProviderError extends Error {
+    constructor(message, statusCode = 502) {
+        super(message);
+        this.name = 'ChatProviderError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Deterministic provider for offline use and tests
+ * Recognizes a few question patterns, calls the matching tools and formats the results
+ */
+class StubChatProvider {
+    constructor() {
+        this.name = 'stub';
+        this.model = 'local-stub';
+    }
+
+    async respond({ messages, callTool }) {
+        const question = lastUserMessage(messages);
+
+        let match = question.match(/\b(?:project|job)\s*#?\s*(\d+)/i);
+        if (match) {
+            return { content: formatProject(await callTool('get_project', { id: Number(match[1]) })) };
+        }
+
+        match = question.match(/\b(?:agreement|contract|retainer)\s*#?\s*(\d+)/i);
+        if (match) {
+            return { content: formatAgreement(await callTool('get_agreement', { id: Number(match[1]) })) };
+        }
+
+        match = question.match(/\b(?:company|client)\s*#?\s*(\d+)/i);
+        if (match) {
+            return { content: formatCompany(await callTool('get_company', { id: Number(match[1]) })) };
+        }
+
+        match = question.match(/\b(?:search|find|look\s*up)\b(?:\s+(?:for|companies|company|clients?|named|called|matching))*\s+["']?(.+?)["']?[?.!]*$/i)
+            || question.match(/\b(?:compan(?:y|ies)|clients?)\s+(?:named|called|matching|like)\s+["']?(.+?)["']?[?.!]*$/i);
+        if (match) {
+            const search = match[1].trim();
+            const result = await callTool('list_companies', { search });
+
+            // A single match is followed up with the company's projects and agreements
+            if (!result.error && result.companies?.length === 1) {
+                return { content: formatCompany(await callTool('get_company', { id: Number(result.companies[0].id) })) };
+            }
+            return { content: formatCompanyList(result, search) };
+        }
+
+        if (/\b(?:list|show|all)\b.*\b(?:compan(?:y|ies)|clients?)\b/i.test(question)) {
+            return { content: formatCompanyList(await callTool('list_companies', {})) };
+        }
+
+        if (/\b(?:status|connect(?:ed|ion)?|token)\b/i.test(question)) {
+            return { content: formatStatus(await callTool('get_status', {})) };
+        }
+
+        return {
+            content: [
+                'I can look up Accelo data for you. Try asking:',
+                '- "Show all companies"',
+                '- "Find company Acme"',
+                '- "Company 12", "Project 345" or "Agreement 67"',
+                '- "Connection status"'
+            ].join('\n')
+        };
+    }
+}
+
+/**
+ * Provider for any OpenAI-compatible chat completions API with function calling
+ */
+class OpenAIChatProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey - API key sent as a bearer token
+     * @param {string} [options.model] - Model name
+     * @param {string} [options.baseUrl] - API base URL, e.g. https://api.openai.com/v1
+     * @param {Function} [options.fetch] - fetch implementation, defaults to the global fetch
+     */
+    constructor({ apiKey, model = 'gpt-4o-mini', baseUrl = 'https://api.openai.com/v1', fetch: fetchImpl = globalThis.fetch }) {
+        this.name = 'openai';
+        this.model = model;
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.fetch = fetchImpl;
+    }
+
+    async respond({ messages, tools, callTool }) {
+        const conversation = [{ role: 'system', content: SYSTEM_PROMPT }, ...messages];
+
+        for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+            // The last round must answer with what it has
+            const allowTools = round < MAX_TOOL_ROUNDS;
+            const message = await this.complete(conversation, allowTools ? tools : []);
+
+            if (!message.tool_calls || message.tool_calls.length === 0) {
+                return { content: message.content || '' };
+            }
+
+            conversation.push(message);
+            for (const call of message.tool_calls) {
+                let result;
+                try {
+                    result = await callTool(call.function.name, JSON.parse(call.function.arguments || '{}'));
+                } catch (error) {
+                    result = {
+                        error: 'Invalid tool arguments',
+                        message: `Arguments were not valid JSON: ${error.message}`,
+                        action: 'Send the arguments as a JSON object'
+                    };
+                }
+
+                conversation.push({
+                    role: 'tool',
+                    tool_call_id: call.id,
+                    content: JSON.stringify(result).slice(0, MAX_TOOL_RESULT_LENGTH)
+                });
+            }
+        }
+
+        throw new ChatProviderError('The model kept calling tools without answering');
+    }
+
+    async complete(conversation, tools) {
+        const body = {
+            model: this.model,
+            messages: conversation
+        };
+        if (tools.length > 0) {
+            body.tools = tools.map(tool => ({ type: 'function', function: tool }));
+        }
+
+        let response;
+        try {
+            response = await this.fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            throw new ChatProviderError(`Could not reach the chat provider: ${error.message}`);
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new ChatProviderError(`Chat provider error ${response.status}: ${data.error?.message || response.statusText}`);
+        }
+
+        const message = data.choices?.[0]?.message;
+        if (!message) {
+            throw new ChatProviderError('Chat provider returned no message');
+        }
+        return message;
+    }
+}
+
+const providerFactories = {
+    stub: () => new StubChatProvider(),
+    openai: (env) => {
+        if (!env.CHAT_API_KEY) {
+            throw new ChatProviderError('CHAT_API_KEY is required for the openai chat provider', 500);
+        }
+        return new OpenAIChatProvider({
+            apiKey: env.CHAT_API_KEY,
+            model: env.CHAT_MODEL || undefined,
+            baseUrl: env.CHAT_API_URL || undefined
+        });
+    }
+};
+
+/**
+ * Register an additional provider that can then be selected with CHAT_PROVIDER
+ * @param {string} name - Provider name
+ * @param {Function} factory - (env) => provider
+ */
+function registerChatProvider(name, factory) {
+    providerFactories[name] = factory;
+}
+
+/**
+ * Create the chat provider configured by environment variables
+ * - CHAT_PROVIDER: "stub" (default) or "openai"
+ * - CHAT_API_KEY, CHAT_MODEL, CHAT_API_URL: settings for the openai provider
+ * Falls back to the stub provider when the configured one cannot be created
+ */
+function createChatProvider({ env = process.env, log = () => {} } = {}) {
+    const name = env.CHAT_PROVIDER || 'stub';
+    const factory = providerFactories[name];
+
+    try {
+        if (!factory) {
+            throw new ChatProviderError(`Unknown chat provider "${name}"`, 500);
+        }
+        const provider = factory(env);
+        log('info', `Chat provider: ${provider.name} (${provider.model})`);
+        return provider;
+    } catch (error) {
+        log('error', `${error.message}. Using the local stub chat provider instead`);
+        return new StubChatProvider();
+    }
+}
+
+function lastUserMessage(messages) {
+    const message = [...messages].reverse().find(m => m.role === 'user');
+    return message ? message.content.trim() : '';
+}
+
+function itemLink(type, id, title) {
+    // Brackets would end the link text early
+    return `[${String(title).replace(/[[\]]/g, '')}](item:${type}/${id})`;
+}
+
+function formatError(result, what) {
+    const parts = [`I couldn't get ${what}: ${result.message || result.error}.`];
+    if (result.action) {
+        parts.push(result.action + '.');
+    }
+    return parts.join(' ');
+}
+
+function formatStatus(result) {
+    if (result.error) {
+        return formatError(result, 'the connection status');
+    }
+    return `Connected to **${result.deployment}** as ${result.user?.name || 'the service user'}. ` +
+        `The access token expires in ${result.time_remaining}${result.auto_renew ? ' and renews automatically' : ''}.`;
+}
+
+function formatCompanyList(result, search) {
+    if (result.error) {
+        return formatError(result, 'companies');
+    }
+
+    const companies = result.companies || [];
+    if (companies.length === 0) {
+        return search ? `No companies match "${search}".` : 'No companies found.';
+    }
+
+    const heading = search
+        ? `Found ${companies.length} companies matching "${search}":`
+        : `Here are ${companies.length} companies:`;
+    return [heading, ...companies.map(company => `- ${itemLink('company', company.id, company.name)} (${company.standing || 'unknown'})`)].join('\n');
+}
+
+function formatCompany(result) {
+    if (result.error) {
+        return formatError(result, 'that company');
+    }
+
+    const { company, projects = [], agreements = [], summary = {} } = result;
+    const lines = [
+        `**${itemLink('company', company.id, company.name)}** has ${summary.active_projects || 0} active of ${projects.length} projects ` +
+        `and ${summary.active_agreements || 0} active of ${agreements.length} agreements.`
+    ];
+
+    if (projects.length > 0) {
+        lines.push('', '**Projects**');
+        projects.forEach(project => lines.push(`- ${itemLink('project', project.id, project.title)} (${project.standing})`));
+    }
+    if (agreements.length > 0) {
+        lines.push('', '**Agreements**');
+        agreements.forEach(agreement => lines.push(`- ${itemLink('agreement', agreement.id, agreement.title)} (${agreement.standing})`));
+    }
+
+    return lines.join('\n');
+}
+
+function formatProject(result) {
+    if (result.error) {
+        return formatError(result, 'that project');
+    }
+
+    const { project, time_summary: time } = result;
+    let text = `${itemLink('project', project.id, project.title)} has **${time.total_hours} hours** logged ` +
+        `(${time.billable_hours} billable, ${time.unbillable_hours} non-billable).`;
+    if (project.date_due && project.date_due !== '0') {
+        text += ` It is due ${formatDate(project.date_due)}.`;
+    }
+    return text;
+}
+
+function formatAgreement(result) {
+    if (result.error) {
+        return formatError(result, 'that agreement');
+    }
+
+    const { agreement, usage_summary: usage } = result;
+    const link = itemLink('agreement', agreement.id, agreement.title);
+    if (!usage) {
+        return `${link} has no periods yet.`;
+    }
+
+    const period = `${usage.period_start} to ${usage.period_end}`;
+    const fixed = value => Number(value).toFixed(2);
+    switch (usage.budget_type) {
+        case 'time':
+            return `${link} has used **${fixed(usage.time_used_hours)} of ${fixed(usage.time_allowance_hours)} hours** (${usage.usage_percentage}%) ` +
+                `in the current period (${period}), leaving ${fixed(usage.time_remaining_hours)} hours.`;
+        case 'value':
+            return `${link} has used **$${fixed(usage.value_used)} of $${fixed(usage.value_allowance)}** (${usage.usage_percentage}%) ` +
+                `in the current period (${period}), leaving $${fixed(usage.value_remaining)}.`;
+        default:
+            return `${link} has no period budget; **${fixed(usage.time_used_hours)} hours** have been logged in the current period (${period}).`;
+    }
+}
+
+function formatDate(unixSeconds) {
+    return new Date(Number(unixSeconds) * 1000).toISOString().split('T')[0];
+}
+
+module.exports = {
+    ChatProviderError,
+    StubChatProvider,
+    OpenAIChatProvider,
+    registerChatProvider,
+    createChatProvider,
+    SYSTEM_PROMPT
+};
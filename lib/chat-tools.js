@@ -0,0 +1,217 @@
+/**
+ * Chat Tools
+ * The /api/chat endpoints described as tools an LLM provider can call:
+ * - Each tool has a JSON schema for its arguments and maps to one endpoint
+ * - Results are the endpoint's JSON, including { error, message, action } failures
+ * - Items mentioned in results are collected so answers can link back to them
+ */
+
+const CHAT_TOOLS = [
+    {
+        name: 'get_status',
+        description: 'Check whether the dashboard is connected to Accelo and which deployment and user it runs as.',
+        parameters: {
+            type: 'object',
+            properties: {},
+            additionalProperties: false
+        },
+        path: () => '/api/chat/status'
+    },
+    {
+        name: 'list_companies',
+        description: 'List or search Accelo companies (clients). Returns id, name, standing and status for each company.',
+        parameters: {
+            type: 'object',
+            properties: {
+                search: { type: 'string', description: 'Text to search company names for' },
+                limit: { type: 'integer', minimum: 1, maximum: 100, description: 'Maximum number of companies (default 10)' },
+                offset: { type: 'integer', minimum: 0, description: 'Page number for more results (default 0)' }
+            },
+            additionalProperties: false
+        },
+        path: ({ search, limit, offset } = {}) => {
+            const params = new URLSearchParams();
+            if (search) params.set('search', search);
+            if (limit) params.set('limit', limit);
+            if (offset) params.set('offset', offset);
+            const query = params.toString();
+            return `/api/chat/companies${query ? `?${query}` : ''}`;
+        }
+    },
+    {
+        name: 'get_company',
+        description: 'Get a company with its projects and agreements, including the current period of active agreements.',
+        parameters: {
+            type: 'object',
+            properties: {
+                id: { type: 'integer', description: 'Accelo company ID' }
+            },
+            required: ['id'],
+            additionalProperties: false
+        },
+        path: ({ id }) => `/api/chat/company/${encodeURIComponent(id)}`
+    },
+    {
+        name: 'get_project',
+        description: 'Get a project (job) with its billable and non-billable hours.',
+        parameters: {
+            type: 'object',
+            properties: {
+                id: { type: 'integer', description: 'Accelo project (job) ID' }
+            },
+            required: ['id'],
+            additionalProperties: false
+        },
+        path: ({ id }) => `/api/chat/project/${encodeURIComponent(id)}`
+    },
+    {
+        name: 'get_agreement',
+        description: 'Get an agreement (contract) with its current period usage: budget type, allowance, used and remaining.',
+        parameters: {
+            type: 'object',
+            properties: {
+                id: { type: 'integer', description: 'Accelo agreement (contract) ID' }
+            },
+            required: ['id'],
+            additionalProperties: false
+        },
+        path: ({ id }) => `/api/chat/agreement/${encodeURIComponent(id)}`
+    }
+];
+
+/**
+ * Tool definitions without the endpoint mapping, as sent to providers
+ */
+function getToolDefinitions() {
+    return CHAT_TOOLS.map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * Check arguments against a tool's schema (types, required fields, unknown fields)
+ * @returns {string|null} A description of the first problem, or null when valid
+ */
+function validateToolArguments(tool, args) {
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+        return 'Arguments must be an object';
+    }
+
+    const { properties = {}, required = [] } = tool.parameters;
+    for (const field of required) {
+        if (args[field] === undefined || args[field] === null || args[field] === '') {
+            return `Missing required argument "${field}"`;
+        }
+    }
+
+    for (const [field, value] of Object.entries(args)) {
+        const schema = properties[field];
+        if (!schema) {
+            return `Unknown argument "${field}"`;
+        }
+        if (schema.type === 'integer') {
+            const number = Number(value);
+            if (!Number.isInteger(number)) {
+                return `Argument "${field}" must be an integer`;
+            }
+            if (schema.minimum !== undefined && number < schema.minimum) {
+                return `Argument "${field}" must be at least ${schema.minimum}`;
+            }
+            if (schema.maximum !== undefined && number > schema.maximum) {
+                return `Argument "${field}" must be at most ${schema.maximum}`;
+            }
+        } else if (schema.type === 'string' && typeof value !== 'string') {
+            return `Argument "${field}" must be a string`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Create a tool runner that calls the chat endpoints
+ * @param {Object} options
+ * @param {Function} options.callEndpoint - async (path) => { ok, body } for a GET on this server
+ * @param {Function} [options.log] - Logger with the server's addLog(type, message, details) signature
+ * @returns {Function} async (name, args) => endpoint JSON
+ */
+function createToolRunner({ callEndpoint, log = () => {} }) {
+    return async function callTool(name, args = {}) {
+        const tool = CHAT_TOOLS.find(t => t.name === name);
+        if (!tool) {
+            return {
+                error: 'Unknown tool',
+                message: `There is no tool named "${name}"`,
+                action: `Use one of: ${CHAT_TOOLS.map(t => t.name).join(', ')}`
+            };
+        }
+
+        const problem = validateToolArguments(tool, args);
+        if (problem) {
+            return {
+                error: 'Invalid tool arguments',
+                message: problem,
+                action: 'Check the tool schema and try again'
+            };
+        }
+
+        try {
+            const { body } = await callEndpoint(tool.path(args));
+            return body;
+        } catch (error) {
+            log('error', `Chat tool ${name} failed: ${error.message}`);
+            return {
+                error: 'Tool call failed',
+                message: error.message,
+                action: 'Try again shortly'
+            };
+        }
+    };
+}
+
+/**
+ * Collect the companies, projects and agreements mentioned in a tool result
+ * @returns {Array<{type: string, id: string, title: string}>}
+ */
+function extractReferences(result) {
+    const references = [];
+    if (!result || result.error) {
+        return references;
+    }
+
+    const add = (type, item, titleField = 'title') => {
+        if (item && item.id !== undefined) {
+            references.push({ type, id: String(item.id), title: item[titleField] || `${type} #${item.id}` });
+        }
+    };
+
+    (result.companies || []).forEach(company => add('company', company, 'name'));
+    add('company', result.company, 'name');
+    (result.projects || []).forEach(project => add('project', project));
+    add('project', result.project);
+    (result.agreements || []).forEach(agreement => add('agreement', agreement));
+    add('agreement', result.agreement);
+
+    return references;
+}
+
+/**
+ * Merge reference lists, keeping the first occurrence of each item
+ */
+function mergeReferences(...lists) {
+    const seen = new Map();
+    lists.flat().forEach(reference => {
+        const key = `${reference.type}_${reference.id}`;
+        if (!seen.has(key)) {
+            seen.set(key, reference);
+        }
+    });
+    return Array.from(seen.values());
+}
+
+module.exports = {
+    CHAT_TOOLS,
+    getToolDefinitions,
+    validateToolArguments,
+    createToolRunner,
+    extractReferences,
+    mergeReferences
+};
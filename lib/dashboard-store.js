@@ -0,0 +1,379 @@
+/**
+ * Dashboard Store
+ * Persists dashboards on the server so they can be shared between browsers and machines
+ *
+ * Layout on disk (DASHBOARDS_DIR, default data/dashboards):
+ * - index.json: { version, dashboards: [metadata, ...] } in display order
+ * - <id>.json: the dashboard's data (items, company order, colors, expanded view cache)
+ *
+ * Browsers share dashboards, so neither kind of save overwrites another browser's changes unseen:
+ * - Data saves carry the revision they were based on and fail with 409 if it has moved on (see setData)
+ * - Settings are merged key by key, so changing one setting leaves the others as they are (see update)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_VERSION = 1;
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Metadata fields clients may set; counts and timestamps are maintained by the store
+const EDITABLE_FIELDS = ['name', 'lastAccessed', 'settings'];
+
+class DashboardStoreError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'DashboardStoreError';
+        this.statusCode = statusCode;
+    }
+}
+
+class FileDashboardStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory holding index.json and one file per dashboard
+     * @param {Function} [options.log] - Logger with the server's addLog(type, message, details) signature
+     */
+    constructor({ dir, log = () => {} }) {
+        this.dir = dir;
+        this.indexPath = path.join(dir, 'index.json');
+        this.log = log;
+        this.dashboards = this.loadIndex();
+    }
+
+    /**
+     * Re-read the index from disk
+     * For processes that only read the store (mcp.js) while server.js creates and renames dashboards
+     * @returns {Array} The dashboard metadata, as list()
+     */
+    reload() {
+        this.dashboards = this.loadIndex({ quiet: true });
+        return this.list();
+    }
+
+    /**
+     * All dashboard metadata, in display order
+     */
+    list() {
+        return this.dashboards.map(dashboard => ({ ...dashboard }));
+    }
+
+    get(id) {
+        const dashboard = this.dashboards.find(d => d.id === id);
+        return dashboard ? { ...dashboard } : null;
+    }
+
+    /**
+     * Create a dashboard, optionally with an existing ID and data (used when uploading local dashboards)
+     * @returns {Object} The new dashboard's metadata
+     */
+    create({ id, name, createdAt, lastAccessed, settings, data } = {}) {
+        const dashboardId = id ? this.validateId(id) : this.generateId();
+        if (this.get(dashboardId)) {
+            throw new DashboardStoreError(`Dashboard ${dashboardId} already exists`, 409);
+        }
+        if (!name || typeof name !== 'string') {
+            throw new DashboardStoreError('Dashboard name is required', 400);
+        }
+
+        const now = new Date().toISOString();
+        const dashboard = {
+            id: dashboardId,
+            name: name,
+            createdAt: createdAt || now,
+            lastUpdated: now,
+            ...(lastAccessed && { lastAccessed }),
+            ...(settings && { settings })
+        };
+
+        const dashboardData = { ...normalizeData(data), revision: 1 };
+        this.writeData(dashboardId, dashboardData);
+        this.dashboards.push({ ...dashboard, ...summarize(dashboardData), revision: dashboardData.revision });
+        this.writeIndex();
+
+        return this.get(dashboardId);
+    }
+
+    /**
+     * Update editable metadata (name, lastAccessed, settings)
+     * Settings are merged into the stored ones rather than replacing them
+     */
+    update(id, changes = {}) {
+        const dashboard = this.requireDashboard(id);
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (changes[field] === undefined) {
+                return;
+            }
+            if (field === 'settings' && isPlainObject(changes.settings)) {
+                dashboard.settings = { ...(dashboard.settings || {}), ...changes.settings };
+            } else {
+                dashboard[field] = changes[field];
+            }
+        });
+        if (changes.name !== undefined) {
+            dashboard.lastUpdated = new Date().toISOString();
+        }
+
+        this.writeIndex();
+        return this.get(id);
+    }
+
+    /**
+     * Apply name and last accessed updates for several dashboards and adopt their order
+     * Dashboards missing from the list keep their place at the end; unknown IDs are ignored.
+     * Settings are left alone: the list a browser sends may hold settings it loaded long ago
+     */
+    updateAll(dashboards = []) {
+        const known = dashboards.filter(d => d && this.get(d.id));
+        known.forEach(d => this.update(d.id, { name: d.name, lastAccessed: d.lastAccessed }));
+
+        const order = known.map(d => d.id);
+        this.dashboards.sort((a, b) => rank(order, a.id) - rank(order, b.id));
+        this.writeIndex();
+
+        return this.list();
+    }
+
+    delete(id) {
+        this.requireDashboard(id);
+
+        this.dashboards = this.dashboards.filter(d => d.id !== id);
+        this.writeIndex();
+
+        const dataPath = this.dataPath(id);
+        if (fs.existsSync(dataPath)) {
+            fs.unlinkSync(dataPath);
+        }
+    }
+
+    getData(id) {
+        this.requireDashboard(id);
+
+        const dataPath = this.dataPath(id);
+        if (!fs.existsSync(dataPath)) {
+            return { ...normalizeData(), revision: this.get(id).revision || 0 };
+        }
+        return { revision: 0, ...JSON.parse(fs.readFileSync(dataPath, 'utf8')) };
+    }
+
+    /**
+     * Replace a dashboard's data and refresh its metadata summary
+     * Each save moves the revision on; a save based on an older revision than the stored one
+     * would drop another browser's changes, so it is refused.
+     * Items marked stale since the saved copy was synced stay stale (see markItemsStale)
+     * @param {string} id
+     * @param {Object} data
+     * @param {Object} [options]
+     * @param {number} [options.expectedRevision] - The revision the data was loaded at; omit to save unconditionally
+     * @returns {Object} The updated metadata, with the new revision
+     */
+    setData(id, data, { expectedRevision } = {}) {
+        const dashboard = this.requireDashboard(id);
+        const revision = dashboard.revision || 0;
+        if (expectedRevision !== undefined && expectedRevision !== revision) {
+            throw new DashboardStoreError(`Dashboard ${id} was changed elsewhere (revision ${revision}, this save is based on ${expectedRevision})`, 409);
+        }
+
+        const dashboardData = {
+            ...normalizeData(data),
+            lastUpdated: new Date().toISOString(),
+            revision: revision + 1
+        };
+        dashboardData.dashboardData = this.keepStaleMarks(id, dashboardData.dashboardData);
+
+        this.writeData(id, dashboardData);
+        Object.assign(dashboard, summarize(dashboardData), {
+            lastUpdated: dashboardData.lastUpdated,
+            revision: dashboardData.revision
+        });
+        this.writeIndex();
+
+        return this.get(id);
+    }
+
+    /**
+     * Flag items as stale in every dashboard that holds them, so browsers re-fetch them when the dashboard loads
+     * Does not count as an edit: lastUpdated and the revision are left alone, so browsers' saves aren't refused.
+     * Instead the mark survives saves until one carries the item synced after it was marked (see setData)
+     * @param {Array<string>} keys - Item keys, e.g. "project_123"
+     * @returns {Array<string>} The keys found on at least one dashboard
+     */
+    markItemsStale(keys) {
+        const wanted = new Set(keys);
+        const found = new Set();
+        const markedAt = new Date().toISOString();
+
+        this.dashboards.forEach(dashboard => {
+            const dataPath = this.dataPath(dashboard.id);
+            if (!fs.existsSync(dataPath)) {
+                return;
+            }
+
+            const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+            let changed = false;
+            (data.dashboardData || []).forEach(item => {
+                const key = `${item.type}_${item.id}`;
+                if (wanted.has(key)) {
+                    found.add(key);
+                    item.stale = true;
+                    item.staleAt = markedAt;
+                    changed = true;
+                }
+            });
+
+            if (changed) {
+                this.writeData(dashboard.id, data);
+            }
+        });
+
+        return [...found];
+    }
+
+    /**
+     * Carry stored stale marks over to saved items that weren't re-fetched since they were marked
+     * (a browser saving a copy it loaded or refreshed before the webhook arrived)
+     * @returns {Array} The items, with stale and staleAt restored where needed
+     */
+    keepStaleMarks(id, items) {
+        const dataPath = this.dataPath(id);
+        if (!fs.existsSync(dataPath)) {
+            return items;
+        }
+
+        const marks = new Map();
+        (JSON.parse(fs.readFileSync(dataPath, 'utf8')).dashboardData || []).forEach(item => {
+            if (item.stale) {
+                marks.set(`${item.type}_${item.id}`, item.staleAt || null);
+            }
+        });
+        if (marks.size === 0) {
+            return items;
+        }
+
+        return items.map(item => {
+            const key = `${item.type}_${item.id}`;
+            if (!marks.has(key) || Date.parse(item.syncedAt) > (Date.parse(marks.get(key)) || 0)) {
+                return item;
+            }
+            return { ...item, stale: true, staleAt: marks.get(key) };
+        });
+    }
+
+    requireDashboard(id) {
+        const dashboard = this.dashboards.find(d => d.id === id);
+        if (!dashboard) {
+            throw new DashboardStoreError(`Dashboard ${id} not found`, 404);
+        }
+        return dashboard;
+    }
+
+    validateId(id) {
+        const value = String(id);
+        if (!ID_PATTERN.test(value)) {
+            throw new DashboardStoreError(`Invalid dashboard ID "${value}"`, 400);
+        }
+        return value;
+    }
+
+    generateId() {
+        let id = Date.now().toString();
+        while (this.get(id)) {
+            id = (parseInt(id, 10) + 1).toString();
+        }
+        return id;
+    }
+
+    dataPath(id) {
+        return path.join(this.dir, `${this.validateId(id)}.json`);
+    }
+
+    loadIndex({ quiet = false } = {}) {
+        if (!fs.existsSync(this.indexPath)) {
+            return [];
+        }
+
+        try {
+            const index = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+            const dashboards = Array.isArray(index.dashboards) ? index.dashboards : [];
+            if (!quiet) {
+                this.log('info', `Loaded ${dashboards.length} dashboard(s) from ${this.dir}`);
+            }
+            return dashboards;
+        } catch (error) {
+            const corruptPath = `${this.indexPath}.corrupt-${Date.now()}`;
+            fs.renameSync(this.indexPath, corruptPath);
+            this.log('error', `Dashboard index is not valid JSON: ${error.message}. Moved to ${corruptPath}`);
+            return [];
+        }
+    }
+
+    writeIndex() {
+        this.writeJson(this.indexPath, {
+            version: INDEX_VERSION,
+            dashboards: this.dashboards
+        });
+    }
+
+    writeData(id, data) {
+        this.writeJson(this.dataPath(id), data);
+    }
+
+    /**
+     * Write JSON atomically (temp file + rename)
+     */
+    writeJson(filePath, value) {
+        const tempPath = `${filePath}.tmp`;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(value));
+        fs.renameSync(tempPath, filePath);
+    }
+}
+
+function normalizeData(data = {}) {
+    return {
+        dashboardData: Array.isArray(data.dashboardData) ? data.dashboardData : [],
+        companyOrder: Array.isArray(data.companyOrder) ? data.companyOrder : [],
+        companyColors: data.companyColors || {},
+        expandedViewData: data.expandedViewData || {},
+        lastRefreshed: data.lastRefreshed || null,
+        lastUpdated: data.lastUpdated || new Date().toISOString()
+    };
+}
+
+/**
+ * Counts shown on the dashboards page without loading each dashboard's data
+ */
+function summarize(data) {
+    return {
+        itemCount: data.dashboardData.length,
+        companyCount: new Set(data.dashboardData.map(item => item.company_id)).size
+    };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function rank(order, id) {
+    const index = order.indexOf(id);
+    return index === -1 ? order.length : index;
+}
+
+/**
+ * Create the dashboard store configured by environment variables
+ * - DASHBOARDS_DIR: directory for dashboard files (default data/dashboards)
+ */
+function createDashboardStore({ env = process.env, baseDir = process.cwd(), log = () => {} } = {}) {
+    return new FileDashboardStore({
+        dir: path.resolve(baseDir, env.DASHBOARDS_DIR || 'data/dashboards'),
+        log
+    });
+}
+
+module.exports = {
+    FileDashboardStore,
+    DashboardStoreError,
+    createDashboardStore
+};
@@ -0,0 +1,273 @@
+/**
+ * History Store
+ * Timestamped progress snapshots per dashboard item, so trends survive refreshes
+ *
+ * Layout on disk (HISTORY_DIR, default data/history):
+ * - <type>_<id>.json: { version, key, snapshots: [{ at, source, unit, used, budget, periodStart }, ...] } oldest first
+ *
+ * Retention:
+ * - Refresh snapshots within the same hour replace each other
+ * - Backfilled snapshots (one per day) never replace a refresh snapshot from the same day
+ * - Snapshots older than HISTORY_RETENTION_DAYS are dropped, and at most HISTORY_MAX_SNAPSHOTS are kept per item
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_VERSION = 1;
+const KEY_PATTERN = /^[a-z]+_[A-Za-z0-9-]{1,64}$/;
+const SOURCES = ['refresh', 'backfill'];
+const UNITS = ['hours', 'value'];
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+class HistoryStoreError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'HistoryStoreError';
+        this.statusCode = statusCode;
+    }
+}
+
+class FileHistoryStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory holding one file per item
+     * @param {number} [options.retentionDays] - Age after which snapshots are dropped
+     * @param {number} [options.maxSnapshots] - Most snapshots kept per item
+     * @param {Function} [options.log] - Logger with the server's addLog(type, message, details) signature
+     */
+    constructor({ dir, retentionDays = 365, maxSnapshots = 1000, log = () => {} }) {
+        this.dir = dir;
+        this.retentionDays = retentionDays;
+        this.maxSnapshots = maxSnapshots;
+        this.log = log;
+    }
+
+    /**
+     * Snapshots for an item, oldest first
+     * @param {string} key - e.g. "project_123"
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Only the most recent snapshots
+     */
+    get(key, { limit } = {}) {
+        const snapshots = this.read(key);
+        return limit > 0 ? snapshots.slice(-limit) : snapshots;
+    }
+
+    /**
+     * Snapshots for several items
+     * @returns {Object} key -> snapshots
+     */
+    getMany(keys, options = {}) {
+        const history = {};
+        keys.forEach(key => {
+            history[key] = this.get(key, options);
+        });
+        return history;
+    }
+
+    /**
+     * Record one snapshot per item
+     * @param {Array} entries - [{ key, ...snapshot }]
+     * @returns {number} Snapshots saved
+     */
+    append(entries) {
+        if (!Array.isArray(entries)) {
+            throw new HistoryStoreError('Expected an array of snapshots', 400);
+        }
+
+        const byKey = new Map();
+        entries.forEach(({ key, ...snapshot }) => {
+            this.validateKey(key);
+            const list = byKey.get(key) || [];
+            list.push(normalizeSnapshot({ source: 'refresh', ...snapshot }));
+            byKey.set(key, list);
+        });
+
+        byKey.forEach((snapshots, key) => {
+            const merged = snapshots.reduce(mergeSnapshot, this.read(key));
+            this.write(key, merged);
+        });
+
+        return entries.length;
+    }
+
+    /**
+     * Add backfilled snapshots (e.g. rebuilt from Accelo activity dates) for one item
+     * @returns {number} Snapshots added; days that already have a snapshot are skipped
+     */
+    backfill(key, snapshots) {
+        this.validateKey(key);
+        if (!Array.isArray(snapshots)) {
+            throw new HistoryStoreError('Expected an array of snapshots', 400);
+        }
+
+        const existing = this.read(key);
+        const takenDays = new Set(existing.map(snapshot => dayOf(snapshot.at)));
+        const cutoff = this.retentionCutoff();
+        const added = snapshots
+            .map(snapshot => normalizeSnapshot({ ...snapshot, source: 'backfill' }))
+            .filter(snapshot => {
+                if (Date.parse(snapshot.at) < cutoff) {
+                    return false;
+                }
+                const day = dayOf(snapshot.at);
+                if (takenDays.has(day)) {
+                    return false;
+                }
+                takenDays.add(day);
+                return true;
+            });
+
+        this.write(key, [...existing, ...added]);
+        return added.length;
+    }
+
+    delete(key) {
+        const filePath = this.filePath(key);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    }
+
+    /**
+     * Apply the retention policy to every item (run at startup)
+     * @returns {number} Snapshots dropped
+     */
+    prune() {
+        if (!fs.existsSync(this.dir)) {
+            return 0;
+        }
+
+        let dropped = 0;
+        fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length))
+            .filter(key => KEY_PATTERN.test(key))
+            .forEach(key => {
+                const snapshots = this.read(key);
+                const kept = this.applyRetention(snapshots);
+                if (kept.length !== snapshots.length) {
+                    dropped += snapshots.length - kept.length;
+                    this.write(key, kept);
+                }
+            });
+
+        if (dropped > 0) {
+            this.log('info', `History retention dropped ${dropped} snapshot(s)`);
+        }
+        return dropped;
+    }
+
+    retentionCutoff() {
+        return Date.now() - this.retentionDays * DAY;
+    }
+
+    applyRetention(snapshots) {
+        const cutoff = this.retentionCutoff();
+        return snapshots
+            .filter(snapshot => Date.parse(snapshot.at) >= cutoff)
+            .slice(-this.maxSnapshots);
+    }
+
+    read(key) {
+        const filePath = this.filePath(key);
+        if (!fs.existsSync(filePath)) {
+            return [];
+        }
+
+        try {
+            const file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            return Array.isArray(file.snapshots) ? file.snapshots : [];
+        } catch (error) {
+            const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(filePath, corruptPath);
+            this.log('error', `History for ${key} is not valid JSON: ${error.message}. Moved to ${corruptPath}`);
+            return [];
+        }
+    }
+
+    write(key, snapshots) {
+        const sorted = [...snapshots].sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+        const filePath = this.filePath(key);
+        const tempPath = `${filePath}.tmp`;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify({
+            version: HISTORY_VERSION,
+            key,
+            snapshots: this.applyRetention(sorted)
+        }));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    validateKey(key) {
+        if (!KEY_PATTERN.test(String(key))) {
+            throw new HistoryStoreError(`Invalid history key "${key}"`, 400);
+        }
+        return String(key);
+    }
+
+    filePath(key) {
+        return path.join(this.dir, `${this.validateKey(key)}.json`);
+    }
+}
+
+function normalizeSnapshot(snapshot) {
+    const at = snapshot.at ? new Date(snapshot.at) : new Date();
+    if (isNaN(at.getTime())) {
+        throw new HistoryStoreError(`Invalid snapshot time "${snapshot.at}"`, 400);
+    }
+
+    const used = Number(snapshot.used);
+    if (!Number.isFinite(used)) {
+        throw new HistoryStoreError('Snapshot "used" must be a number', 400);
+    }
+
+    const budget = Number(snapshot.budget);
+    return {
+        at: at.toISOString(),
+        source: SOURCES.includes(snapshot.source) ? snapshot.source : 'refresh',
+        unit: UNITS.includes(snapshot.unit) ? snapshot.unit : 'hours',
+        used,
+        budget: Number.isFinite(budget) && budget > 0 ? budget : null,
+        periodStart: snapshot.periodStart || null
+    };
+}
+
+/**
+ * Add a refresh snapshot, replacing one from the same hour
+ */
+function mergeSnapshot(snapshots, snapshot) {
+    const hour = Math.floor(Date.parse(snapshot.at) / HOUR);
+    const kept = snapshots.filter(existing =>
+        existing.source !== 'refresh' || Math.floor(Date.parse(existing.at) / HOUR) !== hour
+    );
+    return [...kept, snapshot];
+}
+
+function dayOf(at) {
+    return String(at).slice(0, 10);
+}
+
+/**
+ * Create the history store configured by environment variables
+ * - HISTORY_DIR: directory for history files (default data/history)
+ * - HISTORY_RETENTION_DAYS: drop snapshots older than this (default 365)
+ * - HISTORY_MAX_SNAPSHOTS: most snapshots kept per item (default 1000)
+ */
+function createHistoryStore({ env = process.env, baseDir = process.cwd(), log = () => {} } = {}) {
+    return new FileHistoryStore({
+        dir: path.resolve(baseDir, env.HISTORY_DIR || 'data/history'),
+        retentionDays: parseInt(env.HISTORY_RETENTION_DAYS, 10) || 365,
+        maxSnapshots: parseInt(env.HISTORY_MAX_SNAPSHOTS, 10) || 1000,
+        log
+    });
+}
+
+module.exports = {
+    FileHistoryStore,
+    HistoryStoreError,
+    createHistoryStore
+};
@@ -0,0 +1,459 @@
+/**
+ * Live Updates
+ * Pushes changes to dashboard items to browsers over Server-Sent Events (GET /api/events)
+ *
+ * - A registry of the items on each dashboard that has a browser connected, with their last known figures
+ * - A poller asks Accelo what changed since its last poll (records modified, time logged or edited) and re-reads
+ *   only those items, publishing the ones whose figures moved. Which records to look at and which figures to read
+ *   come from the item types (see src/item-types.js)
+ * - Webhooks (see lib/webhooks.js) mark items stale, which is published the same way
+ * - Every event has a cursor ("<boot id>-<sequence>"). A reconnecting browser sends its last cursor and gets
+ *   the events it missed, or a "resync" event when they are no longer buffered
+ */
+
+const ItemTypes = require('../src/item-types');
+
+const EVENT_BUFFER_SIZE = 200;
+const HEARTBEAT_INTERVAL = 25 * 1000; // Keeps proxies from closing idle streams
+const RECONNECT_DELAY = 5 * 1000; // Sent to EventSource as its retry interval
+const POLL_OVERLAP = 60 * 1000; // Changes are looked for from a little before the last poll, for clock skew
+const ID_BATCH_SIZE = 50;
+const CHANGE_LIST_LIMIT = 100; // More changes than this since the last poll means every item is re-read
+
+/**
+ * The item type behind an Accelo object type, e.g. 'job' -> the project type
+ */
+function typeForAcceloType(acceloType) {
+    return ItemTypes.all().find(itemType => itemType.acceloType === acceloType) || null;
+}
+
+class LiveUpdates {
+    /**
+     * @param {Object} options
+     * @param {Object} options.dashboardStore - Source of the items on each dashboard (see lib/dashboard-store.js)
+     * @param {Function} options.getApiSettings - async () => current settings (see TokenManager.getSettings)
+     * @param {Function} options.makeAcceloRequest - async (url, accessToken) => parsed response
+     * @param {number} [options.pollInterval] - Milliseconds between polls while browsers are connected; 0 disables polling
+     * @param {Function} [options.log] - Logger with the server's addLog(type, message, details) signature
+     */
+    constructor({ dashboardStore, getApiSettings, makeAcceloRequest, pollInterval = 60 * 1000, log = () => {} }) {
+        this.dashboardStore = dashboardStore;
+        this.getApiSettings = getApiSettings;
+        this.makeAcceloRequest = makeAcceloRequest;
+        this.pollInterval = pollInterval;
+        this.log = log;
+
+        this.bootId = Date.now().toString(36);
+        this.sequence = 0;
+        this.events = []; // Recent events, oldest first, for reconnecting browsers
+        this.clients = new Set(); // { res, dashboardId }
+        this.dashboards = new Map(); // Dashboard ID -> Set of item keys ("project_123")
+        this.items = new Map(); // Item key -> { type, id, figures }
+        this.pollTimer = null;
+        this.heartbeatTimer = null;
+        this.lastPollAt = null;
+        this.isPolling = false;
+    }
+
+    get cursor() {
+        return `${this.bootId}-${this.sequence}`;
+    }
+
+    /**
+     * Stream events for a dashboard to a browser until it disconnects
+     * @param {Object} req - Express request; the cursor comes from Last-Event-ID or ?cursor=
+     * @param {Object} res - Express response
+     * @param {string} dashboardId
+     */
+    subscribe(req, res, dashboardId) {
+        this.watch(dashboardId);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+        const client = { res, dashboardId };
+        this.replay(client, req.headers['last-event-id'] || req.query.cursor);
+        this.send(client, { id: this.cursor, name: 'ready', data: { polling: this.pollInterval > 0 } });
+
+        this.clients.add(client);
+        this.start();
+
+        req.on('close', () => {
+            this.clients.delete(client);
+            if (![...this.clients].some(other => other.dashboardId === dashboardId)) {
+                this.dashboards.delete(dashboardId);
+            }
+            if (this.clients.size === 0) {
+                this.stop();
+            }
+        });
+    }
+
+    /**
+     * Send a reconnecting browser the events after its cursor, or "resync" when they are gone
+     */
+    replay(client, cursor) {
+        if (!cursor) {
+            return;
+        }
+
+        const [bootId, sequence] = String(cursor).split('-');
+        const after = parseInt(sequence, 10);
+        const oldest = this.events.length > 0 ? this.events[0].sequence : this.sequence + 1;
+
+        if (bootId !== this.bootId || isNaN(after) || after > this.sequence || after < oldest - 1) {
+            this.send(client, { id: this.cursor, name: 'resync', data: { reason: 'Missed updates are no longer available' } });
+            return;
+        }
+
+        this.events
+            .filter(event => event.sequence > after)
+            .forEach(event => this.send(client, event));
+    }
+
+    /**
+     * Add a dashboard's items to the registry, taking their figures from the saved dashboard
+     * Called when a browser subscribes, and again whenever the dashboard is saved
+     */
+    watch(dashboardId) {
+        let stored;
+        try {
+            stored = this.dashboardStore.getData(dashboardId).dashboardData;
+        } catch (error) {
+            this.log('error', `Live updates could not load dashboard ${dashboardId}: ${error.message}`);
+            return;
+        }
+
+        const keys = new Set();
+        stored.forEach(item => {
+            const itemType = ItemTypes.get(item.type);
+            if (!itemType) {
+                return;
+            }
+
+            const key = `${itemType.type}_${item.id}`;
+            keys.add(key);
+            this.items.set(key, {
+                type: itemType.type,
+                id: String(item.id),
+                // Figures are read from Accelo on their first change, unless they are saved with the item
+                figures: itemType.savedFigures?.(item) || this.items.get(key)?.figures || null
+            });
+        });
+
+        this.dashboards.set(dashboardId, keys);
+    }
+
+    /**
+     * Refresh a dashboard's registry entry after it is saved, if a browser is watching it
+     */
+    dashboardSaved(dashboardId) {
+        if (this.dashboards.has(dashboardId)) {
+            this.watch(dashboardId);
+        }
+    }
+
+    /**
+     * Keys of the items on dashboards that have a browser connected
+     */
+    watchedKeys() {
+        const keys = new Set();
+        this.dashboards.forEach(dashboardKeys => dashboardKeys.forEach(key => keys.add(key)));
+        return keys;
+    }
+
+    /**
+     * Publish an event to the browsers whose dashboard holds any of its items
+     * @param {string} name - Event name, e.g. "changes"
+     * @param {Object} data - { items: [{ key, ... }], ... }
+     */
+    publish(name, data) {
+        const event = { sequence: ++this.sequence, id: this.cursor, name, data };
+        this.events.push(event);
+        if (this.events.length > EVENT_BUFFER_SIZE) {
+            this.events.shift();
+        }
+
+        this.clients.forEach(client => this.send(client, event));
+    }
+
+    /**
+     * Write an event to one browser, keeping only the items on its dashboard
+     */
+    send(client, event) {
+        let data = event.data;
+        if (Array.isArray(data.items)) {
+            const keys = this.dashboards.get(client.dashboardId) || new Set();
+            const items = data.items.filter(item => keys.has(item.key));
+            if (items.length === 0) {
+                return;
+            }
+            data = { ...data, items };
+        }
+
+        client.res.write(`id: ${event.id}\nevent: ${event.name}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Start polling and heartbeats (while browsers are connected)
+     */
+    start() {
+        if (!this.heartbeatTimer) {
+            this.heartbeatTimer = setInterval(() => {
+                this.clients.forEach(client => client.res.write(': heartbeat\n\n'));
+            }, HEARTBEAT_INTERVAL);
+            this.heartbeatTimer.unref?.();
+        }
+
+        if (!this.pollTimer && this.pollInterval > 0) {
+            this.lastPollAt = Date.now();
+            this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+            this.pollTimer.unref?.();
+        }
+    }
+
+    stop() {
+        clearInterval(this.heartbeatTimer);
+        clearInterval(this.pollTimer);
+        this.heartbeatTimer = null;
+        this.pollTimer = null;
+    }
+
+    /**
+     * Look for changes to the watched items and publish those whose hours or usage moved
+     * @returns {Promise<Array>} The published changes
+     */
+    async poll() {
+        const keys = this.watchedKeys();
+        if (this.isPolling || keys.size === 0) {
+            return [];
+        }
+
+        const apiSettings = await this.getApiSettings();
+        if (!apiSettings || !apiSettings.accessToken) {
+            return [];
+        }
+
+        this.isPolling = true;
+        const startedAt = Date.now();
+
+        try {
+            const candidates = await this.findChangedKeys(apiSettings, keys, (this.lastPollAt || startedAt) - POLL_OVERLAP);
+            const changes = [];
+
+            for (const key of candidates) {
+                const item = this.items.get(key);
+                const figures = await this.readFigures(apiSettings, item);
+                if (figures && !sameFigures(item.figures, figures)) {
+                    item.figures = figures;
+                    changes.push({ key, type: item.type, id: item.id, changes: figures });
+                }
+            }
+
+            this.lastPollAt = startedAt;
+            if (changes.length > 0) {
+                this.log('info', `Live updates: ${changes.length} item(s) changed in Accelo`, { items: changes.map(change => change.key) });
+                this.publish('changes', { source: 'poll', items: changes });
+            }
+            return changes;
+        } catch (error) {
+            this.log('error', `Live update poll failed: ${error.message}`);
+            return [];
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Which watched items changed in Accelo since a time (the server-side twin of AcceloAPI.getChangedItems)
+     * @returns {Promise<Set<string>>} Item keys; every watched key when there were too many changes to list
+     */
+    async findChangedKeys(apiSettings, keys, since) {
+        const sinceSeconds = Math.floor(since / 1000);
+        const idsOf = type => [...keys].filter(key => this.items.get(key).type === type).map(key => this.items.get(key).id);
+        const types = ItemTypes.all();
+
+        const [modifiedRecords, logged, modified] = await Promise.all([
+            Promise.all(types.map(itemType => this.getById(apiSettings, itemType.acceloResource, idsOf(itemType.type), 'id', `date_modified_after(${sinceSeconds})`))),
+            this.get(apiSettings, 'activities', { _fields: 'id,against_type,against_id', _filters: `type(time),date_logged_after(${sinceSeconds})`, _limit: CHANGE_LIST_LIMIT }),
+            this.get(apiSettings, 'activities', { _fields: 'id,against_type,against_id', _filters: `type(time),date_modified_after(${sinceSeconds})`, _limit: CHANGE_LIST_LIMIT })
+        ]);
+
+        if (logged.length >= CHANGE_LIST_LIMIT || modified.length >= CHANGE_LIST_LIMIT) {
+            return keys;
+        }
+
+        const changed = new Set(types.flatMap((itemType, index) => modifiedRecords[index].map(record => `${itemType.type}_${record.id}`)));
+        const activityKeys = await this.resolveAgainst(apiSettings, [...logged, ...modified]);
+        activityKeys.forEach(key => changed.add(key));
+
+        return new Set([...changed].filter(key => keys.has(key)));
+    }
+
+    /**
+     * Item keys for the objects activities or tasks were logged against
+     * Time on other records counts towards the items their type says, e.g. a task's job (see findChangedIds)
+     * @param {Array} records - [{ against_type, against_id }]
+     * @returns {Promise<Set<string>>}
+     */
+    async resolveAgainst(apiSettings, records) {
+        const keys = new Set();
+        const againstIds = {}; // against_type -> Set of IDs, for records that are not an item type
+
+        records.forEach(({ against_type: againstType, against_id: id }) => {
+            const itemType = typeForAcceloType(againstType);
+            if (itemType) {
+                keys.add(`${itemType.type}_${id}`);
+            } else if (againstType) {
+                (againstIds[againstType] = againstIds[againstType] || new Set()).add(String(id));
+            }
+        });
+
+        const getById = (resource, ids, fields) => this.getById(apiSettings, resource, ids, fields);
+        const found = await Promise.all(ItemTypes.all().map(itemType => itemType.findChangedIds(againstIds, getById)));
+        ItemTypes.all().forEach((itemType, index) => {
+            found[index].forEach(id => keys.add(`${itemType.type}_${id}`));
+        });
+
+        return keys;
+    }
+
+    /**
+     * Item keys affected by a change to an Accelo object, e.g. a webhook's job, contract, issue, activity or task
+     * @param {string} objectType - "job", "contract", "issue", "activity" or "task"
+     * @param {string|number} objectId
+     * @param {Object} [data] - The object as far as it is known; missing against_* fields are read from Accelo
+     * @returns {Promise<Array<string>>}
+     */
+    async resolveObjectKeys(objectType, objectId, data = {}) {
+        const itemType = typeForAcceloType(objectType);
+        if (itemType) {
+            return [`${itemType.type}_${objectId}`];
+        }
+
+        const apiSettings = await this.getApiSettings();
+        if (!apiSettings || !apiSettings.accessToken) {
+            throw new Error('No API credentials configured');
+        }
+
+        let record = data;
+        if (!record.against_type || !record.against_id) {
+            const endpoint = objectType === 'activity' ? 'activities' : 'tasks';
+            const response = await this.makeAcceloRequest(this.url(apiSettings, `${endpoint}/${objectId}`, { _fields: 'id,against_type,against_id' }), apiSettings.accessToken);
+            record = response.response || {};
+        }
+
+        return [...await this.resolveAgainst(apiSettings, [record])];
+    }
+
+    /**
+     * Current figures for an item, as its type reads them (see readLiveFigures), e.g. the usage of an
+     * agreement's current period or a project's logged time
+     * @returns {Promise<Object|null>} Null when the item can't be read
+     */
+    async readFigures(apiSettings, item) {
+        try {
+            const getRecord = (path, params) => this.makeAcceloRequest(this.url(apiSettings, path, params), apiSettings.accessToken);
+            return await ItemTypes.get(item.type).readLiveFigures(item.id, getRecord);
+        } catch (error) {
+            this.log('error', `Live updates could not read ${item.type} ${item.id}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Mark items stale on every dashboard, so browsers re-fetch them now or when the dashboard next loads
+     * @param {Array<string>} keys - Item keys
+     * @param {string} reason - e.g. "job.updated webhook"
+     * @returns {Array<string>} The keys that are on a dashboard
+     */
+    markStale(keys, reason) {
+        const marked = this.dashboardStore.markItemsStale(keys);
+        if (marked.length === 0) {
+            return marked;
+        }
+
+        // Figures read from Accelo are re-read on the next change; saved figures stay the baseline
+        marked.forEach(key => {
+            const item = this.items.get(key);
+            if (item && !ItemTypes.get(item.type).savedFigures) {
+                item.figures = null;
+            }
+        });
+
+        this.publish('changes', {
+            source: 'webhook',
+            reason,
+            items: marked.map(key => {
+                const [type, id] = key.split('_');
+                return { key, type, id, stale: true };
+            })
+        });
+        return marked;
+    }
+
+    /**
+     * Fetch objects by ID, batching IDs into as few filters as possible
+     */
+    async getById(apiSettings, endpoint, ids, fields, extraFilters = '') {
+        const batches = [];
+        for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+            const filters = [`id(${ids.slice(i, i + ID_BATCH_SIZE).join(',')})`];
+            if (extraFilters) {
+                filters.push(extraFilters);
+            }
+            batches.push(this.get(apiSettings, endpoint, { _fields: fields, _filters: filters.join(','), _limit: ID_BATCH_SIZE }));
+        }
+
+        const results = await Promise.all(batches);
+        return results.flat();
+    }
+
+    async get(apiSettings, endpoint, params) {
+        const response = await this.makeAcceloRequest(this.url(apiSettings, endpoint, params), apiSettings.accessToken);
+        return Array.isArray(response.response) ? response.response : [];
+    }
+
+    url(apiSettings, endpoint, params = {}) {
+        return `https://${apiSettings.deployment}.api.accelo.com/api/v0/${endpoint}?${new URLSearchParams(params)}`;
+    }
+}
+
+/**
+ * Whether newly read figures match the last known ones
+ */
+function sameFigures(known, figures) {
+    if (!known) {
+        return false;
+    }
+    if (figures.usage) {
+        const fields = ['periodId', 'timeUsed', 'timeAllowance', 'valueUsed', 'valueAllowance'];
+        return Boolean(known.usage) && fields.every(field => known.usage[field] === figures.usage[field]);
+    }
+    return ['loggedHours', 'standing', 'dateDue'].every(field => known[field] === figures[field]);
+}
+
+/**
+ * Create live updates configured by environment variables
+ * - LIVE_POLL_SECONDS: seconds between polls while browsers are connected (default 60, 0 disables polling)
+ */
+function createLiveUpdates({ env = process.env, dashboardStore, getApiSettings, makeAcceloRequest, log = () => {} }) {
+    const seconds = parseInt(env.LIVE_POLL_SECONDS, 10);
+    return new LiveUpdates({
+        dashboardStore,
+        getApiSettings,
+        makeAcceloRequest,
+        pollInterval: (Number.isFinite(seconds) && seconds >= 0 ? seconds : 60) * 1000,
+        log
+    });
+}
+
+module.exports = {
+    LiveUpdates,
+    createLiveUpdates
+};
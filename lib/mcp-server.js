@@ -0,0 +1,353 @@
+/**
+ * MCP Server
+ * The chat lookups exposed as Model Context Protocol tools, over stdio (mcp.js) or HTTP (POST /mcp):
+ * - JSON-RPC 2.0 with the initialize, ping, tools/list and tools/call methods
+ * - Tool results are JSON text; failures set isError with an { error, message, action } body
+ * - Over HTTP, requests from browser pages on other origins are refused, against DNS rebinding
+ */
+
+const readline = require('readline');
+const { AcceloQueryError } = require('./accelo-queries');
+const { validateToolArguments } = require('./chat-tools');
+const { version } = require('../package.json');
+
+const PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05']; // Newest first
+const SERVER_INFO = { name: 'accelo-prototype-dashboard', version };
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// Browser origins always allowed to call the HTTP endpoint; requests without an Origin (non-browser clients) are too
+const LOCAL_ORIGIN_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+class McpError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'McpError';
+        this.code = code;
+    }
+}
+
+/**
+ * Create the dashboard's MCP tools
+ * @param {Object} options
+ * @param {Object} options.queries - Accelo queries (see createAcceloQueries)
+ * @param {Object} options.dashboardStore - Dashboard store (see createDashboardStore)
+ * @returns {Array} Tools with name, description, inputSchema and an async handler(args)
+ */
+function createMcpTools({ queries, dashboardStore }) {
+    return [
+        {
+            name: 'search_companies',
+            description: 'Search Accelo companies (clients) by name. Returns id, name, standing and status for each company.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    search: { type: 'string', description: 'Text to search company names for; omit to list all companies' },
+                    limit: { type: 'integer', minimum: 1, maximum: 100, description: 'Maximum number of companies (default 10)' },
+                    offset: { type: 'integer', minimum: 0, description: 'Page number for more results (default 0)' }
+                },
+                additionalProperties: false
+            },
+            handler: ({ search, limit = 10, offset = 0 }) => queries.listCompanies({ search, limit, offset })
+        },
+        {
+            name: 'get_company',
+            description: 'Get a company with its projects and agreements, including the current period of active agreements.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer', description: 'Accelo company ID' }
+                },
+                required: ['id'],
+                additionalProperties: false
+            },
+            handler: ({ id }) => queries.getCompany(Number(id))
+        },
+        {
+            name: 'get_project',
+            description: 'Get a project (job) with a time summary of its billable and non-billable hours.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer', description: 'Accelo project (job) ID' }
+                },
+                required: ['id'],
+                additionalProperties: false
+            },
+            handler: ({ id }) => queries.getProject(Number(id))
+        },
+        {
+            name: 'get_agreement_usage',
+            description: 'Get an agreement (contract) with its current period usage: budget type, allowance, used and remaining.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer', description: 'Accelo agreement (contract) ID' }
+                },
+                required: ['id'],
+                additionalProperties: false
+            },
+            handler: ({ id }) => queries.getAgreement(Number(id))
+        },
+        {
+            name: 'list_dashboards',
+            description: 'List the saved dashboards with their IDs, names and timestamps.',
+            inputSchema: {
+                type: 'object',
+                properties: {},
+                additionalProperties: false
+            },
+            handler: async () => {
+                // Re-read so dashboards created since this process started (e.g. by server.js) are listed
+                const dashboards = dashboardStore.reload();
+                return {
+                    success: true,
+                    dashboards,
+                    meta: { count: dashboards.length }
+                };
+            }
+        }
+    ];
+}
+
+class McpServer {
+    /**
+     * @param {Object} options
+     * @param {Array} options.tools - Tools from createMcpTools
+     * @param {Function} [options.log] - Logger with the server's addLog(type, message, details) signature
+     */
+    constructor({ tools, log = () => {} }) {
+        this.tools = tools;
+        this.log = log;
+    }
+
+    /**
+     * Handle a raw JSON-RPC payload (a message or a batch)
+     * @returns {Promise<Object|Array|null>} The response, or null when only notifications were sent
+     */
+    async handlePayload(payload) {
+        if (Array.isArray(payload)) {
+            if (payload.length === 0) {
+                return this.errorResponse(null, new McpError(INVALID_REQUEST, 'Empty batch'));
+            }
+            const responses = (await Promise.all(payload.map(message => this.handleMessage(message))))
+                .filter(Boolean);
+            return responses.length ? responses : null;
+        }
+        return this.handleMessage(payload);
+    }
+
+    /**
+     * Handle one line or body of JSON text
+     */
+    async handleText(text) {
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (error) {
+            return this.errorResponse(null, new McpError(PARSE_ERROR, 'Parse error'));
+        }
+        return this.handlePayload(payload);
+    }
+
+    async handleMessage(message) {
+        if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+            // Responses from the client (we never send requests) are ignored
+            if (message && message.jsonrpc === '2.0' && message.method === undefined && message.id !== undefined) {
+                return null;
+            }
+            return this.errorResponse(message?.id ?? null, new McpError(INVALID_REQUEST, 'Invalid request'));
+        }
+
+        const isNotification = message.id === undefined;
+
+        try {
+            const result = await this.dispatch(message.method, message.params || {});
+            return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+        } catch (error) {
+            if (!(error instanceof McpError)) {
+                this.log('error', `MCP - ${message.method} failed: ${error.message}`);
+            }
+            return isNotification ? null : this.errorResponse(message.id, error);
+        }
+    }
+
+    async dispatch(method, params) {
+        switch (method) {
+            case 'initialize':
+                return this.initialize(params);
+            case 'ping':
+                return {};
+            case 'tools/list':
+                return {
+                    tools: this.tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+                };
+            case 'tools/call':
+                return this.callTool(params);
+            default:
+                if (method.startsWith('notifications/')) {
+                    return {};
+                }
+                throw new McpError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+        }
+    }
+
+    initialize(params) {
+        // Answer with the client's version when we support it, otherwise our newest
+        const protocolVersion = PROTOCOL_VERSIONS.includes(params.protocolVersion)
+            ? params.protocolVersion
+            : PROTOCOL_VERSIONS[0];
+
+        this.log('info', `MCP - Client connected: ${params.clientInfo?.name || 'unknown'} (protocol ${protocolVersion})`);
+
+        return {
+            protocolVersion,
+            capabilities: { tools: { listChanged: false } },
+            serverInfo: SERVER_INFO,
+            instructions: 'Read-only access to the Accelo companies, projects and agreements behind the dashboards. Hours are decimal hours.'
+        };
+    }
+
+    /**
+     * Run a tool; tool failures are results with isError, not JSON-RPC errors
+     */
+    async callTool({ name, arguments: args = {} }) {
+        const tool = this.tools.find(t => t.name === name);
+        if (!tool) {
+            throw new McpError(INVALID_PARAMS, `Unknown tool: ${name}`);
+        }
+
+        const problem = validateToolArguments({ parameters: tool.inputSchema }, args);
+        if (problem) {
+            return this.toolResult({
+                error: 'Invalid tool arguments',
+                message: problem,
+                action: `Check the arguments against the ${name} input schema`
+            }, true);
+        }
+
+        try {
+            return this.toolResult(await tool.handler(args));
+        } catch (error) {
+            if (error instanceof AcceloQueryError) {
+                return this.toolResult(error.body, true);
+            }
+            this.log('error', `MCP - Tool ${name} failed: ${error.message}`);
+            return this.toolResult({
+                error: 'Tool failed',
+                message: error.message,
+                action: 'Try again, or check the server logs'
+            }, true);
+        }
+    }
+
+    toolResult(body, isError = false) {
+        return {
+            content: [{ type: 'text', text: JSON.stringify(body, null, 2) }],
+            isError
+        };
+    }
+
+    errorResponse(id, error) {
+        const code = error instanceof McpError ? error.code : INTERNAL_ERROR;
+        return { jsonrpc: '2.0', id, error: { code, message: error.message } };
+    }
+}
+
+/**
+ * Serve newline-delimited JSON-RPC over stdin/stdout
+ * Anything else the process prints must go to stderr
+ * @returns {Promise} Resolves when the input closes
+ */
+function serveStdio(server, { input = process.stdin, output = process.stdout } = {}) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let pending = Promise.resolve();
+
+    lines.on('line', (line) => {
+        if (!line.trim()) {
+            return;
+        }
+        // Answer in order, one message at a time
+        pending = pending
+            .then(() => server.handleText(line))
+            .then(response => {
+                if (response) {
+                    output.write(JSON.stringify(response) + '\n');
+                }
+            });
+    });
+
+    return new Promise(resolve => lines.on('close', () => pending.then(resolve)));
+}
+
+/**
+ * Whether a request's Origin may call the HTTP endpoint
+ * A DNS rebinding page sends its own origin (and Host), so only local origins and configured ones are trusted
+ * @param {string|undefined} origin - The Origin header
+ * @param {Array<string>} allowedOrigins - Extra origins, e.g. ['https://tools.example.com']
+ */
+function isAllowedOrigin(origin, allowedOrigins = []) {
+    if (!origin) {
+        return true;
+    }
+    if (allowedOrigins.includes(origin)) {
+        return true;
+    }
+    try {
+        const { protocol, hostname } = new URL(origin);
+        return (protocol === 'http:' || protocol === 'https:') && LOCAL_ORIGIN_HOSTS.includes(hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Express handler for the streamable HTTP transport (JSON responses, no server-initiated stream)
+ * @param {McpServer} server
+ * @param {Object} [options]
+ * @param {Array<string>} [options.allowedOrigins] - Browser origins allowed besides localhost
+ */
+function createMcpHttpHandler(server, { allowedOrigins = [] } = {}) {
+    return async (req, res) => {
+        if (!isAllowedOrigin(req.get('Origin'), allowedOrigins)) {
+            server.log('error', `MCP - Refused a request from origin ${req.get('Origin')}`);
+            return res.status(403).json({
+                error: 'Origin not allowed',
+                message: `Requests from ${req.get('Origin')} are not accepted by this MCP endpoint`,
+                action: 'Add the origin to MCP_ALLOWED_ORIGINS if it should have access'
+            });
+        }
+
+        if (req.method !== 'POST') {
+            res.set('Allow', 'POST');
+            return res.status(405).json({
+                error: 'Method not allowed',
+                message: 'This MCP endpoint only accepts POSTed JSON-RPC messages',
+                action: 'Configure your MCP client for the streamable HTTP transport'
+            });
+        }
+
+        const response = req.body && typeof req.body === 'object' && Object.keys(req.body).length
+            ? await server.handlePayload(req.body)
+            : server.errorResponse(null, new McpError(PARSE_ERROR, 'Request body must be JSON'));
+
+        if (!response) {
+            return res.status(202).end();
+        }
+        res.json(response);
+    };
+}
+
+module.exports = {
+    PROTOCOL_VERSIONS,
+    McpServer,
+    createMcpTools,
+    serveStdio,
+    isAllowedOrigin,
+    createMcpHttpHandler
+};
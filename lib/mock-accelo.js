@@ -0,0 +1,405 @@
+/**
+ * Mock Accelo
+ * A stand-in for the Accelo API serving fixture data, for offline development and automated tests
+ *
+ * - Serves the endpoints the dashboard, chat and live updates use: companies, jobs, milestones, tasks, activities
+ *   (and their allocations), contracts (and their periods), issues, timers and staff, plus the client-credentials
+ *   token endpoint
+ * - Honours _fields, _filters, _search, _limit, _offset (a page number, as in Accelo) and _order_by/_order_by_desc
+ * - Staff fields (manager, assignee) hold a staff ID, as in Accelo; requesting e.g. manager(id,firstname,surname)
+ *   returns the staff member instead
+ * - Only tokens it issued are accepted, so a restarted mock answers 401 and the server renews its token
+ * - Logged time is derived from the activities, so job, task, issue, allocation and period totals always agree
+ * - Fixture dates may be relative to when they are loaded ("-3d", "+12h"), so the seeded data never goes stale
+ *
+ * Turned on with ACCELO_MOCK=true (mounted in-process at /mock-accelo) or ACCELO_MOCK_URL (a separate
+ * `npm run mock-accelo`); see createMockConfig()
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_FILE = path.join(__dirname, '..', 'fixtures', 'accelo.json');
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const MOUNT_PATH = '/mock-accelo';
+
+const RESOURCES = ['companies', 'jobs', 'milestones', 'tasks', 'activities', 'contracts', 'issues', 'timers', 'staff'];
+const OBJECT_TYPES = { companies: 'company', jobs: 'job', milestones: 'milestone', tasks: 'task', contracts: 'contract', issues: 'issue' };
+const STAFF_FIELDS = ['manager', 'assignee'];
+const RELATIVE_DATE = /^([+-]\d+(?:\.\d+)?)([dhm])$/;
+const UNIT_SECONDS = { d: 86400, h: 3600, m: 60 };
+
+/**
+ * Load fixtures from a JSON file, resolving relative dates against now
+ * @param {string} [file] - Defaults to fixtures/accelo.json
+ * @param {Object} [options]
+ * @param {number} [options.now] - Milliseconds since the epoch
+ * @returns {Object} { account, companies, jobs, milestones, tasks, activities, contracts, issues, timers, staff }
+ */
+function loadFixtures(file = DEFAULT_FIXTURES_FILE, { now = Date.now() } = {}) {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const nowSeconds = Math.floor(now / 1000);
+
+    const resolveDates = value => {
+        if (Array.isArray(value)) {
+            return value.map(resolveDates);
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, child]) => {
+                const match = key.startsWith('date_') && typeof child === 'string' && child.match(RELATIVE_DATE);
+                return [key, match ? Math.round(nowSeconds + parseFloat(match[1]) * UNIT_SECONDS[match[2]]) : resolveDates(child)];
+            }));
+        }
+        return value;
+    };
+
+    const fixtures = resolveDates(raw);
+    RESOURCES.forEach(resource => {
+        fixtures[resource] = fixtures[resource] || [];
+    });
+    return fixtures;
+}
+
+/**
+ * Parse _filters, e.g. "against_type(job),against_id(1,2),date_logged_after(1700000000)"
+ * @returns {Array<{name: string, values: Array<string>}>}
+ */
+function parseFilters(filters) {
+    const parsed = [];
+    const pattern = /(\w+)\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(filters || '')) !== null) {
+        parsed.push({ name: match[1], values: match[2].split(',').map(value => value.trim()).filter(Boolean) });
+    }
+    return parsed;
+}
+
+function matchesFilter(record, { name, values }) {
+    const range = name.match(/^(.+)_(after|before)$/);
+    if (range && range[1].startsWith('date_')) {
+        const recordValue = Number(record[range[1]]);
+        const limit = Number(values[0]);
+        return range[2] === 'after' ? recordValue > limit : recordValue < limit;
+    }
+
+    const recordValue = record[name];
+    return recordValue !== undefined && recordValue !== null && values.includes(String(recordValue));
+}
+
+/**
+ * Split _fields at the top-level commas, e.g. "id,manager(id,firstname)" -> ["id", "manager(id,firstname)"]
+ */
+function splitFields(fields) {
+    const split = [];
+    let depth = 0;
+    let current = '';
+    for (const char of fields) {
+        if (char === ',' && depth === 0) {
+            split.push(current.trim());
+            current = '';
+            continue;
+        }
+        depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+        current += char;
+    }
+    split.push(current.trim());
+    return split.filter(Boolean);
+}
+
+/**
+ * Keep the requested fields; id is always returned, as by Accelo
+ * A field with its own fields, e.g. manager(firstname,surname), is replaced by the linked record
+ * @param {Function} [findLinked] - (field, value) -> the linked record, or null
+ */
+function selectFields(record, fields, findLinked = () => null) {
+    if (!fields || fields === '_ALL') {
+        return record;
+    }
+
+    const selected = { id: record.id };
+    splitFields(fields).forEach(field => {
+        const [, name, linkedFields] = field.match(/^(\w+)\((.*)\)$/) || [null, field, null];
+        if (!(name in record)) {
+            return;
+        }
+        if (linkedFields === null) {
+            selected[name] = record[name];
+            return;
+        }
+        const linked = findLinked(name, record[name]);
+        selected[name] = linked ? selectFields(linked, linkedFields) : null;
+    });
+    return selected;
+}
+
+/**
+ * Apply _filters, _search, _order_by and paging to a list of records
+ * @param {Function} [findLinked] - See selectFields
+ * @returns {Array} The page of records, with _fields applied
+ */
+function queryRecords(records, query, findLinked) {
+    let results = records;
+
+    parseFilters(query._filters).forEach(filter => {
+        results = results.filter(record => matchesFilter(record, filter));
+    });
+
+    if (query._search) {
+        const search = String(query._search).toLowerCase();
+        results = results.filter(record => String(record.name || record.title || record.subject || '').toLowerCase().includes(search));
+    }
+
+    if (query._order_by) {
+        const field = query._order_by;
+        const direction = query._order_by_desc && query._order_by_desc !== '0' ? -1 : 1;
+        results = [...results].sort((a, b) => {
+            const left = Number(a[field]);
+            const right = Number(b[field]);
+            const compared = isNaN(left) || isNaN(right)
+                ? String(a[field] ?? '').localeCompare(String(b[field] ?? ''))
+                : left - right;
+            return compared * direction;
+        });
+    }
+
+    const limit = Math.min(Math.max(parseInt(query._limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const page = Math.max(parseInt(query._offset, 10) || 0, 0);
+    return results.slice(page * limit, (page + 1) * limit).map(record => selectFields(record, query._fields, findLinked));
+}
+
+/**
+ * Create the mock as an Express app, to mount or listen on
+ * @param {Object} [options]
+ * @param {Object} [options.fixtures] - Fixture data (see loadFixtures); tests may change it between requests
+ * @param {Function} [options.log] - Logger with the server's addLog(type, message, details) signature
+ * @returns {express.Application} The app, with the live fixture data as app.locals.fixtures
+ */
+function createMockAccelo({ fixtures = loadFixtures(), log = () => {} } = {}) {
+    const app = express();
+    const issuedTokens = new Set();
+    app.locals.fixtures = fixtures;
+
+    const send = (res, response) => res.json({ response, meta: { status: 'ok', more_info: 'Mock Accelo' } });
+    const fail = (res, statusCode, status, message) => res.status(statusCode).json({ meta: { status, message, more_info: 'Mock Accelo' } });
+
+    const findObject = (type, id) => {
+        const resource = Object.keys(OBJECT_TYPES).find(key => OBJECT_TYPES[key] === type);
+        return resource ? fixtures[resource].find(record => String(record.id) === String(id)) : null;
+    };
+
+    // Staff fields link to the staff member with that ID
+    const findLinked = (field, id) => STAFF_FIELDS.includes(field)
+        ? (fixtures.staff || []).find(member => String(member.id) === String(id)) || null
+        : null;
+
+    // Time logged directly against an object, in seconds
+    const timeAgainst = (type, ids, { from, to } = {}) => fixtures.activities
+        .filter(activity => activity.type === 'time' && activity.against_type === type && ids.includes(String(activity.against_id)))
+        .filter(activity => (from === undefined || activity.date_logged >= from) && (to === undefined || activity.date_logged <= to))
+        .reduce((total, activity) => ({
+            billable: total.billable + (Number(activity.billable) || 0),
+            nonbillable: total.nonbillable + (Number(activity.nonbillable) || 0),
+            charged: total.charged + (Number(activity.charged ?? activity.billable) || 0)
+        }), { billable: 0, nonbillable: 0, charged: 0 });
+
+    const againstOf = record => {
+        if (!record.against_type) {
+            return undefined;
+        }
+        const target = findObject(record.against_type, record.against_id);
+        return { type: record.against_type, id: String(record.against_id), name: target ? (target.name || target.title) : undefined };
+    };
+
+    // Records as Accelo returns them: stored fields plus the derived ones
+    const views = {
+        companies: company => company,
+        jobs: job => {
+            const taskIds = fixtures.tasks.filter(task => task.against_type === 'job' && String(task.against_id) === String(job.id)).map(task => String(task.id));
+            const milestoneIds = fixtures.milestones.filter(milestone => String(milestone.job) === String(job.id)).map(milestone => String(milestone.id));
+            const milestoneTaskIds = fixtures.tasks.filter(task => task.against_type === 'milestone' && milestoneIds.includes(String(task.against_id))).map(task => String(task.id));
+            const times = [
+                timeAgainst('job', [String(job.id)]),
+                timeAgainst('task', [...taskIds, ...milestoneTaskIds]),
+                timeAgainst('milestone', milestoneIds)
+            ];
+            return {
+                ...job,
+                company: job.against_type === 'company' ? String(job.against_id) : undefined,
+                against: againstOf(job),
+                billable_seconds: times.reduce((sum, time) => sum + time.billable, 0),
+                unbillable_seconds: times.reduce((sum, time) => sum + time.nonbillable, 0)
+            };
+        },
+        milestones: milestone => {
+            const time = timeAgainst('milestone', [String(milestone.id)]);
+            return { ...milestone, billable: time.billable, nonbillable: time.nonbillable, logged: time.billable + time.nonbillable };
+        },
+        tasks: task => {
+            const time = timeAgainst('task', [String(task.id)]);
+            return { ...task, against: againstOf(task), billable: time.billable, nonbillable: time.nonbillable, logged: time.billable + time.nonbillable };
+        },
+        activities: activity => ({ ...activity, against: againstOf(activity) }),
+        contracts: contract => ({
+            ...contract,
+            company: contract.against_type === 'company' ? String(contract.against_id) : undefined,
+            against: againstOf(contract)
+        }),
+        issues: issue => {
+            const time = timeAgainst('issue', [String(issue.id)]);
+            return {
+                ...issue,
+                company: issue.against_type === 'company' ? String(issue.against_id) : undefined,
+                against: againstOf(issue),
+                billable_seconds: time.billable,
+                nonbillable_seconds: time.nonbillable
+            };
+        },
+        timers: timer => timer,
+        staff: member => member
+    };
+
+    // Periods without budget_used get the time logged against the contract during the period
+    const periodView = (contract, period) => {
+        if (period.budget_used) {
+            return period;
+        }
+        const time = timeAgainst('contract', [String(contract.id)], { from: period.date_commenced, to: period.date_expires });
+        return { ...period, budget_used: { value: time.billable + time.nonbillable, amount: 0 } };
+    };
+
+    const list = resource => fixtures[resource].map(views[resource]);
+
+    app.use((req, res, next) => {
+        log('request', `Mock Accelo ${req.method} ${req.originalUrl}`);
+        next();
+    });
+
+    // Client credentials - any client ID and secret are accepted
+    app.post('/oauth2/v0/token', (req, res) => {
+        if (!(req.headers.authorization || '').startsWith('Basic ')) {
+            return res.status(401).json({ error: 'invalid_client', error_description: 'Client credentials are required' });
+        }
+        const accessToken = `mock-${crypto.randomBytes(12).toString('hex')}`;
+        issuedTokens.add(accessToken);
+        res.json({
+            access_token: accessToken,
+            token_type: 'bearer',
+            expires_in: 2592000,
+            deployment_name: fixtures.account?.deployment_name || 'Mock Accelo',
+            deployment_uri: fixtures.account?.deployment_uri,
+            account_details: fixtures.account?.user || { firstname: 'Mock', surname: 'User', email: 'mock@example.com' }
+        });
+    });
+
+    const api = express.Router();
+
+    api.use((req, res, next) => {
+        const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+        if (!issuedTokens.has(token)) {
+            return fail(res, 401, 'invalid_token', 'The access token is missing, expired or was not issued by this mock');
+        }
+        next();
+    });
+
+    // One aggregate record for everything the filter matches, as Accelo returns for allocations
+    api.get('/activities/allocations', (req, res) => {
+        const filters = parseFilters(req.query._filters);
+        const againstType = filters.find(filter => filter.name === 'against_type')?.values[0];
+        const againstIds = filters.find(filter => filter.name === 'against_id')?.values || [];
+        const time = timeAgainst(againstType, againstIds);
+        send(res, selectFields({
+            id: '0',
+            billable: time.billable,
+            nonbillable: time.nonbillable,
+            logged: time.billable + time.nonbillable,
+            charged: time.charged
+        }, req.query._fields));
+    });
+
+    api.get('/jobs/:id/milestones', (req, res) => {
+        if (!fixtures.jobs.some(job => String(job.id) === req.params.id)) {
+            return fail(res, 404, 'not_found', `No job with ID ${req.params.id}`);
+        }
+        send(res, queryRecords(list('milestones').filter(milestone => String(milestone.job) === req.params.id), req.query, findLinked));
+    });
+
+    api.get('/contracts/:id/periods', (req, res) => {
+        const contract = fixtures.contracts.find(record => String(record.id) === req.params.id);
+        if (!contract) {
+            return fail(res, 404, 'not_found', `No contract with ID ${req.params.id}`);
+        }
+        const periods = (contract.periods || []).map(period => periodView(contract, period));
+        send(res, { periods: queryRecords(periods, req.query) });
+    });
+
+    api.get('/:resource', (req, res) => {
+        if (!RESOURCES.includes(req.params.resource)) {
+            return fail(res, 404, 'not_found', `Unknown resource ${req.params.resource}`);
+        }
+        send(res, queryRecords(list(req.params.resource).map(({ periods, ...record }) => record), req.query, findLinked));
+    });
+
+    api.get('/:resource/:id', (req, res) => {
+        if (!RESOURCES.includes(req.params.resource)) {
+            return fail(res, 404, 'not_found', `Unknown resource ${req.params.resource}`);
+        }
+        const record = fixtures[req.params.resource].find(item => String(item.id) === req.params.id);
+        if (!record) {
+            return fail(res, 404, 'not_found', `No ${req.params.resource} record with ID ${req.params.id}`);
+        }
+        const { periods, ...view } = views[req.params.resource](record);
+        send(res, selectFields(view, req.query._fields, findLinked));
+    });
+
+    app.use('/api/v0', api);
+    app.use((req, res) => fail(res, 404, 'not_found', `No mock for ${req.method} ${req.path}`));
+
+    return app;
+}
+
+/**
+ * Where Accelo requests go, from the environment:
+ * - ACCELO_MOCK_URL: a mock running elsewhere, e.g. `npm run mock-accelo`
+ * - ACCELO_MOCK=true: the mock served by this process under /mock-accelo
+ * - Neither: the real Accelo API
+ * @returns {{ enabled: boolean, inProcess: boolean, baseUrl: string|null, fixturesFile: string }}
+ */
+function createMockConfig(env = process.env) {
+    const fixturesFile = env.ACCELO_MOCK_FIXTURES ? path.resolve(env.ACCELO_MOCK_FIXTURES) : DEFAULT_FIXTURES_FILE;
+    if (env.ACCELO_MOCK_URL) {
+        return { enabled: true, inProcess: false, baseUrl: env.ACCELO_MOCK_URL, fixturesFile };
+    }
+    const enabled = ['true', '1', 'yes'].includes(String(env.ACCELO_MOCK || '').toLowerCase());
+    return { enabled, inProcess: enabled, baseUrl: null, fixturesFile };
+}
+
+/**
+ * Start the mock on its own port
+ * @param {Object} options
+ * @param {number} [options.port] - 0 picks a free port
+ * @param {string} [options.host]
+ * @param {Object} [options.fixtures]
+ * @param {Function} [options.log]
+ * @returns {Promise<{ server: http.Server, url: string }>}
+ */
+function listenMockAccelo({ port = 0, host = '127.0.0.1', fixtures, log } = {}) {
+    const app = createMockAccelo({ fixtures, log });
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, host, () => {
+            resolve({ server, url: `http://${host}:${server.address().port}` });
+        });
+        server.on('error', reject);
+    });
+}
+
+module.exports = {
+    MOUNT_PATH,
+    loadFixtures,
+    parseFilters,
+    createMockAccelo,
+    createMockConfig,
+    listenMockAccelo
+};
@@ -0,0 +1,259 @@
+/**
+ * Settings Store
+ * Persists server-side API settings (deployment, tokens) across restarts
+ *
+ * Two backends share the same get/set/clear/reload interface:
+ * - EncryptedFileSettingsStore: AES-256-GCM encrypted JSON file on disk
+ * - MemorySettingsStore: process memory only (used when no encryption key is set)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FILE_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+/**
+ * In-memory settings store - settings are lost on restart
+ */
+class MemorySettingsStore {
+    constructor() {
+        this.settings = null;
+        this.persistent = false;
+    }
+
+    get() {
+        return this.settings;
+    }
+
+    set(settings) {
+        this.settings = settings;
+    }
+
+    clear() {
+        this.settings = null;
+    }
+
+    reload() {
+        return this.settings;
+    }
+}
+
+/**
+ * Encrypted JSON file settings store
+ * Settings are cached in memory and written through to disk on every change
+ */
+class EncryptedFileSettingsStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - Path of the encrypted settings file
+     * @param {string} options.key - Current encryption passphrase
+     * @param {string} [options.previousKey] - Previous passphrase, used once to re-encrypt after a key rotation
+     * @param {Function} [options.log] - Logger with the server's addLog(type, message, details) signature
+     */
+    constructor({ filePath, key, previousKey = null, log = () => {} }) {
+        if (!key) {
+            throw new Error('An encryption key is required for the encrypted settings store');
+        }
+
+        this.filePath = filePath;
+        this.key = key;
+        this.previousKey = previousKey;
+        this.log = log;
+        this.persistent = true;
+        this.settings = this.load();
+        this.loadedStamp = this.fileStamp();
+    }
+
+    get() {
+        return this.settings;
+    }
+
+    set(settings) {
+        this.settings = settings;
+        this.write(settings);
+    }
+
+    clear() {
+        this.settings = null;
+        if (fs.existsSync(this.filePath)) {
+            fs.unlinkSync(this.filePath);
+        }
+        this.loadedStamp = null;
+    }
+
+    /**
+     * Pick up changes another process made to the file, e.g. the dashboard server saving credentials or
+     * renewing the token while the stdio MCP server runs. The file is only decrypted again when it changed
+     * @returns {Object|null} The current settings
+     */
+    reload() {
+        const stamp = this.fileStamp();
+        if (stamp !== this.loadedStamp) {
+            this.settings = this.load();
+            this.loadedStamp = this.fileStamp();
+        }
+        return this.settings;
+    }
+
+    /**
+     * Modification time and size of the file, or null when there is none
+     */
+    fileStamp() {
+        if (!fs.existsSync(this.filePath)) {
+            return null;
+        }
+        const stats = fs.statSync(this.filePath);
+        return `${stats.mtimeMs}:${stats.size}`;
+    }
+
+    /**
+     * Read and decrypt the settings file
+     * A corrupt or undecryptable file is moved aside so the server can still start
+     * @returns {Object|null} The stored settings, or null if none
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return null;
+        }
+
+        let envelope;
+        try {
+            envelope = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            this.quarantine(`Settings file is not valid JSON: ${error.message}`);
+            return null;
+        }
+
+        try {
+            const settings = this.decrypt(envelope, this.key);
+            this.log('info', `Loaded saved settings from ${this.filePath}`);
+            return settings;
+        } catch (error) {
+            // Fall through to the previous key below
+        }
+
+        if (this.previousKey) {
+            try {
+                const settings = this.decrypt(envelope, this.previousKey);
+                this.write(settings);
+                this.log('info', 'Settings file re-encrypted with the new encryption key');
+                return settings;
+            } catch (error) {
+                // Neither key works - treat as corrupt
+            }
+        }
+
+        this.quarantine('Settings file could not be decrypted with the configured key');
+        return null;
+    }
+
+    /**
+     * Encrypt settings and write them atomically (temp file + rename)
+     */
+    write(settings) {
+        const envelope = this.encrypt(settings, this.key);
+        const tempPath = `${this.filePath}.tmp`;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+        this.loadedStamp = this.fileStamp();
+    }
+
+    encrypt(settings, passphrase) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(passphrase, salt), iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(settings), 'utf8'), cipher.final()]);
+
+        return {
+            version: FILE_VERSION,
+            algorithm: ALGORITHM,
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decrypt(envelope, passphrase) {
+        if (!envelope || envelope.version !== FILE_VERSION || envelope.algorithm !== ALGORITHM) {
+            throw new Error('Unsupported settings file format');
+        }
+
+        const salt = Buffer.from(envelope.salt, 'base64');
+        const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(passphrase, salt), Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+
+        return JSON.parse(data.toString('utf8'));
+    }
+
+    /**
+     * Move an unreadable settings file aside, keeping it for inspection
+     */
+    quarantine(reason) {
+        const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+        fs.renameSync(this.filePath, corruptPath);
+        this.log('error', `${reason}. Moved to ${corruptPath}; please reconnect in settings`);
+    }
+}
+
+function deriveKey(passphrase, salt) {
+    return crypto.scryptSync(passphrase, salt, KEY_LENGTH);
+}
+
+/**
+ * Create the settings store configured by environment variables
+ * - SETTINGS_STORE: "file" (default) or "memory"
+ * - SETTINGS_ENCRYPTION_KEY: passphrase for the encrypted file (required for "file")
+ * - SETTINGS_ENCRYPTION_KEY_PREVIOUS: old passphrase during a key rotation
+ * - SETTINGS_FILE: path of the encrypted file (default data/settings.enc.json)
+ *
+ * Without a key, an explicit SETTINGS_STORE=file refuses to start; otherwise settings fall back to memory
+ * with a warning on the console, since they will be lost on restart
+ */
+function createSettingsStore({ env = process.env, baseDir = process.cwd(), log = () => {}, warn = console.warn } = {}) {
+    const type = env.SETTINGS_STORE || 'file';
+
+    if (type === 'memory') {
+        return new MemorySettingsStore();
+    }
+
+    if (type !== 'file') {
+        throw new Error(`Unknown SETTINGS_STORE "${type}" (expected "file" or "memory")`);
+    }
+
+    if (!env.SETTINGS_ENCRYPTION_KEY) {
+        if (env.SETTINGS_STORE === 'file') {
+            throw new Error('SETTINGS_STORE is "file" but SETTINGS_ENCRYPTION_KEY is not set. Set a key (e.g. `openssl rand -base64 32`) or use SETTINGS_STORE=memory');
+        }
+        const message = 'SETTINGS_ENCRYPTION_KEY is not set - settings will be kept in memory and lost on restart';
+        warn([
+            '',
+            '='.repeat(message.length),
+            message,
+            'Set it in .env (e.g. `openssl rand -base64 32`) to save settings to an encrypted file',
+            '='.repeat(message.length),
+            ''
+        ].join('\n'));
+        log('error', message);
+        return new MemorySettingsStore();
+    }
+
+    return new EncryptedFileSettingsStore({
+        filePath: path.resolve(baseDir, env.SETTINGS_FILE || 'data/settings.enc.json'),
+        key: env.SETTINGS_ENCRYPTION_KEY,
+        previousKey: env.SETTINGS_ENCRYPTION_KEY_PREVIOUS || null,
+        log
+    });
+}
+
+module.exports = {
+    MemorySettingsStore,
+    EncryptedFileSettingsStore,
+    createSettingsStore
+};
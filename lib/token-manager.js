@@ -0,0 +1,283 @@
+/**
+ * Token Manager
+ * Owns the Accelo client-credentials flow on the server:
+ * - Exchanges the client ID/secret for an access token (/oauth2/v0/token)
+ * - Keeps the credentials in the settings store, never in the browser
+ * - Renews the token ahead of expiry and on demand (e.g. after a 401)
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_EXPIRES_IN = 2592000; // 30 days, Accelo's client-credentials default
+const DEFAULT_RENEW_BEFORE_MS = 24 * 60 * 60 * 1000; // Renew a day before expiry
+const DEFAULT_CHECK_INTERVAL_MS = 60 * 60 * 1000; // Check hourly
+
+// An Accelo deployment is the subdomain of <deployment>.accelo.com
+const DEPLOYMENT_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * Check a deployment name before it is put into an Accelo URL
+ * Anything else (e.g. "x@evil.com#") could send the client credentials to another host
+ * @param {string} deployment
+ * @returns {string} The deployment, trimmed and lowercased
+ */
+function validateDeployment(deployment) {
+    const name = String(deployment || '').trim().toLowerCase();
+    if (!DEPLOYMENT_PATTERN.test(name)) {
+        throw new Error(`Invalid deployment name "${deployment}" - use the subdomain of your Accelo URL, e.g. "acme" for acme.accelo.com`);
+    }
+    return name;
+}
+
+/**
+ * Request a client-credentials access token from Accelo
+ * @param {Object} credentials - { deployment, clientId, clientSecret }
+ * @param {Object} [options]
+ * @param {Function} [options.resolveUrl] - Rewrites the token URL, e.g. to the mock Accelo (see accelo-request.js)
+ * @returns {Promise<Object>} The raw token response (access_token, expires_in, account_details, ...)
+ */
+function requestAccessToken({ deployment, clientId, clientSecret }, { resolveUrl = url => url } = {}) {
+    return new Promise((resolve, reject) => {
+        const body = new URLSearchParams({ grant_type: 'client_credentials' }).toString();
+        const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+        const tokenUrl = new URL(resolveUrl(`https://${validateDeployment(deployment)}.api.accelo.com/oauth2/v0/token`));
+        const isHttp = tokenUrl.protocol === 'http:';
+
+        const req = (isHttp ? http : https).request({
+            hostname: tokenUrl.hostname,
+            port: tokenUrl.port || (isHttp ? 80 : 443),
+            path: tokenUrl.pathname,
+            method: 'POST',
+            headers: {
+                'Authorization': `Basic ${credentials}`,
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Content-Length': Buffer.byteLength(body),
+                'Accept': 'application/json'
+            }
+        }, (res) => {
+            let data = '';
+
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                let jsonData;
+                try {
+                    jsonData = JSON.parse(data);
+                } catch (error) {
+                    return reject(new Error(`Failed to parse token response: ${error.message}`));
+                }
+
+                if (res.statusCode >= 400 || !jsonData.access_token) {
+                    const message = jsonData.error_description || jsonData.error || jsonData.meta?.message || res.statusMessage;
+                    return reject(new Error(`Authentication failed (${res.statusCode}): ${message}`));
+                }
+
+                resolve(jsonData);
+            });
+        });
+
+        req.on('error', (error) => {
+            reject(new Error(`Token request failed: ${error.message}`));
+        });
+
+        req.write(body);
+        req.end();
+    });
+}
+
+class TokenManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.settingsStore - Store with get/set/clear (see settings-store.js)
+     * @param {Function} [options.log] - Logger with the server's addLog(type, message, details) signature
+     * @param {Function} [options.requestToken] - Token request function, defaults to requestAccessToken
+     * @param {number} [options.renewBeforeMs] - How long before expiry to renew
+     */
+    constructor({ settingsStore, log = () => {}, requestToken = requestAccessToken, renewBeforeMs = DEFAULT_RENEW_BEFORE_MS }) {
+        this.settingsStore = settingsStore;
+        this.log = log;
+        this.requestToken = requestToken;
+        this.renewBeforeMs = renewBeforeMs;
+        this.renewing = null;
+        this.timer = null;
+    }
+
+    /**
+     * Connect with new credentials and store the resulting settings
+     * @returns {Promise<Object>} The stored settings
+     */
+    async connect({ deployment, clientId, clientSecret }) {
+        if (!deployment || !clientId || !clientSecret) {
+            throw new Error('Deployment, client ID and client secret are required');
+        }
+        deployment = validateDeployment(deployment);
+
+        const tokenData = await this.requestToken({ deployment, clientId, clientSecret });
+        const settings = {
+            deployment,
+            clientId,
+            clientSecret,
+            ...this.settingsFromToken(tokenData)
+        };
+
+        this.settingsStore.set(settings);
+        this.log('info', 'Connected to Accelo', {
+            deployment,
+            userName: settings.userName,
+            tokenExpiry: settings.tokenExpiry
+        });
+
+        return settings;
+    }
+
+    /**
+     * Whether stored credentials allow renewing the token without the user
+     */
+    canRenew() {
+        const settings = this.settingsStore.get();
+        return Boolean(settings && settings.deployment && settings.clientId && settings.clientSecret);
+    }
+
+    /**
+     * Whether the stored token is expired or inside the renewal window
+     */
+    isRenewalDue() {
+        const settings = this.settingsStore.get();
+        if (!settings || !settings.accessToken || !settings.tokenExpiry) {
+            return false;
+        }
+
+        const expiryTime = new Date(settings.tokenExpiry).getTime();
+        return isNaN(expiryTime) || expiryTime - Date.now() <= this.renewBeforeMs;
+    }
+
+    /**
+     * Renew the token if it is due and credentials are stored
+     * @returns {Promise<Object|null>} The current settings
+     */
+    async ensureValidToken() {
+        if (this.isRenewalDue() && this.canRenew()) {
+            return this.renew('token expires soon');
+        }
+        return this.settingsStore.get();
+    }
+
+    /**
+     * Current settings, renewing the access token first if it is due
+     * A failed renewal (already logged by renew()) falls back to the stored settings
+     */
+    async getSettings() {
+        try {
+            return await this.ensureValidToken();
+        } catch (error) {
+            return this.settingsStore.get();
+        }
+    }
+
+    /**
+     * Request a new token with the stored credentials
+     * Concurrent callers share a single in-flight renewal
+     * @param {string} reason - Why the renewal happened, for the log
+     * @returns {Promise<Object>} The updated settings
+     */
+    async renew(reason) {
+        if (this.renewing) {
+            return this.renewing;
+        }
+
+        this.renewing = (async () => {
+            const settings = this.settingsStore.get();
+            if (!this.canRenew()) {
+                throw new Error('No stored client credentials - please reconnect in settings');
+            }
+
+            this.log('info', `Renewing Accelo access token (${reason})`);
+            const tokenData = await this.requestToken(settings);
+            const renewed = {
+                ...settings,
+                ...this.settingsFromToken(tokenData, settings)
+            };
+
+            this.settingsStore.set(renewed);
+            this.log('info', 'Accelo access token renewed', { tokenExpiry: renewed.tokenExpiry });
+            return renewed;
+        })();
+
+        try {
+            return await this.renewing;
+        } catch (error) {
+            this.log('error', `Failed to renew Accelo access token: ${error.message}`);
+            throw error;
+        } finally {
+            this.renewing = null;
+        }
+    }
+
+    /**
+     * Periodically renew ahead of expiry
+     */
+    startAutoRenew(intervalMs = DEFAULT_CHECK_INTERVAL_MS) {
+        this.stopAutoRenew();
+
+        const check = () => {
+            this.ensureValidToken().catch(() => {
+                // Already logged by renew(); try again on the next check
+            });
+        };
+
+        check();
+        this.timer = setInterval(check, intervalMs);
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+
+    stopAutoRenew() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Map a token response onto the settings fields used across the app
+     */
+    settingsFromToken(tokenData, previous = {}) {
+        const expiresIn = tokenData.expires_in || DEFAULT_EXPIRES_IN;
+        const account = tokenData.account_details;
+
+        return {
+            accessToken: tokenData.access_token,
+            tokenExpiry: new Date(Date.now() + (expiresIn * 1000)).toISOString(),
+            userName: account ? `${account.firstname} ${account.surname}` : (previous.userName || 'Unknown User'),
+            userEmail: account?.email || previous.userEmail || '',
+            deploymentName: tokenData.deployment_name || previous.deploymentName,
+            deploymentUri: tokenData.deployment_uri || previous.deploymentUri
+        };
+    }
+}
+
+/**
+ * Strip server-only secrets before settings are sent to the browser
+ */
+function toPublicSettings(settings) {
+    if (!settings) {
+        return null;
+    }
+
+    const { clientSecret, ...publicSettings } = settings;
+    return {
+        ...publicSettings,
+        autoRenew: Boolean(clientSecret)
+    };
+}
+
+module.exports = {
+    TokenManager,
+    requestAccessToken,
+    validateDeployment,
+    toPublicSettings
+};
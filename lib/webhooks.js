@@ -0,0 +1,150 @@
+/**
+ * Accelo Webhooks
+ * Receives Accelo webhook events (POST /api/webhooks/accelo) and marks the dashboard items they affect stale
+ *
+ * - Requests are signed with HMAC-SHA256 of the raw body using ACCELO_WEBHOOK_SECRET, sent as
+ *   "X-Hub-Signature-256: sha256=<hex>" (or "X-Hub-Signature" with the same value)
+ * - job, contract, issue, activity and task events are mapped to projects, agreements and issues; other events are acknowledged and ignored
+ * - With WEBHOOK_RECORD_DIR set, each verified payload is saved there so it can be replayed with `npm run replay-webhooks`
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const HANDLED_OBJECT_TYPES = ['job', 'contract', 'issue', 'activity', 'task'];
+
+class WebhookError extends Error {
+    /**
+     * @param {Object} body - { error, message, action }
+     * @param {number} statusCode
+     */
+    constructor(body, statusCode) {
+        super(body.message);
+        this.name = 'WebhookError';
+        this.body = body;
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Signature header value for a body, e.g. "sha256=3f2a..."
+ */
+function signPayload(rawBody, secret) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+/**
+ * Whether a signature header matches the body (constant-time comparison)
+ */
+function verifySignature(rawBody, signature, secret) {
+    if (!signature || !secret) {
+        return false;
+    }
+
+    const expected = Buffer.from(signPayload(rawBody, secret));
+    const received = Buffer.from(String(signature).startsWith('sha256=') ? String(signature) : `sha256=${signature}`);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * The object an event is about: { objectType, objectId, data }
+ * Accepts the documented payload ({ event, object_type, object_id, data }) and infers object_type from the event name
+ */
+function parseEvent(payload) {
+    if (!payload || typeof payload !== 'object') {
+        throw new WebhookError({
+            error: 'Invalid webhook payload',
+            message: 'Expected a JSON object',
+            action: 'Check the webhook configuration in Accelo'
+        }, 400);
+    }
+
+    const objectType = payload.object_type || String(payload.event || '').split('.')[0];
+    const objectId = payload.object_id ?? payload.data?.id;
+    if (!objectType || objectId === undefined || objectId === null || !/^\d+$/.test(String(objectId))) {
+        throw new WebhookError({
+            error: 'Invalid webhook payload',
+            message: 'The payload has no object_type and object_id',
+            action: 'Check the webhook configuration in Accelo'
+        }, 400);
+    }
+
+    return { event: payload.event || `${objectType}.updated`, objectType, objectId: String(objectId), data: payload.data || {} };
+}
+
+/**
+ * Create the Express handler for POST /api/webhooks/accelo
+ * Needs req.rawBody (the unparsed body) for signature verification
+ * @param {Object} options
+ * @param {Object} options.liveUpdates - Resolves objects to item keys and marks them stale (see lib/live-updates.js)
+ * @param {string} [options.secret] - Shared signing secret; without one every request is refused
+ * @param {string} [options.recordDir] - Directory to save verified payloads in
+ * @param {Function} [options.log] - Logger with the server's addLog(type, message, details) signature
+ */
+function createWebhookHandler({ liveUpdates, secret, recordDir, log = () => {} }) {
+    return async function handleWebhook(req, res) {
+        try {
+            if (!secret) {
+                throw new WebhookError({
+                    error: 'Webhooks are not configured',
+                    message: 'ACCELO_WEBHOOK_SECRET is not set on the server',
+                    action: 'Set ACCELO_WEBHOOK_SECRET in .env and restart the server'
+                }, 503);
+            }
+
+            const signature = req.headers['x-hub-signature-256'] || req.headers['x-hub-signature'];
+            if (!verifySignature(req.rawBody || Buffer.alloc(0), signature, secret)) {
+                log('error', 'Rejected webhook with a missing or invalid signature');
+                throw new WebhookError({
+                    error: 'Invalid signature',
+                    message: 'The webhook signature does not match the payload',
+                    action: 'Check that Accelo and the server use the same ACCELO_WEBHOOK_SECRET'
+                }, 401);
+            }
+
+            const { event, objectType, objectId, data } = parseEvent(req.body);
+            if (recordDir) {
+                recordPayload(recordDir, event, req.rawBody, log);
+            }
+
+            if (!HANDLED_OBJECT_TYPES.includes(objectType)) {
+                return res.json({ received: true, ignored: true, items: [] });
+            }
+
+            const keys = await liveUpdates.resolveObjectKeys(objectType, objectId, data);
+            const items = liveUpdates.markStale(keys, `${event} webhook`);
+
+            log('info', `Webhook ${event} for ${objectType} ${objectId}`, { items });
+            res.json({ received: true, ignored: false, items });
+        } catch (error) {
+            if (error instanceof WebhookError) {
+                return res.status(error.statusCode).json(error.body);
+            }
+            log('error', `Webhook failed: ${error.message}`);
+            res.status(500).json({
+                error: 'Failed to process webhook',
+                message: error.message,
+                action: 'Check the server logs'
+            });
+        }
+    };
+}
+
+function recordPayload(recordDir, event, rawBody, log) {
+    try {
+        fs.mkdirSync(recordDir, { recursive: true });
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${event.replace(/[^a-z0-9_.-]/gi, '_')}.json`;
+        fs.writeFileSync(path.join(recordDir, fileName), rawBody);
+    } catch (error) {
+        log('error', `Failed to record webhook payload: ${error.message}`);
+    }
+}
+
+module.exports = {
+    WebhookError,
+    signPayload,
+    verifySignature,
+    parseEvent,
+    createWebhookHandler
+};
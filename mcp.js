@@ -0,0 +1,77 @@
+/**
+ * MCP server over stdio
+ * Exposes the chat tools to MCP clients (desktop assistants, IDEs) that launch it as a subprocess.
+ * Uses the same credential and dashboard stores as server.js; stdout carries only JSON-RPC, logs go to stderr.
+ * Credentials are read from the encrypted settings file on each tool call, so SETTINGS_ENCRYPTION_KEY must match the server's.
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '.env') });
+const { createSettingsStore } = require('./lib/settings-store');
+const { TokenManager, requestAccessToken } = require('./lib/token-manager');
+const { createDashboardStore } = require('./lib/dashboard-store');
+const { createAcceloRequest, createUrlResolver } = require('./lib/accelo-request');
+const { createAcceloQueries } = require('./lib/accelo-queries');
+const { McpServer, createMcpTools, serveStdio } = require('./lib/mcp-server');
+const { createMockConfig, loadFixtures, listenMockAccelo } = require('./lib/mock-accelo');
+
+function log(type, message, details = null) {
+    const timestamp = new Date().toLocaleTimeString();
+    console.error(`[${timestamp}] [${type.toUpperCase()}] ${message}`);
+    if (details) {
+        console.error(`[${timestamp}] Details:`, details);
+    }
+}
+
+/**
+ * Base URL Accelo requests are sent to instead of Accelo: ACCELO_MOCK_URL, or with ACCELO_MOCK=true
+ * a mock Accelo started in this process
+ */
+async function getMockBaseUrl() {
+    const mockConfig = createMockConfig();
+    if (!mockConfig.inProcess) {
+        return mockConfig.baseUrl;
+    }
+
+    const { url } = await listenMockAccelo({ fixtures: loadFixtures(mockConfig.fixturesFile) });
+    log('info', `Using the mock Accelo at ${url}`);
+    return url;
+}
+
+async function main() {
+    const resolveUrl = createUrlResolver(await getMockBaseUrl());
+
+    // Without a key the store is in memory, which this process never receives credentials in; say so instead of the server's banner
+    const settingsStore = createSettingsStore({ baseDir: __dirname, log, warn: () => {} });
+    if (!settingsStore.persistent) {
+        log('error', 'SETTINGS_ENCRYPTION_KEY is not set, so the credentials saved on the Settings page cannot be read and every tool call will fail. Set the same key as the dashboard server');
+    }
+    const tokenManager = new TokenManager({
+        settingsStore,
+        log,
+        requestToken: credentials => requestAccessToken(credentials, { resolveUrl })
+    });
+    const dashboardStore = createDashboardStore({ baseDir: __dirname, log });
+
+    const acceloQueries = createAcceloQueries({
+        // The dashboard server saves credentials and renews tokens while this process runs
+        getApiSettings: () => {
+            settingsStore.reload();
+            return tokenManager.getSettings();
+        },
+        makeAcceloRequest: createAcceloRequest(tokenManager, { resolveUrl }),
+        log
+    });
+
+    const mcpServer = new McpServer({
+        tools: createMcpTools({ queries: acceloQueries, dashboardStore }),
+        log
+    });
+
+    await serveStdio(mcpServer);
+    process.exit(0);
+}
+
+main().catch(error => {
+    log('error', `MCP server failed: ${error.message}`);
+    process.exit(1);
+});
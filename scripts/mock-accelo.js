@@ -0,0 +1,45 @@
+/**
+ * Run the mock Accelo on its own port, for offline development and tests
+ *
+ * Usage: npm run mock-accelo -- [--port 8090] [--fixtures fixtures/accelo.json]
+ *
+ * - Point the dashboard (or mcp.js) at it with ACCELO_MOCK_URL=http://127.0.0.1:8090 in .env
+ * - Fixtures default to ACCELO_MOCK_FIXTURES from .env, then fixtures/accelo.json
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { createMockConfig, loadFixtures, listenMockAccelo } = require('../lib/mock-accelo');
+
+function parseArgs(argv) {
+    const options = {
+        port: parseInt(process.env.ACCELO_MOCK_PORT, 10) || 8090,
+        fixtures: createMockConfig().fixturesFile
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') {
+            options.port = parseInt(argv[++i], 10) || 0;
+        } else if (argv[i] === '--fixtures') {
+            options.fixtures = path.resolve(argv[++i]);
+        }
+    }
+    return options;
+}
+
+function log(type, message) {
+    console.log(`[${new Date().toLocaleTimeString()}] [${type.toUpperCase()}] ${message}`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const { url } = await listenMockAccelo({ port: options.port, fixtures: loadFixtures(options.fixtures), log });
+
+    console.log(`Mock Accelo running at ${url} with fixtures from ${options.fixtures}`);
+    console.log(`Set ACCELO_MOCK_URL=${url} for the dashboard server or mcp.js`);
+}
+
+main().catch(error => {
+    console.error(`Failed to start the mock Accelo: ${error.message}`);
+    process.exit(1);
+});
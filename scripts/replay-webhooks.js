@@ -0,0 +1,99 @@
+/**
+ * Replay recorded Accelo webhook payloads against a running server
+ *
+ * Usage: npm run replay-webhooks -- <file or directory> [--url http://localhost:8080/api/webhooks/accelo] [--delay 500]
+ *
+ * - A file holds one payload or an array of payloads; a directory is replayed file by file in name order
+ *   (WEBHOOK_RECORD_DIR names files by the time they were received)
+ * - Payloads are signed with ACCELO_WEBHOOK_SECRET from .env, like Accelo does
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { signPayload } = require('../lib/webhooks');
+
+function parseArgs(argv) {
+    const options = {
+        url: `http://localhost:${process.env.PORT || 8080}/api/webhooks/accelo`,
+        delay: 0,
+        source: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--url') {
+            options.url = argv[++i];
+        } else if (argv[i] === '--delay') {
+            options.delay = parseInt(argv[++i], 10) || 0;
+        } else {
+            options.source = argv[i];
+        }
+    }
+    return options;
+}
+
+/**
+ * Payloads to send, as raw JSON strings so recorded bodies are replayed byte for byte
+ */
+function loadPayloads(source) {
+    const files = fs.statSync(source).isDirectory()
+        ? fs.readdirSync(source).filter(file => file.endsWith('.json')).sort().map(file => path.join(source, file))
+        : [source];
+
+    return files.flatMap(file => {
+        const raw = fs.readFileSync(file, 'utf8');
+        const parsed = JSON.parse(raw);
+        return Array.isArray(parsed)
+            ? parsed.map(payload => ({ file, body: JSON.stringify(payload) }))
+            : [{ file, body: raw }];
+    });
+}
+
+async function main() {
+    const { url, delay, source } = parseArgs(process.argv.slice(2));
+    const secret = process.env.ACCELO_WEBHOOK_SECRET;
+
+    if (!source) {
+        console.error('Usage: npm run replay-webhooks -- <file or directory> [--url <webhook url>] [--delay <ms>]');
+        process.exit(1);
+    }
+    if (!secret) {
+        console.error('ACCELO_WEBHOOK_SECRET is not set - add it to .env (the server must use the same secret)');
+        process.exit(1);
+    }
+
+    const payloads = loadPayloads(source);
+    let failed = 0;
+
+    for (const { file, body } of payloads) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Hub-Signature-256': signPayload(body, secret)
+                },
+                body
+            });
+            const result = await response.json().catch(() => ({}));
+            const summary = response.ok
+                ? (result.ignored ? 'ignored' : `stale: ${result.items.join(', ') || 'no dashboard items'}`)
+                : `${result.error || response.statusText}${result.message ? ` - ${result.message}` : ''}`;
+
+            console.log(`${response.status} ${path.basename(file)} ${summary}`);
+            failed += response.ok ? 0 : 1;
+        } catch (error) {
+            console.error(`Failed to post ${path.basename(file)}: ${error.message}`);
+            failed++;
+        }
+
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    console.log(`Replayed ${payloads.length} payload(s), ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
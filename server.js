@@ -1,15 +1,44 @@
 const express = require('express');
+const http = require('http');
 const https = require('https');
 const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
+const { createSettingsStore } = require('./lib/settings-store');
+const { TokenManager, requestAccessToken, toPublicSettings } = require('./lib/token-manager');
+const { createDashboardStore } = require('./lib/dashboard-store');
+const { createHistoryStore } = require('./lib/history-store');
+const { createChatProvider } = require('./lib/chat-providers');
+const { getToolDefinitions, createToolRunner, extractReferences, mergeReferences } = require('./lib/chat-tools');
+const { createAcceloRequest, createUrlResolver } = require('./lib/accelo-request');
+const AgreementUsage = require('./src/agreement-usage');
+const { createAcceloQueries, AcceloQueryError } = require('./lib/accelo-queries');
+const { McpServer, createMcpTools, createMcpHttpHandler } = require('./lib/mcp-server');
+const { createLiveUpdates } = require('./lib/live-updates');
+const { createWebhookHandler } = require('./lib/webhooks');
+const { MOUNT_PATH: MOCK_ACCELO_PATH, createMockAccelo, createMockConfig, loadFixtures } = require('./lib/mock-accelo');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
 // Middleware
-app.use(express.json());
+app.use(express.json({
+    limit: '20mb', // Dashboard data (with its expanded view cache) can be large
+    // Webhook signatures are computed over the body exactly as sent
+    verify: (req, res, buf) => {
+        if (req.url.startsWith('/api/webhooks/')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
+
+// Mock Accelo - with ACCELO_MOCK=true fixture data is served here and every Accelo request is sent to it
+const mockConfig = createMockConfig();
+if (mockConfig.inProcess) {
+    app.use(MOCK_ACCELO_PATH, createMockAccelo({ fixtures: loadFixtures(mockConfig.fixturesFile) }));
+}
+const resolveAcceloUrl = createUrlResolver(mockConfig.inProcess ? `http://127.0.0.1:${PORT}${MOCK_ACCELO_PATH}` : mockConfig.baseUrl);
 app.use(express.static('public'));
 
 // Serve static files
@@ -25,6 +54,14 @@ app.get('/dashboards.html', (req, res) => {
     res.sendFile(path.join(__dirname, 'dashboards.html'));
 });
 
+app.get('/reports', (req, res) => {
+    res.sendFile(path.join(__dirname, 'reports.html'));
+});
+
+app.get('/chat', (req, res) => {
+    res.sendFile(path.join(__dirname, 'chat.html'));
+});
+
 // Serve src and styles directories
 app.use('/src', express.static(path.join(__dirname, 'src')));
 app.use('/styles', express.static(path.join(__dirname, 'styles')));
@@ -62,10 +99,14 @@ app.all('/api/proxy', (req, res) => {
         res.status(400).json({ error: 'Invalid URL format' });
         return;
     }
+    
+    // The allowed Accelo URL may be served by the mock Accelo instead
+    const forwardUrl = new URL(resolveAcceloUrl(targetUrl));
+    const isHttp = forwardUrl.protocol === 'http:';
     const options = {
-        hostname: parsedUrl.hostname,
-        port: parsedUrl.port || 443,
-        path: parsedUrl.pathname + parsedUrl.search,
+        hostname: forwardUrl.hostname,
+        port: forwardUrl.port || (isHttp ? 80 : 443),
+        path: forwardUrl.pathname + forwardUrl.search,
         method: req.method,
         headers: {}
     };
@@ -98,81 +139,112 @@ app.all('/api/proxy', (req, res) => {
         }
     });
     
-    const proxyReq = https.request(options, (proxyRes) => {
-        const statusCode = proxyRes.statusCode;
-        const statusText = proxyRes.statusMessage;
-        
-        // Log response details
-        addLog('response', `${req.method} ${targetUrl} - ${statusCode} ${statusText}`, {
-            statusCode: statusCode,
-            statusText: statusText,
-            headers: {
-                'content-type': proxyRes.headers['content-type'],
-                'x-ratelimit-remaining': proxyRes.headers['x-ratelimit-remaining'],
-                'x-ratelimit-limit': proxyRes.headers['x-ratelimit-limit'],
-                'x-status-reason': proxyRes.headers['x-status-reason']
-            }
-        });
-        
-        // Log errors
-        if (statusCode >= 400) {
-            let errorBody = '';
-            proxyRes.on('data', chunk => {
-                errorBody += chunk.toString();
-            });
-            proxyRes.on('end', () => {
-                try {
-                    const errorData = JSON.parse(errorBody);
-                    addLog('error', `API Error: ${statusCode} - ${errorData.meta?.message || statusText}`, {
-                        statusCode: statusCode,
-                        url: targetUrl,
-                        errorMessage: errorData.meta?.message,
-                        errorStatus: errorData.meta?.status,
-                        moreInfo: errorData.meta?.more_info
-                    });
-                } catch (e) {
-                    addLog('error', `API Error: ${statusCode} - ${statusText}`, {
-                        statusCode: statusCode,
-                        url: targetUrl,
-                        rawError: errorBody
+    // Serialize the request body once so it can be replayed on retry
+    let requestBody = null;
+    if (req.body && Object.keys(req.body).length > 0) {
+        if (req.headers['content-type'] === 'application/x-www-form-urlencoded') {
+            requestBody = new URLSearchParams(req.body).toString();
+        } else {
+            requestBody = JSON.stringify(req.body);
+        }
+    }
+    
+    // Only bearer-token API calls can be retried with a renewed token (not the OAuth token request itself)
+    const canRetryWithRenewedToken = (options.headers.authorization || '').startsWith('Bearer ');
+    
+    const sendProxyRequest = (isRetry) => {
+        const proxyReq = (isHttp ? http : https).request(options, (proxyRes) => {
+            const statusCode = proxyRes.statusCode;
+            const statusText = proxyRes.statusMessage;
+            
+            // On 401, renew the token with the stored client credentials and retry once
+            if (statusCode === 401 && !isRetry && canRetryWithRenewedToken && tokenManager.canRenew()) {
+                proxyRes.resume();
+                addLog('info', `${req.method} ${targetUrl} - 401, renewing token and retrying`);
+                
+                tokenManager.renew('401 from Accelo via proxy')
+                    .then(settings => {
+                        options.headers.authorization = `Bearer ${settings.accessToken}`;
+                        res.setHeader('X-Accelo-Token-Renewed', 'true');
+                        sendProxyRequest(true);
+                    })
+                    .catch(error => {
+                        res.status(401).json({
+                            error: 'Access token expired and could not be renewed',
+                            message: error.message
+                        });
                     });
+                return;
+            }
+            
+            // Log response details
+            addLog('response', `${req.method} ${targetUrl} - ${statusCode} ${statusText}`, {
+                statusCode: statusCode,
+                statusText: statusText,
+                retried: isRetry,
+                headers: {
+                    'content-type': proxyRes.headers['content-type'],
+                    'x-ratelimit-remaining': proxyRes.headers['x-ratelimit-remaining'],
+                    'x-ratelimit-limit': proxyRes.headers['x-ratelimit-limit'],
+                    'x-status-reason': proxyRes.headers['x-status-reason']
                 }
             });
-        }
-        res.status(proxyRes.statusCode);
-        
-        // Forward response headers
-        Object.keys(proxyRes.headers).forEach(key => {
-            res.setHeader(key, proxyRes.headers[key]);
+            
+            // Log errors
+            if (statusCode >= 400) {
+                let errorBody = '';
+                proxyRes.on('data', chunk => {
+                    errorBody += chunk.toString();
+                });
+                proxyRes.on('end', () => {
+                    try {
+                        const errorData = JSON.parse(errorBody);
+                        addLog('error', `API Error: ${statusCode} - ${errorData.meta?.message || statusText}`, {
+                            statusCode: statusCode,
+                            url: targetUrl,
+                            errorMessage: errorData.meta?.message,
+                            errorStatus: errorData.meta?.status,
+                            moreInfo: errorData.meta?.more_info
+                        });
+                    } catch (e) {
+                        addLog('error', `API Error: ${statusCode} - ${statusText}`, {
+                            statusCode: statusCode,
+                            url: targetUrl,
+                            rawError: errorBody
+                        });
+                    }
+                });
+            }
+            res.status(proxyRes.statusCode);
+            
+            // Forward response headers
+            Object.keys(proxyRes.headers).forEach(key => {
+                res.setHeader(key, proxyRes.headers[key]);
+            });
+            
+            proxyRes.pipe(res);
         });
         
-        proxyRes.pipe(res);
-    });
-    
-    proxyReq.on('error', (error) => {
-        addLog('error', `Proxy Error: ${error.message}`, {
-            error: error.message,
-            code: error.code,
-            url: targetUrl
+        proxyReq.on('error', (error) => {
+            addLog('error', `Proxy Error: ${error.message}`, {
+                error: error.message,
+                code: error.code,
+                url: targetUrl
+            });
+            res.status(500).json({ error: 'Proxy error: ' + error.message });
         });
-        res.status(500).json({ error: 'Proxy error: ' + error.message });
-    });
-    
-    // Forward request body if present
-    if (req.body && Object.keys(req.body).length > 0) {
-        if (req.headers['content-type'] === 'application/x-www-form-urlencoded') {
-            proxyReq.write(new URLSearchParams(req.body).toString());
-        } else {
-            proxyReq.write(JSON.stringify(req.body));
+        
+        // Forward request body if present
+        if (requestBody) {
+            proxyReq.write(requestBody);
         }
-    }
+        
+        proxyReq.end();
+    };
     
-    proxyReq.end();
+    sendProxyRequest(false);
 });
 
-// API endpoint to store/retrieve settings (in memory for now)
-let apiSettings = null;
-
 // Logging system
 let apiLogs = [];
 const MAX_LOGS = 100;
@@ -200,23 +272,254 @@ function addLog(type, message, details = null) {
     }
 }
 
-app.get('/api/settings', (req, res) => {
+// Settings store - encrypted file on disk when SETTINGS_ENCRYPTION_KEY is set
+const settingsStore = createSettingsStore({ baseDir: __dirname, log: addLog });
+
+// Token manager - renews the access token with the stored client credentials
+const tokenManager = new TokenManager({
+    settingsStore,
+    log: addLog,
+    requestToken: credentials => requestAccessToken(credentials, { resolveUrl: resolveAcceloUrl })
+});
+const dashboardStore = createDashboardStore({ baseDir: __dirname, log: addLog });
+const historyStore = createHistoryStore({ baseDir: __dirname, log: addLog });
+historyStore.prune();
+const chatProvider = createChatProvider({ log: addLog });
+
+/**
+ * Get the current API settings, renewing the access token first if it is due
+ */
+function getApiSettings() {
+    return tokenManager.getSettings();
+}
+
+// Accelo requests renew the token and retry once on a 401
+const makeAcceloRequest = createAcceloRequest(tokenManager, { resolveUrl: resolveAcceloUrl });
+const acceloQueries = createAcceloQueries({ getApiSettings, makeAcceloRequest, log: addLog });
+
+// Live updates - pushes item changes to open dashboards over Server-Sent Events
+const liveUpdates = createLiveUpdates({ dashboardStore, getApiSettings, makeAcceloRequest, log: addLog });
+
+// API endpoint to store/retrieve settings (client secret never leaves the server)
+app.get('/api/settings', async (req, res) => {
+    const apiSettings = await getApiSettings();
     if (apiSettings) {
-        res.json(apiSettings);
+        res.json(toPublicSettings(apiSettings));
     } else {
         res.status(404).json({ error: 'No settings configured' });
     }
 });
 
+// Connect with client credentials - the token request happens server-side
+app.post('/api/auth/connect', async (req, res) => {
+    const { deployment, clientId, clientSecret } = req.body || {};
+    
+    try {
+        addLog('info', `Requesting access token for deployment: ${deployment}`);
+        const settings = await tokenManager.connect({ deployment, clientId, clientSecret });
+        res.json({ success: true, settings: toPublicSettings(settings), persisted: settingsStore.persistent });
+    } catch (error) {
+        addLog('error', `Connection failed: ${error.message}`, { deployment });
+        res.status(400).json({
+            error: 'Connection failed',
+            message: error.message,
+            action: 'Check your deployment name, client ID and client secret'
+        });
+    }
+});
+
+// Settings the browser may change; credentials, deployment and tokens only change through /api/auth/connect
+const EDITABLE_SETTINGS = ['userName', 'userEmail'];
+
 app.post('/api/settings', (req, res) => {
-    apiSettings = req.body;
-    addLog('info', 'API settings updated', {
-        deployment: req.body.deployment,
-        userName: req.body.userName,
-        userEmail: req.body.userEmail,
-        tokenExpiry: req.body.tokenExpiry
-    });
-    res.json({ success: true });
+    try {
+        // Posting an empty object clears the stored settings
+        if (!req.body || Object.keys(req.body).length === 0) {
+            settingsStore.clear();
+            addLog('info', 'API settings cleared');
+            return res.json({ success: true });
+        }
+        
+        const current = settingsStore.get();
+        if (!current) {
+            return res.status(404).json({
+                error: 'No settings configured',
+                action: 'Connect in settings first'
+            });
+        }
+        
+        const changes = {};
+        EDITABLE_SETTINGS.filter(field => field in req.body).forEach(field => {
+            changes[field] = String(req.body[field] ?? '');
+        });
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({
+                error: 'Nothing to update',
+                message: `Only ${EDITABLE_SETTINGS.join(' and ')} can be changed here`,
+                action: 'Reconnect in settings to change the deployment or credentials'
+            });
+        }
+        
+        // Merged into the stored settings, so the client credentials used for renewal are kept
+        settingsStore.set({ ...current, ...changes });
+        addLog('info', 'API settings updated', {
+            ...changes,
+            persisted: settingsStore.persistent
+        });
+        res.json({ success: true, persisted: settingsStore.persistent });
+    } catch (error) {
+        addLog('error', `Failed to save API settings: ${error.message}`);
+        res.status(500).json({ error: 'Failed to save settings', message: error.message });
+    }
+});
+
+// Dashboard persistence - dashboards live on the server so they can be shared between browsers
+function sendDashboardError(res, error, action) {
+    const statusCode = error.statusCode || 500;
+    if (statusCode >= 500) {
+        addLog('error', `Dashboard store error: ${error.message}`);
+    }
+    res.status(statusCode).json({ error: `Failed to ${action}`, message: error.message });
+}
+
+app.get('/api/dashboards', (req, res) => {
+    res.json({ dashboards: dashboardStore.list() });
+});
+
+// Bulk metadata update (names, last accessed, order)
+app.put('/api/dashboards', (req, res) => {
+    try {
+        res.json({ dashboards: dashboardStore.updateAll(req.body?.dashboards) });
+    } catch (error) {
+        sendDashboardError(res, error, 'update dashboards');
+    }
+});
+
+app.post('/api/dashboards', (req, res) => {
+    try {
+        const dashboard = dashboardStore.create(req.body);
+        addLog('info', `Dashboard created: ${dashboard.name}`, { id: dashboard.id });
+        res.status(201).json(dashboard);
+    } catch (error) {
+        sendDashboardError(res, error, 'create dashboard');
+    }
+});
+
+app.get('/api/dashboards/:id', (req, res) => {
+    const dashboard = dashboardStore.get(req.params.id);
+    if (!dashboard) {
+        return res.status(404).json({ error: 'Dashboard not found' });
+    }
+    res.json(dashboard);
+});
+
+app.patch('/api/dashboards/:id', (req, res) => {
+    try {
+        res.json(dashboardStore.update(req.params.id, req.body));
+    } catch (error) {
+        sendDashboardError(res, error, 'update dashboard');
+    }
+});
+
+app.delete('/api/dashboards/:id', (req, res) => {
+    try {
+        dashboardStore.delete(req.params.id);
+        addLog('info', 'Dashboard deleted', { id: req.params.id });
+        res.json({ success: true });
+    } catch (error) {
+        sendDashboardError(res, error, 'delete dashboard');
+    }
+});
+
+// The data's revision is its ETag; saves sent with If-Match are refused with 409 once another save got in first
+app.get('/api/dashboards/:id/data', (req, res) => {
+    try {
+        const data = dashboardStore.getData(req.params.id);
+        res.set('ETag', `"${data.revision}"`);
+        res.json(data);
+    } catch (error) {
+        sendDashboardError(res, error, 'load dashboard data');
+    }
+});
+
+app.put('/api/dashboards/:id/data', (req, res) => {
+    try {
+        const ifMatch = req.get('If-Match');
+        const expectedRevision = ifMatch ? parseInt(ifMatch.replace(/^W\//, '').replace(/"/g, ''), 10) : undefined;
+        if (Number.isNaN(expectedRevision)) {
+            return res.status(400).json({
+                error: 'Failed to save dashboard data',
+                message: `If-Match must be a revision from GET /api/dashboards/${req.params.id}/data, e.g. "3"`
+            });
+        }
+        
+        const dashboard = dashboardStore.setData(req.params.id, req.body, { expectedRevision });
+        res.set('ETag', `"${dashboard.revision}"`);
+        liveUpdates.dashboardSaved(req.params.id);
+        res.json(dashboard);
+    } catch (error) {
+        sendDashboardError(res, error, 'save dashboard data');
+    }
+});
+
+// Live updates for one dashboard (Server-Sent Events); reconnects resume from Last-Event-ID or ?cursor=
+app.get('/api/events', (req, res) => {
+    const dashboardId = String(req.query.dashboard || '');
+    if (!dashboardStore.get(dashboardId)) {
+        return res.status(404).json({
+            error: 'Dashboard not found',
+            message: `No dashboard with ID "${dashboardId}"`,
+            action: 'Pass the dashboard to watch as ?dashboard=<id>'
+        });
+    }
+    liveUpdates.subscribe(req, res, dashboardId);
+});
+
+// Accelo webhooks - mark the items an event affects stale and notify open dashboards
+app.post('/api/webhooks/accelo', createWebhookHandler({
+    liveUpdates,
+    secret: process.env.ACCELO_WEBHOOK_SECRET,
+    recordDir: process.env.WEBHOOK_RECORD_DIR && path.resolve(__dirname, process.env.WEBHOOK_RECORD_DIR),
+    log: addLog
+}));
+
+// Progress history - timestamped snapshots per item ("project_123"), shared by all dashboards
+const MAX_HISTORY_ITEMS = 500;
+
+app.get('/api/history', (req, res) => {
+    const keys = String(req.query.items || '').split(',').filter(Boolean).slice(0, MAX_HISTORY_ITEMS);
+    try {
+        res.json({ history: historyStore.getMany(keys, { limit: parseInt(req.query.limit, 10) || 0 }) });
+    } catch (error) {
+        sendDashboardError(res, error, 'load history');
+    }
+});
+
+app.post('/api/history', (req, res) => {
+    try {
+        res.json({ saved: historyStore.append(req.body?.snapshots) });
+    } catch (error) {
+        sendDashboardError(res, error, 'save history');
+    }
+});
+
+app.post('/api/history/:key/backfill', (req, res) => {
+    try {
+        const added = historyStore.backfill(req.params.key, req.body?.snapshots);
+        addLog('info', `History backfilled for ${req.params.key}`, { added });
+        res.json({ added, snapshots: historyStore.get(req.params.key) });
+    } catch (error) {
+        sendDashboardError(res, error, 'backfill history');
+    }
+});
+
+app.delete('/api/history/:key', (req, res) => {
+    try {
+        historyStore.delete(req.params.key);
+        res.json({ success: true });
+    } catch (error) {
+        sendDashboardError(res, error, 'delete history');
+    }
 });
 
 // API endpoint to get logs
@@ -238,7 +541,23 @@ app.post('/api/logs/clear', (req, res) => {
 // Chat API endpoints for AI integration
 // These endpoints leverage the existing proxy but provide structured responses for AI consumption
 
-app.get('/api/chat/status', (req, res) => {
+/**
+ * Send the result of an Accelo query, or its { error, message, action } body
+ */
+async function sendChatQuery(res, query) {
+    try {
+        res.json(await query);
+    } catch (error) {
+        if (error instanceof AcceloQueryError) {
+            return res.status(error.statusCode).json(error.body);
+        }
+        addLog('error', `Chat API Error: ${error.message}`);
+        res.status(500).json({ error: 'Chat query failed', message: error.message });
+    }
+}
+
+app.get('/api/chat/status', async (req, res) => {
+    const apiSettings = await getApiSettings();
     if (!apiSettings || !apiSettings.accessToken) {
         return res.status(400).json({
             error: 'No API credentials configured',
@@ -254,7 +573,9 @@ app.get('/api/chat/status', (req, res) => {
     if (now >= expiryTime) {
         return res.status(401).json({
             error: 'Access token expired',
-            message: 'Your API token has expired and needs to be refreshed',
+            message: tokenManager.canRenew()
+                ? 'Your API token has expired and automatic renewal failed'
+                : 'Your API token has expired and needs to be refreshed',
             expiry: apiSettings.tokenExpiry,
             action: 'Visit /settings to refresh your credentials'
         });
@@ -268,332 +589,31 @@ app.get('/api/chat/status', (req, res) => {
             email: apiSettings.userEmail
         },
         token_expires: apiSettings.tokenExpiry,
-        time_remaining: Math.floor((expiryTime - now) / (1000 * 60 * 60 * 24)) + ' days'
+        time_remaining: Math.floor((expiryTime - now) / (1000 * 60 * 60 * 24)) + ' days',
+        auto_renew: tokenManager.canRenew()
     });
 });
 
-app.get('/api/chat/companies', async (req, res) => {
-    if (!apiSettings || !apiSettings.accessToken) {
-        return res.status(400).json({
-            error: 'No API credentials configured',
-            action: 'Visit /settings to configure credentials'
-        });
-    }
-
-    try {
-        const { search, limit = 10, offset = 0 } = req.query;
-        
-        // Build API URL
-        let apiUrl = `https://${apiSettings.deployment}.api.accelo.com/api/v0/companies`;
-        const params = new URLSearchParams({
-            _fields: 'id,name,website,phone,standing,status,date_created,date_modified',
-            _limit: limit,
-            _offset: offset
-        });
-        
-        if (search) {
-            params.append('_search', search);
-        }
-        
-        apiUrl += '?' + params.toString();
-        
-        // Make request through existing proxy logic
-        const response = await makeAcceloRequest(apiUrl, apiSettings.accessToken);
-        
-        res.json({
-            success: true,
-            companies: response.response || [],
-            meta: {
-                count: response.response ? response.response.length : 0,
-                search_term: search || null,
-                pagination: {
-                    limit: parseInt(limit),
-                    offset: parseInt(offset)
-                }
-            }
-        });
-        
-    } catch (error) {
-        addLog('error', `Chat API - Companies Error: ${error.message}`);
-        res.status(500).json({
-            error: 'Failed to fetch companies',
-            message: error.message,
-            action: 'Check your API credentials and try again'
-        });
-    }
+app.get('/api/chat/companies', (req, res) => {
+    const { search, limit, offset } = req.query;
+    sendChatQuery(res, acceloQueries.listCompanies({ search, limit, offset }));
 });
 
-app.get('/api/chat/company/:id', async (req, res) => {
-    if (!apiSettings || !apiSettings.accessToken) {
-        return res.status(400).json({
-            error: 'No API credentials configured',
-            action: 'Visit /settings to configure credentials'
-        });
-    }
-
-    try {
-        const companyId = req.params.id;
-        
-        // Get company details
-        const companyUrl = `https://${apiSettings.deployment}.api.accelo.com/api/v0/companies/${companyId}?_fields=id,name,website,phone,standing,status,date_created,date_modified,custom_fields`;
-        
-        // Get company projects
-        const projectsUrl = `https://${apiSettings.deployment}.api.accelo.com/api/v0/jobs?_filters=against_type(company),against_id(${companyId})&_fields=id,title,status,standing,manager,date_started,date_due,billable_seconds,unbillable_seconds&_limit=50`;
-        
-        // Get company agreements
-        const agreementsUrl = `https://${apiSettings.deployment}.api.accelo.com/api/v0/contracts?_filters=against_type(company),against_id(${companyId})&_fields=id,title,status,standing,date_started,date_expires,retainer_type&_limit=50`;
-        
-        // Make all requests
-        const [companyResponse, projectsResponse, agreementsResponse] = await Promise.all([
-            makeAcceloRequest(companyUrl, apiSettings.accessToken),
-            makeAcceloRequest(projectsUrl, apiSettings.accessToken),
-            makeAcceloRequest(agreementsUrl, apiSettings.accessToken)
-        ]);
-        
-        // Get agreement periods for active agreements
-        const agreements = agreementsResponse.response || [];
-        const agreementDetails = await Promise.all(
-            agreements.map(async (agreement) => {
-                if (agreement.standing === 'active') {
-                    try {
-                        const periodsUrl = `https://${apiSettings.deployment}.api.accelo.com/api/v0/contracts/${agreement.id}/periods?_limit=1&_order_by=date_commenced&_order_by_desc=1`;
-                        const periodsResponse = await makeAcceloRequest(periodsUrl, apiSettings.accessToken);
-                        agreement.current_period = periodsResponse.response ? periodsResponse.response[0] : null;
-                    } catch (error) {
-                        addLog('error', `Failed to get periods for agreement ${agreement.id}: ${error.message}`);
-                        agreement.current_period = null;
-                    }
-                }
-                return agreement;
-            })
-        );
-        
-        res.json({
-            success: true,
-            company: companyResponse.response,
-            projects: projectsResponse.response || [],
-            agreements: agreementDetails,
-            summary: {
-                total_projects: (projectsResponse.response || []).length,
-                active_projects: (projectsResponse.response || []).filter(p => p.standing === 'active').length,
-                total_agreements: agreements.length,
-                active_agreements: agreements.filter(a => a.standing === 'active').length
-            }
-        });
-        
-    } catch (error) {
-        addLog('error', `Chat API - Company Details Error: ${error.message}`);
-        res.status(500).json({
-            error: 'Failed to fetch company details',
-            message: error.message,
-            company_id: req.params.id,
-            action: 'Verify the company ID exists and try again'
-        });
-    }
+app.get('/api/chat/company/:id', (req, res) => {
+    sendChatQuery(res, acceloQueries.getCompany(req.params.id));
 });
 
-app.get('/api/chat/project/:id', async (req, res) => {
-    if (!apiSettings || !apiSettings.accessToken) {
-        return res.status(400).json({
-            error: 'No API credentials configured',
-            action: 'Visit /settings to configure credentials'
-        });
-    }
-
-    try {
-        const projectId = req.params.id;
-        
-        // Get project details
-        const projectUrl = `https://${apiSettings.deployment}.api.accelo.com/api/v0/jobs/${projectId}?_fields=id,title,description,status,standing,manager,against,date_started,date_due,billable_seconds,unbillable_seconds,custom_fields`;
-        
-        // Get project time allocations
-        const allocationsUrl = `https://${apiSettings.deployment}.api.accelo.com/api/v0/activities/allocations?_filters=against_type(job),against_id(${projectId})&_fields=billable,nonbillable,logged,charged&_limit=1`;
-        
-        const [projectResponse, allocationsResponse] = await Promise.all([
-            makeAcceloRequest(projectUrl, apiSettings.accessToken),
-            makeAcceloRequest(allocationsUrl, apiSettings.accessToken)
-        ]);
-        
-        const project = projectResponse.response;
-        const allocation = allocationsResponse.response;
-        
-        // Calculate actual hours from allocations (which contain the real time data)
-        let billableHours = 0;
-        let unbillableHours = 0;
-        let totalHours = 0;
-        
-        if (allocation) {
-            // Convert seconds to hours
-            billableHours = allocation.billable ? parseFloat(allocation.billable) / 3600 : 0;
-            unbillableHours = allocation.nonbillable ? parseFloat(allocation.nonbillable) / 3600 : 0;
-            totalHours = billableHours + unbillableHours;
-        }
-        
-        res.json({
-            success: true,
-            project: project,
-            time_summary: {
-                billable_hours: billableHours.toFixed(2),
-                unbillable_hours: unbillableHours.toFixed(2),
-                total_hours: totalHours.toFixed(2),
-                allocation_details: {
-                    billable: allocation?.billable || 0,
-                    nonbillable: allocation?.nonbillable || 0,
-                    logged: allocation?.logged || 0,
-                    charged: allocation?.charged || 0
-                }
-            }
-        });
-        
-    } catch (error) {
-        addLog('error', `Chat API - Project Details Error: ${error.message}`);
-        res.status(500).json({
-            error: 'Failed to fetch project details',
-            message: error.message,
-            project_id: req.params.id,
-            action: 'Verify the project ID exists and try again'
-        });
-    }
+app.get('/api/chat/project/:id', (req, res) => {
+    sendChatQuery(res, acceloQueries.getProject(req.params.id));
 });
 
-app.get('/api/chat/agreement/:id', async (req, res) => {
-    if (!apiSettings || !apiSettings.accessToken) {
-        return res.status(400).json({
-            error: 'No API credentials configured',
-            action: 'Visit /settings to configure credentials'
-        });
-    }
-
-    try {
-        const agreementId = req.params.id;
-        
-        // Get agreement details
-        const agreementUrl = `https://${apiSettings.deployment}.api.accelo.com/api/v0/contracts/${agreementId}?_fields=id,title,description,status,standing,against,date_started,date_expires,retainer_type,retainer_value,custom_fields`;
-        
-        // Get recent periods (need multiple to find current one)
-        const periodsUrl = `https://${apiSettings.deployment}.api.accelo.com/api/v0/contracts/${agreementId}/periods?_fields=id,date_commenced,date_expires,allowance,budget_used,standing&_limit=50&_order_by=date_commenced&_order_by_desc=1`;
-        
-        const [agreementResponse, periodsResponse] = await Promise.all([
-            makeAcceloRequest(agreementUrl, apiSettings.accessToken),
-            makeAcceloRequest(periodsUrl, apiSettings.accessToken)
-        ]);
-        
-        const agreement = agreementResponse.response;
-        const periodsData = periodsResponse.response;
-        const periods = periodsData?.periods || [];
-        
-        // Find the current period (the one with standing "opened")
-        let currentPeriod = null;
-        
-        // First, look for an "opened" period
-        for (const period of periods) {
-            if (period.standing === 'opened') {
-                currentPeriod = period;
-                break;
-            }
-        }
-        
-        // If no opened period found, look for one that contains today's date
-        if (!currentPeriod) {
-            const now = Math.floor(Date.now() / 1000);
-            for (const period of periods) {
-                const startDate = parseInt(period.date_commenced);
-                const endDate = parseInt(period.date_expires);
-                
-                if (now >= startDate && now <= endDate) {
-                    currentPeriod = period;
-                    break;
-                }
-            }
-        }
-        
-        // If still no current period found, use the most recent one
-        if (!currentPeriod && periods.length > 0) {
-            currentPeriod = periods[0];
-        }
-        
-        let usage_summary = null;
-        if (currentPeriod) {
-            // Determine the period budget type and handle accordingly
-            let budgetType = 'none'; // 'time', 'value', or 'none'
-            let timeAllowance = 0;
-            let timeUsed = 0;
-            let timeRemaining = 0;
-            let valueAllowance = 0;
-            let valueUsed = 0;
-            
-            // Check for time budget - must have meaningful billable allowance
-            if (currentPeriod.allowance && currentPeriod.allowance.billable && parseFloat(currentPeriod.allowance.billable) > 0) {
-                budgetType = 'time';
-                timeAllowance = parseFloat(currentPeriod.allowance.billable) / 3600;
-                
-                if (currentPeriod.budget_used && currentPeriod.budget_used.value) {
-                    timeUsed = parseFloat(currentPeriod.budget_used.value) / 3600;
-                }
-            }
-            // Check for value budget - must have meaningful value/amount allowance
-            else if (currentPeriod.allowance && 
-                     ((currentPeriod.allowance.value && parseFloat(currentPeriod.allowance.value) > 0) || 
-                      (currentPeriod.allowance.amount && parseFloat(currentPeriod.allowance.amount) > 0))) {
-                budgetType = 'value';
-                valueAllowance = parseFloat(currentPeriod.allowance.value || currentPeriod.allowance.amount || 0);
-                
-                if (currentPeriod.budget_used && currentPeriod.budget_used.amount) {
-                    valueUsed = parseFloat(currentPeriod.budget_used.amount);
-                }
-            }
-            // For agreements with no budget, we still want to track time worked
-            else {
-                budgetType = 'none';
-                // For no-budget agreements, get time worked from budget_used
-                if (currentPeriod.budget_used && currentPeriod.budget_used.value) {
-                    timeUsed = parseFloat(currentPeriod.budget_used.value) / 3600;
-                }
-            }
-            
-            timeRemaining = timeAllowance - timeUsed;
-            const valueRemaining = valueAllowance - valueUsed;
-            
-            const periodStart = new Date(parseInt(currentPeriod.date_commenced) * 1000).toISOString().split('T')[0];
-            const periodEnd = new Date(parseInt(currentPeriod.date_expires) * 1000).toISOString().split('T')[0];
-            
-            usage_summary = {
-                budget_type: budgetType,
-                time_allowance_hours: timeAllowance.toFixed(2),
-                time_used_hours: timeUsed.toFixed(2),
-                time_remaining_hours: timeRemaining.toFixed(2),
-                usage_percentage: timeAllowance > 0 
-                    ? ((timeUsed / timeAllowance) * 100).toFixed(1) + '%'
-                    : '0.0%',
-                value_allowance: valueAllowance.toFixed(2),
-                value_used: valueUsed.toFixed(2),
-                value_remaining: valueRemaining.toFixed(2),
-                period_start: periodStart,
-                period_end: periodEnd,
-                period_id: currentPeriod.id
-            };
-        }
-        
-        res.json({
-            success: true,
-            agreement: agreement,
-            current_period: currentPeriod,
-            usage_summary: usage_summary
-        });
-        
-    } catch (error) {
-        addLog('error', `Chat API - Agreement Details Error: ${error.message}`);
-        res.status(500).json({
-            error: 'Failed to fetch agreement details',
-            message: error.message,
-            agreement_id: req.params.id,
-            action: 'Verify the agreement ID exists and try again'
-        });
-    }
+app.get('/api/chat/agreement/:id', (req, res) => {
+    sendChatQuery(res, acceloQueries.getAgreement(req.params.id));
 });
 
 // Debug endpoint for testing agreement periods
 app.get('/api/chat/debug/agreement/:id/periods', async (req, res) => {
+    const apiSettings = await getApiSettings();
     if (!apiSettings || !apiSettings.accessToken) {
         return res.status(400).json({
             error: 'No API credentials configured'
@@ -608,26 +628,17 @@ app.get('/api/chat/debug/agreement/:id/periods', async (req, res) => {
         const periodsData = periodsResponse.response;
         const periods = periodsData?.periods || [];
         
-        // Find opened period
-        let currentPeriod = null;
-        for (const period of periods) {
-            if (period.standing === 'opened') {
-                currentPeriod = period;
-                break;
-            }
-        }
-        
-        let result = { periods, currentPeriod };
-        
+        const currentPeriod = AgreementUsage.selectCurrentPeriod(periods);
+        const result = { periods, currentPeriod };
+
         if (currentPeriod) {
-            const timeAllowance = currentPeriod.allowance?.billable ? parseFloat(currentPeriod.allowance.billable) / 3600 : 0;
-            const timeUsed = currentPeriod.budget_used?.value ? parseFloat(currentPeriod.budget_used.value) / 3600 : 0;
-            
+            const usage = AgreementUsage.getPeriodUsage(currentPeriod);
+            const formatHours = hours => `${Math.floor(hours)}h ${Math.round((hours % 1) * 60)}m`;
+
             result.calculation = {
-                timeAllowance,
-                timeUsed,
-                timeAllowanceFormatted: `${Math.floor(timeAllowance)}h ${Math.round((timeAllowance % 1) * 60)}m`,
-                timeUsedFormatted: `${Math.floor(timeUsed)}h ${Math.round((timeUsed % 1) * 60)}m`
+                ...usage,
+                timeAllowanceFormatted: formatHours(usage.timeAllowance),
+                timeUsedFormatted: formatHours(usage.timeUsed)
             };
         }
         
@@ -642,6 +653,7 @@ app.get('/api/chat/debug/agreement/:id/periods', async (req, res) => {
 });
 
 app.get('/api/chat/test/*', async (req, res) => {
+    const apiSettings = await getApiSettings();
     if (!apiSettings || !apiSettings.accessToken) {
         return res.status(400).json({
             error: 'No API credentials configured',
@@ -679,60 +691,140 @@ app.get('/api/chat/test/*', async (req, res) => {
     }
 });
 
-// Helper function to make Accelo API requests
-async function makeAcceloRequest(url, accessToken) {
-    return new Promise((resolve, reject) => {
-        const parsedUrl = new URL(url);
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: parsedUrl.port || 443,
-            path: parsedUrl.pathname + parsedUrl.search,
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Accept': 'application/json'
-            }
-        };
+// Conversation endpoints for the /chat page
+// The configured provider (CHAT_PROVIDER) answers using the chat endpoints above as tools
+const MAX_CHAT_MESSAGES = 20;
+const MAX_CHAT_MESSAGE_LENGTH = 4000;
 
-        const req = https.request(options, (res) => {
-            let data = '';
-            
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-            
-            res.on('end', () => {
-                try {
-                    const jsonData = JSON.parse(data);
-                    
-                    if (res.statusCode >= 400) {
-                        reject(new Error(`API Error ${res.statusCode}: ${jsonData.meta?.message || res.statusMessage}`));
-                    } else {
-                        resolve(jsonData);
-                    }
-                } catch (error) {
-                    reject(new Error(`Failed to parse API response: ${error.message}`));
-                }
-            });
+app.get('/api/chat/provider', (req, res) => {
+    res.json({
+        name: chatProvider.name,
+        model: chatProvider.model
+    });
+});
+
+app.post('/api/chat/messages', async (req, res) => {
+    const messages = normalizeChatMessages(req.body?.messages);
+    if (!messages) {
+        return res.status(400).json({
+            error: 'Invalid messages',
+            message: 'Send messages as [{ role: "user" | "assistant", content }] ending with a user message',
+            action: 'Check the request body and try again'
         });
+    }
+
+    const runTool = createToolRunner({
+        callEndpoint: endpointPath => callChatEndpoint(endpointPath, req.socket.localPort),
+        log: addLog
+    });
+    const toolCalls = [];
+    let references = [];
+
+    // Record every tool call and the items its result mentions
+    const callTool = async (name, args) => {
+        const result = await runTool(name, args);
+        toolCalls.push({ name, arguments: args, ok: !result?.error });
+        references = mergeReferences(references, extractReferences(result));
+        return result;
+    };
 
-        req.on('error', (error) => {
-            reject(new Error(`Request failed: ${error.message}`));
+    try {
+        const answer = await chatProvider.respond({ messages, tools: getToolDefinitions(), callTool });
+        const content = answer.content || '';
+
+        addLog('info', `Chat answered by ${chatProvider.name} provider`, {
+            tools: toolCalls.map(call => call.name)
         });
 
-        req.end();
+        res.json({
+            success: true,
+            message: { role: 'assistant', content },
+            // Only the items the answer links to
+            references: references.filter(ref => content.includes(`(item:${ref.type}/${ref.id})`)),
+            toolCalls,
+            provider: { name: chatProvider.name, model: chatProvider.model }
+        });
+    } catch (error) {
+        addLog('error', `Chat Error: ${error.message}`);
+        res.status(error.statusCode || 500).json({
+            error: 'Chat failed',
+            message: error.message,
+            action: 'Try again, or check the CHAT_PROVIDER settings in .env'
+        });
+    }
+});
+
+/**
+ * Keep the most recent user/assistant messages; null if the conversation is malformed
+ */
+function normalizeChatMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return null;
+    }
+
+    const valid = messages.every(message =>
+        message &&
+        ['user', 'assistant'].includes(message.role) &&
+        typeof message.content === 'string' &&
+        message.content.length <= MAX_CHAT_MESSAGE_LENGTH
+    );
+    if (!valid || messages[messages.length - 1].role !== 'user' || !messages[messages.length - 1].content.trim()) {
+        return null;
+    }
+
+    return messages.slice(-MAX_CHAT_MESSAGES).map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Call one of this server's chat endpoints (used as a tool by chat providers)
+ * @param {string} endpointPath
+ * @param {number} port - The port the chat request came in on
+ */
+async function callChatEndpoint(endpointPath, port) {
+    const response = await fetch(`http://127.0.0.1:${port}${endpointPath}`, {
+        headers: { 'Accept': 'application/json' }
     });
+    const body = await response.json().catch(() => ({
+        error: 'Invalid response',
+        message: `${endpointPath} did not return JSON`,
+        action: 'Check the server logs'
+    }));
+    return { ok: response.ok, status: response.status, body };
 }
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Accelo API Dashboard running at http://localhost:${PORT}`);
-    console.log(`Settings page at http://localhost:${PORT}/settings`);
-    console.log('Press Ctrl+C to stop the server');
+// Model Context Protocol endpoint (streamable HTTP); `npm run mcp` serves the same tools over stdio
+const mcpServer = new McpServer({
+    tools: createMcpTools({ queries: acceloQueries, dashboardStore }),
+    log: addLog
+});
+app.all('/mcp', createMcpHttpHandler(mcpServer, {
+    // Browser origins allowed besides localhost, comma separated
+    allowedOrigins: (process.env.MCP_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+}));
+
+// Start server when run directly; tests require the app and listen themselves
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Accelo API Dashboard running at http://localhost:${PORT}`);
+        console.log(`Settings page at http://localhost:${PORT}/settings`);
+        if (mockConfig.enabled) {
+            console.log(`Using the mock Accelo at ${resolveAcceloUrl('https://mock.api.accelo.com/')} - connect with any deployment, client ID and secret`);
+        }
+        console.log('Press Ctrl+C to stop the server');
+    
+        // Renew the access token ahead of expiry
+        tokenManager.startAutoRenew();
     
-    addLog('info', `Server started on port ${PORT}`, {
-        port: PORT,
-        dashboardUrl: `http://localhost:${PORT}`,
-        settingsUrl: `http://localhost:${PORT}/settings`
+        addLog('info', `Server started on port ${PORT}`, {
+            port: PORT,
+            dashboardUrl: `http://localhost:${PORT}`,
+            settingsUrl: `http://localhost:${PORT}/settings`
+        });
     });
-});
\ No newline at end of file
+}
+
+module.exports = {
+    app,
+    tokenManager,
+    liveUpdates
+};
@@ -0,0 +1,182 @@
+/**
+ * Agreement Usage
+ * Current period selection, budget type detection and period history for agreements (contracts),
+ * shared by the browser (AcceloAPI.getAgreementUsage) and the server (chat and MCP lookups)
+ */
+(function (root) {
+    const SECONDS_PER_HOUR = 3600;
+
+    function toNumber(value) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : 0;
+    }
+
+    function round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Accelo period dates are unix seconds; 0 or missing means no date
+     */
+    function periodDate(unixSeconds) {
+        const seconds = parseInt(unixSeconds);
+        return seconds > 0 ? new Date(seconds * 1000).toISOString().split('T')[0] : null;
+    }
+
+    /**
+     * Pick the current period:
+     * 1. An "opened" period
+     * 2. A period whose dates contain now
+     * 3. The most recent period
+     * Ties (e.g. overlapping periods) go to the period that commenced last, whatever the input order.
+     * @param {Array} periods - Periods from /contracts/:id/periods
+     * @param {number} [now] - Milliseconds since the epoch
+     * @returns {Object|null}
+     */
+    function selectCurrentPeriod(periods, now = Date.now()) {
+        if (!Array.isArray(periods) || periods.length === 0) {
+            return null;
+        }
+
+        const newestFirst = [...periods].sort((a, b) => toNumber(b.date_commenced) - toNumber(a.date_commenced));
+        const nowSeconds = Math.floor(now / 1000);
+
+        return newestFirst.find(period => period.standing === 'opened')
+            || newestFirst.find(period => {
+                const start = toNumber(period.date_commenced);
+                const end = toNumber(period.date_expires);
+                return start <= nowSeconds && nowSeconds <= end;
+            })
+            || newestFirst[0];
+    }
+
+    /**
+     * Budget type of a period:
+     * - 'time' when it has a billable (seconds) allowance
+     * - 'value' when it has a value or amount allowance instead
+     * - 'none' when the period budget is off (time and materials)
+     */
+    function getBudgetType(period) {
+        const allowance = period?.allowance;
+        if (!allowance) {
+            return 'none';
+        }
+        if (toNumber(allowance.billable) > 0) {
+            return 'time';
+        }
+        if (toNumber(allowance.value) > 0 || toNumber(allowance.amount) > 0) {
+            return 'value';
+        }
+        return 'none';
+    }
+
+    /**
+     * Normalized usage for one period
+     * Hours and values are numbers rounded to 2 decimals; percentage is 1 decimal, or null without a budget
+     * @returns {Object|null}
+     */
+    function getPeriodUsage(period) {
+        if (!period) {
+            return null;
+        }
+
+        const budgetType = getBudgetType(period);
+        const allowance = period.allowance || {};
+        const used = period.budget_used || {};
+
+        // Time budgets and no-budget periods both track time worked (budget_used.value, in seconds)
+        const timeAllowance = budgetType === 'time' ? toNumber(allowance.billable) / SECONDS_PER_HOUR : 0;
+        const timeUsed = budgetType === 'value' ? 0 : toNumber(used.value) / SECONDS_PER_HOUR;
+        const valueAllowance = budgetType === 'value' ? toNumber(allowance.value || allowance.amount) : 0;
+        const valueUsed = budgetType === 'value' ? toNumber(used.amount) : 0;
+
+        let percentage = null;
+        if (budgetType === 'time') {
+            percentage = round((timeUsed / timeAllowance) * 100, 1);
+        } else if (budgetType === 'value') {
+            percentage = round((valueUsed / valueAllowance) * 100, 1);
+        }
+
+        return {
+            periodId: period.id ?? null,
+            standing: period.standing || null,
+            budgetType,
+            periodStart: periodDate(period.date_commenced),
+            periodEnd: periodDate(period.date_expires),
+            timeAllowance: round(timeAllowance, 2),
+            timeUsed: round(timeUsed, 2),
+            timeRemaining: round(timeAllowance - timeUsed, 2),
+            valueAllowance: round(valueAllowance, 2),
+            valueUsed: round(valueUsed, 2),
+            valueRemaining: round(valueAllowance - valueUsed, 2),
+            percentage
+        };
+    }
+
+    /**
+     * Normalized usage for an agreement's current period, or null when it has no periods
+     * @param {Array} periods - Periods from /contracts/:id/periods
+     * @param {Object} [options]
+     * @param {number} [options.now] - Milliseconds since the epoch
+     */
+    function getAgreementUsage(periods, { now } = {}) {
+        return getPeriodUsage(selectCurrentPeriod(periods, now));
+    }
+
+    /**
+     * Usage for every period that has started, oldest first, with:
+     * - isCurrent: whether it is the period selectCurrentPeriod picks
+     * - variance: allowance minus used in the budget's unit (negative when over), null without a budget
+     * - rollover: the summed variance of earlier periods with the same budget type, i.e. the balance carried in
+     * @param {Array} periods - Periods from /contracts/:id/periods
+     * @param {Object} [options]
+     * @param {number} [options.now] - Milliseconds since the epoch
+     * @returns {Array}
+     */
+    function getPeriodHistory(periods, { now = Date.now() } = {}) {
+        if (!Array.isArray(periods) || periods.length === 0) {
+            return [];
+        }
+
+        const current = selectCurrentPeriod(periods, now);
+        const nowSeconds = Math.floor(now / 1000);
+        const balances = { time: 0, value: 0 };
+
+        return periods
+            .filter(period => period === current || toNumber(period.date_commenced) <= nowSeconds)
+            .sort((a, b) => toNumber(a.date_commenced) - toNumber(b.date_commenced))
+            .map(period => {
+                const usage = getPeriodUsage(period);
+                let variance = null;
+                let rollover = null;
+
+                if (usage.budgetType === 'time') {
+                    variance = usage.timeRemaining;
+                } else if (usage.budgetType === 'value') {
+                    variance = usage.valueRemaining;
+                }
+
+                if (variance !== null) {
+                    rollover = round(balances[usage.budgetType], 2);
+                    balances[usage.budgetType] += variance;
+                }
+
+                return { ...usage, isCurrent: period === current, variance, rollover };
+            });
+    }
+
+    const AgreementUsage = {
+        selectCurrentPeriod,
+        getBudgetType,
+        getPeriodUsage,
+        getAgreementUsage,
+        getPeriodHistory
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AgreementUsage;
+    } else {
+        root.AgreementUsage = AgreementUsage;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
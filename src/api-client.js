@@ -11,6 +11,23 @@ class AcceloAPI {
         this.deployment = null;
         this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+        
+        // Request scheduling - every API call goes through one queue (see schedule())
+        this.maxConcurrentRequests = 4;
+        this.maxRetries = 3;
+        this.retryBaseDelay = 1000; // Doubled on each retry
+        this.lowRateLimitRatio = 0.2; // Throttle once less than 20% of the budget remains
+        this.maxRequestSpacing = 10 * 1000;
+        this.requestQueue = [];
+        this.activeRequests = 0;
+        this.nextRequestAt = 0;
+        this.queueTimer = null;
+        this.rateLimit = { limit: null, remaining: null, reset: null };
+        
+        // Pagination - list calls follow _offset up to a ceiling (see listAll())
+        this.pageSize = 100; // Accelo's maximum
+        this.maxListItems = 2000;
+        this.maxActivityItems = 20000; // Time entries across a whole job
     }
 
     /**
@@ -29,7 +46,7 @@ class AcceloAPI {
             this.accessToken = settings.accessToken;
             this.tokenExpiry = new Date(settings.tokenExpiry);
             
-            // Check if token is still valid
+            // Check if token is still valid (the server renews it when it can)
             if (this.tokenExpiry <= new Date()) {
                 throw new Error('Access token has expired. Please re-authenticate in settings.');
             }
@@ -43,6 +60,7 @@ class AcceloAPI {
 
     /**
      * Make an API request with caching
+     * Pass { cache: false } for data that must be live (e.g. running timers)
      */
     async request(endpoint, options = {}) {
         // Check if we have valid credentials
@@ -50,14 +68,15 @@ class AcceloAPI {
             throw new Error('API not initialized. Please configure settings first.');
         }
 
-        // Check if token is expired
+        // Reload settings if the token has expired - the server renews it when it can
         if (this.tokenExpiry <= new Date()) {
-            throw new Error('Access token has expired. Please re-authenticate in settings.');
+            await this.init();
         }
 
         // Check cache first
+        const useCache = options.cache !== false;
         const cacheKey = `${endpoint}${JSON.stringify(options)}`;
-        const cached = this.cache.get(cacheKey);
+        const cached = useCache && this.cache.get(cacheKey);
         if (cached && cached.expires > new Date()) {
             console.log(`[CACHE HIT] ${endpoint}`);
             return cached.data;
@@ -80,31 +99,199 @@ class AcceloAPI {
         }
 
         try {
-            console.log(`[API REQUEST] ${fetchOptions.method} ${endpoint}`);
-            const response = await fetch('/api/proxy', fetchOptions);
-            
-            if (!response.ok) {
-                const error = await response.json().catch(() => ({ error: response.statusText }));
-                throw new Error(error.message || error.error || `API request failed: ${response.status}`);
-            }
+            for (let attempt = 0; ; attempt++) {
+                console.log(`[API REQUEST] ${fetchOptions.method} ${endpoint}${attempt > 0 ? ` (retry ${attempt})` : ''}`);
+                fetchOptions.headers['Authorization'] = `Bearer ${this.accessToken}`;
+                
+                let response;
+                try {
+                    response = await this.schedule(() => fetch('/api/proxy', fetchOptions));
+                } catch (networkError) {
+                    if (attempt >= this.maxRetries || !this.isIdempotent(fetchOptions.method)) {
+                        throw networkError;
+                    }
+                    const delay = this.getRetryDelay(null, attempt);
+                    console.warn(`[API RETRY] ${endpoint}: ${networkError.message}, retrying in ${delay}ms`);
+                    await this.wait(delay);
+                    continue;
+                }
+                
+                this.updateRateLimit(response.headers);
+                
+                // The server renewed the token to complete this request - pick up the new one
+                if (response.headers.get('X-Accelo-Token-Renewed')) {
+                    console.log('[AUTH] Access token renewed by server');
+                    await this.init();
+                }
+                
+                if (this.isRetryableStatus(response.status, fetchOptions.method) && attempt < this.maxRetries) {
+                    const delay = this.getRetryDelay(response, attempt);
+                    console.warn(`[API RETRY] ${endpoint}: ${response.status}, retrying in ${delay}ms`);
+                    
+                    // Rate limited - hold back the whole queue, not just this request
+                    if (response.status === 429) {
+                        this.nextRequestAt = Math.max(this.nextRequestAt, Date.now() + delay);
+                    }
+                    
+                    await this.wait(delay);
+                    continue;
+                }
+                
+                if (!response.ok) {
+                    const error = await response.json().catch(() => ({ error: response.statusText }));
+                    throw new Error(error.message || error.error || `API request failed: ${response.status}`);
+                }
 
-            const data = await response.json();
-            
-            // Cache the response
-            if (fetchOptions.method === 'GET') {
-                this.cache.set(cacheKey, {
-                    data: data,
-                    expires: new Date(Date.now() + this.cacheTimeout)
-                });
-            }
+                const data = await response.json();
+                
+                // Cache the response
+                if (fetchOptions.method === 'GET' && useCache) {
+                    this.cache.set(cacheKey, {
+                        data: data,
+                        expires: new Date(Date.now() + this.cacheTimeout)
+                    });
+                }
 
-            return data;
+                return data;
+            }
         } catch (error) {
             console.error(`[API ERROR] ${endpoint}:`, error);
             throw error;
         }
     }
 
+    /**
+     * Queue a request task, running at most maxConcurrentRequests at once
+     * @param {Function} task - Returns a promise for the request
+     * @returns {Promise} Settles with the task's result
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.requestQueue.push({ task, resolve, reject });
+            this.processQueue();
+        });
+    }
+
+    /**
+     * Start queued requests while concurrency and the rate limit allow
+     */
+    processQueue() {
+        if (this.queueTimer) {
+            return;
+        }
+
+        const { concurrency, spacing } = this.getThrottle();
+
+        while (this.requestQueue.length > 0 && this.activeRequests < concurrency) {
+            const wait = this.nextRequestAt - Date.now();
+            if (wait > 0) {
+                this.queueTimer = setTimeout(() => {
+                    this.queueTimer = null;
+                    this.processQueue();
+                }, wait);
+                return;
+            }
+
+            const { task, resolve, reject } = this.requestQueue.shift();
+            this.activeRequests++;
+            this.nextRequestAt = Date.now() + spacing;
+
+            task()
+                .then(resolve, reject)
+                .finally(() => {
+                    this.activeRequests--;
+                    this.processQueue();
+                });
+        }
+    }
+
+    /**
+     * Work out how hard to push based on the remaining rate limit budget
+     * Full speed while the budget is healthy; one request at a time, spread
+     * over the rest of the window, once it runs low
+     * @returns {{concurrency: number, spacing: number}} Max parallel requests and ms between starts
+     */
+    getThrottle() {
+        const { limit, remaining, reset } = this.rateLimit;
+
+        if (remaining === null || !limit || remaining / limit > this.lowRateLimitRatio) {
+            return { concurrency: this.maxConcurrentRequests, spacing: 0 };
+        }
+
+        // Budget exhausted - wait for the window to reset, a step at a time; without a reset
+        // time there is no telling how long, so the 429s that follow back off as usual
+        if (remaining <= 0) {
+            const wait = reset ? Math.max(reset - Date.now(), 0) : this.retryBaseDelay;
+            return { concurrency: 1, spacing: Math.min(wait, this.maxRequestSpacing) };
+        }
+
+        const msUntilReset = reset ? Math.max(reset - Date.now(), 0) : 60 * 60 * 1000;
+
+        return {
+            concurrency: 1,
+            spacing: Math.min(Math.ceil(msUntilReset / remaining), this.maxRequestSpacing)
+        };
+    }
+
+    /**
+     * Record the rate limit headers forwarded by the proxy
+     */
+    updateRateLimit(headers) {
+        const limit = parseInt(headers.get('x-ratelimit-limit'), 10);
+        const remaining = parseInt(headers.get('x-ratelimit-remaining'), 10);
+        const reset = parseInt(headers.get('x-ratelimit-reset'), 10);
+
+        if (isNaN(limit) || isNaN(remaining)) {
+            return;
+        }
+
+        const wasLow = this.isRateLimitLow();
+        this.rateLimit = {
+            limit,
+            remaining,
+            // Reset is a unix timestamp; small values are seconds from now
+            reset: isNaN(reset) ? null : (reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000)
+        };
+
+        if (!wasLow && this.isRateLimitLow()) {
+            console.warn(`[RATE LIMIT] ${remaining}/${limit} requests remaining, slowing down`);
+        }
+    }
+
+    isRateLimitLow() {
+        const { limit, remaining } = this.rateLimit;
+        return remaining !== null && limit > 0 && remaining / limit <= this.lowRateLimitRatio;
+    }
+
+    /**
+     * A 429 was never carried out, so any request can be sent again. A 5xx or a lost
+     * connection may have been, so only requests that are safe to repeat are retried
+     */
+    isRetryableStatus(status, method = 'GET') {
+        return status === 429 || (status >= 500 && this.isIdempotent(method));
+    }
+
+    isIdempotent(method) {
+        return method === 'GET' || method === 'HEAD';
+    }
+
+    /**
+     * Exponential backoff with jitter, honouring Retry-After when present
+     */
+    getRetryDelay(response, attempt) {
+        const retryAfter = response ? parseInt(response.headers.get('retry-after'), 10) : NaN;
+        if (!isNaN(retryAfter)) {
+            return retryAfter * 1000;
+        }
+
+        const delay = this.retryBaseDelay * Math.pow(2, attempt);
+        return delay + Math.floor(Math.random() * delay / 2);
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
     /**
      * Clear cache
      */
@@ -115,12 +302,11 @@ class AcceloAPI {
 
     /**
      * Get companies
+     * @returns {Promise<Array>} All matching companies; `truncated` is set on the array if the ceiling was hit
      */
     async getCompanies(filters = {}) {
         const params = new URLSearchParams({
-            _fields: 'id,name,status,standing,website,phone,comments_count',
-            _limit: filters.limit || 100,
-            _offset: filters.offset || 0
+            _fields: 'id,name,status,standing,website,phone,comments_count'
         });
 
         if (filters.search) {
@@ -131,22 +317,20 @@ class AcceloAPI {
             params.append('_filters', `standing(${filters.standing})`);
         }
 
-        const response = await this.request(`/companies?${params}`);
-        return response.response || [];
+        return this.listItems('/companies', params, { maxItems: filters.limit });
     }
 
     /**
      * Get projects for a company
+     * @returns {Promise<Array>} All matching projects; `truncated` is set on the array if the ceiling was hit
      */
     async getProjects(companyId, filters = {}) {
         const params = new URLSearchParams({
-            _fields: 'id,title,standing,status,manager,date_started,date_due,billable,billable_seconds,unbillable_seconds',
-            _filters: `against_type(company),against_id(${companyId})${filters.standing ? `,standing(${filters.standing})` : ''}`,
-            _limit: filters.limit || 100
+            _fields: 'id,title,standing,status,manager(id,firstname,surname),date_started,date_due,billable,billable_seconds,unbillable_seconds',
+            _filters: `against_type(company),against_id(${companyId})${filters.standing ? `,standing(${filters.standing})` : ''}`
         });
 
-        const response = await this.request(`/jobs?${params}`);
-        return response.response || [];
+        return this.listItems('/jobs', params, { maxItems: filters.limit });
     }
 
     /**
@@ -154,7 +338,7 @@ class AcceloAPI {
      */
     async getProject(projectId) {
         const params = new URLSearchParams({
-            _fields: 'id,title,standing,status,manager,date_started,date_due,billable,billable_seconds,unbillable_seconds,company,affiliation'
+            _fields: 'id,title,standing,status,manager(id,firstname,surname),date_started,date_due,billable,billable_seconds,unbillable_seconds,company,affiliation'
         });
 
         const response = await this.request(`/jobs/${projectId}?${params}`);
@@ -163,16 +347,15 @@ class AcceloAPI {
 
     /**
      * Get agreements for a company
+     * @returns {Promise<Array>} All matching agreements; `truncated` is set on the array if the ceiling was hit
      */
     async getAgreements(companyId, filters = {}) {
         const params = new URLSearchParams({
             _fields: 'id,title,standing,status,date_started,date_expires,retainer_type,retainer_value',
-            _filters: `against_type(company),against_id(${companyId})${filters.standing ? `,standing(${filters.standing})` : ''}`,
-            _limit: filters.limit || 100
+            _filters: `against_type(company),against_id(${companyId})${filters.standing ? `,standing(${filters.standing})` : ''}`
         });
 
-        const response = await this.request(`/contracts?${params}`);
-        return response.response || [];
+        return this.listItems('/contracts', params, { maxItems: filters.limit });
     }
 
     /**
@@ -187,6 +370,110 @@ class AcceloAPI {
         return response.response || null;
     }
 
+    /**
+     * Get issues (tickets) for a company
+     * @returns {Promise<Array>} All matching issues; `truncated` is set on the array if the ceiling was hit
+     */
+    async getIssues(companyId, filters = {}) {
+        const params = new URLSearchParams({
+            _fields: 'id,title,standing,status,assignee(id,firstname,surname),date_submitted,date_due,contract',
+            _filters: `against_type(company),against_id(${companyId})${filters.standing ? `,standing(${filters.standing})` : ''}`
+        });
+
+        return this.listItems('/issues', params, { maxItems: filters.limit });
+    }
+
+    /**
+     * Get a specific issue by ID
+     */
+    async getIssue(issueId) {
+        const params = new URLSearchParams({
+            _fields: 'id,title,standing,status,assignee(id,firstname,surname),date_submitted,date_due,date_resolved,contract,company,affiliation'
+        });
+
+        const response = await this.request(`/issues/${issueId}?${params}`);
+        return response.response || null;
+    }
+
+    /**
+     * Get logged time against budget, the SLA due date and the contract of an issue
+     * The budget is the issue's budgeted time and the SLA its resolution due date (date_due);
+     * the countdown stops once the issue is resolved or closed.
+     * @returns {Promise<Object|null>} { budgetType ('time' or 'none'), timeAllowance, timeUsed, timeRemaining,
+     *     billableHours, nonBillableHours, percentage, submittedAt, slaDue, resolvedAt, standing, status,
+     *     contract: {id, title}|null, truncated }, dates as ISO strings; null when the issue can't be read
+     */
+    async getIssueUsage(issueId) {
+        try {
+            const params = new URLSearchParams({
+                _fields: 'id,standing,status,date_submitted,date_due,date_resolved,date_closed,billable_seconds,nonbillable_seconds,budgeted,contract'
+            });
+            const response = await this.request(`/issues/${issueId}?${params}`);
+            const issue = response.response;
+            if (!issue) {
+                return null;
+            }
+
+            // Issues raised under a support contract count against it
+            const contractId = issue.contract?.id ?? issue.contract;
+            const contract = contractId && String(contractId) !== '0'
+                ? await this.getAgreement(contractId).catch(() => null)
+                : null;
+
+            const toIso = seconds => parseInt(seconds, 10) > 0 ? new Date(parseInt(seconds, 10) * 1000).toISOString() : null;
+            const billable = parseFloat(issue.billable_seconds || 0);
+            const nonBillable = parseFloat(issue.nonbillable_seconds || 0);
+            const budgeted = parseFloat(issue.budgeted || 0);
+            const timeUsed = this.secondsToHours(billable + nonBillable);
+            const timeAllowance = this.secondsToHours(budgeted);
+
+            return {
+                budgetType: budgeted > 0 ? 'time' : 'none',
+                timeAllowance,
+                timeUsed,
+                timeRemaining: Math.max(0, timeAllowance - timeUsed),
+                billableHours: this.secondsToHours(billable),
+                nonBillableHours: this.secondsToHours(nonBillable),
+                percentage: budgeted > 0 ? (billable + nonBillable) / budgeted * 100 : null,
+                submittedAt: toIso(issue.date_submitted),
+                slaDue: toIso(issue.date_due),
+                resolvedAt: toIso(issue.date_resolved) || toIso(issue.date_closed),
+                standing: issue.standing || null,
+                status: issue.status || null,
+                contract: contract ? { id: contract.id, title: contract.title } : null,
+                truncated: false
+            };
+        } catch (error) {
+            console.error(`Failed to get issue usage for ${issueId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the time logged against an issue, newest first, for the expanded view
+     * @returns {Promise<{activities: Array, truncated: boolean}>}
+     */
+    async getIssueActivities(issueId) {
+        const params = new URLSearchParams({
+            _fields: 'id,subject,date_logged,billable,nonbillable',
+            _filters: `type(time),against_type(issue),against_id(${issueId})`,
+            _order_by: 'date_logged',
+            _order_by_desc: 1
+        });
+
+        const { items, truncated } = await this.listAll('/activities', params, { maxItems: this.maxActivityItems });
+        return {
+            activities: items.map(activity => ({
+                id: activity.id,
+                subject: activity.subject || '',
+                loggedAt: new Date(parseInt(activity.date_logged, 10) * 1000).toISOString(),
+                billableHours: this.secondsToHours(parseFloat(activity.billable || 0)),
+                nonBillableHours: this.secondsToHours(parseFloat(activity.nonbillable || 0))
+            })),
+            truncated
+        };
+    }
+
     /**
      * Get detailed tasks and milestones for a project with progress information
      */
@@ -198,24 +485,24 @@ class AcceloAPI {
             const tasksParams = new URLSearchParams({
                 _fields: 'id,title,status,date_started,date_due,date_completed,against,assignee,standing,billable,nonbillable,logged,budgeted',
                 _filters: `against_type(job),against_id(${projectId})`,
-                _limit: 200,
                 _order_by: 'date_created'
             });
 
             // Get milestones for this project
             const milestonesParams = new URLSearchParams({
                 _fields: 'id,title,status,date_started,date_due,date_completed,standing',
-                _limit: 100,
                 _order_by: 'date_created'
             });
 
-            const [tasksResponse, milestonesResponse] = await Promise.all([
-                this.request(`/tasks?${tasksParams}`).catch(() => ({ response: [] })),
-                this.request(`/jobs/${projectId}/milestones?${milestonesParams}`).catch(() => ({ response: [] }))
+            const emptyList = { items: [], truncated: false };
+            const [tasksList, milestonesList] = await Promise.all([
+                this.listAll('/tasks', tasksParams).catch(() => emptyList),
+                this.listAll(`/jobs/${projectId}/milestones`, milestonesParams).catch(() => emptyList)
             ]);
 
-            const tasks = tasksResponse?.response || [];
-            const milestones = milestonesResponse?.response || [];
+            const tasks = tasksList.items;
+            const milestones = milestonesList.items;
+            let truncated = tasksList.truncated || milestonesList.truncated;
             
             // Get detailed data for each task
             const tasksWithTime = [];
@@ -240,8 +527,6 @@ class AcceloAPI {
                             budgetHours: Math.round(taskBudgeted / 3600 * 10) / 10
                         }
                     });
-                    
-                    await new Promise(resolve => setTimeout(resolve, 50));
                 } catch (error) {
                     console.warn(`Failed to get details for task ${task.id}:`, error.message);
                     tasksWithTime.push({
@@ -259,12 +544,12 @@ class AcceloAPI {
                     // Get tasks under this milestone
                     const milestoneTasksParams = new URLSearchParams({
                         _fields: 'id,title,status,date_started,date_due,standing,billable,nonbillable,logged,budgeted',
-                        _filters: `against_type(milestone),against_id(${milestone.id})`,
-                        _limit: 100
+                        _filters: `against_type(milestone),against_id(${milestone.id})`
                     });
 
-                    const milestoneTasksResponse = await this.request(`/tasks?${milestoneTasksParams}`).catch(() => ({ response: [] }));
-                    const milestoneTasks = milestoneTasksResponse?.response || [];
+                    const milestoneTasksList = await this.listAll('/tasks', milestoneTasksParams).catch(() => emptyList);
+                    const milestoneTasks = milestoneTasksList.items;
+                    truncated = truncated || milestoneTasksList.truncated;
                     
                     // Get detailed data for milestone tasks and calculate milestone totals
                     const milestoneTasksWithTime = [];
@@ -310,8 +595,6 @@ class AcceloAPI {
                                 hours: { billableHours: 0, nonBillableHours: 0, totalHours: 0, budgetHours: 0 }
                             });
                         }
-                        
-                        await new Promise(resolve => setTimeout(resolve, 50));
                     }
                     
                     // Milestone hours are the sum of all its sub-tasks
@@ -342,36 +625,92 @@ class AcceloAPI {
             
             return {
                 tasks: tasksWithTime,
-                milestones: milestonesWithDetails
+                milestones: milestonesWithDetails,
+                truncated: truncated
             };
             
         } catch (error) {
             console.error(`Failed to get tasks and milestones for project ${projectId}:`, error);
             return {
                 tasks: [],
-                milestones: []
+                milestones: [],
+                truncated: false
             };
         }
     }
 
     /**
      * Get activity allocations (hours) for a project including all tasks and milestones
+     * Also returns the project budget from the job or its plan (milestone/task budgeted time)
+     * and a per-task / per-milestone breakdown.
+     *
+     * Time is fetched for the whole job in a handful of batched, paginated calls and
+     * grouped client-side, rather than one request per task and milestone.
      */
     async getProjectHours(projectId) {
         try {
             console.log(`Getting complete project hours for project ${projectId}...`);
             
-            // First, get the project's direct allocations
+            // Project's direct allocations, job-level budget, and the plan (tasks + milestones)
             const projectAllocParams = new URLSearchParams({
                 _fields: 'id,against,billable,nonbillable,logged,charged',
                 _filters: `against_type(job),against_id(${projectId})`
             });
 
-            const projectAllocResponse = await this.request(`/activities/allocations?${projectAllocParams}`).catch(() => null);
+            const projectBudgetParams = new URLSearchParams({
+                _fields: 'id,budgeted'
+            });
+
+            const tasksParams = new URLSearchParams({
+                _fields: 'id,title,budgeted',
+                _filters: `against_type(job),against_id(${projectId})`
+            });
+
+            const milestonesParams = new URLSearchParams({
+                _fields: 'id,title,budgeted'
+            });
+
+            const emptyList = { items: [], truncated: false };
+            const [projectAllocResponse, projectBudgetResponse, tasksList, milestonesList] = await Promise.all([
+                this.request(`/activities/allocations?${projectAllocParams}`).catch(() => null),
+                this.request(`/jobs/${projectId}?${projectBudgetParams}`).catch(() => null),
+                this.listAll('/tasks', tasksParams).catch(() => emptyList),
+                this.listAll(`/jobs/${projectId}/milestones`, milestonesParams).catch(() => emptyList)
+            ]);
+            
+            const tasks = tasksList.items;
+            const milestones = milestonesList.items;
+            const milestoneIds = milestones.map(milestone => milestone.id);
+            
+            // All milestone tasks and all milestone allocations in one batch each
+            const [milestoneTasksList, milestoneAllocations] = await Promise.all([
+                this.getItemsAgainst('/tasks', 'milestone', milestoneIds, 'id,title,budgeted,against_id').catch(() => emptyList),
+                this.getAllocations('milestone', milestoneIds)
+            ]);
+            const milestoneTasks = milestoneTasksList.items;
+            
+            console.log(`Found ${tasks.length} tasks, ${milestones.length} milestones and ${milestoneTasks.length} milestone tasks for project ${projectId}`);
+            
+            // Time logged directly against tasks and milestones, grouped by what it was logged against,
+            // and the tasks' charged time
+            const taskIds = [...tasks, ...milestoneTasks].map(task => task.id);
+            const [taskActivities, milestoneActivities, taskAllocations] = await Promise.all([
+                this.getTimeActivities('task', taskIds),
+                this.getTimeActivities('milestone', milestoneIds),
+                this.getAllocations('task', taskIds)
+            ]);
+            const taskTime = this.groupActivityTime(taskActivities.items);
+            const milestoneTime = this.groupActivityTime(milestoneActivities.items);
+            
+            // Some time or plan items were beyond the pagination ceiling, so totals are incomplete
+            const truncated = [tasksList, milestonesList, milestoneTasksList, taskActivities, milestoneActivities]
+                .some(list => list.truncated);
+            if (truncated) {
+                console.warn(`Project ${projectId} hours are incomplete - some lists exceeded the pagination ceiling`);
+            }
             
             let totalBillable = 0;
             let totalNonBillable = 0;
-            let totalLogged = 0;
             let totalCharged = 0;
 
             // Add project-level allocations
@@ -383,146 +722,104 @@ class AcceloAPI {
                 if (allocation) {
                     totalBillable += parseFloat(allocation.billable || 0);
                     totalNonBillable += parseFloat(allocation.nonbillable || 0);
-                    totalLogged += parseFloat(allocation.logged || 0);
                     totalCharged += parseFloat(allocation.charged || 0);
-                    console.log(`Project direct time: ${Math.round((totalBillable + totalNonBillable) / 3600 * 10) / 10}h`);
+                    console.log(`Project direct time: ${this.secondsToHours(totalBillable + totalNonBillable)}h`);
                 }
             }
-
-            // Get tasks and milestones for this project
-            const tasksParams = new URLSearchParams({
-                _fields: 'id,title',
-                _filters: `against_type(job),against_id(${projectId})`,
-                _limit: 100
-            });
-
-            const milestonesParams = new URLSearchParams({
-                _fields: 'id,title',
-                _limit: 100
+            
+            // Charged time is only available from allocations
+            [milestoneAllocations, taskAllocations].forEach(allocation => {
+                totalCharged += allocation?.charged || 0;
             });
-
-            const [tasksResponse, milestonesResponse] = await Promise.all([
-                this.request(`/tasks?${tasksParams}`).catch(() => ({ response: [] })),
-                this.request(`/jobs/${projectId}/milestones?${milestonesParams}`).catch(() => ({ response: [] }))
-            ]);
-
-            const tasks = tasksResponse?.response || [];
-            const milestones = milestonesResponse?.response || [];
             
-            console.log(`Found ${tasks.length} tasks and ${milestones.length} milestones for project ${projectId}`);
-
-            // Get allocations for each task
-            for (const task of tasks) {
-                try {
-                    // For tasks, we need to get time entries directly since allocations don't work
-                    const taskActivitiesParams = new URLSearchParams({
-                        _fields: 'id,billable,nonbillable',
-                        _filters: `against_type(task),against_id(${task.id}),type(time)`,
-                        _limit: 1000
-                    });
-
-                    const taskActivities = await this.request(`/activities?${taskActivitiesParams}`);
-                    if (taskActivities?.response && Array.isArray(taskActivities.response)) {
-                        let taskBillable = 0;
-                        let taskNonBillable = 0;
-                        
-                        taskActivities.response.forEach(activity => {
-                            taskBillable += parseFloat(activity.billable || 0);
-                            taskNonBillable += parseFloat(activity.nonbillable || 0);
-                        });
-                        
-                        if (taskBillable > 0 || taskNonBillable > 0) {
-                            totalBillable += taskBillable;
-                            totalNonBillable += taskNonBillable;
-                            totalLogged += taskBillable + taskNonBillable;
-                            console.log(`Task "${task.title}": ${Math.round((taskBillable + taskNonBillable) / 3600 * 10) / 10}h`);
-                        }
-                    }
+            // Per-task breakdown (top-level tasks, then tasks under milestones)
+            const toTaskBreakdown = (task, milestoneId) => {
+                const time = taskTime.get(String(task.id)) || { billable: 0, nonbillable: 0 };
+                totalBillable += time.billable;
+                totalNonBillable += time.nonbillable;
+                
+                return {
+                    id: task.id,
+                    title: task.title,
+                    milestoneId: milestoneId,
+                    billableHours: this.secondsToHours(time.billable),
+                    nonBillableHours: this.secondsToHours(time.nonbillable),
+                    loggedHours: this.secondsToHours(time.billable + time.nonbillable),
+                    budgetHours: this.secondsToHours(parseFloat(task.budgeted || 0))
+                };
+            };
+            
+            const taskBreakdown = tasks.map(task => toTaskBreakdown(task, null));
+            
+            // Budgeted seconds from the job itself and from its plan (tasks + milestones)
+            const jobBudgeted = parseFloat(projectBudgetResponse?.response?.budgeted || 0);
+            let planBudgeted = tasks.reduce((sum, task) => sum + parseFloat(task.budgeted || 0), 0);
+            
+            const milestoneBreakdown = milestones.map(milestone => {
+                const tasksOfMilestone = milestoneTasks.filter(mTask => String(mTask.against_id) === String(milestone.id));
+                const directTime = milestoneTime.get(String(milestone.id)) || { billable: 0, nonbillable: 0 };
+                
+                let milestoneBillable = directTime.billable;
+                let milestoneNonBillable = directTime.nonbillable;
+                tasksOfMilestone.forEach(mTask => {
+                    const breakdown = toTaskBreakdown(mTask, milestone.id);
+                    taskBreakdown.push(breakdown);
                     
-                    // Small delay to avoid rate limiting
-                    await new Promise(resolve => setTimeout(resolve, 50));
-                } catch (error) {
-                    console.warn(`Failed to get time for task ${task.id}:`, error.message);
+                    const time = taskTime.get(String(mTask.id));
+                    if (time) {
+                        milestoneBillable += time.billable;
+                        milestoneNonBillable += time.nonbillable;
+                    }
+                });
+                
+                // A milestone's own budget takes precedence over the sum of its tasks
+                let milestoneBudgeted = parseFloat(milestone.budgeted || 0);
+                if (milestoneBudgeted <= 0) {
+                    milestoneBudgeted = tasksOfMilestone.reduce((sum, mTask) => sum + parseFloat(mTask.budgeted || 0), 0);
                 }
-            }
+                planBudgeted += milestoneBudgeted;
+                
+                return {
+                    id: milestone.id,
+                    title: milestone.title,
+                    billableHours: this.secondsToHours(milestoneBillable),
+                    nonBillableHours: this.secondsToHours(milestoneNonBillable),
+                    loggedHours: this.secondsToHours(milestoneBillable + milestoneNonBillable),
+                    budgetHours: this.secondsToHours(milestoneBudgeted)
+                };
+            });
 
-            // Get allocations for each milestone - try both milestone allocations and sub-task allocations
-            for (const milestone of milestones) {
-                try {
-                    // First try milestone allocations
-                    const milestoneAllocParams = new URLSearchParams({
-                        _fields: 'id,against,billable,nonbillable,logged,charged',
-                        _filters: `against_type(milestone),against_id(${milestone.id})`
-                    });
+            // Time on the milestones themselves is totalled from their allocations, which no list ceiling
+            // truncates; the per-milestone figures above come from the time entries
+            const milestoneDirect = milestoneAllocations || [...milestoneTime.values()].reduce((sum, time) => ({
+                billable: sum.billable + time.billable,
+                nonbillable: sum.nonbillable + time.nonbillable
+            }), { billable: 0, nonbillable: 0 });
+            totalBillable += milestoneDirect.billable;
+            totalNonBillable += milestoneDirect.nonbillable;
 
-                    const milestoneAlloc = await this.request(`/activities/allocations?${milestoneAllocParams}`).catch(() => null);
-                    
-                    if (milestoneAlloc?.response) {
-                        const allocation = Array.isArray(milestoneAlloc.response) 
-                            ? milestoneAlloc.response[0] 
-                            : milestoneAlloc.response;
-                        
-                        if (allocation) {
-                            const milestoneBillable = parseFloat(allocation.billable || 0);
-                            const milestoneNonBillable = parseFloat(allocation.nonbillable || 0);
-                            totalBillable += milestoneBillable;
-                            totalNonBillable += milestoneNonBillable;
-                            totalLogged += parseFloat(allocation.logged || 0);
-                            totalCharged += parseFloat(allocation.charged || 0);
-                            console.log(`Milestone "${milestone.title}": ${Math.round((milestoneBillable + milestoneNonBillable) / 3600 * 10) / 10}h`);
-                        }
-                    }
-                    
-                    // Also get tasks under this milestone
-                    const milestoneTasksParams = new URLSearchParams({
-                        _fields: 'id,title',
-                        _filters: `against_type(milestone),against_id(${milestone.id})`,
-                        _limit: 100
-                    });
-
-                    const milestoneTasksResponse = await this.request(`/tasks?${milestoneTasksParams}`).catch(() => ({ response: [] }));
-                    const milestoneTasks = milestoneTasksResponse?.response || [];
-                    
-                    // Get time for each task under the milestone
-                    for (const mTask of milestoneTasks) {
-                        const mTaskActivitiesParams = new URLSearchParams({
-                            _fields: 'id,billable,nonbillable',
-                            _filters: `against_type(task),against_id(${mTask.id}),type(time)`,
-                            _limit: 1000
-                        });
-
-                        const mTaskActivities = await this.request(`/activities?${mTaskActivitiesParams}`).catch(() => ({ response: [] }));
-                        if (mTaskActivities?.response && Array.isArray(mTaskActivities.response)) {
-                            let mTaskBillable = 0;
-                            let mTaskNonBillable = 0;
-                            
-                            mTaskActivities.response.forEach(activity => {
-                                mTaskBillable += parseFloat(activity.billable || 0);
-                                mTaskNonBillable += parseFloat(activity.nonbillable || 0);
-                            });
-                            
-                            if (mTaskBillable > 0 || mTaskNonBillable > 0) {
-                                totalBillable += mTaskBillable;
-                                totalNonBillable += mTaskNonBillable;
-                                totalLogged += mTaskBillable + mTaskNonBillable;
-                                console.log(`  Milestone task "${mTask.title}": ${Math.round((mTaskBillable + mTaskNonBillable) / 3600 * 10) / 10}h`);
-                            }
-                        }
-                    }
-                    
-                    // Small delay to avoid rate limiting
-                    await new Promise(resolve => setTimeout(resolve, 50));
-                } catch (error) {
-                    console.warn(`Failed to get allocations for milestone ${milestone.id}:`, error.message);
-                }
+            // Job-level budget wins; otherwise fall back to the project plan; otherwise no budget
+            let budgetSeconds = 0;
+            let budgetSource = null;
+            if (jobBudgeted > 0) {
+                budgetSeconds = jobBudgeted;
+                budgetSource = 'job';
+            } else if (planBudgeted > 0) {
+                budgetSeconds = planBudgeted;
+                budgetSource = 'plan';
             }
 
             // Convert seconds to hours
             const result = {
-                billableHours: Math.round(totalBillable / 3600 * 10) / 10,
-                nonBillableHours: Math.round(totalNonBillable / 3600 * 10) / 10,
-                loggedHours: Math.round((totalBillable + totalNonBillable) / 3600 * 10) / 10,
-                chargedHours: Math.round(totalCharged / 3600 * 10) / 10
+                billableHours: this.secondsToHours(totalBillable),
+                nonBillableHours: this.secondsToHours(totalNonBillable),
+                loggedHours: this.secondsToHours(totalBillable + totalNonBillable),
+                chargedHours: this.secondsToHours(totalCharged),
+                budgetHours: budgetSource ? this.secondsToHours(budgetSeconds) : null,
+                budgetSource: budgetSource,
+                tasks: taskBreakdown,
+                milestones: milestoneBreakdown,
+                truncated: truncated
             };
             
             console.log(`Project ${projectId} TOTAL hours:`, result);
@@ -533,123 +830,437 @@ class AcceloAPI {
                 billableHours: 0,
                 nonBillableHours: 0,
                 loggedHours: 0,
-                chargedHours: 0
+                chargedHours: 0,
+                budgetHours: null,
+                budgetSource: null,
+                tasks: [],
+                milestones: [],
+                truncated: false
             };
         }
     }
 
     /**
-     * Get current period usage for an agreement
+     * Iterate over a list endpoint page by page, following _offset until a short page
+     * Accelo's _offset is a page number, with at most 100 results per page
+     * @param {string} endpoint - e.g. '/jobs'
+     * @param {URLSearchParams|Object} params - Query params; _limit and _offset are set per page
+     * @param {Object} [options]
+     * @param {Function} [options.select] - Picks the items out of a response (default: response.response)
+     * @param {boolean} [options.cache] - false to skip the response cache
+     * @yields {Array} The items of each page
      */
-    async getAgreementUsage(agreementId) {
-        try {
-            const params = new URLSearchParams({
-                _fields: 'id,date_commenced,date_expires,contract_budget,allowance,budget_used,standing',
-                _limit: 50,
-                _order_by: 'date_commenced',
-                _order_by_desc: 1
-            });
+    async *paginate(endpoint, params = {}, { select = response => response?.response, cache = true } = {}) {
+        for (let page = 0; ; page++) {
+            const pageParams = new URLSearchParams(params);
+            pageParams.set('_limit', this.pageSize);
+            pageParams.set('_offset', page);
 
-            const response = await this.request(`/contracts/${agreementId}/periods?${params}`);
-            const periodsData = response?.response;
-            const periods = periodsData?.periods || [];
-            
-            // Handle empty or invalid response
-            if (!Array.isArray(periods) || periods.length === 0) {
-                console.log(`No periods found for agreement ${agreementId}`);
-                return null;
-            }
-            
-            // Find the current period (the one with standing "opened")
-            let currentPeriod = null;
-            
-            // First, look for an "opened" period
-            for (const period of periods) {
-                if (period.standing === 'opened') {
-                    currentPeriod = period;
-                    break;
-                }
-            }
-            
-            // If no opened period found, look for one that contains today's date
-            if (!currentPeriod) {
-                const now = Math.floor(Date.now() / 1000);
-                for (const period of periods) {
-                    const startDate = parseInt(period.date_commenced);
-                    const endDate = parseInt(period.date_expires);
-                    
-                    if (now >= startDate && now <= endDate) {
-                        currentPeriod = period;
-                        break;
-                    }
-                }
+            const response = await this.request(`${endpoint}?${pageParams}`, cache ? {} : { cache: false });
+            const items = select(response);
+            const pageItems = Array.isArray(items) ? items : [];
+            yield pageItems;
+
+            if (pageItems.length < this.pageSize) {
+                return;
             }
-            
-            // If still no current period found, use the most recent one
-            if (!currentPeriod && periods.length > 0) {
-                currentPeriod = periods[0];
+        }
+    }
+
+    /**
+     * Collect a paginated list, stopping at a ceiling
+     * @param {string} endpoint
+     * @param {URLSearchParams|Object} params
+     * @param {Object} [options] - paginate() options, plus:
+     * @param {number} [options.maxItems] - Ceiling (default maxListItems)
+     * @returns {Promise<{items: Array, truncated: boolean}>} truncated is true when more items may exist beyond the ceiling
+     */
+    async listAll(endpoint, params = {}, { maxItems = this.maxListItems, ...options } = {}) {
+        const items = [];
+        let truncated = false;
+
+        for await (const page of this.paginate(endpoint, params, options)) {
+            items.push(...page);
+
+            if (items.length >= maxItems) {
+                truncated = items.length > maxItems || page.length === this.pageSize;
+                break;
             }
-            
-            if (!currentPeriod) {
-                return null;
+        }
+
+        if (truncated) {
+            console.warn(`[PAGINATION] ${endpoint} stopped at ${maxItems} items - results are truncated`);
+        }
+
+        return { items: items.slice(0, maxItems), truncated };
+    }
+
+    /**
+     * listAll() for methods that return a plain array
+     * @returns {Promise<Array>} The items, with `truncated: true` set on the array if the ceiling was hit
+     */
+    async listItems(endpoint, params, options = {}) {
+        const { items, truncated } = await this.listAll(endpoint, params, {
+            ...options,
+            maxItems: options.maxItems || this.maxListItems
+        });
+
+        if (truncated) {
+            items.truncated = true;
+        }
+        return items;
+    }
+
+    /**
+     * Fetch items logged against any of the given objects, batching IDs into as few filters as possible
+     * @param {string} endpoint - e.g. '/tasks' or '/activities'
+     * @param {string} againstType - e.g. 'task' or 'milestone'
+     * @param {Array} ids - Object IDs
+     * @param {string} fields - _fields to request
+     * @param {string} [extraFilters] - Additional filters, e.g. 'type(time)'
+     * @param {number} [maxItems] - Ceiling per batch
+     * @returns {Promise<{items: Array, truncated: boolean}>} All matching items
+     */
+    async getItemsAgainst(endpoint, againstType, ids, fields, extraFilters = '', maxItems = this.maxListItems) {
+        const batchSize = 50; // Keeps the filter (and URL) a reasonable length
+        const batches = [];
+
+        for (let i = 0; i < ids.length; i += batchSize) {
+            const filters = [`against_type(${againstType})`, `against_id(${ids.slice(i, i + batchSize).join(',')})`];
+            if (extraFilters) {
+                filters.push(extraFilters);
             }
-            
-            // Determine the period budget type and handle accordingly
-            let budgetType = 'none'; // 'time', 'value', or 'none'
-            let timeAllowance = 0;
-            let timeUsed = 0;
-            let valueAllowance = 0;
-            let valueUsed = 0;
-            
-            // Check for time budget - must have meaningful billable allowance
-            if (currentPeriod.allowance && currentPeriod.allowance.billable && parseFloat(currentPeriod.allowance.billable) > 0) {
-                budgetType = 'time';
-                timeAllowance = parseFloat(currentPeriod.allowance.billable) / 3600;
-                
-                if (currentPeriod.budget_used && currentPeriod.budget_used.value) {
-                    timeUsed = parseFloat(currentPeriod.budget_used.value) / 3600;
-                }
+
+            batches.push(this.listAll(endpoint, new URLSearchParams({
+                _fields: fields,
+                _filters: filters.join(',')
+            }), { maxItems }));
+        }
+
+        const results = await Promise.all(batches);
+        return {
+            items: results.flatMap(result => result.items),
+            truncated: results.some(result => result.truncated)
+        };
+    }
+
+    /**
+     * Get time activities logged directly against the given tasks or milestones
+     */
+    async getTimeActivities(againstType, ids) {
+        try {
+            return await this.getItemsAgainst('/activities', againstType, ids, 'id,against_type,against_id,billable,nonbillable', 'type(time)', this.maxActivityItems);
+        } catch (error) {
+            console.warn(`Failed to get time for ${againstType}s:`, error.message);
+            return { items: [], truncated: false };
+        }
+    }
+
+    /**
+     * Get the records time on a project is logged against: the job, its tasks (including milestone tasks) and its milestones
+     * @returns {Promise<{targets: Array, truncated: boolean}>} targets as [againstType, ids] pairs
+     */
+    async getProjectTimeTargets(id) {
+        const emptyList = { items: [], truncated: false };
+        const [tasksList, milestonesList] = await Promise.all([
+            this.listAll('/tasks', new URLSearchParams({ _fields: 'id', _filters: `against_type(job),against_id(${id})` })).catch(() => emptyList),
+            this.listAll(`/jobs/${id}/milestones`, new URLSearchParams({ _fields: 'id' })).catch(() => emptyList)
+        ]);
+        const milestoneIds = milestonesList.items.map(milestone => milestone.id);
+        const milestoneTasksList = await this.getItemsAgainst('/tasks', 'milestone', milestoneIds, 'id').catch(() => emptyList);
+
+        return {
+            targets: [
+                ['job', [id]],
+                ['task', [...tasksList.items, ...milestoneTasksList.items].map(task => task.id)],
+                ['milestone', milestoneIds]
+            ],
+            truncated: [tasksList, milestonesList, milestoneTasksList].some(list => list.truncated)
+        };
+    }
+
+    /**
+     * Get time logged on a project (including its tasks and milestones), an agreement or an issue, with the date it was logged
+     * Used to rebuild progress history and to measure burn rate
+     * @param {string} type - 'project', 'agreement' or 'issue'
+     * @param {number|string} id
+     * @param {Object} [options]
+     * @param {Date|number} [options.since] - Only time logged after this date
+     * @returns {Promise<{entries: Array<{loggedAt: number, seconds: number, value: number}>, truncated: boolean}>} entries oldest first, loggedAt in ms, value the billable time at its charged rate
+     */
+    async getTimeEntries(type, id, { since } = {}) {
+        // Which records the time is logged against depends on the item type
+        const { targets, truncated } = await ItemTypes.get(type).fetchTimeTargets(id, this);
+
+        const filters = ['type(time)'];
+        if (since) {
+            filters.push(`date_logged_after(${Math.floor(new Date(since).getTime() / 1000)})`);
+        }
+
+        const results = await Promise.all(targets
+            .filter(([, ids]) => ids.length > 0)
+            .map(([againstType, ids]) => this.getItemsAgainst('/activities', againstType, ids,
+                'id,date_logged,billable,nonbillable,rate_charged', filters.join(','), this.maxActivityItems)));
+
+        const entries = results
+            .flatMap(result => result.items)
+            .map(activity => ({
+                loggedAt: parseInt(activity.date_logged, 10) * 1000,
+                seconds: parseFloat(activity.billable || 0) + parseFloat(activity.nonbillable || 0),
+                // Billable time at the hourly rate it was charged at
+                value: parseFloat(activity.billable || 0) / 3600 * parseFloat(activity.rate_charged || 0)
+            }))
+            .filter(entry => entry.loggedAt > 0 && entry.seconds > 0)
+            .sort((a, b) => a.loggedAt - b.loggedAt);
+
+        return {
+            entries,
+            truncated: truncated || results.some(result => result.truncated)
+        };
+    }
+
+    /**
+     * Find which of the given dashboard items changed in Accelo since a time, for incremental refresh:
+     * - Records modified since then (budgets, status, dates), from each item type's acceloResource
+     * - Time logged or edited since then against them, or against records that count towards them,
+     *   e.g. a project's tasks and milestones (see the findChangedIds item type hook)
+     * On a quiet deployment this costs a request per item type and two for time, however many items are asked about.
+     * @param {Object} options
+     * @param {Array} [options.projectIds] - IDs per item type, as `${type}Ids`, e.g. projectIds, agreementIds, issueIds
+     * @param {Date|number|string} options.since
+     * @returns {Promise<Object>} A Set of changed IDs (as strings) per item type listKey, e.g. { projects, agreements,
+     *     issues }, and truncated: true when there were too many changes to list, and everything should be refreshed
+     */
+    async getChangedItems({ since, ...idsByType }) {
+        const sinceSeconds = Math.floor(new Date(since).getTime() / 1000);
+        const live = { cache: false };
+        const types = ItemTypes.all();
+        const idsOf = itemType => (idsByType[`${itemType.type}Ids`] || []).map(String);
+        const listActivities = filter => this.listAll('/activities', new URLSearchParams({
+            _fields: 'id,against_type,against_id',
+            _filters: `type(time),${filter}(${sinceSeconds})`
+        }), { ...live, maxItems: this.maxActivityItems });
+
+        // Logged time can be backdated, so look for activities both logged and modified since the last sync
+        const [modifiedLists, logged, modified] = await Promise.all([
+            Promise.all(types.map(itemType => this.getItemsById(`/${itemType.acceloResource}`, idsOf(itemType), 'id', `date_modified_after(${sinceSeconds})`, live))),
+            listActivities('date_logged_after'),
+            listActivities('date_modified_after')
+        ]);
+        const lists = [...modifiedLists, logged, modified];
+
+        const changed = new Map(types.map((itemType, index) => [itemType.type, new Set(modifiedLists[index].items.map(record => String(record.id)))]));
+        const againstIds = {}; // against_type -> Set of IDs, for records that are not an item type
+        [...logged.items, ...modified.items].forEach(activity => {
+            const id = String(activity.against_id);
+            const itemType = types.find(type => type.acceloType === activity.against_type);
+            if (itemType) {
+                changed.get(itemType.type).add(id);
+            } else {
+                (againstIds[activity.against_type] = againstIds[activity.against_type] || new Set()).add(id);
             }
-            // Check for value budget - must have meaningful value/amount allowance
-            else if (currentPeriod.allowance && 
-                     ((currentPeriod.allowance.value && parseFloat(currentPeriod.allowance.value) > 0) || 
-                      (currentPeriod.allowance.amount && parseFloat(currentPeriod.allowance.amount) > 0))) {
-                budgetType = 'value';
-                valueAllowance = parseFloat(currentPeriod.allowance.value || currentPeriod.allowance.amount || 0);
-                
-                if (currentPeriod.budget_used && currentPeriod.budget_used.amount) {
-                    valueUsed = parseFloat(currentPeriod.budget_used.amount);
-                }
+        });
+
+        // Time on other records counts towards the items their type says, e.g. a task's job
+        const getById = async (resource, ids, fields) => {
+            const list = await this.getItemsById(`/${resource}`, ids, fields, '', live);
+            lists.push(list);
+            return list.items;
+        };
+        const found = await Promise.all(types.map(itemType => itemType.findChangedIds(againstIds, getById)));
+        types.forEach((itemType, index) => found[index].forEach(id => changed.get(itemType.type).add(String(id))));
+
+        return {
+            ...Object.fromEntries(types.map(itemType => [
+                itemType.listKey,
+                new Set(idsOf(itemType).filter(id => changed.get(itemType.type).has(id)))
+            ])),
+            truncated: lists.some(list => list.truncated)
+        };
+    }
+
+    /**
+     * Fetch items by ID, batching IDs into as few filters as possible
+     * @param {string} endpoint - e.g. '/jobs'
+     * @param {Array} ids
+     * @param {string} fields - _fields to request
+     * @param {string} [extraFilters] - Additional filters, e.g. 'date_modified_after(1700000000)'
+     * @param {Object} [options] - listAll() options
+     * @returns {Promise<{items: Array, truncated: boolean}>}
+     */
+    async getItemsById(endpoint, ids, fields, extraFilters = '', options = {}) {
+        const batchSize = 50; // Keeps the filter (and URL) a reasonable length
+        const batches = [];
+
+        for (let i = 0; i < ids.length; i += batchSize) {
+            const filters = [`id(${ids.slice(i, i + batchSize).join(',')})`];
+            if (extraFilters) {
+                filters.push(extraFilters);
             }
-            // For agreements with no budget (Period Budget = "Off"), we still want to track time worked
-            else {
-                budgetType = 'none';
-                // For no-budget agreements, get time worked from budget_used
-                if (currentPeriod.budget_used && currentPeriod.budget_used.value) {
-                    timeUsed = parseFloat(currentPeriod.budget_used.value) / 3600;
-                }
+
+            batches.push(this.listAll(endpoint, new URLSearchParams({
+                _fields: fields,
+                _filters: filters.join(',')
+            }), options));
+        }
+
+        const results = await Promise.all(batches);
+        return {
+            items: results.flatMap(result => result.items),
+            truncated: results.some(result => result.truncated)
+        };
+    }
+
+    /**
+     * Get the Accelo timers that are running right now
+     * @returns {Promise<Array<{id: number, againstType: string, againstId: number, seconds: number}>>}
+     */
+    async getRunningTimers() {
+        const params = new URLSearchParams({
+            _fields: 'id,subject,against_type,against_id,seconds,running,status'
+        });
+
+        const { items } = await this.listAll('/timers', params, { cache: false });
+        return items
+            // Running timers are flagged with "running", or a "running" status on some deployments
+            .filter(timer => timer.running === true || timer.running === '1' || timer.status === 'running')
+            .map(timer => ({
+                id: parseInt(timer.id, 10),
+                againstType: timer.against_type,
+                againstId: parseInt(timer.against_id, 10),
+                seconds: parseInt(timer.seconds, 10) || 0
+            }));
+    }
+
+    /**
+     * Measure how fast time is being logged on a project, agreement or issue (see Forecast.getBurnRate)
+     * @param {string} type - 'project', 'agreement' or 'issue'
+     * @param {number|string} id
+     * @param {Object} [options]
+     * @param {string} [options.periodStart] - For value budgets: also total the hours logged since the period started
+     * @returns {Promise<Object>} Burn rate, with truncated when not all time entries could be loaded
+     */
+    async getBurnRate(type, id, { periodStart } = {}) {
+        const now = Date.now();
+        let since = now - Forecast.WINDOW_DAYS * 24 * 60 * 60 * 1000;
+        if (periodStart) {
+            since = Math.min(since, new Date(periodStart + 'T00:00:00').getTime());
+        }
+
+        const { entries, truncated } = await this.getTimeEntries(type, id, { since });
+        return {
+            ...Forecast.getBurnRate(entries, { now, periodStart }),
+            truncated
+        };
+    }
+
+    /**
+     * Get the combined allocations of a set of tasks or milestones, batching IDs as getItemsAgainst does
+     * Accelo answers each batch with a single aggregate record
+     * @param {string} againstType - 'task' or 'milestone'
+     * @param {Array} ids - Object IDs
+     * @returns {Promise<{billable: number, nonbillable: number, charged: number}|null>} Seconds; null when
+     *   there are no IDs or a batch could not be read
+     */
+    async getAllocations(againstType, ids) {
+        if (ids.length === 0) {
+            return null;
+        }
+
+        const batchSize = 50;
+        const batches = [];
+        for (let i = 0; i < ids.length; i += batchSize) {
+            const params = new URLSearchParams({
+                _fields: 'id,against,billable,nonbillable,logged,charged',
+                _filters: `against_type(${againstType}),against_id(${ids.slice(i, i + batchSize).join(',')})`
+            });
+            batches.push(this.request(`/activities/allocations?${params}`)
+                .then(response => (Array.isArray(response?.response) ? response.response[0] : response?.response))
+                .catch(() => null));
+        }
+
+        const allocations = await Promise.all(batches);
+        if (allocations.some(allocation => !allocation)) {
+            return null;
+        }
+        return allocations.reduce((sum, allocation) => ({
+            billable: sum.billable + parseFloat(allocation.billable || 0),
+            nonbillable: sum.nonbillable + parseFloat(allocation.nonbillable || 0),
+            charged: sum.charged + parseFloat(allocation.charged || 0)
+        }), { billable: 0, nonbillable: 0, charged: 0 });
+    }
+
+    /**
+     * Sum billable/non-billable seconds per against_id
+     * @returns {Map<string, {billable: number, nonbillable: number}>}
+     */
+    groupActivityTime(activities) {
+        const grouped = new Map();
+
+        activities.forEach(activity => {
+            const key = String(activity.against_id);
+            const time = grouped.get(key) || { billable: 0, nonbillable: 0 };
+            time.billable += parseFloat(activity.billable || 0);
+            time.nonbillable += parseFloat(activity.nonbillable || 0);
+            grouped.set(key, time);
+        });
+
+        return grouped;
+    }
+
+    secondsToHours(seconds) {
+        return Math.round(seconds / 3600 * 10) / 10;
+    }
+
+    /**
+     * Get all periods of an agreement, newest first
+     * @returns {Promise<{items: Array, truncated: boolean}>}
+     */
+    async getAgreementPeriods(agreementId) {
+        const params = new URLSearchParams({
+            _fields: 'id,date_commenced,date_expires,contract_budget,allowance,budget_used,standing',
+            _order_by: 'date_commenced',
+            _order_by_desc: 1
+        });
+
+        // Periods come back as response.periods rather than a plain list
+        return this.listAll(`/contracts/${agreementId}/periods`, params, {
+            select: response => response?.response?.periods
+        });
+    }
+
+    /**
+     * Get current period usage for an agreement (normalized by src/agreement-usage.js)
+     */
+    async getAgreementUsage(agreementId) {
+        try {
+            const { items: periods, truncated } = await this.getAgreementPeriods(agreementId);
+
+            const usage = AgreementUsage.getAgreementUsage(periods);
+            if (!usage) {
+                console.log(`No periods found for agreement ${agreementId}`);
+                return null;
             }
-            
-            const timeRemaining = timeAllowance - timeUsed;
-            const valueRemaining = valueAllowance - valueUsed;
-            
-            return {
-                budgetType: budgetType,
-                periodStart: new Date(parseInt(currentPeriod.date_commenced) * 1000).toISOString().split('T')[0],
-                periodEnd: new Date(parseInt(currentPeriod.date_expires) * 1000).toISOString().split('T')[0],
-                timeAllowance: Math.round(timeAllowance * 10) / 10,
-                timeUsed: Math.round(timeUsed * 10) / 10,
-                timeRemaining: Math.round(timeRemaining * 10) / 10,
-                valueAllowance: Math.round(valueAllowance * 100) / 100,
-                valueUsed: Math.round(valueUsed * 100) / 100,
-                valueRemaining: Math.round(valueRemaining * 100) / 100
-            };
+
+            return { ...usage, truncated };
         } catch (error) {
             console.error(`Failed to get agreement usage for ${agreementId}:`, error);
             return null;
         }
     }
 
+    /**
+     * Get usage for every started period of an agreement, oldest first, for the expanded view
+     * @returns {Promise<{periods: Array, truncated: boolean}>}
+     */
+    async getAgreementPeriodHistory(agreementId) {
+        const { items, truncated } = await this.getAgreementPeriods(agreementId);
+        return {
+            periods: AgreementUsage.getPeriodHistory(items),
+            truncated
+        };
+    }
+
     /**
      * Get all data for dashboard
      */
@@ -668,38 +1279,33 @@ class AcceloAPI {
                     this.getAgreements(companyId, { standing: 'active' })
                 ]);
                 
-                // Get hours for each project with rate limiting
-                const projectsWithHours = [];
-                for (const project of projects) {
-                    try {
-                        const hours = await this.getProjectHours(project.id);
-                        projectsWithHours.push({ ...project, hours });
-                        // Small delay to avoid rate limiting
-                        await new Promise(resolve => setTimeout(resolve, 100));
-                    } catch (error) {
-                        console.error(`Failed to get hours for project ${project.id}:`, error);
-                        projectsWithHours.push({ ...project, hours: null });
-                    }
-                }
-                
-                // Get usage for each agreement with rate limiting
-                const agreementsWithUsage = [];
-                for (const agreement of agreements) {
-                    try {
-                        const usage = await this.getAgreementUsage(agreement.id);
-                        agreementsWithUsage.push({ ...agreement, usage });
-                        // Small delay to avoid rate limiting
-                        await new Promise(resolve => setTimeout(resolve, 100));
-                    } catch (error) {
-                        console.error(`Failed to get usage for agreement ${agreement.id}:`, error);
-                        agreementsWithUsage.push({ ...agreement, usage: null });
-                    }
-                }
+                // Get hours and usage for every item - the request queue handles rate limiting
+                const [projectsWithHours, agreementsWithUsage] = await Promise.all([
+                    Promise.all(projects.map(async (project) => {
+                        try {
+                            const hours = await this.getProjectHours(project.id);
+                            return { ...project, hours };
+                        } catch (error) {
+                            console.error(`Failed to get hours for project ${project.id}:`, error);
+                            return { ...project, hours: null };
+                        }
+                    })),
+                    Promise.all(agreements.map(async (agreement) => {
+                        try {
+                            const usage = await this.getAgreementUsage(agreement.id);
+                            return { ...agreement, usage };
+                        } catch (error) {
+                            console.error(`Failed to get usage for agreement ${agreement.id}:`, error);
+                            return { ...agreement, usage: null };
+                        }
+                    }))
+                ]);
                 
                 data.push({
                     company,
                     projects: projectsWithHours,
-                    agreements: agreementsWithUsage
+                    agreements: agreementsWithUsage,
+                    truncated: Boolean(projects.truncated || agreements.truncated)
                 });
             } catch (error) {
                 console.error(`Failed to load data for company ${companyId}:`, error);
@@ -769,7 +1375,7 @@ class AcceloAPI {
     }
 
     /**
-     * Get projects and agreements for selected companies
+     * Get projects, agreements and open issues for selected companies
      */
     async getProjectsAndAgreements(companyIds = []) {
         try {
@@ -782,10 +1388,11 @@ class AcceloAPI {
                 
                 if (!company) continue;
                 
-                // Get projects and agreements for this company
-                const [projects, agreements] = await Promise.all([
+                // Get projects, agreements and issues still waiting to be resolved for this company
+                const [projects, agreements, issues] = await Promise.all([
                     this.getProjects(companyId, { standing: 'active' }),
-                    this.getAgreements(companyId, { standing: 'active' })
+                    this.getAgreements(companyId, { standing: 'active' }),
+                    this.getIssues(companyId, { standing: 'submitted,open' })
                 ]);
                 
                 // Add company info to each project
@@ -802,14 +1409,20 @@ class AcceloAPI {
                     type: 'agreement'
                 }));
                 
+                // Add company info to each issue
+                const issuesWithCompany = issues.map(issue => ({
+                    ...issue,
+                    company_info: company,
+                    type: 'issue'
+                }));
+                
                 results.push({
                     company,
                     projects: projectsWithCompany,
-                    agreements: agreementsWithCompany
+                    agreements: agreementsWithCompany,
+                    issues: issuesWithCompany,
+                    truncated: Boolean(projects.truncated || agreements.truncated || issues.truncated)
                 });
-                
-                // Small delay to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 100));
             }
             
             return results;
@@ -0,0 +1,259 @@
+/**
+ * Chat page functionality
+ * Sends the conversation to /api/chat/messages and turns item links in answers
+ * ([Title](item:project/123)) into links to the dashboards that contain them
+ */
+import RenderManager from './managers/render-manager.js';
+
+const STORAGE_KEY = 'chat_conversation'; // Session storage, so a reload keeps the conversation
+const ITEM_LINK_PATTERN = /\[([^\]]+)\]\(item:(company|project|agreement)\/(\d+)\)/g;
+
+class ChatPage {
+    constructor() {
+        this.messages = []; // [{ role, content }]
+        this.isSending = false;
+        this.itemIndex = null; // "type_id" -> first dashboard containing it
+
+        // Used for Accelo URLs of items that are not on any dashboard
+        this.renderManager = new RenderManager(null);
+    }
+
+    /**
+     * Initialize the chat page
+     */
+    async init() {
+        this.restoreConversation();
+        this.setupEventListeners();
+        this.renderMessages();
+
+        await Promise.all([
+            this.loadProvider(),
+            window.acceloAPI.init().catch(error => {
+                console.warn('Accelo API not available:', error.message);
+            }),
+            this.loadItemIndex()
+        ]);
+
+        // Links can be resolved now that dashboards are loaded
+        this.renderMessages();
+        document.getElementById('chatInput').focus();
+    }
+
+    setupEventListeners() {
+        const input = document.getElementById('chatInput');
+
+        input.addEventListener('keydown', (e) => {
+            // Enter sends, Shift+Enter adds a new line
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.sendMessage();
+            }
+        });
+
+        input.addEventListener('input', () => {
+            input.style.height = 'auto';
+            input.style.height = `${Math.min(input.scrollHeight, 160)}px`;
+        });
+    }
+
+    async loadProvider() {
+        try {
+            const response = await fetch('/api/chat/provider');
+            const provider = await response.json();
+            const badge = document.getElementById('chatProvider');
+            badge.textContent = provider.name === 'stub' ? 'Local stub provider' : `${provider.name} · ${provider.model}`;
+            badge.title = provider.name === 'stub'
+                ? 'Answers come from a built-in rule-based responder. Set CHAT_PROVIDER in .env to use a language model.'
+                : `Answers come from ${provider.model}`;
+        } catch (error) {
+            console.warn('Failed to load chat provider:', error);
+        }
+    }
+
+    /**
+     * Map every item and company on the saved dashboards to the first dashboard that contains it
+     */
+    async loadItemIndex() {
+        try {
+            await window.dashboardManager.init();
+            const dashboards = window.dashboardManager.getAllDashboards();
+            const results = await Promise.all(dashboards.map(dashboard =>
+                window.dashboardManager.loadDashboardData(dashboard.id)
+                    .then(data => ({ dashboard, items: data?.dashboardData || [] }))
+                    .catch(() => ({ dashboard, items: [] }))
+            ));
+
+            const index = new Map();
+            results.forEach(({ dashboard, items }) => {
+                items.forEach(item => {
+                    const type = this.renderManager.getItemType(item);
+                    const companyId = item.company_id || item.company_info?.id;
+                    [`${type}_${item.id}`, `company_${companyId}`].forEach(key => {
+                        if (!index.has(key)) {
+                            index.set(key, dashboard);
+                        }
+                    });
+                });
+            });
+            this.itemIndex = index;
+        } catch (error) {
+            console.warn('Failed to load dashboards for chat links:', error);
+            this.itemIndex = new Map();
+        }
+    }
+
+    /**
+     * Send the input (or a suggestion) as the next user message
+     * @param {string} [text] - Message text; defaults to the input's value
+     */
+    async sendMessage(text) {
+        const input = document.getElementById('chatInput');
+        const content = (text ?? input.value).trim();
+        if (!content || this.isSending) {
+            return;
+        }
+
+        this.messages.push({ role: 'user', content });
+        input.value = '';
+        input.style.height = 'auto';
+        this.setSending(true);
+        this.renderMessages();
+
+        try {
+            const response = await fetch('/api/chat/messages', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ messages: this.messages })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error([result.message || result.error, result.action].filter(Boolean).join('. '));
+            }
+
+            this.messages.push({ role: 'assistant', content: result.message.content, toolCalls: result.toolCalls });
+        } catch (error) {
+            console.error('Chat request failed:', error);
+            this.messages.push({ role: 'assistant', content: `Sorry, something went wrong: ${error.message}`, isError: true });
+        } finally {
+            this.setSending(false);
+            this.saveConversation();
+            this.renderMessages();
+            input.focus();
+        }
+    }
+
+    setSending(isSending) {
+        this.isSending = isSending;
+        document.getElementById('chatSendBtn').disabled = isSending;
+    }
+
+    /**
+     * Start a new conversation
+     */
+    clearConversation() {
+        this.messages = [];
+        this.saveConversation();
+        this.renderMessages();
+        document.getElementById('chatInput').focus();
+    }
+
+    restoreConversation() {
+        try {
+            this.messages = JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || [];
+        } catch (error) {
+            this.messages = [];
+        }
+    }
+
+    saveConversation() {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(this.messages));
+    }
+
+    renderMessages() {
+        const container = document.getElementById('chatMessages');
+        const suggestions = document.getElementById('chatSuggestions');
+
+        suggestions.style.display = this.messages.length === 0 ? '' : 'none';
+
+        container.innerHTML = this.messages.map(message => {
+            const body = message.role === 'user'
+                ? UIComponents.escapeHtml(message.content).replace(/\n/g, '<br>')
+                : this.formatAnswer(message.content);
+            const tools = message.toolCalls?.length
+                ? `<div class="chat-message-tools">Looked up: ${message.toolCalls.map(call => UIComponents.escapeHtml(call.name)).join(', ')}</div>`
+                : '';
+
+            return `
+                <div class="chat-message chat-message-${message.role}${message.isError ? ' chat-message-error' : ''}">
+                    <div class="chat-message-body">${body}</div>
+                    ${tools}
+                </div>`;
+        }).join('');
+
+        if (this.isSending) {
+            container.insertAdjacentHTML('beforeend', `
+                <div class="chat-message chat-message-assistant chat-message-pending">
+                    <div class="chat-message-body"><span></span><span></span><span></span></div>
+                </div>`);
+        }
+
+        container.scrollTop = container.scrollHeight;
+    }
+
+    /**
+     * Render an answer: escaped text with item links, bold text and bullet lists
+     */
+    formatAnswer(content) {
+        const lines = UIComponents.escapeHtml(content)
+            .replace(ITEM_LINK_PATTERN, (match, title, type, id) => this.renderItemLink(title, type, id))
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            .split('\n');
+
+        let html = '';
+        let inList = false;
+        lines.forEach(line => {
+            const item = line.match(/^\s*[-*]\s+(.*)$/);
+            if (item && !inList) {
+                html += '<ul>';
+                inList = true;
+            } else if (!item && inList) {
+                html += '</ul>';
+                inList = false;
+            }
+
+            if (item) {
+                html += `<li>${item[1]}</li>`;
+            } else if (line.trim()) {
+                html += `<p>${line}</p>`;
+            }
+        });
+        return inList ? html + '</ul>' : html;
+    }
+
+    /**
+     * Link to the dashboard that holds the item, or to Accelo when no dashboard does
+     */
+    renderItemLink(title, type, id) {
+        const dashboard = this.itemIndex?.get(`${type}_${id}`);
+        if (dashboard) {
+            const href = `/?dashboard=${encodeURIComponent(dashboard.id)}&item=${type}_${id}`;
+            return `<a href="${href}" class="chat-item-link" title="Open on ${UIComponents.escapeHtml(dashboard.name)}"><i class="fa-solid fa-chart-simple"></i>${title}</a>`;
+        }
+
+        const deployment = window.acceloAPI?.deployment;
+        const href = type === 'company'
+            ? (deployment ? `https://${deployment}.accelo.com/?action=view_company&id=${id}` : '#')
+            : this.renderManager.createAcceloUrl(id, type);
+        return `<a href="${href}" target="_blank" class="chat-item-link chat-item-link-external" title="Open in Accelo">${title}</a>`;
+    }
+}
+
+// Initialize chat page on load
+const chatPage = new ChatPage();
+document.addEventListener('DOMContentLoaded', () => {
+    chatPage.init();
+});
+
+// Export to window for access from HTML
+window.chatPage = chatPage;
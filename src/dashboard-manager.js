@@ -1,11 +1,44 @@
 /**
  * Dashboard Manager - Handles multiple dashboards
+ * Dashboards are stored on the server (/api/dashboards) so they can be shared
+ * between browsers and machines. Only the current dashboard ID is kept locally.
  */
 
+// Portable export format (see exportDashboards)
+const BUNDLE_FORMAT = 'accelo-dashboard-bundle';
+const BUNDLE_VERSION = 1;
+
+// Per-dashboard settings, stored with the dashboard metadata
+const DEFAULT_DASHBOARD_SETTINGS = {
+    autoRefreshMinutes: 0 // Background refresh interval; 0 = off
+};
+
+// Progress block filters and sort (see FilterManager), stored as the "filters" setting; '' = no filter
+const DEFAULT_DASHBOARD_FILTERS = {
+    type: '', // Registered item type, e.g. 'project'
+    budgetType: '', // 'time', 'value' or 'none'
+    status: '', // 'on-track', 'warning' or 'over'
+    manager: '',
+    standing: '',
+    sort: '', // 'percentage', 'remaining', 'due' or 'title'; '' = dashboard order
+    search: '' // Matched against titles
+};
+
 class DashboardManager {
     constructor() {
         this.dashboards = [];
         this.currentDashboardId = null;
+
+        // Per-dashboard data saves: the request in flight and the latest data waiting behind it
+        this.inFlightSaves = new Map();
+        this.queuedSaves = new Map();
+
+        // Revision of each dashboard's data as last loaded or saved here, sent with saves (If-Match)
+        // so the server refuses a save that would overwrite changes made in another browser
+        this.dataRevisions = new Map();
+
+        // Each dashboard's data as last loaded or saved here: what a refused save is merged from (see rebaseData)
+        this.savedData = new Map();
     }
 
     /**
@@ -14,7 +47,7 @@ class DashboardManager {
     async init() {
         await this.loadDashboards();
         await this.migrateOldData();
-        
+
         // Ensure we have at least one dashboard
         if (this.dashboards.length === 0) {
             await this.createDashboard('Main Dashboard');
@@ -22,102 +55,170 @@ class DashboardManager {
     }
 
     /**
-     * Load dashboards from localStorage
+     * Call a dashboards API route
+     * @returns {Promise<Object>} The parsed JSON response
+     */
+    async apiRequest(path, { method = 'GET', body, headers = {}, keepalive = false } = {}) {
+        const response = await fetch(`/api/dashboards${path}`, {
+            method: method,
+            headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+            body: body ? JSON.stringify(body) : undefined,
+            keepalive: keepalive
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(result.message || result.error || `Dashboard request failed: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return result;
+    }
+
+    /**
+     * Load dashboards from the server
      */
     async loadDashboards() {
-        try {
-            const dashboardsData = localStorage.getItem('dashboards_index');
-            if (dashboardsData) {
-                const data = JSON.parse(dashboardsData);
-                this.dashboards = data.dashboards || [];
-                this.currentDashboardId = data.currentDashboardId || null;
-            }
-        } catch (error) {
-            console.error('Failed to load dashboards:', error);
-            this.dashboards = [];
-            this.currentDashboardId = null;
+        const data = await this.apiRequest('');
+        this.dashboards = data.dashboards || [];
+        this.currentDashboardId = localStorage.getItem('current_dashboard_id');
+
+        // The current dashboard may have been deleted from another browser
+        if (this.currentDashboardId && !this.getDashboard(this.currentDashboardId)) {
+            this.currentDashboardId = this.dashboards[0]?.id || null;
         }
     }
 
     /**
-     * Save dashboards to localStorage
+     * Save dashboard metadata (names, last accessed, order) to the server
      */
-    saveDashboards() {
-        const data = {
-            dashboards: this.dashboards,
-            currentDashboardId: this.currentDashboardId,
-            lastUpdated: new Date().toISOString()
-        };
-        localStorage.setItem('dashboards_index', JSON.stringify(data));
+    async saveDashboards() {
+        const data = await this.apiRequest('', {
+            method: 'PUT',
+            body: { dashboards: this.dashboards },
+            keepalive: true
+        });
+        this.dashboards = data.dashboards || this.dashboards;
     }
 
     /**
      * Create a new dashboard
+     * @param {string} name
+     * @param {boolean} [setAsCurrent=true]
+     * @param {Object} [initial] - Existing id, createdAt, lastAccessed and data (used when uploading local dashboards)
      */
-    async createDashboard(name, setAsCurrent = true) {
-        const id = Date.now().toString();
-        const dashboard = {
-            id: id,
-            name: name,
-            createdAt: new Date().toISOString(),
-            lastUpdated: new Date().toISOString()
-        };
+    async createDashboard(name, setAsCurrent = true, initial = {}) {
+        const dashboard = await this.apiRequest('', {
+            method: 'POST',
+            body: {
+                ...initial,
+                name: name
+            }
+        });
 
         this.dashboards.push(dashboard);
-        
+
         if (setAsCurrent) {
-            this.currentDashboardId = id;
+            this.setCurrentDashboard(dashboard.id);
         }
 
-        // Initialize empty dashboard data
-        const dashboardData = {
-            dashboardData: [],
-            companyOrder: [],
-            companyColors: {},
-            lastUpdated: new Date().toISOString()
-        };
-        
-        localStorage.setItem(`dashboard_data_${id}`, JSON.stringify(dashboardData));
-        this.saveDashboards();
-        
         return dashboard;
     }
 
     /**
      * Delete a dashboard
      */
-    deleteDashboard(dashboardId) {
+    async deleteDashboard(dashboardId) {
         // Don't delete the last dashboard
         if (this.dashboards.length <= 1) {
             throw new Error('Cannot delete the last dashboard');
         }
 
+        await this.apiRequest(`/${encodeURIComponent(dashboardId)}`, { method: 'DELETE' });
+
         // Remove from dashboards array
         this.dashboards = this.dashboards.filter(d => d.id !== dashboardId);
-        
-        // Remove dashboard data
-        localStorage.removeItem(`dashboard_data_${dashboardId}`);
-        
+
         // If this was the current dashboard, switch to another
         if (this.currentDashboardId === dashboardId) {
-            this.currentDashboardId = this.dashboards[0].id;
+            this.setCurrentDashboard(this.dashboards[0].id);
         }
-        
-        this.saveDashboards();
     }
 
     /**
      * Rename a dashboard
      */
-    renameDashboard(dashboardId, newName) {
+    async renameDashboard(dashboardId, newName) {
         const dashboard = this.dashboards.find(d => d.id === dashboardId);
         if (dashboard) {
             dashboard.name = newName;
             dashboard.lastUpdated = new Date().toISOString();
-            this.saveDashboards();
+            await this.updateDashboard(dashboardId, { name: newName });
         }
     }
 
+    /**
+     * Update a dashboard's metadata on the server and keep the local copy in sync
+     */
+    async updateDashboard(dashboardId, changes) {
+        const updated = await this.apiRequest(`/${encodeURIComponent(dashboardId)}`, {
+            method: 'PATCH',
+            body: changes,
+            keepalive: true
+        });
+
+        const index = this.dashboards.findIndex(d => d.id === dashboardId);
+        if (index !== -1) {
+            this.dashboards[index] = updated;
+        }
+        return updated;
+    }
+
+    /**
+     * Get a dashboard's settings, with defaults for anything not set
+     */
+    getDashboardSettings(dashboardId) {
+        return {
+            ...DEFAULT_DASHBOARD_SETTINGS,
+            ...(this.getDashboard(dashboardId)?.settings || {})
+        };
+    }
+
+    /**
+     * Change some of a dashboard's settings
+     * Only the changed settings are sent; the server merges them, so settings changed
+     * in another browser meanwhile are kept
+     * @returns {Promise<Object>} The dashboard's settings after the change
+     */
+    async updateDashboardSettings(dashboardId, changes) {
+        await this.updateDashboard(dashboardId, { settings: changes });
+        return this.getDashboardSettings(dashboardId);
+    }
+
+    /**
+     * Get a dashboard's progress block filters, with defaults for anything not set
+     */
+    getDashboardFilters(dashboardId) {
+        return {
+            ...DEFAULT_DASHBOARD_FILTERS,
+            ...(this.getDashboardSettings(dashboardId).filters || {})
+        };
+    }
+
+    /**
+     * Save a dashboard's progress block filters
+     * Unknown keys are dropped and values stored as strings
+     * @returns {Promise<Object>} The filters as saved
+     */
+    async updateDashboardFilters(dashboardId, filters) {
+        const saved = {};
+        Object.keys(DEFAULT_DASHBOARD_FILTERS).forEach(key => {
+            saved[key] = filters[key] ? String(filters[key]) : DEFAULT_DASHBOARD_FILTERS[key];
+        });
+        await this.updateDashboardSettings(dashboardId, { filters: saved });
+        return saved;
+    }
+
     /**
      * Get dashboard by ID
      */
@@ -134,11 +235,12 @@ class DashboardManager {
 
     /**
      * Set current dashboard
+     * The current dashboard is a per-browser choice, so it stays in localStorage
      */
     setCurrentDashboard(dashboardId) {
         if (this.dashboards.find(d => d.id === dashboardId)) {
             this.currentDashboardId = dashboardId;
-            this.saveDashboards();
+            localStorage.setItem('current_dashboard_id', dashboardId);
         }
     }
 
@@ -151,17 +253,22 @@ class DashboardManager {
 
     /**
      * Load dashboard data
+     * A missing data file means an empty dashboard; other failures are thrown so an
+     * empty dashboard is never saved over data that merely failed to load
      */
-    loadDashboardData(dashboardId) {
+    async loadDashboardData(dashboardId) {
         try {
-            const data = localStorage.getItem(`dashboard_data_${dashboardId}`);
-            if (data) {
-                return JSON.parse(data);
-            }
+            const data = await this.apiRequest(`/${encodeURIComponent(dashboardId)}/data`);
+            this.dataRevisions.set(dashboardId, data.revision);
+            this.savedData.set(dashboardId, JSON.parse(JSON.stringify(data)));
+            return data;
         } catch (error) {
-            console.error('Failed to load dashboard data:', error);
+            if (error.status !== 404) {
+                console.error('Failed to load dashboard data:', error);
+                throw error;
+            }
         }
-        
+
         // Return empty dashboard data if not found
         return {
             dashboardData: [],
@@ -173,61 +280,377 @@ class DashboardManager {
 
     /**
      * Save dashboard data
+     * Saves can be frequent (every drag, every preloaded project), so while one is in
+     * flight only the latest data is kept and sent once it finishes.
+     * Rejects with a 409 error (error.status) if the dashboard was saved elsewhere since it was loaded here;
+     * data queued behind that save is based on the same outdated copy and is dropped
      */
-    saveDashboardData(dashboardId, data) {
-        const dashboardData = {
-            ...data,
-            lastUpdated: new Date().toISOString()
-        };
-        
-        localStorage.setItem(`dashboard_data_${dashboardId}`, JSON.stringify(dashboardData));
-        
-        // Update dashboard's lastUpdated
-        const dashboard = this.dashboards.find(d => d.id === dashboardId);
-        if (dashboard) {
-            dashboard.lastUpdated = new Date().toISOString();
-            this.saveDashboards();
+    async saveDashboardData(dashboardId, data) {
+        const queued = this.queuedSaves.get(dashboardId);
+        if (queued) {
+            queued.data = data;
+            return queued.promise;
         }
+
+        const inFlight = this.inFlightSaves.get(dashboardId);
+        if (inFlight) {
+            const entry = { data };
+            entry.promise = inFlight
+                .then(() => true, error => error.status !== 409)
+                .then(send => {
+                    this.queuedSaves.delete(dashboardId);
+                    return send ? this.saveDashboardData(dashboardId, entry.data) : undefined;
+                });
+            this.queuedSaves.set(dashboardId, entry);
+            return entry.promise;
+        }
+
+        const revision = this.dataRevisions.get(dashboardId);
+        const sent = JSON.parse(JSON.stringify(data)); // The caller keeps changing its copy
+        const save = this.apiRequest(`/${encodeURIComponent(dashboardId)}/data`, {
+            method: 'PUT',
+            body: sent,
+            headers: revision !== undefined ? { 'If-Match': `"${revision}"` } : {}
+        }).then(updated => {
+            this.dataRevisions.set(dashboardId, updated.revision);
+            this.savedData.set(dashboardId, sent);
+
+            // Server refreshes lastUpdated, the revision and the item/company counts
+            const index = this.dashboards.findIndex(d => d.id === dashboardId);
+            if (index !== -1) {
+                this.dashboards[index] = updated;
+            }
+        }).finally(() => {
+            this.inFlightSaves.delete(dashboardId);
+        });
+
+        this.inFlightSaves.set(dashboardId, save);
+        return save;
     }
 
     /**
-     * Migrate old single dashboard data to new format
+     * Merge this browser's data onto the version saved elsewhere, after its save was refused with 409
+     * Compared with the data as last loaded or saved here, so only what each side changed is taken from it:
+     * - Items' figures (hours, usage, burn rate, stale marks): the most recently synced copy of each item
+     * - Expanded view cache: the most recently cached entry of each item; lastRefreshed: the later one
+     * - Layout (the items and their order, company order, company colors): each part from the side that
+     *   changed it. When both changed the same part differently the saved version wins, and the part is reported
+     * Reloads the saved version, so a save of the merged data is based on the current revision
+     * @param {string} dashboardId
+     * @param {Object} data - This browser's data, as passed to saveDashboardData
+     * @returns {Promise<{data: Object, conflicts: Array<string>}>} The merged data, and the layout parts
+     *   ('items', 'companyOrder', 'companyColors') whose changes here were dropped
+     */
+    async rebaseData(dashboardId, data) {
+        const base = this.savedData.get(dashboardId);
+        const saved = await this.loadDashboardData(dashboardId);
+        const ancestor = base || saved;
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const keyOf = item => `${item.type}_${item.id}`;
+        const keysOf = version => (version.dashboardData || []).map(keyOf);
+        const conflicts = [];
+
+        // A layout part from whichever side changed it
+        const pick = (part, read) => {
+            const [mine, theirs, original] = [read(data), read(saved), read(ancestor)];
+            if (same(mine, original) || same(mine, theirs)) {
+                return theirs;
+            }
+            if (!same(theirs, original)) {
+                conflicts.push(part);
+                return theirs;
+            }
+            return mine;
+        };
+
+        const savedItems = new Map((saved.dashboardData || []).map(item => [keyOf(item), item]));
+        const localItems = new Map((data.dashboardData || []).map(item => [keyOf(item), item]));
+        const syncedAt = item => Date.parse(item?.syncedAt) || 0;
+        const dashboardData = pick('items', keysOf).map(key => {
+            const local = localItems.get(key);
+            const stored = savedItems.get(key);
+            return !stored || (local && syncedAt(local) > syncedAt(stored)) ? local : stored;
+        });
+
+        const expandedViewData = { ...(saved.expandedViewData || {}) };
+        Object.entries(data.expandedViewData || {}).forEach(([itemId, cached]) => {
+            if (!expandedViewData[itemId] || Date.parse(cached.cachedAt) > Date.parse(expandedViewData[itemId].cachedAt)) {
+                expandedViewData[itemId] = cached;
+            }
+        });
+
+        const refreshed = [data.lastRefreshed, saved.lastRefreshed].filter(Boolean).sort();
+
+        return {
+            data: {
+                dashboardData,
+                companyOrder: pick('companyOrder', version => version.companyOrder || []),
+                companyColors: pick('companyColors', version => version.companyColors || {}),
+                expandedViewData,
+                lastRefreshed: refreshed[refreshed.length - 1] || null
+            },
+            conflicts
+        };
+    }
+
+    /**
+     * Migrate dashboards kept in this browser to the server
+     * - Old single dashboard data (accelo_dashboard_state) becomes "Main Dashboard"
+     * - Dashboards from the localStorage index (dashboards_index) are uploaded with their IDs
+     * Local copies are removed once uploaded
      */
     async migrateOldData() {
         const oldData = localStorage.getItem('accelo_dashboard_state');
         const oldColors = localStorage.getItem('company_colors');
-        
+
         if (oldData && this.dashboards.length === 0) {
             try {
                 const data = JSON.parse(oldData);
                 let colors = {};
-                
+
                 if (oldColors) {
                     colors = JSON.parse(oldColors);
                 }
-                
+
                 // Create "Main Dashboard" with old data
-                const dashboard = await this.createDashboard('Main Dashboard');
-                
-                const dashboardData = {
-                    dashboardData: data.dashboardData || [],
-                    companyOrder: data.companyOrder || [],
-                    companyColors: colors,
-                    lastUpdated: data.lastUpdated || new Date().toISOString()
-                };
-                
-                this.saveDashboardData(dashboard.id, dashboardData);
-                
+                await this.createDashboard('Main Dashboard', true, {
+                    data: {
+                        dashboardData: data.dashboardData || [],
+                        companyOrder: data.companyOrder || [],
+                        companyColors: colors,
+                        lastUpdated: data.lastUpdated || new Date().toISOString()
+                    }
+                });
+
                 // Remove old data
                 localStorage.removeItem('accelo_dashboard_state');
                 localStorage.removeItem('company_colors');
-                
+
                 console.log('Successfully migrated old dashboard data');
-                
+
             } catch (error) {
                 console.error('Failed to migrate old data:', error);
             }
         }
+
+        await this.uploadLocalDashboards();
+    }
+
+    /**
+     * Upload dashboards saved in localStorage before dashboards moved to the server
+     */
+    async uploadLocalDashboards() {
+        const localIndex = localStorage.getItem('dashboards_index');
+        if (!localIndex) {
+            return;
+        }
+
+        let index;
+        try {
+            index = JSON.parse(localIndex);
+        } catch (error) {
+            console.error('Failed to read local dashboards for upload:', error);
+            return;
+        }
+
+        const remaining = [];
+        for (const dashboard of index.dashboards || []) {
+            const dataKey = `dashboard_data_${dashboard.id}`;
+
+            try {
+                if (!this.getDashboard(dashboard.id)) {
+                    const localData = localStorage.getItem(dataKey);
+                    await this.createDashboard(dashboard.name, false, {
+                        id: dashboard.id,
+                        createdAt: dashboard.createdAt,
+                        lastAccessed: dashboard.lastAccessed,
+                        data: localData ? JSON.parse(localData) : undefined
+                    });
+                    console.log(`Uploaded local dashboard "${dashboard.name}" to the server`);
+                }
+                localStorage.removeItem(dataKey);
+            } catch (error) {
+                console.error(`Failed to upload local dashboard "${dashboard.name}":`, error);
+                remaining.push(dashboard);
+            }
+        }
+
+        // Keep whichever dashboard this browser was on
+        if (!localStorage.getItem('current_dashboard_id') && index.currentDashboardId) {
+            this.setCurrentDashboard(index.currentDashboardId);
+        }
+
+        // Anything that failed stays local and is retried next time
+        if (remaining.length > 0) {
+            localStorage.setItem('dashboards_index', JSON.stringify({ ...index, dashboards: remaining }));
+        } else {
+            localStorage.removeItem('dashboards_index');
+        }
+    }
+
+    /**
+     * Export dashboards as a portable bundle
+     * Bundles hold the layout (items by ID and type, company order and colors) but
+     * no cached hours or usage - those are re-fetched on import
+     * @param {Array<string>} [dashboardIds] - Dashboards to export (default: all)
+     * @returns {Promise<Object>} The bundle
+     */
+    async exportDashboards(dashboardIds = this.dashboards.map(d => d.id)) {
+        const dashboards = [];
+
+        for (const dashboardId of dashboardIds) {
+            const dashboard = this.getDashboard(dashboardId);
+            if (!dashboard) {
+                throw new Error(`Dashboard ${dashboardId} not found`);
+            }
+
+            const data = await this.loadDashboardData(dashboardId);
+            dashboards.push({
+                id: dashboard.id,
+                name: dashboard.name,
+                companyOrder: data.companyOrder || [],
+                companyColors: data.companyColors || {},
+                items: (data.dashboardData || []).map(item => (ItemTypes.get(item.type)?.serialize || ItemTypes.serializeItem)(item))
+            });
+        }
+
+        return {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            dashboards: dashboards
+        };
+    }
+
+    /**
+     * Check a parsed bundle against the bundle schema
+     * @throws {Error} Listing every problem found
+     */
+    validateBundle(bundle) {
+        const problems = [];
+
+        if (!bundle || typeof bundle !== 'object') {
+            throw new Error('Invalid bundle: not a JSON object');
+        }
+        if (bundle.format !== BUNDLE_FORMAT) {
+            problems.push(`format must be "${BUNDLE_FORMAT}"`);
+        }
+        if (bundle.version !== BUNDLE_VERSION) {
+            problems.push(`unsupported version ${bundle.version} (expected ${BUNDLE_VERSION})`);
+        }
+        if (!Array.isArray(bundle.dashboards) || bundle.dashboards.length === 0) {
+            problems.push('dashboards must be a non-empty array');
+        }
+
+        // e.g. "project", "agreement" or "issue"
+        const typeNames = ItemTypes.names().map(type => `"${type}"`);
+        const typeList = typeNames.length > 1 ? `${typeNames.slice(0, -1).join(', ')} or ${typeNames[typeNames.length - 1]}` : typeNames[0];
+
+        (Array.isArray(bundle.dashboards) ? bundle.dashboards : []).forEach((dashboard, index) => {
+            const where = `dashboards[${index}]`;
+
+            if (!dashboard || typeof dashboard.name !== 'string' || !dashboard.name.trim()) {
+                problems.push(`${where}.name is required`);
+                return;
+            }
+            if (!Array.isArray(dashboard.items)) {
+                problems.push(`${where}.items must be an array`);
+            } else {
+                dashboard.items.forEach((item, itemIndex) => {
+                    if (!item || !ItemTypes.names().includes(item.type)) {
+                        problems.push(`${where}.items[${itemIndex}].type must be ${typeList}`);
+                    }
+                    if (!item || !/^\d+$/.test(String(item.id))) {
+                        problems.push(`${where}.items[${itemIndex}].id must be a numeric Accelo ID`);
+                    }
+                });
+            }
+            if (dashboard.companyOrder !== undefined && !Array.isArray(dashboard.companyOrder)) {
+                problems.push(`${where}.companyOrder must be an array`);
+            }
+            if (dashboard.companyColors !== undefined && (typeof dashboard.companyColors !== 'object' || Array.isArray(dashboard.companyColors))) {
+                problems.push(`${where}.companyColors must be an object`);
+            }
+        });
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid bundle: ${problems.join('; ')}`);
+        }
+    }
+
+    /**
+     * Import a bundle, fetching live data for every item through AcceloAPI
+     * @param {Object} bundle - A bundle from exportDashboards()
+     * @param {Object} [options]
+     * @param {string} [options.mode='merge'] - 'merge' adds to existing dashboards, 'replace' deletes them afterwards
+     * @param {Function} [options.onProgress] - Called with (done, total) as items are fetched
+     * @returns {Promise<{dashboards: Array, skipped: Array}>} Created dashboards and items that could not be fetched
+     */
+    async importDashboards(bundle, { mode = 'merge', onProgress = () => {} } = {}) {
+        this.validateBundle(bundle);
+
+        try {
+            await window.acceloAPI.init();
+        } catch (error) {
+            throw new Error('Connect to Accelo in Settings before importing - live data is fetched for every item');
+        }
+
+        const existingIds = this.dashboards.map(d => d.id);
+        const total = bundle.dashboards.reduce((sum, dashboard) => sum + dashboard.items.length, 0);
+        const created = [];
+        const skipped = [];
+        let done = 0;
+
+        for (const imported of bundle.dashboards) {
+            const dashboardData = [];
+
+            for (const item of imported.items) {
+                try {
+                    dashboardData.push(await this.fetchLiveItem(item));
+                } catch (error) {
+                    console.error(`Failed to import ${item.type} ${item.id}:`, error);
+                    skipped.push({ dashboard: imported.name, type: item.type, id: item.id, reason: error.message });
+                }
+                onProgress(++done, total);
+            }
+
+            // Keep the bundle's ID unless it clashes with an existing dashboard
+            const keepId = imported.id && !this.getDashboard(String(imported.id));
+            const dashboard = await this.createDashboard(imported.name.trim(), false, {
+                ...(keepId && { id: String(imported.id) }),
+                data: {
+                    dashboardData: dashboardData,
+                    companyOrder: (imported.companyOrder || []).map(String),
+                    companyColors: imported.companyColors || {}
+                }
+            });
+            created.push(dashboard);
+        }
+
+        if (mode === 'replace') {
+            for (const dashboardId of existingIds) {
+                await this.apiRequest(`/${encodeURIComponent(dashboardId)}`, { method: 'DELETE' });
+            }
+            this.dashboards = this.dashboards.filter(d => !existingIds.includes(d.id));
+        }
+
+        if (!this.getDashboard(this.currentDashboardId)) {
+            this.setCurrentDashboard(created[0].id);
+        }
+
+        return { dashboards: created, skipped };
+    }
+
+    /**
+     * Fetch current details and hours/usage for an exported item
+     */
+    async fetchLiveItem(item) {
+        const company = {
+            id: String(item.company_id),
+            name: item.company_name
+        };
+
+        return ItemTypes.fetchItem(item.type, item.id, company, window.acceloAPI);
     }
 
     /**
@@ -239,15 +662,20 @@ class DashboardManager {
 
     /**
      * Update dashboard's last accessed time
+     * Not critical, so failures are only logged
      */
-    updateDashboardAccess(dashboardId) {
+    async updateDashboardAccess(dashboardId) {
         const dashboard = this.dashboards.find(d => d.id === dashboardId);
         if (dashboard) {
             dashboard.lastAccessed = new Date().toISOString();
-            this.saveDashboards();
+            try {
+                await this.updateDashboard(dashboardId, { lastAccessed: dashboard.lastAccessed });
+            } catch (error) {
+                console.warn('Failed to update dashboard access time:', error);
+            }
         }
     }
 }
 
 // Create global instance
-window.dashboardManager = new DashboardManager(); 
\ No newline at end of file
+window.dashboardManager = new DashboardManager();
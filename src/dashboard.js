@@ -10,6 +10,11 @@ import ModalManager from './managers/modal-manager.js';
 import DataManager from './managers/data-manager.js';
 import DragDropManager from './managers/drag-drop-manager.js';
 import ExpandedViewManager from './managers/expanded-view-manager.js';
+import ExportManager from './managers/export-manager.js';
+import HistoryManager from './managers/history-manager.js';
+import RefreshManager from './managers/refresh-manager.js';
+import LiveUpdateManager from './managers/live-update-manager.js';
+import FilterManager from './managers/filter-manager.js';
 
 class Dashboard {
     constructor() {
@@ -41,6 +46,11 @@ class Dashboard {
         this.dataManager = new DataManager(this);
         this.dragDropManager = new DragDropManager(this);
         this.expandedViewManager = new ExpandedViewManager(this);
+        this.exportManager = new ExportManager(this);
+        this.historyManager = new HistoryManager(this);
+        this.refreshManager = new RefreshManager(this);
+        this.liveUpdateManager = new LiveUpdateManager(this);
+        this.filterManager = new FilterManager(this);
     }
     
     /**
@@ -74,6 +84,11 @@ class Dashboard {
             this.dataManager.init();
             this.dragDropManager.init();
             this.expandedViewManager.init();
+            this.exportManager.init();
+            this.historyManager.init();
+            this.refreshManager.init();
+            this.liveUpdateManager.init();
+            this.filterManager.init();
             
             // Render dashboard
             this.renderManager.renderDashboard();
@@ -81,6 +96,7 @@ class Dashboard {
             // Apply saved company colors after rendering
             setTimeout(() => {
                 this.applySavedCompanyColors();
+                this.dataManager.focusRequestedItem();
             }, 100);
             
         } catch (error) {
@@ -129,10 +145,46 @@ class Dashboard {
     }
 
     /**
-     * Refresh dashboard data - delegates to DataManager
+     * Refresh dashboard data now - delegates to RefreshManager
+     * @param {Event} [event] - Shift+click re-fetches every item, not just the changed ones
      */
-    refreshDashboardData() {
-        return this.dataManager.refreshDashboardData();
+    refreshDashboardData(event) {
+        return this.refreshManager.refresh({ full: Boolean(event?.shiftKey) });
+    }
+
+    /**
+     * Toggle the navbar auto-refresh menu - delegates to RefreshManager
+     */
+    toggleAutoRefreshMenu(event) {
+        return this.refreshManager.toggleIntervalMenu(event);
+    }
+
+    /**
+     * Set this dashboard's auto-refresh interval - delegates to RefreshManager
+     */
+    setAutoRefreshInterval(minutes) {
+        return this.refreshManager.setIntervalMinutes(minutes);
+    }
+
+    /**
+     * Toggle the navbar export menu - delegates to ExportManager
+     */
+    toggleExportMenu(event) {
+        return this.exportManager.toggleExportMenu(event);
+    }
+
+    /**
+     * Export the current dashboard as CSV or XLSX - delegates to ExportManager
+     */
+    exportDashboard(format) {
+        return this.exportManager.exportDashboard(format);
+    }
+
+    /**
+     * Backfill progress history from Accelo activity dates - delegates to HistoryManager
+     */
+    backfillHistory() {
+        return this.historyManager.backfillHistory();
     }
 
     /**
@@ -162,6 +214,11 @@ class Dashboard {
         this.tickerManager.cleanup();
         this.dragDropManager.cleanup();
         this.expandedViewManager.cleanup();
+        this.exportManager.cleanup();
+        this.historyManager.cleanup();
+        this.refreshManager.cleanup();
+        this.liveUpdateManager.cleanup();
+        this.filterManager.cleanup();
     }
     
 
@@ -287,7 +344,7 @@ class Dashboard {
         const item = this.dashboardData.find(i => i.type === type && i.id == itemId);
         if (!item) return;
         
-        const itemType = type === 'project' ? 'project' : 'agreement';
+        const itemType = this.renderManager.getItemType(item);
         const title = item.title || item.name;
         
         UIComponents.showConfirmationDialog(
@@ -314,7 +371,7 @@ class Dashboard {
                 this.applySavedCompanyColors();
             }, 50);
             
-            UIComponents.showToast(`${type === 'project' ? 'Project' : 'Agreement'} removed successfully`, 'success');
+            UIComponents.showToast(`${ItemTypes.get(type)?.label || 'Item'} removed successfully`, 'success');
             
         } catch (error) {
             console.error('Failed to remove item:', error);
@@ -395,15 +452,8 @@ class Dashboard {
     /**
      * Get project budget - delegates to RenderManager
      */
-    getProjectBudget(projectId, projectTitle, loggedHours) {
-        return this.renderManager.getProjectBudget(projectId, projectTitle, loggedHours);
-    }
-
-    /**
-     * Check if project budget is suspicious - delegates to RenderManager
-     */
-    isProjectBudgetSuspicious(projectId, projectTitle, loggedHours, budgetHours) {
-        return this.renderManager.isProjectBudgetSuspicious(projectId, projectTitle, loggedHours, budgetHours);
+    getProjectBudget(item) {
+        return this.renderManager.getProjectBudget(item);
     }
 
     /**
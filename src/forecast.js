@@ -0,0 +1,191 @@
+/**
+ * Forecast
+ * Burn rate from recently logged time and the projection it gives for a project or agreement budget,
+ * shared by the browser (progress blocks) and the tests
+ */
+(function (root) {
+    const DAY = 24 * 60 * 60 * 1000;
+    const WINDOW_DAYS = 28; // Recent time that sets the pace
+    const MAX_FORECAST_DAYS = 365; // Further out than this is "over a year"
+    const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    function round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * "YYYY-MM-DD" as local midnight, matching how the dashboard displays period dates
+     */
+    function parseDate(date) {
+        const parsed = date ? new Date(date + 'T00:00:00') : null;
+        return parsed && !isNaN(parsed.getTime()) ? parsed : null;
+    }
+
+    function toDateString(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * "12 Nov", with the year when it is not the current one
+     */
+    function formatDay(date, now) {
+        const label = `${date.getDate()} ${MONTHS[date.getMonth()]}`;
+        return date.getFullYear() === new Date(now).getFullYear() ? label : `${label} ${date.getFullYear()}`;
+    }
+
+    function formatAmount(amount, unit) {
+        return unit === 'value' ? `$${amount.toFixed(2)}` : `${round(amount, 1)}h`;
+    }
+
+    /**
+     * Measure the pace of logged time
+     * @param {Array} entries - Time entries ({ loggedAt: ms, seconds, value? }), e.g. from AcceloAPI.getTimeEntries
+     * @param {Object} [options]
+     * @param {number} [options.now] - Milliseconds since the epoch
+     * @param {number} [options.windowDays] - Days of recent time that set the pace
+     * @param {string} [options.periodStart] - Also total the hours logged and the value charged since this date
+     *     ("YYYY-MM-DD"), which turns a value budget's usage into a value per hour
+     * @returns {Object} { windowDays, windowHours, hoursPerDay, periodHours, periodValue, entryCount, measuredAt }
+     */
+    function getBurnRate(entries, { now = Date.now(), windowDays = WINDOW_DAYS, periodStart = null } = {}) {
+        const list = Array.isArray(entries) ? entries : [];
+        const windowStart = now - windowDays * DAY;
+        const since = from => list.filter(entry => entry.loggedAt > from && entry.loggedAt <= now);
+        const hoursSince = from => since(from).reduce((sum, entry) => sum + entry.seconds, 0) / 3600;
+
+        const recent = list.filter(entry => entry.loggedAt > windowStart && entry.loggedAt <= now);
+        const windowHours = hoursSince(windowStart);
+        const start = parseDate(periodStart);
+
+        return {
+            windowDays,
+            windowHours: round(windowHours, 2),
+            hoursPerDay: round(windowHours / windowDays, 3),
+            periodHours: start ? round(hoursSince(start.getTime() - 1), 2) : null,
+            periodValue: start ? round(since(start.getTime() - 1).reduce((sum, entry) => sum + (entry.value || 0), 0), 2) : null,
+            entryCount: recent.length,
+            measuredAt: new Date(now).toISOString()
+        };
+    }
+
+    /**
+     * Project a budget forward at the measured pace
+     * @param {Object} budget
+     * @param {string} budget.unit - 'hours' or 'value'
+     * @param {number} budget.used - Used so far, in the unit
+     * @param {number} budget.budget - Allowance in the unit; 0 or missing without a budget
+     * @param {string} [budget.periodEnd] - Last day of an agreement period ("YYYY-MM-DD"); projects have none
+     * @param {Object} burnRate - From getBurnRate
+     * @param {Object} [options]
+     * @param {number} [options.now] - Milliseconds since the epoch
+     * @returns {Object|null} Null without a burn rate, otherwise:
+     *     { status, unit, ratePerDay, exhaustsOn, projectedUsed, projectedPercentage, label, detail }
+     *     status is one of no-history, no-rate, over-budget, overrun (exhausts before the period ends),
+     *     on-track, exhausts (no period end), no-budget
+     */
+    function forecast({ unit = 'hours', used = 0, budget = 0, periodEnd = null }, burnRate, { now = Date.now() } = {}) {
+        if (!burnRate) {
+            return null;
+        }
+
+        const result = {
+            status: null,
+            unit,
+            ratePerDay: null,
+            exhaustsOn: null,
+            projectedUsed: null,
+            projectedPercentage: null,
+            label: '',
+            detail: ''
+        };
+
+        if (burnRate.entryCount === 0 || !(burnRate.hoursPerDay > 0)) {
+            return {
+                ...result,
+                status: 'no-history',
+                label: `No time logged in the last ${burnRate.windowDays} days`
+            };
+        }
+
+        // Value budgets burn at the value per hour achieved so far this period
+        let ratePerDay = burnRate.hoursPerDay;
+        if (unit === 'value') {
+            if (!(burnRate.periodHours > 0) || !(used > 0)) {
+                return {
+                    ...result,
+                    status: 'no-rate',
+                    label: 'Not enough value used this period to forecast'
+                };
+            }
+            ratePerDay = burnRate.hoursPerDay * (used / burnRate.periodHours);
+        }
+
+        result.ratePerDay = round(ratePerDay, 2);
+        result.detail = `At ${formatAmount(ratePerDay, unit)}/day, the pace of the last ${burnRate.windowDays} days`;
+
+        const end = parseDate(periodEnd);
+        const daysLeft = end ? Math.max(0, (end.getTime() + DAY - now) / DAY) : null;
+        if (daysLeft !== null) {
+            result.projectedUsed = round(used + ratePerDay * daysLeft, 2);
+        }
+
+        if (!(budget > 0)) {
+            result.status = 'no-budget';
+            result.label = result.projectedUsed !== null
+                ? `Projected ${formatAmount(result.projectedUsed, unit)} by period end`
+                : `Averaging ${formatAmount(ratePerDay, unit)}/day`;
+            return result;
+        }
+
+        if (result.projectedUsed !== null) {
+            result.projectedPercentage = round((result.projectedUsed / budget) * 100, 1);
+        }
+
+        if (used >= budget) {
+            result.status = 'over-budget';
+            result.label = `Over budget, still using ${formatAmount(ratePerDay, unit)}/day`;
+            if (result.projectedPercentage !== null) {
+                result.detail = `Projected ${Math.round(result.projectedPercentage)}% by period end. ${result.detail}`;
+            }
+            return result;
+        }
+
+        const daysToExhaust = (budget - used) / ratePerDay;
+        const exhaustsAt = new Date(now + daysToExhaust * DAY);
+
+        if (daysLeft !== null && daysToExhaust > daysLeft) {
+            result.status = 'on-track';
+            result.label = `Projected ${Math.round(result.projectedPercentage)}% by period end`;
+            return result;
+        }
+
+        if (daysToExhaust > MAX_FORECAST_DAYS) {
+            result.status = 'exhausts';
+            result.label = 'At current pace lasts over a year';
+            return result;
+        }
+
+        result.status = daysLeft !== null ? 'overrun' : 'exhausts';
+        result.exhaustsOn = toDateString(exhaustsAt);
+        result.label = `At current pace exhausts budget on ${formatDay(exhaustsAt, now)}`;
+        if (result.projectedPercentage !== null) {
+            result.detail = `Projected ${Math.round(result.projectedPercentage)}% by period end. ${result.detail}`;
+        }
+        return result;
+    }
+
+    const Forecast = {
+        WINDOW_DAYS,
+        getBurnRate,
+        forecast
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Forecast;
+    } else {
+        root.Forecast = Forecast;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,510 @@
+/**
+ * Item Types
+ * Registry of the Accelo entities a dashboard can track. Each type declares how to fetch its details and
+ * progress, calculate and render its progress block, load and render its drawer, link to Accelo and
+ * serialize itself, so the managers have no per-type branches. Shared by the browser, the server's live
+ * updates (lib/live-updates.js) and the tests.
+ *
+ * Adding a type means calling ItemTypes.register() with:
+ * - type, label, pluralLabel, icon, listKey - name, display names, Font Awesome icon and the key its records
+ *   use in AcceloAPI.getProjectsAndAgreements results
+ * - acceloType - optional; Accelo's name for it in against_type fields, e.g. 'job' (defaults to type)
+ * - acceloResource - optional; the Accelo endpoint listing its records, e.g. 'jobs' (defaults to acceloType + 's'),
+ *   where incremental refreshes and live updates look for records modified since the last sync
+ * - findChangedIds(againstIds, getById) - optional; IDs of its records that time logged on other Accelo
+ *   records counts towards, e.g. a job's tasks. againstIds maps against_type to a Set of IDs that time was
+ *   logged against; getById(resource, ids, fields) resolves to the records. Resolves to a Set of IDs
+ * - readLiveFigures(id, getRecord) - optional; the figures the server's live updates compare and publish,
+ *   read with getRecord(path, params), which resolves to the Accelo response. Null when it can't be read
+ * - savedFigures(item) - optional; figures saved with the item that live updates can start from instead of
+ *   reading Accelo, e.g. agreement usage
+ * - progressField - the item field holding its hours/usage ('hours' or 'usage')
+ * - matches(item) - optional; recognizes untyped records from older dashboards
+ * - fetchDetails(id, api) / fetchProgress(id, api) - the record and its hours/usage through AcceloAPI
+ * - calculateProgress(item) - type label, budget type ('time', 'value' or 'none') and the figures shown on
+ *   its progress block
+ * - getBillability(item) - optional; { billableHours, nonBillableHours } of the logged time, or null when
+ *   its time is not split by billability (the default)
+ * - getActiveWindow(item) - optional; { start, end } in milliseconds (either may be null), the dates the
+ *   item is active for the report date filters
+ * - fetchTimeTargets(id, api) - optional; the Accelo records time on it is logged against, as
+ *   { targets: [[againstType, ids]], truncated } (defaults to the item itself)
+ * - renderBlockDetails(item, renderManager) - extra HTML under the type label (periods, SLA, ...)
+ * - describe(item) - one line of detail for the add items modal
+ * - reportFields - optional; record fields the reports refresh from fetchDetails along with the progress
+ * - getManager(item) / getDueDate(item) - optional; the name of who is responsible for it and when it is due
+ *   (milliseconds), for the dashboard filters and sorting
+ * - timerTargets(item) - optional; the Accelo records whose running timers log time to it, as
+ *   [{ againstType, againstId }] (defaults to the item itself)
+ * - loadDrawer(id, api) / renderDrawer(container, data, item, expandedViewManager) - the expanded drawer;
+ *   renderDrawer returns an empty state message when there is nothing to show; preloadDrawer loads every
+ *   drawer of the type in the background after the dashboard opens
+ * - acceloUrl(deployment, id) - the item's page in Accelo
+ * - serialize(item) - optional; the portable form used by dashboard bundles
+ */
+(function (root) {
+    const types = new Map();
+    const aliases = new Map();
+
+    // Agreement usage is a browser global, or a module on the server
+    const AgreementUsage = typeof module !== 'undefined' && module.exports ? require('./agreement-usage') : root.AgreementUsage;
+
+    const REQUIRED = ['type', 'label', 'pluralLabel', 'icon', 'listKey', 'progressField', 'fetchDetails', 'fetchProgress',
+        'calculateProgress', 'loadDrawer', 'renderDrawer', 'acceloUrl'];
+
+    /**
+     * Accelo dates are unix seconds; 0 or missing means no date
+     * @returns {number|null} Milliseconds since the epoch
+     */
+    function unixDate(seconds) {
+        const value = parseInt(seconds);
+        return value > 0 ? value * 1000 : null;
+    }
+
+    /**
+     * Hours logged on a record, from its billable and non-billable seconds, to two decimals
+     */
+    function loggedHours(billableSeconds, nonBillableSeconds) {
+        const seconds = (parseFloat(billableSeconds) || 0) + (parseFloat(nonBillableSeconds) || 0);
+        return Math.round(seconds / 36) / 100;
+    }
+
+    /**
+     * A staff member's name from a field requested as e.g. manager(id,firstname,surname)
+     * Without the nested fields Accelo returns only the staff ID, which is not a name
+     */
+    function staffName(staff) {
+        if (!staff || typeof staff !== 'object') {
+            return '';
+        }
+        return [staff.firstname, staff.surname].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Split of logged time by billability, from a project's hours or an issue's usage
+     */
+    function billability(source) {
+        return {
+            billableHours: source?.billableHours || 0,
+            nonBillableHours: source?.nonBillableHours || 0
+        };
+    }
+
+    /**
+     * The portable form of an item: enough to fetch it again (see DashboardManager.exportDashboards)
+     */
+    function serializeItem(item) {
+        return {
+            id: item.id,
+            type: item.type,
+            company_id: String(item.company_id || item.company_info?.id || ''),
+            company_name: item.company_name || item.company_info?.name || ''
+        };
+    }
+
+    /**
+     * Register an item type
+     * @param {Object} definition - See the list at the top of this file
+     * @returns {Object} The registered definition
+     */
+    function register(definition) {
+        const missing = REQUIRED.filter(key => definition[key] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Item type ${definition.type || '(unnamed)'} is missing ${missing.join(', ')}`);
+        }
+
+        const registered = {
+            aliases: [],
+            acceloType: definition.type,
+            matches: () => false,
+            preloadDrawer: false,
+            renderBlockDetails: () => '',
+            describe: () => '',
+            reportFields: [],
+            getManager: () => '',
+            getDueDate: () => null,
+            getBillability: () => null,
+            getActiveWindow: () => ({ start: null, end: null }),
+            findChangedIds: async () => new Set(),
+            readLiveFigures: async () => null,
+            serialize: serializeItem,
+            ...definition
+        };
+        if (!registered.timerTargets) {
+            registered.timerTargets = item => [{ againstType: registered.acceloType, againstId: item.id }];
+        }
+        if (!registered.acceloResource) {
+            registered.acceloResource = `${registered.acceloType}s`;
+        }
+        if (!registered.fetchTimeTargets) {
+            registered.fetchTimeTargets = async id => ({ targets: [[registered.acceloType, [id]]], truncated: false });
+        }
+        types.set(registered.type, registered);
+        registered.aliases.forEach(alias => aliases.set(alias, registered.type));
+        return registered;
+    }
+
+    /**
+     * The definition for a type name or alias, e.g. 'agreement' or 'contract'
+     * @returns {Object|null}
+     */
+    function get(type) {
+        return types.get(type) || types.get(aliases.get(type)) || null;
+    }
+
+    /**
+     * Every registered type, in registration order
+     */
+    function all() {
+        return Array.from(types.values());
+    }
+
+    function names() {
+        return Array.from(types.keys());
+    }
+
+    /**
+     * The type of an item: its explicit type, else the first type whose matches() recognizes it
+     * @returns {string|null}
+     */
+    function typeOf(item) {
+        const explicit = get(item?.type);
+        if (explicit) {
+            return explicit.type;
+        }
+        const matched = all().find(definition => definition.matches(item || {}));
+        return matched ? matched.type : null;
+    }
+
+    /**
+     * Fetch a dashboard item: the record, its hours/usage and the company it is shown under
+     * @param {string} type - A registered type
+     * @param {string|number} id - Accelo ID
+     * @param {Object} company - { id, name } of the company block it belongs to
+     * @param {Object} api - An AcceloAPI
+     * @returns {Promise<Object>} The dashboard item
+     */
+    async function fetchItem(type, id, company, api) {
+        const definition = get(type);
+        if (!definition) {
+            throw new Error(`Unknown item type "${type}"`);
+        }
+
+        const [details, progress] = await Promise.all([
+            definition.fetchDetails(id, api),
+            definition.fetchProgress(id, api)
+        ]);
+        if (!details) {
+            throw new Error(`${definition.label} not found`);
+        }
+
+        return {
+            ...details,
+            type: definition.type,
+            [definition.progressField]: progress,
+            company_id: String(company.id),
+            company_name: company.name,
+            company_info: company
+        };
+    }
+
+    // Projects (Accelo jobs) are budgeted in hours on the job or its plan (see AcceloAPI.getProjectHours)
+    register({
+        type: 'project',
+        label: 'Project',
+        pluralLabel: 'Projects',
+        icon: 'fa-diagram-project',
+        listKey: 'projects',
+        acceloType: 'job',
+        progressField: 'hours',
+        matches: item => Boolean(item.date_due || item.billable_seconds !== undefined || item.unbillable_seconds !== undefined),
+        fetchDetails: (id, api) => api.getProject(id),
+        fetchProgress: (id, api) => api.getProjectHours(id),
+
+        calculateProgress(item) {
+            const loggedHours = item.hours
+                ? (item.hours.billableHours || 0) + (item.hours.nonBillableHours || 0)
+                : 0;
+            const totalHours = item.hours?.budgetHours || 0;
+
+            return {
+                typeLabel: 'PROJECT',
+                budgetType: totalHours > 0 ? 'time' : 'none',
+                showProgressBar: totalHours > 0, // No budget set - just show time worked
+                loggedHours,
+                totalHours,
+                percentage: totalHours > 0 ? (loggedHours / totalHours) * 100 : 0
+            };
+        },
+
+        describe(item) {
+            const details = [];
+            if (item.status) {
+                details.push(`Status: ${item.status}`);
+            }
+            if (item.date_due) {
+                details.push(`Due: ${root.UIComponents.formatDate(item.date_due)}`);
+            }
+            return details.join(' • ');
+        },
+
+        getManager: item => staffName(item.manager),
+        getDueDate: item => unixDate(item.date_due),
+        getBillability: item => billability(item.hours),
+
+        // From start to completion, or to the due date while open
+        getActiveWindow: item => ({
+            start: unixDate(item.date_started),
+            end: unixDate(item.date_completed) || unixDate(item.date_due)
+        }),
+
+        // Time is logged on the job and on its tasks and milestones
+        fetchTimeTargets: (id, api) => api.getProjectTimeTargets(id),
+
+        // Tasks belong to a job or a milestone, milestones to a job
+        async findChangedIds(againstIds, getById) {
+            const jobIds = new Set();
+            const milestoneIds = new Set(againstIds.milestone || []);
+
+            const tasks = await getById('tasks', [...(againstIds.task || [])], 'id,against_type,against_id');
+            tasks.forEach(task => {
+                if (task.against_type === 'job') {
+                    jobIds.add(String(task.against_id));
+                } else if (task.against_type === 'milestone') {
+                    milestoneIds.add(String(task.against_id));
+                }
+            });
+
+            const milestones = await getById('milestones', [...milestoneIds], 'id,job');
+            milestones.forEach(milestone => {
+                const jobId = milestone.job?.id ?? milestone.job;
+                if (jobId) {
+                    jobIds.add(String(jobId));
+                }
+            });
+            return jobIds;
+        },
+
+        async readLiveFigures(id, getRecord) {
+            const job = (await getRecord(`jobs/${id}`, { _fields: 'id,billable_seconds,unbillable_seconds' })).response || {};
+            return { loggedHours: loggedHours(job.billable_seconds, job.unbillable_seconds) };
+        },
+
+        // Project time is mostly logged on its tasks and milestones, known from its hours breakdown
+        timerTargets: item => [
+            { againstType: 'job', againstId: item.id },
+            ...(item.hours?.tasks || []).map(task => ({ againstType: 'task', againstId: task.id })),
+            ...(item.hours?.milestones || []).map(milestone => ({ againstType: 'milestone', againstId: milestone.id }))
+        ],
+
+        loadDrawer: (id, api) => api.getProjectTasksAndMilestones(id),
+        preloadDrawer: true,
+        renderDrawer(container, data, item, view) {
+            if (data.tasks.length === 0 && data.milestones.length === 0) {
+                return 'No tasks or milestones to display';
+            }
+            view.renderDrawerItems(container, data, item);
+            return null;
+        },
+
+        acceloUrl: (deployment, id) => `https://${deployment}.accelo.com/app/projects/${id}?tab=Overview`
+    });
+
+    // Agreements (Accelo contracts) have a time, value or no budget per period (see AgreementUsage)
+    register({
+        type: 'agreement',
+        label: 'Agreement',
+        pluralLabel: 'Agreements',
+        icon: 'fa-file-contract',
+        listKey: 'agreements',
+        aliases: ['contract'],
+        acceloType: 'contract',
+        progressField: 'usage',
+        matches: item => Boolean(item.retainer_type || item.retainer_value || item.date_expires || item.date_started),
+        fetchDetails: (id, api) => api.getAgreement(id),
+        fetchProgress: (id, api) => api.getAgreementUsage(id),
+
+        calculateProgress(item) {
+            const usage = item.usage;
+            const budgetType = usage?.budgetType || 'none';
+            const progress = {
+                typeLabel: 'AGREEMENT',
+                budgetType,
+                showProgressBar: false,
+                loggedHours: usage?.timeUsed || 0, // No budget - just show time worked
+                periodStart: usage?.periodStart || null,
+                periodEnd: usage?.periodEnd || null
+            };
+
+            if (budgetType === 'time') {
+                progress.typeLabel = 'AGREEMENT | TIME BUDGET';
+                progress.showProgressBar = true;
+                progress.totalHours = usage.timeAllowance || 0;
+                progress.percentage = progress.totalHours > 0 ? (progress.loggedHours / progress.totalHours) * 100 : 0;
+            } else if (budgetType === 'value') {
+                progress.typeLabel = 'AGREEMENT | VALUE BUDGET';
+                progress.showProgressBar = true;
+                progress.loggedHours = 0;
+                progress.loggedValue = usage.valueUsed || 0;
+                progress.totalValue = usage.valueAllowance || 0;
+                progress.percentage = progress.totalValue > 0 ? (progress.loggedValue / progress.totalValue) * 100 : 0;
+            }
+            return progress;
+        },
+
+        renderBlockDetails(item) {
+            const startDate = new Date(item.usage?.periodStart + 'T00:00:00');
+            const endDate = new Date(item.usage?.periodEnd + 'T00:00:00');
+            if (!item.usage?.periodStart || !item.usage?.periodEnd || isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+                return '';
+            }
+
+            const formatDate = date => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+            return `<div class="compact-period-info">${formatDate(startDate)} - ${formatDate(endDate)}</div>`;
+        },
+
+        describe: item => item.retainer_type ? `Type: ${item.retainer_type}` : '',
+
+        // Accelo contracts have no staff field like a job's manager or an issue's assignee, so the manager
+        // filter only shows agreements under "All managers"
+        getManager: () => '',
+
+        // The usage of the current period
+        async readLiveFigures(id, getRecord) {
+            const response = await getRecord(`contracts/${id}/periods`, {
+                _fields: 'id,date_commenced,date_expires,contract_budget,allowance,budget_used,standing',
+                _order_by: 'date_commenced',
+                _order_by_desc: 1,
+                _limit: 50
+            });
+            const usage = AgreementUsage.getAgreementUsage(response.response?.periods || []);
+            return usage ? { usage: { ...usage, truncated: false } } : null;
+        },
+        savedFigures: item => item.usage ? { usage: item.usage } : null,
+
+        // Titles and dates feed the expiring and nearing reports
+        reportFields: ['title', 'standing', 'date_started', 'date_expires'],
+
+        // The end of the current period, else the agreement's expiry
+        getDueDate: item => Date.parse(item.usage?.periodEnd + 'T00:00:00') || unixDate(item.date_expires),
+
+        // The current period, else the whole agreement
+        getActiveWindow: item => ({
+            start: Date.parse(item.usage?.periodStart + 'T00:00:00') || unixDate(item.date_started),
+            end: Date.parse(item.usage?.periodEnd + 'T00:00:00') || unixDate(item.date_expires)
+        }),
+
+        loadDrawer: (id, api) => api.getAgreementPeriodHistory(id),
+        renderDrawer(container, data, item, view) {
+            if (!data.periods || data.periods.length === 0) {
+                return 'No periods to display';
+            }
+            view.renderAgreementHistory(container, data);
+            return null;
+        },
+
+        acceloUrl: (deployment, id) => `https://${deployment}.accelo.com/?action=view_contract&id=${id}#?selected_tab=overview#END`
+    });
+
+    // Issues (Accelo tickets) have an optional time budget and an SLA (see AcceloAPI.getIssueUsage)
+    register({
+        type: 'issue',
+        label: 'Issue',
+        pluralLabel: 'Issues',
+        icon: 'fa-ticket',
+        listKey: 'issues',
+        progressField: 'usage',
+        fetchDetails: (id, api) => api.getIssue(id),
+        fetchProgress: (id, api) => api.getIssueUsage(id),
+
+        calculateProgress(item) {
+            const budgetType = item.usage?.budgetType || 'none';
+            const loggedHours = item.usage?.timeUsed || 0;
+            const totalHours = budgetType === 'time' ? item.usage.timeAllowance || 0 : 0;
+
+            return {
+                typeLabel: item.usage?.status ? `ISSUE | ${item.usage.status.toUpperCase()}` : 'ISSUE',
+                budgetType,
+                showProgressBar: budgetType === 'time',
+                loggedHours,
+                totalHours,
+                percentage: totalHours > 0 ? (loggedHours / totalHours) * 100 : 0
+            };
+        },
+
+        // The contract the issue counts against and its SLA countdown, kept current by TickerManager
+        renderBlockDetails(item, renderManager) {
+            if (!item.usage) {
+                return '';
+            }
+
+            let html = '';
+            if (item.usage.contract) {
+                html += `<div class="compact-period-info" title="Contract">${root.UIComponents.escapeHtml(item.usage.contract.title || `Contract #${item.usage.contract.id}`)}</div>`;
+            }
+            const sla = renderManager.getSlaCountdown(item.usage);
+            if (sla) {
+                html += `<div class="compact-sla compact-sla-${sla.status}" ${sla.status === 'resolved' ? '' : `data-sla-due="${item.usage.slaDue}"`}>${sla.label}</div>`;
+            }
+            return html;
+        },
+
+        describe(item) {
+            const details = [];
+            if (item.status) {
+                details.push(`Status: ${item.status}`);
+            }
+            if (item.date_due) {
+                details.push(`SLA due: ${root.UIComponents.formatDate(item.date_due)}`);
+            }
+            return details.join(' • ');
+        },
+
+        getManager: item => staffName(item.assignee),
+
+        // Logged time, standing and SLA due date
+        async readLiveFigures(id, getRecord) {
+            const issue = (await getRecord(`issues/${id}`, { _fields: 'id,billable_seconds,nonbillable_seconds,standing,date_due' })).response || {};
+            return {
+                loggedHours: loggedHours(issue.billable_seconds, issue.nonbillable_seconds),
+                standing: issue.standing,
+                dateDue: issue.date_due
+            };
+        },
+        getDueDate: item => Date.parse(item.usage?.slaDue) || unixDate(item.date_due),
+        getBillability: item => billability(item.usage),
+
+        // From submission to resolution, or to the SLA due date while open
+        getActiveWindow: item => ({
+            start: Date.parse(item.usage?.submittedAt) || unixDate(item.date_submitted),
+            end: Date.parse(item.usage?.resolvedAt) || Date.parse(item.usage?.slaDue) || unixDate(item.date_due)
+        }),
+
+        loadDrawer: (id, api) => api.getIssueActivities(id),
+        renderDrawer(container, data, item, view) {
+            if (!data.activities || data.activities.length === 0) {
+                return 'No time logged yet';
+            }
+            view.renderIssueActivities(container, data, item);
+            return null;
+        },
+
+        acceloUrl: (deployment, id) => `https://${deployment}.accelo.com/?action=view_issue&id=${id}`
+    });
+
+    const ItemTypes = {
+        register,
+        get,
+        all,
+        names,
+        typeOf,
+        fetchItem,
+        serializeItem
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ItemTypes;
+    } else {
+        root.ItemTypes = ItemTypes;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
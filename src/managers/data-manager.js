@@ -1,6 +1,11 @@
 /**
  * DataManager handles data persistence, routing, and dashboard state management
  */
+
+const SYNC_OVERLAP = 2 * 60 * 1000; // Changes are looked for from a little before the last sync, for clock skew
+const BURN_RATE_MAX_AGE = 24 * 60 * 60 * 1000; // Burn rates are re-measured at least daily, as old time leaves the window
+const MAX_MERGE_ATTEMPTS = 3; // Saves refused again after merging give up and show the saved version
+
 export default class DataManager {
     /**
      * Creates a new DataManager instance
@@ -8,6 +13,9 @@ export default class DataManager {
      */
     constructor(dashboard) {
         this.dashboard = dashboard;
+        this.isMerging = false;
+        this.saveAfterMerge = false;
+        this.mergeAttempts = 0;
     }
     
     /**
@@ -38,6 +46,9 @@ export default class DataManager {
         const dashboardIdParam = urlParams.get('dashboard');
         const shouldRename = urlParams.get('rename') === 'true';
         
+        // Item to scroll to once rendered, e.g. from a chat answer (?item=project_123)
+        this.requestedItem = urlParams.get('item');
+        
         if (dashboardIdParam) {
             // Validate dashboard exists
             const dashboard = window.dashboardManager.getDashboard(dashboardIdParam);
@@ -75,6 +86,25 @@ export default class DataManager {
         }
     }
 
+    /**
+     * Scroll to and highlight the item requested in the URL, then drop it from the URL
+     * so refreshing the page does not jump back to it
+     */
+    focusRequestedItem() {
+        if (!this.requestedItem) {
+            return;
+        }
+
+        if (!this.dashboard.renderManager.focusItem(this.requestedItem)) {
+            UIComponents.showToast('That item is not on this dashboard', 'warning');
+        }
+        this.requestedItem = null;
+
+        const url = new URL(window.location.href);
+        url.searchParams.delete('item');
+        window.history.replaceState(null, '', url.pathname + url.search);
+    }
+
     /**
      * Update dashboard name badge in navbar
      * Shows or hides the dashboard name badge based on whether a name is provided
@@ -95,7 +125,7 @@ export default class DataManager {
     }
     
     /**
-     * Load saved dashboard state from localStorage
+     * Load saved dashboard state from the server
      * Restores dashboard data, company order, and company colors from persistent storage
      * @returns {Promise<void>}
      */
@@ -105,7 +135,15 @@ export default class DataManager {
             return;
         }
         
-        const dashboardData = window.dashboardManager.loadDashboardData(this.dashboard.currentDashboardId);
+        const dashboardData = await window.dashboardManager.loadDashboardData(this.dashboard.currentDashboardId);
+        this.applyState(dashboardData);
+    }
+
+    /**
+     * Show saved or merged dashboard data: items, company order and colors, expanded view cache
+     * @param {Object} dashboardData - As loaded from the server
+     */
+    applyState(dashboardData) {
         this.dashboard.dashboardData = dashboardData.dashboardData || [];
         this.dashboard.companyOrder = dashboardData.companyOrder || [];
         this.dashboard.companyColors = dashboardData.companyColors || {};
@@ -113,6 +151,9 @@ export default class DataManager {
         // Load expanded view data for the expanded view manager
         this.dashboard.expandedViewData = dashboardData.expandedViewData || {};
         
+        // When the items were last refreshed from Accelo (shown in the navbar)
+        this.dashboard.lastRefreshed = dashboardData.lastRefreshed || null;
+        
         // If no company order saved, derive it from dashboardData
         if (this.dashboard.companyOrder.length === 0 && this.dashboard.dashboardData.length > 0) {
             const companies = this.dashboard.groupItemsByCompany();
@@ -121,8 +162,10 @@ export default class DataManager {
     }
     
     /**
-     * Save dashboard state to localStorage
-     * Persists current dashboard data, company order, and company colors
+     * Save dashboard state to the server
+     * Persists current dashboard data, company order, and company colors.
+     * Callers don't need to wait - failures are reported with a toast
+     * @returns {Promise<void>}
      */
     saveDashboardState() {
         if (!this.dashboard.currentDashboardId) {
@@ -130,14 +173,93 @@ export default class DataManager {
             return;
         }
         
-        const state = {
+        // Saved once the merge with the other browser's version is done
+        if (this.isMerging) {
+            this.saveAfterMerge = true;
+            return Promise.resolve();
+        }
+        
+        return window.dashboardManager.saveDashboardData(this.dashboard.currentDashboardId, this.getState())
+            .then(() => {
+                if (!this.isMerging) {
+                    this.mergeAttempts = 0;
+                }
+            }, error => {
+                if (error.status === 409) {
+                    return this.mergeAfterConflict();
+                }
+                console.error('Failed to save dashboard:', error);
+                UIComponents.showToast('Failed to save dashboard: ' + error.message, 'error');
+            });
+    }
+    
+    /**
+     * The dashboard data this browser saves
+     */
+    getState() {
+        return {
             dashboardData: this.dashboard.dashboardData,
             companyOrder: this.dashboard.companyOrder,
             companyColors: this.dashboard.companyColors,
-            expandedViewData: this.dashboard.expandedViewData || {}
+            expandedViewData: this.dashboard.expandedViewData || {},
+            lastRefreshed: this.dashboard.lastRefreshed || null
         };
-        
-        window.dashboardManager.saveDashboardData(this.dashboard.currentDashboardId, state);
+    }
+    
+    /**
+     * Another browser saved this dashboard since it was loaded here: merge this browser's changes onto
+     * the saved version and save again (see DashboardManager.rebaseData)
+     * Refreshed figures and cached drawers always carry over; the user is only told when a layout
+     * change made here conflicted with one made there and was dropped
+     * @returns {Promise<void>}
+     */
+    async mergeAfterConflict() {
+        if (++this.mergeAttempts > MAX_MERGE_ATTEMPTS) {
+            return this.reloadAfterConflict();
+        }
+
+        console.warn('[SAVE] Dashboard was changed elsewhere - merging with the saved version');
+        const local = this.getState();
+        this.isMerging = true;
+        let conflicts;
+        try {
+            const merged = await window.dashboardManager.rebaseData(this.dashboard.currentDashboardId, local);
+            conflicts = merged.conflicts;
+            if (JSON.stringify(merged.data) !== JSON.stringify(local)) {
+                this.applyState(merged.data);
+                this.dashboard.renderDashboard();
+            }
+        } catch (error) {
+            console.error('Failed to merge dashboard:', error);
+            UIComponents.showToast('This dashboard was changed in another browser. Reload the page to see the latest version', 'error');
+            return;
+        } finally {
+            this.isMerging = false;
+            this.saveAfterMerge = false;
+        }
+
+        if (conflicts.length > 0) {
+            UIComponents.showToast('The layout of this dashboard was also changed in another browser. Showing that version - please redo your last layout change', 'warning');
+        }
+        return this.saveDashboardState();
+    }
+    
+    /**
+     * Show the saved version, dropping this browser's unsaved changes
+     * Used when saves keep being refused after merging
+     * @returns {Promise<void>}
+     */
+    async reloadAfterConflict() {
+        console.warn('[SAVE] Dashboard keeps changing elsewhere - reloading the saved version');
+        this.mergeAttempts = 0;
+        try {
+            await this.loadDashboardState();
+            this.dashboard.renderDashboard();
+            UIComponents.showToast('This dashboard was changed in another browser. Showing the latest version - please redo your last change', 'warning');
+        } catch (error) {
+            console.error('Failed to reload dashboard:', error);
+            UIComponents.showToast('This dashboard was changed in another browser. Reload the page to see the latest version', 'error');
+        }
     }
     
     /**
@@ -164,7 +286,7 @@ export default class DataManager {
             cachedAt: new Date().toISOString()
         };
         
-        // Save to localStorage immediately
+        // Save to the server immediately
         this.saveDashboardState();
     }
     
@@ -185,68 +307,210 @@ export default class DataManager {
     }
     
     /**
-     * Refresh all dashboard data from API
-     * Re-fetches hours/usage data for all dashboard items from the Accelo API
-     * and updates the display with the latest information
+     * Drop the saved and in-memory expanded view data of some items, so their drawers reload
+     * @param {Array<string>} itemIds - Expanded view keys, e.g. "project_123"
+     */
+    invalidateExpandedViewData(itemIds) {
+        itemIds.forEach(itemId => {
+            delete this.dashboard.expandedViewData?.[itemId];
+            this.dashboard.expandedViewManager?.expandedData.delete(itemId);
+        });
+    }
+    
+    /**
+     * Measure how fast time is being logged on an item, for its forecast (see Forecast.forecast)
+     * Needs the item's current usage, so load hours/usage first; failures leave the previous burn rate
+     * @param {Object} item - Dashboard item
      * @returns {Promise<void>}
      */
-    async refreshDashboardData() {
-        if (this.dashboard.dashboardData.length === 0) {
-            this.dashboard.renderManager.renderDashboard();
-            return;
+    async loadBurnRate(item) {
+        const type = this.dashboard.renderManager.getItemType(item);
+        // Value budgets are converted to a rate with the value per hour of the current period
+        const periodStart = item.usage?.budgetType === 'value' ? item.usage.periodStart : null;
+
+        try {
+            item.burnRate = await window.acceloAPI.getBurnRate(type, item.id, { periodStart });
+        } catch (error) {
+            console.error(`Failed to measure burn rate for ${type} ${item.id}:`, error);
+        }
+    }
+
+    /**
+     * Find the items a refresh needs to re-fetch
+     * Only items changed in Accelo since they were last synced (see AcceloAPI.getChangedItems), plus:
+     * - Items never synced, marked stale by a webhook, or whose burn rate is older than BURN_RATE_MAX_AGE
+     * - Items whose budget period has ended (agreements), so the next period is picked up
+     * Falls back to every item when changes can't be listed completely.
+     * @param {Array} items - Dashboard items
+     * @returns {Promise<Array>} The items to refresh
+     */
+    async getItemsToRefresh(items) {
+        const now = Date.now();
+        const syncedTimes = items.map(item => Date.parse(item.syncedAt));
+        if (syncedTimes.some(isNaN)) {
+            return items;
         }
 
+        const needsRefresh = item => item.stale ||
+            now - (Date.parse(item.burnRate?.measuredAt) || 0) > BURN_RATE_MAX_AGE ||
+            Date.parse(this.dashboard.renderManager.calculateProgress(item).periodEnd) < now;
+
         try {
-            UIComponents.showLoading();
-            
-            // Clear expanded view cache since we're refreshing all data
-            this.clearExpandedViewData();
-            
-            // Clear the in-memory expanded view cache as well
-            if (this.dashboard.expandedViewManager) {
-                this.dashboard.expandedViewManager.expandedData.clear();
+            // e.g. { projectIds: [...], agreementIds: [...], since }, answered with { projects: Set, agreements: Set }
+            const idsOf = type => items.filter(item => item.type === type).map(item => item.id);
+            const changed = await window.acceloAPI.getChangedItems({
+                ...Object.fromEntries(ItemTypes.names().map(type => [`${type}Ids`, idsOf(type)])),
+                since: Math.min(...syncedTimes) - SYNC_OVERLAP
+            });
+
+            if (changed.truncated) {
+                console.warn('[REFRESH] Too many changes to list - refreshing every item');
+                return items;
+            }
+
+            const changedIds = item => changed[ItemTypes.get(item.type)?.listKey];
+            return items.filter(item => needsRefresh(item) || changedIds(item)?.has(String(item.id)));
+        } catch (error) {
+            console.warn('[REFRESH] Failed to list changed items - refreshing every item:', error.message);
+            return items;
+        }
+    }
+
+    /**
+     * Re-fetch one item's hours or usage, and its burn rate
+     * Failed items keep their old data and sync time, so the next refresh retries them
+     * @param {Object} item - Dashboard item
+     * @param {string} syncedAt - ISO time the refresh started
+     * @returns {Promise<boolean>} Whether the hours or usage were refreshed
+     */
+    async refreshItem(item, syncedAt) {
+        const itemType = ItemTypes.get(item.type);
+        try {
+            item[itemType.progressField] = await itemType.fetchProgress(item.id, window.acceloAPI);
+        } catch (error) {
+            console.error(`Failed to refresh ${item.type} ${item.id}:`, error);
+            return false;
+        }
+
+        await this.loadBurnRate(item);
+        item.syncedAt = syncedAt;
+        delete item.stale;
+        delete item.staleAt;
+        return true;
+    }
+
+    /**
+     * Apply item changes pushed by the server (see LiveUpdateManager)
+     * Agreements take the usage the server read; projects and items marked stale by a webhook are re-fetched.
+     * Only the affected progress blocks are re-rendered.
+     * @param {Array} changes - [{ key, type, id, changes?, stale? }] e.g. { key: "agreement_12", changes: { usage } }
+     * @returns {Promise<Array>} The items that were updated
+     */
+    async applyLiveChanges(changes) {
+        const syncedAt = new Date().toISOString();
+        const updated = [];
+
+        await Promise.all(changes.map(async change => {
+            const item = this.dashboard.dashboardData.find(candidate => `${candidate.type}_${candidate.id}` === change.key);
+            if (!item) {
+                return;
+            }
+
+            const field = ItemTypes.get(item.type).progressField;
+            if (change.changes?.[field] && !change.stale) {
+                item[field] = change.changes[field];
+                await this.loadBurnRate(item);
+                item.syncedAt = syncedAt;
+            } else if (!await this.refreshItem(item, syncedAt)) {
+                return;
             }
+            updated.push(item);
+        }));
+
+        if (updated.length === 0) {
+            return updated;
+        }
+
+        this.invalidateExpandedViewData(updated.map(item => `${item.type}_${item.id}`));
+        this.saveDashboardState();
+        await this.dashboard.historyManager?.recordSnapshots(updated);
+        this.dashboard.renderManager.updateProgressBlocks(updated);
+        return updated;
+    }
+
+    /**
+     * Refresh dashboard data from API
+     * Re-fetches hours/usage data for the items that changed in Accelo since the last refresh
+     * (or for all items with `full`), and updates the display with the latest information.
+     * Progress is shown by RefreshManager, which schedules and starts refreshes.
+     * @param {Object} [options]
+     * @param {boolean} [options.quiet] - No toasts (background refreshes report in the navbar instead)
+     * @param {boolean} [options.full] - Re-fetch every item, changed or not
+     * @param {Function} [options.onProgress] - Called with (done, total) once the changed items are known and as they finish
+     * @returns {Promise<{total: number, failed: number}>} Items refreshed and items that failed
+     */
+    async refreshDashboardData({ quiet = false, full = false, onProgress = () => {} } = {}) {
+        const items = this.dashboard.dashboardData;
+        if (items.length === 0) {
+            this.dashboard.renderManager.renderDashboard();
+            return { total: 0, failed: 0 };
+        }
+
+        let done = 0;
+        let failed = 0;
+        let changedItems = items;
+
+        try {
+            // A refresh means live data, not responses cached by the API client
+            window.acceloAPI.clearCache();
+            const syncedAt = new Date().toISOString();
+
+            changedItems = full ? items : await this.getItemsToRefresh(items);
+            onProgress(done, changedItems.length);
+
+            // Drawers of changed items reload; the others keep their cached details
+            this.invalidateExpandedViewData(changedItems.map(item => `${item.type}_${item.id}`));
             
-            // Refresh data for each item
-            for (let i = 0; i < this.dashboard.dashboardData.length; i++) {
-                const item = this.dashboard.dashboardData[i];
-                
-                if (item.type === 'project') {
-                    try {
-                        const hours = await window.acceloAPI.getProjectHours(item.id);
-                        this.dashboard.dashboardData[i].hours = hours;
-                    } catch (error) {
-                        console.error(`Failed to refresh hours for project ${item.id}:`, error);
-                    }
-                } else if (item.type === 'agreement') {
-                    try {
-                        const usage = await window.acceloAPI.getAgreementUsage(item.id);
-                        this.dashboard.dashboardData[i].usage = usage;
-                    } catch (error) {
-                        console.error(`Failed to refresh usage for agreement ${item.id}:`, error);
-                    }
+            // Refresh data for the changed items - the API client's request queue handles rate limiting
+            await Promise.all(changedItems.map(async (item) => {
+                if (!await this.refreshItem(item, syncedAt)) {
+                    failed++;
                 }
-                
-                // Small delay to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 100));
+                onProgress(++done, changedItems.length);
+            }));
+            
+            if (failed === 0 || failed < changedItems.length) {
+                this.dashboard.lastRefreshed = syncedAt;
             }
             
-            // Save the refreshed data and re-render
+            // Save the refreshed data, record a history snapshot and re-render the changed blocks
             this.saveDashboardState();
-            this.dashboard.renderManager.renderDashboard();
+            await this.dashboard.historyManager?.recordSnapshots(items);
+            this.dashboard.renderManager.updateProgressBlocks(changedItems);
+            this.dashboard.historyManager?.updateSparklines();
             
-            // Reapply saved company colors after rendering
-            setTimeout(() => {
-                this.dashboard.applySavedCompanyColors();
-            }, 50);
-            
-            UIComponents.showToast('Dashboard data refreshed successfully', 'success');
+            if (!quiet) {
+                const truncatedCount = changedItems.filter(item => item.hours?.truncated || item.usage?.truncated).length;
+                if (failed > 0) {
+                    UIComponents.showToast(`Failed to refresh ${failed} of ${changedItems.length} item(s) - showing their previous data`, 'warning');
+                } else if (truncatedCount > 0) {
+                    UIComponents.showToast(`Dashboard data refreshed, but ${truncatedCount} item(s) have more data than could be loaded - totals may be incomplete`, 'warning');
+                } else if (changedItems.length === 0) {
+                    UIComponents.showToast('Dashboard is up to date', 'success');
+                } else if (changedItems.length < items.length) {
+                    UIComponents.showToast(`Refreshed ${changedItems.length} changed item(s)`, 'success');
+                } else {
+                    UIComponents.showToast('Dashboard data refreshed successfully', 'success');
+                }
+            }
             
+            return { total: changedItems.length, failed };
         } catch (error) {
             console.error('Failed to refresh dashboard data:', error);
-            UIComponents.showToast('Failed to refresh data: ' + error.message, 'error');
-        } finally {
-            UIComponents.hideLoading();
+            if (!quiet) {
+                UIComponents.showToast('Failed to refresh data: ' + error.message, 'error');
+            }
+            return { total: changedItems.length, failed: changedItems.length };
         }
     }
-} 
\ No newline at end of file
+}
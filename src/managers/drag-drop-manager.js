@@ -81,10 +81,10 @@ export default class DragDropManager {
         const progressBlock = e.target.closest('.compact-progress-block');
         const companyBlock = e.target.closest('.company-block');
         
-        if (progressBlock && progressBlock.hasAttribute('draggable')) {
+        if (progressBlock && progressBlock.draggable) {
             // Dragging a progress block
             this.startProgressBlockDrag(e, progressBlock);
-        } else if (companyBlock && companyBlock.hasAttribute('draggable')) {
+        } else if (companyBlock && companyBlock.draggable) {
             // Dragging a company block
             this.startCompanyBlockDrag(e, companyBlock);
         }
@@ -102,10 +102,8 @@ export default class DragDropManager {
         this.dragState.draggedType = 'progress';
         
         // Get the data for this block
-        const projectId = progressBlock.dataset.projectId;
-        const agreementId = progressBlock.dataset.agreementId;
-        const itemId = projectId || agreementId;
-        const itemType = projectId ? 'project' : 'agreement';
+        const itemId = progressBlock.dataset.itemId;
+        const itemType = progressBlock.dataset.itemType;
         
         // Find the item in our data (compare as strings to handle both string and number IDs)
         const item = this.dashboard.dashboardData.find(d => 
@@ -486,10 +484,8 @@ export default class DragDropManager {
         
         // If there's an afterElement, find its data and position
         if (afterElement) {
-            const afterProjectId = afterElement.dataset.projectId;
-            const afterAgreementId = afterElement.dataset.agreementId;
-            const afterItemId = afterProjectId || afterAgreementId;
-            const afterItemType = afterProjectId ? 'project' : 'agreement';
+            const afterItemId = afterElement.dataset.itemId;
+            const afterItemType = afterElement.dataset.itemType;
             
             // Use string comparison to handle both string and number IDs
             const afterIndex = this.dashboard.dashboardData.findIndex(d => 
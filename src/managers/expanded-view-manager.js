@@ -19,7 +19,7 @@ export default class ExpandedViewManager {
      * Initialize the expanded view manager
      */
     init() {
-        // Load any previously cached expanded view data from localStorage
+        // Load any previously cached expanded view data from the saved dashboard state
         this.loadCachedData();
         
         // Set up click outside handler
@@ -30,7 +30,7 @@ export default class ExpandedViewManager {
         
         // Start background data loading after initial render
         // Reduced delay since we now have cached data to show immediately
-        setTimeout(() => this.preloadAllProjectDetails(), 1000);
+        setTimeout(() => this.preloadDrawerDetails(), 1000);
     }
     
     /**
@@ -187,7 +187,7 @@ export default class ExpandedViewManager {
         drawer.className = 'expanded-drawer';
         
         // Get the status class from the parent block
-        const statusClass = item.hours ? this.getStatusClass(item) : '';
+        const statusClass = (item.hours || item.usage) ? this.getStatusClass(item) : '';
         if (statusClass) {
             drawer.classList.add(statusClass);
         }
@@ -226,41 +226,28 @@ export default class ExpandedViewManager {
         const errorEl = drawer.querySelector('.drawer-error');
         
         try {
-            // Check if data is already cached
-            if (this.expandedData.has(itemId)) {
-                const data = this.expandedData.get(itemId);
-                this.renderDrawerItems(itemsEl, data, item);
-                loadingEl.style.display = 'none';
+            // Use cached data when available, otherwise fetch and cache it
+            let data = this.expandedData.get(itemId);
+            const itemType = ItemTypes.get(item.type);
+            if (!data) {
+                data = await itemType.loadDrawer(item.id, window.acceloAPI);
                 
-                if (data.tasks.length === 0 && data.milestones.length === 0) {
-                    emptyEl.style.display = 'block';
-                } else {
-                    itemsEl.style.display = 'block';
-                }
+                // Cache in memory for immediate access
+                this.expandedData.set(itemId, data);
+                
+                // Save to persistent storage for future page loads
+                this.dashboard.dataManager.saveExpandedViewData(itemId, data);
+            }
+            
+            loadingEl.style.display = 'none';
+            
+            // The type renders its details, or says why there are none, e.g. "No periods to display"
+            const emptyText = itemType.renderDrawer(itemsEl, data, item, this);
+            if (emptyText) {
+                emptyEl.querySelector('p').textContent = emptyText;
+                emptyEl.style.display = 'block';
             } else {
-                // Data not cached, fetch it
-                if (item.type === 'project') {
-                    const data = await window.acceloAPI.getProjectTasksAndMilestones(item.id);
-                    
-                    // Cache in memory for immediate access
-                    this.expandedData.set(itemId, data);
-                    
-                    // Save to persistent storage for future page loads
-                    this.dashboard.dataManager.saveExpandedViewData(itemId, data);
-                    
-                    this.renderDrawerItems(itemsEl, data, item);
-                    loadingEl.style.display = 'none';
-                    
-                    if (data.tasks.length === 0 && data.milestones.length === 0) {
-                        emptyEl.style.display = 'block';
-                    } else {
-                        itemsEl.style.display = 'block';
-                    }
-                } else {
-                    // For agreements, show empty state for now
-                    loadingEl.style.display = 'none';
-                    emptyEl.style.display = 'block';
-                }
+                itemsEl.style.display = 'block';
             }
         } catch (error) {
             console.error('Failed to load drawer content:', error);
@@ -281,11 +268,7 @@ export default class ExpandedViewManager {
         container.innerHTML = '';
         
         // Get project budget for calculating task/milestone progress
-        const projectBudget = this.dashboard.renderManager.getProjectBudget(
-            parentItem.id, 
-            parentItem.title, 
-            parentItem.hours?.totalHours || 0
-        );
+        const projectBudget = this.dashboard.renderManager.getProjectBudget(parentItem);
         
         // Render top-level tasks first (indented 1 level)
         const topLevelTasks = data.tasks.filter(task => !task.parentMilestoneId);
@@ -309,6 +292,199 @@ export default class ExpandedViewManager {
         });
     }
     
+    /**
+     * Render the time logged against an issue, newest first, under a summary of its SLA and contract
+     */
+    renderIssueActivities(container, data, item) {
+        const usage = item.usage || {};
+        const formatTime = (date) => new Date(date).toLocaleString(undefined, { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' });
+        
+        const summary = [`${data.activities.length} time entr${data.activities.length === 1 ? 'y' : 'ies'}`];
+        if (usage.submittedAt) {
+            summary.push(`Submitted ${formatTime(usage.submittedAt)}`);
+        }
+        if (usage.slaDue) {
+            summary.push(`SLA due ${formatTime(usage.slaDue)}`);
+        }
+        if (usage.resolvedAt) {
+            summary.push(`Resolved ${formatTime(usage.resolvedAt)}`);
+        }
+        if (usage.contract) {
+            summary.push(`Contract: ${usage.contract.title || `#${usage.contract.id}`}`);
+        }
+        if (data.truncated) {
+            summary.push('Older entries not loaded');
+        }
+        
+        const rows = data.activities.map(activity => `
+            <tr>
+                <td>${formatTime(activity.loggedAt)}</td>
+                <td>${UIComponents.escapeHtml(activity.subject)}</td>
+                <td class="numeric">${activity.billableHours.toFixed(1)}h</td>
+                <td class="numeric">${activity.nonBillableHours.toFixed(1)}h</td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <div class="agreement-history issue-activity">
+                <div class="agreement-history-header">
+                    <span class="agreement-history-title"><i class="fa-solid fa-clock"></i> Time Logged</span>
+                    <span class="agreement-history-summary">${UIComponents.escapeHtml(summary.join(' · '))}</span>
+                </div>
+                <table class="agreement-history-table">
+                    <thead>
+                        <tr>
+                            <th>Logged</th>
+                            <th>Activity</th>
+                            <th class="numeric">Billable</th>
+                            <th class="numeric">Non-billable</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render an agreement's period history: a trend chart and a table of periods, newest first
+     */
+    renderAgreementHistory(container, data) {
+        const periods = data.periods;
+        const budgeted = periods.filter(period => period.budgetType !== 'none');
+        const completed = budgeted.filter(period => !period.isCurrent);
+        const overCount = completed.filter(period => period.variance < 0).length;
+        
+        let summary = `${periods.length} period${periods.length === 1 ? '' : 's'}`;
+        if (completed.length > 0) {
+            const averageUsed = completed.reduce((sum, period) => sum + period.percentage, 0) / completed.length;
+            summary += ` · Over budget in ${overCount} of ${completed.length} completed · Average ${Math.round(averageUsed)}% used`;
+        }
+        if (data.truncated) {
+            summary += ' · Older periods not loaded';
+        }
+        
+        const rows = [...periods].reverse().map(period => {
+            const hasBudget = period.budgetType !== 'none';
+            const allowance = period.budgetType === 'value' ? period.valueAllowance : period.timeAllowance;
+            const used = period.budgetType === 'value' ? period.valueUsed : period.timeUsed;
+            const varianceClass = !hasBudget ? '' : (period.variance < 0 ? 'status-danger' : 'status-success');
+            
+            return `
+                <tr class="${period.isCurrent ? 'period-current' : ''}">
+                    <td>${this.formatPeriodDates(period)}${period.isCurrent ? ' <span class="period-current-badge">Current</span>' : ''}</td>
+                    <td class="numeric">${hasBudget ? this.formatPeriodAmount(period, allowance) : '-'}</td>
+                    <td class="numeric">${this.formatPeriodAmount(period, used)}</td>
+                    <td class="numeric ${varianceClass}">${hasBudget ? this.formatVariance(period, period.variance, 'under', 'over') : '-'}</td>
+                    <td class="numeric">${hasBudget ? this.formatVariance(period, period.rollover, 'in hand', 'owed') : '-'}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <div class="agreement-history">
+                <div class="agreement-history-header">
+                    <span class="agreement-history-title"><i class="fa-solid fa-chart-column"></i> Period History</span>
+                    <span class="agreement-history-summary">${summary}</span>
+                </div>
+                ${this.createTrendChart(periods)}
+                <table class="agreement-history-table">
+                    <thead>
+                        <tr>
+                            <th>Period</th>
+                            <th class="numeric">Allowance</th>
+                            <th class="numeric">Used</th>
+                            <th class="numeric">Over / Under</th>
+                            <th class="numeric" title="Balance carried in from earlier periods">Rollover</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+    
+    /**
+     * Bar chart of the most recent periods: percentage of allowance used, with a 100% line
+     * Agreements without a budget chart hours used instead
+     */
+    createTrendChart(periods) {
+        const recent = periods.slice(-12);
+        const byPercentage = recent.some(period => period.budgetType !== 'none');
+        const values = recent.map(period => byPercentage ? (period.percentage ?? 0) : period.timeUsed);
+        const scaleMax = Math.max(byPercentage ? 100 : 0, ...values) || 1;
+        
+        const barWidth = 20;
+        const gap = 6;
+        const height = 64;
+        const width = recent.length * (barWidth + gap);
+        
+        const bars = recent.map((period, index) => {
+            const value = values[index];
+            const barHeight = Math.max(1, Math.round((value / scaleMax) * height * 10) / 10);
+            let status = 'none';
+            if (byPercentage && period.budgetType !== 'none') {
+                status = value > 100 ? 'danger' : (value >= 75 ? 'warning' : 'success');
+            }
+            const label = byPercentage && period.budgetType !== 'none'
+                ? `${Math.round(value)}% used`
+                : this.formatPeriodAmount(period, period.timeUsed);
+            
+            return `
+                <rect class="trend-bar trend-bar-${status}${period.isCurrent ? ' trend-bar-current' : ''}"
+                      x="${index * (barWidth + gap)}" y="${Math.round((height - barHeight) * 10) / 10}" width="${barWidth}" height="${barHeight}" rx="2">
+                    <title>${this.formatPeriodDates(period)}: ${label}</title>
+                </rect>
+            `;
+        }).join('');
+        
+        const budgetY = Math.round((height - (100 / scaleMax) * height) * 10) / 10;
+        const budgetLine = byPercentage
+            ? `<line class="trend-budget-line" x1="0" x2="${width}" y1="${budgetY}" y2="${budgetY}"></line>`
+            : '';
+        
+        return `
+            <div class="agreement-trend">
+                <svg class="agreement-trend-chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img"
+                     aria-label="${byPercentage ? 'Percentage of allowance used' : 'Hours used'} per period">
+                    ${bars}
+                    ${budgetLine}
+                </svg>
+                <span class="agreement-trend-label">${byPercentage ? 'Allowance used per period (line = 100%)' : 'Hours per period'}</span>
+            </div>
+        `;
+    }
+    
+    formatPeriodDates(period) {
+        const format = (date) => date
+            ? new Date(date + 'T00:00:00').toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: '2-digit' })
+            : '?';
+        return `${format(period.periodStart)} – ${format(period.periodEnd)}`;
+    }
+    
+    /**
+     * Format an amount in the period's budget unit (currency for value budgets, hours otherwise)
+     */
+    formatPeriodAmount(period, amount) {
+        if (period.budgetType === 'value') {
+            return `$${Math.abs(amount).toFixed(2)}`;
+        }
+        const hours = Math.abs(amount);
+        const h = Math.floor(hours);
+        const m = Math.round((hours - h) * 60);
+        return m === 60 ? `${h + 1}h 0m` : `${h}h ${m}m`;
+    }
+    
+    /**
+     * Format a signed balance, e.g. "2h 30m under" or "$120.00 over"
+     */
+    formatVariance(period, amount, positiveLabel, negativeLabel) {
+        if (!amount) {
+            return this.formatPeriodAmount(period, 0);
+        }
+        return `${this.formatPeriodAmount(period, amount)} ${amount > 0 ? positiveLabel : negativeLabel}`;
+    }
+    
     /**
      * Create an individual drawer item element
      */
@@ -410,51 +586,26 @@ export default class ExpandedViewManager {
      * Get status class based on progress
      */
     getStatusClass(item) {
-        if (item.type === 'project' && item.hours) {
-            const loggedHours = item.hours.totalHours || 0;
-            const budgetHours = this.dashboard.renderManager.getProjectBudget(item.id, item.title, loggedHours);
-            const percentage = budgetHours > 0 ? (loggedHours / budgetHours) * 100 : 0;
-            
-            if (percentage > 100) return 'status-danger';
-            if (percentage >= 75) return 'status-warning';
-            return 'status-success';
-        }
-        
-        if ((item.type === 'agreement' || item.type === 'contract') && item.usage) {
-            const usage = item.usage;
-            let percentage = 0;
-            
-            if (usage.budgetType === 'time' && usage.timeAllowance > 0) {
-                percentage = (usage.timeUsed / usage.timeAllowance) * 100;
-            } else if (usage.budgetType === 'value' && usage.valueAllowance > 0) {
-                percentage = (usage.valueUsed / usage.valueAllowance) * 100;
-            }
-            
-            if (percentage > 100) return 'status-danger';
-            if (percentage >= 75) return 'status-warning';
-            if (percentage > 0) return 'status-success';
-        }
-        
-        return 'status-success'; // Default to success if no status can be determined
+        return this.dashboard.renderManager.calculateProgress(item).statusClass || 'status-success';
     }
     
     /**
-     * Preload all project details in the background
+     * Preload drawer details in the background for the types that ask for it (see ItemTypes, preloadDrawer)
      */
-    async preloadAllProjectDetails() {
-        // Get all projects from dashboard data
-        const projects = this.dashboard.dashboardData.filter(item => item.type === 'project');
+    async preloadDrawerDetails() {
+        // Get the items whose drawers are preloaded, e.g. projects' tasks and milestones
+        const items = this.dashboard.dashboardData.filter(item => ItemTypes.get(item.type)?.preloadDrawer);
         
-        if (projects.length === 0) return;
+        if (items.length === 0) return;
         
         // Update loading indicator
         this.updateLoadingIndicator(true);
         
         let loadedCount = 0;
-        const totalCount = projects.length;
+        const totalCount = items.length;
         
-        for (const project of projects) {
-            const itemId = `project_${project.id}`;
+        for (const item of items) {
+            const itemId = `${item.type}_${item.id}`;
             
             // Skip if already cached
             if (this.expandedData.has(itemId)) {
@@ -469,7 +620,7 @@ export default class ExpandedViewManager {
             
             try {
                 this.isLoadingDetails.set(itemId, true);
-                const data = await window.acceloAPI.getProjectTasksAndMilestones(project.id);
+                const data = await ItemTypes.get(item.type).loadDrawer(item.id, window.acceloAPI);
                 
                 // Cache in memory for immediate access
                 this.expandedData.set(itemId, data);
@@ -479,12 +630,9 @@ export default class ExpandedViewManager {
                 
                 loadedCount++;
                 
-                console.log(`[ExpandedView] Preloaded project ${project.id} (${loadedCount}/${totalCount})`);
-                
-                // Small delay between requests
-                await new Promise(resolve => setTimeout(resolve, 100));
+                console.log(`[ExpandedView] Preloaded ${item.type} ${item.id} (${loadedCount}/${totalCount})`);
             } catch (error) {
-                console.error(`Failed to preload details for project ${project.id}:`, error);
+                console.error(`Failed to preload details for ${item.type} ${item.id}:`, error);
             } finally {
                 this.isLoadingDetails.set(itemId, false);
             }
@@ -493,7 +641,7 @@ export default class ExpandedViewManager {
         // Update loading indicator
         this.updateLoadingIndicator(false);
         
-        console.log(`[ExpandedView] Background preloading complete: ${loadedCount}/${totalCount} projects loaded`);
+        console.log(`[ExpandedView] Background preloading complete: ${loadedCount}/${totalCount} items loaded`);
     }
     
     /**
@@ -516,7 +664,7 @@ export default class ExpandedViewManager {
     }
     
     /**
-     * Load cached expanded view data from localStorage
+     * Load cached expanded view data from the saved dashboard state
      */
     loadCachedData() {
         try {
@@ -540,7 +688,7 @@ export default class ExpandedViewManager {
             }
             
             if (this.expandedData.size > 0) {
-                console.log(`[ExpandedView] Loaded ${this.expandedData.size} cached expanded view items from localStorage`);
+                console.log(`[ExpandedView] Loaded ${this.expandedData.size} cached expanded view items from saved dashboard state`);
             }
         } catch (error) {
             console.error('Failed to load cached expanded view data:', error);
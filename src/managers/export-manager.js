@@ -0,0 +1,363 @@
+/**
+ * ExportManager - Exports the current dashboard's progress data as CSV or XLSX
+ * Figures come from RenderManager.calculateProgress so exports match the progress blocks
+ */
+
+const EXPORT_COLUMNS = [
+    { key: 'company', label: 'Company' },
+    { key: 'title', label: 'Item' },
+    { key: 'type', label: 'Type' },
+    { key: 'budgetType', label: 'Budget Type' },
+    { key: 'loggedHours', label: 'Logged Hours' },
+    { key: 'billableHours', label: 'Billable Hours' },
+    { key: 'nonBillableHours', label: 'Non-Billable Hours' },
+    { key: 'unit', label: 'Budget Unit' },
+    { key: 'allowance', label: 'Allowance' },
+    { key: 'used', label: 'Used' },
+    { key: 'remaining', label: 'Remaining' },
+    { key: 'percentage', label: 'Percentage' },
+    { key: 'periodStart', label: 'Period Start' },
+    { key: 'periodEnd', label: 'Period End' }
+];
+
+export default class ExportManager {
+    /**
+     * Creates a new ExportManager instance
+     * @param {Dashboard} dashboard - Reference to the main Dashboard instance
+     */
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.handleDocumentClick = this.handleDocumentClick.bind(this);
+    }
+
+    /**
+     * Initialize the export manager
+     * Closes the export menu when clicking anywhere else
+     */
+    init() {
+        document.addEventListener('click', this.handleDocumentClick);
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        document.removeEventListener('click', this.handleDocumentClick);
+    }
+
+    /**
+     * Toggle the navbar export menu
+     */
+    toggleExportMenu(event) {
+        event?.stopPropagation();
+        const menu = document.getElementById('exportMenu');
+        if (menu) {
+            menu.classList.toggle('open');
+        }
+    }
+
+    handleDocumentClick(event) {
+        const menu = document.getElementById('exportMenu');
+        if (menu && menu.classList.contains('open') && !menu.contains(event.target)) {
+            menu.classList.remove('open');
+        }
+    }
+
+    /**
+     * Export the current dashboard and download the file
+     * @param {string} format - 'csv' or 'xlsx'
+     */
+    exportDashboard(format = 'csv') {
+        document.getElementById('exportMenu')?.classList.remove('open');
+
+        const rows = this.getExportRows();
+        if (rows.length === 0) {
+            UIComponents.showToast('Nothing to export - add items to this dashboard first', 'warning');
+            return;
+        }
+
+        try {
+            const blob = format === 'xlsx'
+                ? new Blob([this.toXlsx(rows)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+                : new Blob([this.toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${this.getFileBaseName()}.${format === 'xlsx' ? 'xlsx' : 'csv'}`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+
+            UIComponents.showToast(`Exported ${rows.length} item(s)`, 'success');
+        } catch (error) {
+            console.error('Failed to export dashboard:', error);
+            UIComponents.showToast('Failed to export: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Build one row per dashboard item, in the order companies are shown on the dashboard
+     * @returns {Array<Object>} Rows keyed by EXPORT_COLUMNS keys
+     */
+    getExportRows() {
+        const companies = this.dashboard.groupItemsByCompany();
+        const order = this.dashboard.companyOrder.filter(id => companies[id]);
+        Object.keys(companies).forEach(id => {
+            if (!order.includes(id)) {
+                order.push(id);
+            }
+        });
+
+        return order.flatMap(companyId => {
+            const { company, items } = companies[companyId];
+            return items.map(item => this.createExportRow(item, company.name));
+        });
+    }
+
+    /**
+     * Convert an item to an export row
+     * Value budgets report allowance, used and remaining in currency; everything else in hours
+     */
+    createExportRow(item, companyName) {
+        const progress = this.dashboard.renderManager.calculateProgress(item);
+        const itemType = ItemTypes.get(progress.type);
+        const isValue = progress.budgetType === 'value';
+        const hasBudget = progress.showProgressBar;
+
+        const allowance = isValue ? progress.totalValue : progress.totalHours;
+        const used = isValue ? progress.loggedValue : progress.loggedHours;
+
+        // Null for types whose time is not split by billability, e.g. agreement usage
+        const billability = itemType.getBillability(item);
+
+        return {
+            company: companyName,
+            title: item.title || item.name || `${progress.type} #${item.id}`,
+            type: itemType.label,
+            budgetType: progress.budgetType,
+            loggedHours: isValue ? null : round(progress.loggedHours),
+            billableHours: billability ? round(billability.billableHours) : null,
+            nonBillableHours: billability ? round(billability.nonBillableHours) : null,
+            unit: hasBudget ? (isValue ? 'value' : 'hours') : null,
+            allowance: hasBudget ? round(allowance) : null,
+            used: hasBudget ? round(used) : null,
+            remaining: hasBudget ? round(Math.max(0, allowance - used)) : null,
+            percentage: hasBudget ? round(progress.percentage, 1) : null,
+            periodStart: progress.periodStart,
+            periodEnd: progress.periodEnd
+        };
+    }
+
+    /**
+     * Serialize rows as CSV (RFC 4180 quoting, CRLF line endings)
+     * Text that a spreadsheet would read as a formula is prefixed with ' (see guardFormula)
+     */
+    toCsv(rows) {
+        const escape = (value) => {
+            if (value === null || value === undefined) {
+                return '';
+            }
+            const text = typeof value === 'number' ? String(value) : guardFormula(String(value));
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [EXPORT_COLUMNS.map(column => escape(column.label)).join(',')];
+        rows.forEach(row => {
+            lines.push(EXPORT_COLUMNS.map(column => escape(row[column.key])).join(','));
+        });
+
+        // Byte order mark so Excel opens the file as UTF-8
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Serialize rows as a single-sheet XLSX workbook
+     * Numbers are written as numeric cells and text as inline strings, so no shared string table is needed.
+     * Inline strings are never evaluated, but text is guarded as in the CSV since sheets get re-saved as CSV
+     * @returns {Uint8Array} The zipped workbook
+     */
+    toXlsx(rows) {
+        const cell = (value, columnIndex, rowNumber) => {
+            const ref = `${columnName(columnIndex)}${rowNumber}`;
+            if (value === null || value === undefined || value === '') {
+                return '';
+            }
+            if (typeof value === 'number' && isFinite(value)) {
+                return `<c r="${ref}"><v>${value}</v></c>`;
+            }
+            return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(guardFormula(String(value)))}</t></is></c>`;
+        };
+
+        const sheetRows = [EXPORT_COLUMNS.map(column => column.label), ...rows.map(row => EXPORT_COLUMNS.map(column => row[column.key]))]
+            .map((values, index) => `<row r="${index + 1}">${values.map((value, column) => cell(value, column, index + 1)).join('')}</row>`)
+            .join('');
+
+        const sheetName = escapeXml((this.getDashboardName() || 'Dashboard').replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+
+        const files = {
+            '[Content_Types].xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>',
+            '_rels/.rels':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+            'xl/workbook.xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>',
+            'xl/_rels/workbook.xml.rels':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '</Relationships>',
+            'xl/worksheets/sheet1.xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                `<sheetData>${sheetRows}</sheetData>` +
+                '</worksheet>'
+        };
+
+        return createZip(files);
+    }
+
+    getDashboardName() {
+        const dashboardId = this.dashboard.currentDashboardId;
+        return window.dashboardManager.getDashboard(dashboardId)?.name || '';
+    }
+
+    getFileBaseName() {
+        const slug = this.getDashboardName().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const date = new Date().toISOString().slice(0, 10);
+        return `${slug || 'dashboard'}-${date}`;
+    }
+}
+
+function round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Keep text from Accelo (e.g. a title of =HYPERLINK("...")) from running as a formula when the
+ * export is opened in a spreadsheet: text starting with =, +, -, @, tab or carriage return gets a leading '
+ */
+function guardFormula(text) {
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 -> A, 26 -> AA)
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build an uncompressed (stored) ZIP archive
+ * @param {Object<string, string>} files - File contents keyed by path
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, content]) => {
+        const nameBytes = encoder.encode(name);
+        const data = encoder.encode(content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);    // Local file header signature
+        local.setUint16(4, 20, true);            // Version needed to extract
+        local.setUint16(6, 0x0800, true);        // Flags: UTF-8 names
+        local.setUint16(8, 0, true);             // Compression: stored
+        local.setUint16(10, 0, true);            // Modification time
+        local.setUint16(12, 0x21, true);         // Modification date (1980-01-01)
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);  // Compressed size
+        local.setUint32(22, data.length, true);  // Uncompressed size
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);            // Extra field length
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);  // Central directory header signature
+        central.setUint16(4, 20, true);          // Version made by
+        central.setUint16(6, 20, true);          // Version needed to extract
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, 0, true);
+        central.setUint16(14, 0x21, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);     // Offset of local header
+
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const fileCount = Object.keys(files).length;
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);          // End of central directory signature
+    end.setUint16(8, fileCount, true);
+    end.setUint16(10, fileCount, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
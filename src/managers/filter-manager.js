@@ -0,0 +1,312 @@
+/**
+ * FilterManager - Filter, sort and search toolbar above the progress blocks
+ *
+ * - Filters by item type, budget type, status band, manager and standing; search matches titles
+ * - Sorting applies within each company; without a sort, blocks keep their dashboard (drag and drop) order,
+ *   and dragging blocks is turned off while sorted since the order shown is not the saved one
+ * - The state is saved per dashboard (DashboardManager.getDashboardFilters) and mirrored in the URL next to
+ *   ?dashboard=, so a filtered view can be bookmarked or shared; URL parameters win over the saved state
+ */
+
+// Filter -> URL parameter
+const URL_PARAMS = {
+    type: 'type',
+    budgetType: 'budget',
+    status: 'status',
+    manager: 'manager',
+    standing: 'standing',
+    sort: 'sort',
+    search: 'q'
+};
+
+const BUDGET_TYPES = { time: 'Time budget', value: 'Value budget', none: 'No budget' };
+const STATUS_BANDS = { 'on-track': 'On track', warning: 'Warning', over: 'Over budget' };
+const SORTS = { percentage: 'Percentage used', remaining: 'Remaining', due: 'Due date', title: 'Title' };
+
+const SEARCH_DELAY = 250; // Typing re-renders once it pauses
+const SAVE_DELAY = 1000; // Changes in quick succession are saved once
+
+export default class FilterManager {
+    /**
+     * Creates a new FilterManager instance
+     * @param {Dashboard} dashboard - Reference to the main Dashboard instance
+     */
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.filters = this.readParams(new URLSearchParams());
+        this.toolbar = null;
+        this.searchTimer = null;
+        this.saveTimer = null;
+    }
+
+    /**
+     * Initialize the toolbar with the current dashboard's filters
+     * Runs before the first render so it is already filtered
+     */
+    init() {
+        const dashboardId = this.dashboard.currentDashboardId;
+        const saved = dashboardId ? window.dashboardManager.getDashboardFilters(dashboardId) : {};
+        this.filters = this.readParams(new URLSearchParams(window.location.search), saved);
+        this.writeUrlState();
+        this.createToolbar();
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        clearTimeout(this.searchTimer);
+        clearTimeout(this.saveTimer);
+    }
+
+    /**
+     * Filters from URL parameters, or the saved filters when the URL has none
+     * Unknown values are ignored
+     * @param {URLSearchParams} params
+     * @param {Object} [saved] - From DashboardManager.getDashboardFilters
+     * @returns {Object} { type, budgetType, status, manager, standing, sort, search }
+     */
+    readParams(params, saved = {}) {
+        const fromUrl = Object.values(URL_PARAMS).some(param => params.has(param));
+        const filters = {};
+        Object.entries(URL_PARAMS).forEach(([key, param]) => {
+            filters[key] = String((fromUrl ? params.get(param) : saved[key]) || '').trim();
+        });
+
+        const allowed = {
+            type: ItemTypes.names(),
+            budgetType: Object.keys(BUDGET_TYPES),
+            status: Object.keys(STATUS_BANDS),
+            sort: Object.keys(SORTS)
+        };
+        Object.entries(allowed).forEach(([key, values]) => {
+            if (!values.includes(filters[key])) {
+                filters[key] = '';
+            }
+        });
+        return filters;
+    }
+
+    /**
+     * Reflect the filters in the URL, e.g. /?dashboard=abc&type=issue&sort=due
+     */
+    writeUrlState() {
+        const url = new URL(window.location.href);
+        if (this.dashboard.currentDashboardId) {
+            url.searchParams.set('dashboard', this.dashboard.currentDashboardId);
+        }
+        Object.entries(URL_PARAMS).forEach(([key, param]) => {
+            if (this.filters[key]) {
+                url.searchParams.set(param, this.filters[key]);
+            } else {
+                url.searchParams.delete(param);
+            }
+        });
+        window.history.replaceState(null, '', url.pathname + url.search);
+    }
+
+    /**
+     * Change one filter, then re-render, update the URL and save
+     * @param {string} key - e.g. 'status'
+     * @param {string} value - '' clears it
+     */
+    setFilter(key, value) {
+        this.filters = { ...this.filters, [key]: value };
+        this.applyChange();
+    }
+
+    clearFilters() {
+        this.filters = this.readParams(new URLSearchParams());
+        const search = this.toolbar?.querySelector('.dashboard-toolbar-search input');
+        if (search) {
+            search.value = '';
+        }
+        this.applyChange();
+    }
+
+    applyChange() {
+        this.writeUrlState();
+        this.dashboard.renderDashboard();
+
+        clearTimeout(this.saveTimer);
+        const dashboardId = this.dashboard.currentDashboardId;
+        this.saveTimer = setTimeout(() => {
+            window.dashboardManager.updateDashboardFilters(dashboardId, this.filters)
+                .catch(error => console.warn('Failed to save dashboard filters:', error.message));
+        }, SAVE_DELAY);
+    }
+
+    /**
+     * Whether any filter or search hides items (sorting alone hides nothing)
+     */
+    isFiltering() {
+        return Object.keys(URL_PARAMS).some(key => key !== 'sort' && this.filters[key]);
+    }
+
+    isSorted() {
+        return Boolean(this.filters.sort);
+    }
+
+    /**
+     * The status band of an item, matching its progress block color
+     * @returns {string|null} 'on-track', 'warning', 'over'; null without a budget
+     */
+    getStatusBand(progress) {
+        return { 'status-success': 'on-track', 'status-warning': 'warning', 'status-danger': 'over' }[progress.statusClass] || null;
+    }
+
+    /**
+     * Whether an item passes the filters and search
+     * Every word of the search has to appear in the title
+     */
+    matches(item) {
+        const { type, budgetType, status, manager, standing, search } = this.filters;
+        const itemType = ItemTypes.get(this.dashboard.renderManager.getItemType(item));
+        const progress = this.dashboard.renderManager.calculateProgress(item);
+
+        if (type && itemType.type !== type) return false;
+        if (budgetType && progress.budgetType !== budgetType) return false;
+        if (status && this.getStatusBand(progress) !== status) return false;
+        if (manager && String(itemType.getManager(item) || '') !== manager) return false;
+        if (standing && (item.standing || '') !== standing) return false;
+
+        const title = String(item.title || item.name || '').toLowerCase();
+        return search.toLowerCase().split(/\s+/).every(word => title.includes(word));
+    }
+
+    /**
+     * What an item is sorted by; null sorts last
+     */
+    getSortValue(item) {
+        const progress = this.dashboard.renderManager.calculateProgress(item);
+
+        switch (this.filters.sort) {
+            case 'percentage':
+                // Most used first
+                return progress.showProgressBar ? -progress.percentage : null;
+            case 'remaining':
+                // Least remaining first; over budget is negative
+                if (!progress.showProgressBar) return null;
+                return progress.budgetType === 'value'
+                    ? progress.totalValue - progress.loggedValue
+                    : progress.totalHours - progress.loggedHours;
+            case 'due':
+                return ItemTypes.get(progress.type).getDueDate(item);
+            case 'title':
+                return String(item.title || item.name || '').toLowerCase();
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * One company's items as shown: filtered, then sorted when a sort is chosen
+     * Ties keep their dashboard order
+     * @param {Array} items - The company's items in dashboard order
+     * @returns {Array}
+     */
+    apply(items) {
+        const shown = items.filter(item => this.matches(item));
+        if (!this.isSorted()) {
+            return shown;
+        }
+
+        return shown
+            .map(item => ({ item, value: this.getSortValue(item) }))
+            .sort((a, b) => {
+                if (a.value === null || b.value === null) {
+                    return (a.value === null) - (b.value === null);
+                }
+                return typeof a.value === 'string' ? a.value.localeCompare(b.value) : a.value - b.value;
+            })
+            .map(entry => entry.item);
+    }
+
+    /**
+     * Build the toolbar once; option lists and counts are filled in by updateToolbar() on each render
+     */
+    createToolbar() {
+        this.toolbar = document.getElementById('dashboardToolbar');
+        if (!this.toolbar) {
+            return;
+        }
+
+        const selects = [
+            ['type', 'Type'],
+            ['budgetType', 'Budget'],
+            ['status', 'Status'],
+            ['manager', 'Manager'],
+            ['standing', 'Standing'],
+            ['sort', 'Sort']
+        ];
+
+        this.toolbar.innerHTML = `
+            <div class="dashboard-toolbar-search">
+                <i class="fa-solid fa-magnifying-glass"></i>
+                <input type="search" placeholder="Search titles..." aria-label="Search titles" value="${UIComponents.escapeHtml(this.filters.search)}">
+            </div>
+            ${selects.map(([key, label]) => `
+            <select class="dashboard-toolbar-select" data-filter="${key}" aria-label="${label}" title="${label}"></select>`).join('')}
+            <span class="dashboard-toolbar-count"></span>
+            <button class="btn btn-sm btn-ghost dashboard-toolbar-clear" title="Clear filters and sort">
+                <i class="fa-solid fa-xmark"></i>
+                Clear
+            </button>
+        `;
+
+        this.toolbar.querySelector('.dashboard-toolbar-search input').addEventListener('input', (e) => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.setFilter('search', e.target.value.trim()), SEARCH_DELAY);
+        });
+        this.toolbar.querySelectorAll('.dashboard-toolbar-select').forEach(select => {
+            select.addEventListener('change', () => this.setFilter(select.dataset.filter, select.value));
+        });
+        this.toolbar.querySelector('.dashboard-toolbar-clear').addEventListener('click', () => this.clearFilters());
+    }
+
+    /**
+     * Refresh the toolbar's options and "Showing x of y" count after a render
+     * Managers and standings come from the items on the dashboard
+     * @param {number} shown - Items shown
+     */
+    updateToolbar(shown) {
+        if (!this.toolbar) {
+            return;
+        }
+
+        const items = this.dashboard.dashboardData;
+        this.toolbar.hidden = items.length === 0;
+
+        const distinct = (values) => [...new Set(values.filter(Boolean).map(String))].sort((a, b) => a.localeCompare(b));
+        const managers = distinct(items.map(item => ItemTypes.get(this.dashboard.renderManager.getItemType(item)).getManager(item)));
+        const standings = distinct(items.map(item => item.standing));
+        const toOptions = (values) => Object.fromEntries(values.map(value => [value, value.charAt(0).toUpperCase() + value.slice(1)]));
+
+        const options = {
+            type: ['All types', Object.fromEntries(ItemTypes.all().map(itemType => [itemType.type, itemType.pluralLabel]))],
+            budgetType: ['All budgets', BUDGET_TYPES],
+            status: ['Any status', STATUS_BANDS],
+            manager: ['All managers', toOptions(managers)],
+            standing: ['Any standing', toOptions(standings)],
+            sort: ['Dashboard order', SORTS]
+        };
+
+        Object.entries(options).forEach(([key, [allLabel, values]]) => {
+            const select = this.toolbar.querySelector(`[data-filter="${key}"]`);
+            const current = this.filters[key];
+            // Keep a value from a shared link selectable even when no item has it
+            const entries = current && !(current in values) ? { ...values, [current]: current } : values;
+            select.innerHTML = [`<option value="">${allLabel}</option>`]
+                .concat(Object.entries(entries).map(([value, label]) =>
+                    `<option value="${UIComponents.escapeHtml(value)}" ${value === current ? 'selected' : ''}>${UIComponents.escapeHtml(label)}</option>`))
+                .join('');
+            select.classList.toggle('is-active', Boolean(current));
+        });
+
+        const isFiltered = this.isFiltering() || this.isSorted();
+        this.toolbar.querySelector('.dashboard-toolbar-count').textContent = this.isFiltering()
+            ? `Showing ${shown} of ${items.length}`
+            : `${items.length} item${items.length === 1 ? '' : 's'}`;
+        this.toolbar.querySelector('.dashboard-toolbar-clear').disabled = !isFiltered;
+    }
+}
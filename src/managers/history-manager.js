@@ -0,0 +1,286 @@
+/**
+ * HistoryManager - Records progress snapshots on each refresh and draws a sparkline per progress block
+ * Snapshots live on the server (/api/history) and are shared by every dashboard showing the item
+ */
+
+const SPARKLINE_POINTS = 20; // Snapshots shown per sparkline
+const BACKFILL_DAYS = 30; // Days rebuilt from Accelo activity dates
+const DAY = 24 * 60 * 60 * 1000;
+
+export default class HistoryManager {
+    /**
+     * Creates a new HistoryManager instance
+     * @param {Dashboard} dashboard - Reference to the main Dashboard instance
+     */
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.history = new Map(); // "type_id" -> snapshots, oldest first
+        this.isBackfilling = false;
+    }
+
+    /**
+     * Initialize the history manager
+     * History loads in the background; sparklines are filled in when it arrives
+     */
+    init() {
+        this.loadHistory().then(() => this.updateSparklines());
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        this.history.clear();
+    }
+
+    getItemKey(item) {
+        return `${this.dashboard.renderManager.getItemType(item)}_${item.id}`;
+    }
+
+    async apiRequest(path, { method = 'GET', body } = {}) {
+        const response = await fetch(`/api/history${path}`, {
+            method: method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.message || result.error || `History request failed: ${response.status}`);
+        }
+        return result;
+    }
+
+    /**
+     * Load recent snapshots for the dashboard's items
+     */
+    async loadHistory(items = this.dashboard.dashboardData) {
+        if (items.length === 0) {
+            return;
+        }
+
+        try {
+            const keys = items.map(item => this.getItemKey(item));
+            const params = new URLSearchParams({ items: keys.join(','), limit: SPARKLINE_POINTS * 2 });
+            const { history } = await this.apiRequest(`?${params}`);
+            Object.entries(history || {}).forEach(([key, snapshots]) => this.history.set(key, snapshots));
+        } catch (error) {
+            console.warn('Failed to load progress history:', error.message);
+        }
+    }
+
+    /**
+     * Snapshot of an item's current progress, in the item's budget unit
+     */
+    createSnapshot(item, at = new Date()) {
+        const progress = this.dashboard.renderManager.calculateProgress(item);
+        const isValue = progress.budgetType === 'value';
+
+        return {
+            key: this.getItemKey(item),
+            at: at.toISOString(),
+            unit: isValue ? 'value' : 'hours',
+            used: isValue ? progress.loggedValue : progress.loggedHours,
+            budget: isValue ? progress.totalValue : progress.totalHours,
+            periodStart: progress.periodStart || null
+        };
+    }
+
+    /**
+     * Record a snapshot for each item (called after a refresh)
+     * Failures are logged; history is never allowed to break a refresh
+     */
+    async recordSnapshots(items = this.dashboard.dashboardData) {
+        if (items.length === 0) {
+            return;
+        }
+
+        const snapshots = items.map(item => this.createSnapshot(item));
+
+        try {
+            await this.apiRequest('', { method: 'POST', body: { snapshots } });
+            snapshots.forEach(({ key, ...snapshot }) => {
+                const list = this.history.get(key) || [];
+                // The server keeps one refresh snapshot per hour
+                const hour = snapshot.at.slice(0, 13);
+                const kept = list.filter(existing => existing.source !== 'refresh' || existing.at.slice(0, 13) !== hour);
+                this.history.set(key, [...kept, { ...snapshot, source: 'refresh' }].slice(-SPARKLINE_POINTS * 2));
+            });
+        } catch (error) {
+            console.warn('Failed to record progress history:', error.message);
+        }
+    }
+
+    /**
+     * Values to plot for an item: its last snapshots in the current unit,
+     * and for agreements only those from the current period (usage resets each period)
+     */
+    getSparklineValues(item) {
+        const snapshots = this.history.get(this.getItemKey(item)) || [];
+        if (snapshots.length === 0) {
+            return [];
+        }
+
+        const current = this.createSnapshot(item);
+        return snapshots
+            .filter(snapshot => snapshot.unit === current.unit)
+            .filter(snapshot => !current.periodStart || snapshot.periodStart === current.periodStart)
+            .slice(-SPARKLINE_POINTS)
+            .map(snapshot => ({ at: snapshot.at, used: snapshot.used }));
+    }
+
+    /**
+     * Inline SVG sparkline of logged hours (or value used) over the recent snapshots
+     * @returns {string} SVG markup, or '' with fewer than two snapshots
+     */
+    createSparkline(item) {
+        const points = this.getSparklineValues(item);
+        if (points.length < 2) {
+            return '';
+        }
+
+        const width = 64;
+        const height = 20;
+        const values = points.map(point => point.used);
+        const min = Math.min(...values);
+        const range = Math.max(...values) - min || 1;
+        const round = value => Math.round(value * 10) / 10;
+
+        const coordinates = values.map((value, index) => [
+            round((index / (values.length - 1)) * (width - 4) + 2),
+            round(height - 2 - ((value - min) / range) * (height - 4))
+        ]);
+        const [lastX, lastY] = coordinates[coordinates.length - 1];
+
+        const isValue = this.createSnapshot(item).unit === 'value';
+        const format = value => isValue ? `$${value.toFixed(2)}` : `${value.toFixed(1)}h`;
+        const since = new Date(points[0].at).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        const title = `${isValue ? 'Value used' : 'Logged hours'} since ${since}: ${format(values[0])} → ${format(values[values.length - 1])}`;
+
+        return `
+            <svg class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${title}">
+                <title>${title}</title>
+                <polyline points="${coordinates.map(point => point.join(',')).join(' ')}"></polyline>
+                <circle cx="${lastX}" cy="${lastY}" r="1.75"></circle>
+            </svg>
+        `;
+    }
+
+    /**
+     * Fill in the sparkline slots of rendered blocks (after history loads or changes)
+     */
+    updateSparklines() {
+        document.querySelectorAll('.compact-sparkline[data-history-key]').forEach(slot => {
+            const item = this.dashboard.dashboardData.find(entry => this.getItemKey(entry) === slot.dataset.historyKey);
+            if (item) {
+                slot.innerHTML = this.createSparkline(item);
+            }
+        });
+    }
+
+    /**
+     * Rebuild up to BACKFILL_DAYS of daily snapshots for every item from Accelo activity dates
+     * Value budget agreements are skipped: time entries do not say how much value was used
+     */
+    async backfillHistory() {
+        if (this.isBackfilling || this.dashboard.dashboardData.length === 0) {
+            return;
+        }
+
+        this.isBackfilling = true;
+        UIComponents.showLoading();
+
+        let added = 0;
+        let skipped = 0;
+        let failed = 0;
+
+        try {
+            await Promise.all(this.dashboard.dashboardData.map(async (item) => {
+                const snapshot = this.createSnapshot(item);
+                if (snapshot.unit === 'value') {
+                    skipped++;
+                    return;
+                }
+
+                try {
+                    const since = this.getBackfillStart(snapshot);
+                    const type = this.dashboard.renderManager.getItemType(item);
+                    const { entries } = await window.acceloAPI.getTimeEntries(type, item.id, { since });
+                    const snapshots = this.buildBackfillSnapshots(snapshot, entries, since);
+
+                    const result = await this.apiRequest(`/${encodeURIComponent(snapshot.key)}/backfill`, {
+                        method: 'POST',
+                        body: { snapshots }
+                    });
+                    this.history.set(snapshot.key, result.snapshots.slice(-SPARKLINE_POINTS * 2));
+                    added += result.added;
+                } catch (error) {
+                    console.error(`Failed to backfill history for ${snapshot.key}:`, error);
+                    failed++;
+                }
+            }));
+
+            this.updateSparklines();
+
+            let message = `Added ${added} historical snapshot(s)`;
+            if (skipped > 0) {
+                message += `; ${skipped} value budget agreement(s) skipped`;
+            }
+            if (failed > 0) {
+                message += `; ${failed} item(s) failed`;
+            }
+            UIComponents.showToast(message, failed > 0 ? 'warning' : 'success');
+        } finally {
+            this.isBackfilling = false;
+            UIComponents.hideLoading();
+        }
+    }
+
+    /**
+     * Start of the backfill window: BACKFILL_DAYS ago, or the start of an agreement's current period if later
+     */
+    getBackfillStart(snapshot, now = Date.now()) {
+        const windowStart = new Date(now - BACKFILL_DAYS * DAY);
+        windowStart.setHours(0, 0, 0, 0);
+
+        if (snapshot.periodStart) {
+            const periodStart = new Date(snapshot.periodStart + 'T00:00:00');
+            if (periodStart > windowStart) {
+                return periodStart;
+            }
+        }
+        return windowStart;
+    }
+
+    /**
+     * One snapshot per past day, at the end of the day: today's total minus the time logged after that day
+     * Anchoring to the current total keeps the series consistent even if older entries were not loaded
+     * @param {Object} current - Snapshot of the item now
+     * @param {Array} entries - Time entries since `since` ({ loggedAt, seconds }), oldest first
+     * @param {Date} since - First day to rebuild
+     */
+    buildBackfillSnapshots(current, entries, since, now = Date.now()) {
+        const snapshots = [];
+        const today = new Date(now);
+        today.setHours(0, 0, 0, 0);
+
+        for (let day = new Date(since); day < today; day.setDate(day.getDate() + 1)) {
+            const endOfDay = new Date(day);
+            endOfDay.setHours(23, 59, 59, 0);
+
+            const loggedAfter = entries
+                .filter(entry => entry.loggedAt > endOfDay.getTime())
+                .reduce((sum, entry) => sum + entry.seconds, 0) / 3600;
+
+            snapshots.push({
+                at: endOfDay.toISOString(),
+                unit: current.unit,
+                used: Math.max(0, Math.round((current.used - loggedAfter) * 100) / 100),
+                budget: current.budget,
+                periodStart: current.periodStart
+            });
+        }
+
+        return snapshots;
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * LiveUpdateManager - Receives item changes pushed by the server over Server-Sent Events (/api/events)
+ *
+ * - The server polls Accelo and receives webhooks; changes to this dashboard's items arrive as "changes" events
+ *   and only the affected progress blocks are re-rendered (see DataManager.applyLiveChanges)
+ * - The stream is closed while the tab is hidden and resumes from the last cursor when it is visible again
+ * - Dropped connections reconnect with backoff, resuming from the last cursor; when the server no longer has
+ *   the missed events it sends "resync" and the dashboard does an incremental refresh instead
+ */
+
+const RECONNECT_DELAY = 5 * 1000;
+const MAX_RECONNECT_DELAY = 5 * 60 * 1000;
+const BUSY_RETRY_DELAY = 2000; // Changes wait for a running refresh to finish
+
+export default class LiveUpdateManager {
+    /**
+     * Creates a new LiveUpdateManager instance
+     * @param {Dashboard} dashboard - Reference to the main Dashboard instance
+     */
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.source = null;
+        this.cursor = null; // Last event ID received, e.g. "lq2x1a-42"
+        this.isConnected = false;
+        this.failures = 0;
+        this.reconnectTimer = null;
+        this.applyTimer = null;
+        this.isApplying = false;
+        this.pending = new Map(); // Item key -> latest change not yet applied
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    }
+
+    /**
+     * Initialize live updates
+     * Connects to the event stream for the current dashboard
+     */
+    init() {
+        if (!window.EventSource || !this.dashboard.currentDashboardId) {
+            return;
+        }
+
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        if (!document.hidden) {
+            this.connect();
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.disconnect();
+        clearTimeout(this.applyTimer);
+        this.applyTimer = null;
+        this.pending.clear();
+    }
+
+    connect() {
+        this.disconnect();
+
+        const params = new URLSearchParams({ dashboard: this.dashboard.currentDashboardId });
+        if (this.cursor) {
+            params.set('cursor', this.cursor);
+        }
+
+        const source = new EventSource(`/api/events?${params}`);
+        this.source = source;
+
+        source.addEventListener('ready', event => {
+            this.cursor = event.lastEventId || this.cursor;
+            this.isConnected = true;
+            this.failures = 0;
+            this.dashboard.refreshManager.updateStatus();
+        });
+
+        source.addEventListener('changes', event => {
+            this.cursor = event.lastEventId || this.cursor;
+            this.queueChanges(JSON.parse(event.data).items || []);
+        });
+
+        source.addEventListener('resync', event => {
+            this.cursor = event.lastEventId || this.cursor;
+            console.log('[LIVE] Missed updates are no longer available - refreshing');
+            this.dashboard.refreshManager.refresh({ background: true });
+        });
+
+        source.onerror = () => {
+            this.isConnected = false;
+            this.dashboard.refreshManager.updateStatus();
+
+            // EventSource retries dropped connections itself; it gives up on HTTP errors
+            if (source.readyState === EventSource.CLOSED) {
+                this.scheduleReconnect();
+            }
+        };
+    }
+
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        this.isConnected = false;
+    }
+
+    scheduleReconnect() {
+        this.disconnect();
+        this.failures++;
+
+        const delay = Math.min(RECONNECT_DELAY * Math.pow(2, this.failures - 1), MAX_RECONNECT_DELAY);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    handleVisibilityChange() {
+        if (document.hidden) {
+            this.disconnect();
+        } else if (!this.source) {
+            this.connect();
+        }
+    }
+
+    /**
+     * Collect pushed changes and apply them, the latest per item winning
+     * @param {Array} items - [{ key, type, id, changes?, stale? }]
+     */
+    queueChanges(items) {
+        items.forEach(change => {
+            const previous = this.pending.get(change.key);
+            // A stale mark means re-fetch, so it isn't downgraded by a later change that carries data
+            this.pending.set(change.key, previous?.stale ? { ...change, stale: true } : change);
+        });
+        this.applyPending();
+    }
+
+    async applyPending() {
+        clearTimeout(this.applyTimer);
+        this.applyTimer = null;
+
+        if (this.pending.size === 0) {
+            return;
+        }
+
+        // A running refresh re-renders everything it fetched; apply afterwards so nothing is overwritten
+        if (this.dashboard.refreshManager.isRefreshing || this.isApplying) {
+            this.applyTimer = setTimeout(() => this.applyPending(), BUSY_RETRY_DELAY);
+            return;
+        }
+
+        const changes = [...this.pending.values()];
+        this.pending.clear();
+        this.isApplying = true;
+
+        try {
+            const updated = await this.dashboard.dataManager.applyLiveChanges(changes);
+            if (updated.length > 0) {
+                console.log(`[LIVE] Updated ${updated.length} item(s) pushed by the server`);
+            }
+        } catch (error) {
+            console.error('Failed to apply live updates:', error);
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    /**
+     * Connection state for the navbar refresh status tooltip
+     */
+    getStatusText() {
+        if (!this.dashboard.currentDashboardId || !window.EventSource) {
+            return null;
+        }
+        if (this.isConnected) {
+            return 'Live updates on';
+        }
+        return document.hidden ? 'Live updates paused while the tab is hidden' : 'Live updates reconnecting';
+    }
+}
@@ -325,11 +325,11 @@ export default class ModalManager {
             document.getElementById('searchResults').innerHTML = `
                 <div class="search-loading">
                     <div class="spinner"></div>
-                    <p class="search-loading-text">Loading projects and agreements...</p>
+                    <p class="search-loading-text">Loading projects, agreements and issues...</p>
                 </div>
             `;
             
-            // Get projects and agreements for selected companies
+            // Get projects, agreements and open issues for selected companies
             const companyIds = this.dashboard.selectedCompanies.map(c => c.id);
             this.dashboard.availableItems = await window.acceloAPI.getProjectsAndAgreements(companyIds);
             
@@ -375,7 +375,7 @@ export default class ModalManager {
                     <div class="empty-state-icon"><i class="fa-solid fa-inbox"></i></div>
                     <div class="empty-state-title">No Items Available</div>
                     <div class="empty-state-description">
-                        ${UIComponents.escapeHtml(this.dashboard.selectedCompanies[0].name)} has no active projects or agreements.
+                        ${UIComponents.escapeHtml(this.dashboard.selectedCompanies[0].name)} has no active projects, agreements or open issues.
                     </div>
                 </div>
             `;
@@ -384,12 +384,15 @@ export default class ModalManager {
         
         container.innerHTML = '';
         
-        // Count total items
-        let totalProjects = 0;
-        let totalAgreements = 0;
+        // Count total items of each type
+        const itemTypes = ItemTypes.all();
+        const totals = new Map(itemTypes.map(itemType => [itemType.type, 0]));
+        let truncated = false;
         this.dashboard.availableItems.forEach(companyData => {
-            totalProjects += companyData.projects.length;
-            totalAgreements += companyData.agreements.length;
+            itemTypes.forEach(itemType => {
+                totals.set(itemType.type, totals.get(itemType.type) + (companyData[itemType.listKey] || []).length);
+            });
+            truncated = truncated || companyData.truncated;
         });
         
         // Add header with item counts
@@ -397,14 +400,11 @@ export default class ModalManager {
         headerDiv.className = 'items-selection-header';
         headerDiv.innerHTML = `
             <div class="items-count-summary">
+                ${itemTypes.map(itemType => `
                 <div class="count-item">
-                    <i class="fa-solid fa-diagram-project"></i>
-                    <span>${totalProjects} Project${totalProjects !== 1 ? 's' : ''}</span>
-                </div>
-                <div class="count-item">
-                    <i class="fa-solid fa-file-contract"></i>
-                    <span>${totalAgreements} Agreement${totalAgreements !== 1 ? 's' : ''}</span>
-                </div>
+                    <i class="fa-solid ${itemType.icon}"></i>
+                    <span>${totals.get(itemType.type)} ${totals.get(itemType.type) === 1 ? itemType.label : itemType.pluralLabel}</span>
+                </div>`).join('')}
             </div>
             <div class="selection-actions">
                 <button class="btn btn-sm btn-ghost" onclick="dashboard.selectAllItems()">
@@ -419,6 +419,17 @@ export default class ModalManager {
         `;
         container.appendChild(headerDiv);
         
+        // Let the user know the list was cut off at the pagination ceiling
+        if (truncated) {
+            const noticeDiv = document.createElement('div');
+            noticeDiv.className = 'items-truncated-notice';
+            noticeDiv.innerHTML = `
+                <i class="fa-solid fa-circle-info"></i>
+                <span>Not all items could be loaded - only the first ${window.acceloAPI.maxListItems} of each type are shown.</span>
+            `;
+            container.appendChild(noticeDiv);
+        }
+        
         // Group items by company
         this.dashboard.availableItems.forEach(companyData => {
             const companySection = document.createElement('div');
@@ -440,51 +451,32 @@ export default class ModalManager {
             const itemsContainer = document.createElement('div');
             itemsContainer.className = 'company-items';
             
-            // Add projects first
-            if (companyData.projects.length > 0) {
-                const projectsGroup = document.createElement('div');
-                projectsGroup.className = 'items-group';
-                projectsGroup.innerHTML = `
-                    <div class="items-group-header">
-                        <h4 class="items-group-title">
-                            <i class="fa-solid fa-diagram-project"></i>
-                            Projects (${companyData.projects.length})
-                        </h4>
-                    </div>
-                    <div class="items-group-content"></div>
-                `;
-                
-                const projectsContainer = projectsGroup.querySelector('.items-group-content');
-                companyData.projects.forEach(project => {
-                    const item = this.createSelectableItem(project, 'project');
-                    projectsContainer.appendChild(item);
-                });
+            // Add a group per item type, in registration order (projects first)
+            itemTypes.forEach(itemType => {
+                const records = companyData[itemType.listKey] || [];
+                if (records.length === 0) {
+                    return;
+                }
                 
-                itemsContainer.appendChild(projectsGroup);
-            }
-            
-            // Add agreements
-            if (companyData.agreements.length > 0) {
-                const agreementsGroup = document.createElement('div');
-                agreementsGroup.className = 'items-group';
-                agreementsGroup.innerHTML = `
+                const group = document.createElement('div');
+                group.className = 'items-group';
+                group.innerHTML = `
                     <div class="items-group-header">
                         <h4 class="items-group-title">
-                            <i class="fa-solid fa-file-contract"></i>
-                            Agreements (${companyData.agreements.length})
+                            <i class="fa-solid ${itemType.icon}"></i>
+                            ${itemType.pluralLabel} (${records.length})
                         </h4>
                     </div>
                     <div class="items-group-content"></div>
                 `;
                 
-                const agreementsContainer = agreementsGroup.querySelector('.items-group-content');
-                companyData.agreements.forEach(agreement => {
-                    const item = this.createSelectableItem(agreement, 'agreement');
-                    agreementsContainer.appendChild(item);
+                const groupContainer = group.querySelector('.items-group-content');
+                records.forEach(record => {
+                    groupContainer.appendChild(this.createSelectableItem(record, itemType.type));
                 });
                 
-                itemsContainer.appendChild(agreementsGroup);
-            }
+                itemsContainer.appendChild(group);
+            });
             
             // Only add section if it has items
             if (itemsContainer.children.length > 0) {
@@ -503,26 +495,13 @@ export default class ModalManager {
         div.dataset.id = item.id;
         div.dataset.type = type;
         
-        const icon = type === 'project' ? 'fa-diagram-project' : 'fa-file-contract';
+        const itemType = ItemTypes.get(type);
         const title = item.title || item.name;
         const itemKey = `${type}-${item.id}`;
         const isSelected = this.dashboard.selectedItems.has(itemKey);
         
-        // Format additional info
-        let additionalInfo = '';
-        if (type === 'project') {
-            if (item.status) {
-                additionalInfo = `Status: ${item.status}`;
-            }
-            if (item.date_due) {
-                const dueDate = UIComponents.formatDate(item.date_due);
-                additionalInfo += additionalInfo ? ` • Due: ${dueDate}` : `Due: ${dueDate}`;
-            }
-        } else if (type === 'agreement') {
-            if (item.retainer_type) {
-                additionalInfo = `Type: ${item.retainer_type}`;
-            }
-        }
+        // Format additional info, e.g. "Status: Active • Due: 12 Nov 2024"
+        const additionalInfo = itemType.describe(item);
         
         div.innerHTML = `
             <div class="selectable-item-content">
@@ -533,12 +512,12 @@ export default class ModalManager {
                     </label>
                 </div>
                 <div class="selectable-item-icon">
-                    <i class="fa-solid ${icon}"></i>
+                    <i class="fa-solid ${itemType.icon}"></i>
                 </div>
                 <div class="selectable-item-info">
                     <div class="selectable-item-title">${UIComponents.escapeHtml(title)}</div>
                     <div class="selectable-item-meta">
-                        <span class="item-type-badge ${type}">${type === 'project' ? 'Project' : 'Agreement'}</span>
+                        <span class="item-type-badge ${type}">${itemType.label}</span>
                         ${additionalInfo ? `<span class="item-additional-info">${UIComponents.escapeHtml(additionalInfo)}</span>` : ''}
                     </div>
                 </div>
@@ -623,11 +602,10 @@ export default class ModalManager {
         
         // Add all items
         this.dashboard.availableItems.forEach(companyData => {
-            companyData.projects.forEach(project => {
-                this.dashboard.selectedItems.add(`project-${project.id}`);
-            });
-            companyData.agreements.forEach(agreement => {
-                this.dashboard.selectedItems.add(`agreement-${agreement.id}`);
+            ItemTypes.all().forEach(itemType => {
+                (companyData[itemType.listKey] || []).forEach(record => {
+                    this.dashboard.selectedItems.add(`${itemType.type}-${record.id}`);
+                });
             });
         });
         
@@ -673,7 +651,7 @@ export default class ModalManager {
     /**
      * Add selected items to the dashboard
      * Fetches detailed data for each selected item and adds them to the dashboard
-     * Handles both projects and agreements with proper company association
+     * Each item is fetched through its type (see ItemTypes.fetchItem) with proper company association
      * @returns {Promise<void>}
      */
     async addSelectedItems() {
@@ -697,80 +675,25 @@ export default class ModalManager {
                 return { type, id: itemId };
             });
             
+            const itemCountBefore = this.dashboard.dashboardData.length;
+            const syncedAt = new Date().toISOString(); // Incremental refreshes look for changes from here
+            
             // Get detailed info for each item
             for (const item of itemsToAdd) {
                 try {
-                    if (item.type === 'project') {
-                        // Get project details and hours
-                        const project = await window.acceloAPI.getProject(item.id);
-                        const hours = await window.acceloAPI.getProjectHours(item.id);
-                        
-                        // Debug: Log the project structure to understand company info
-                        console.log('Project API response:', project);
-                        console.log('Available company fields:', {
-                            company: project.company,
-                            affiliation: project.affiliation,
-                            company_id: project.company_id,
-                            company_name: project.company_name
-                        });
-                        
-                        // We know the company from the selection process, so use that instead
-                        const selectedCompany = this.dashboard.selectedCompanies[0];
-                        const companyId = String(selectedCompany.id);
-                        const companyName = selectedCompany.name;
-                        
-                        // Add to dashboard data with company info preserved
-                        this.dashboard.dashboardData.push({
-                            ...project,
-                            type: 'project',
-                            hours: hours,
-                            company_id: companyId,
-                            company_name: companyName,
-                            company_info: selectedCompany
-                        });
-                        
-                        // Add company to order if not already there
-                        if (!this.dashboard.companyOrder.includes(companyId)) {
-                            this.dashboard.companyOrder.push(companyId);
-                        }
-                        
-                    } else if (item.type === 'agreement') {
-                        // Get agreement details and usage
-                        const agreement = await window.acceloAPI.getAgreement(item.id);
-                        const usage = await window.acceloAPI.getAgreementUsage(item.id);
-                        
-                        // Debug: Log the agreement structure to understand company info
-                        console.log('Agreement API response:', agreement);
-                        console.log('Available company fields:', {
-                            company: agreement.company,
-                            affiliation: agreement.affiliation,
-                            company_id: agreement.company_id,
-                            company_name: agreement.company_name
-                        });
-                        
-                        // We know the company from the selection process, so use that instead
-                        const selectedCompany = this.dashboard.selectedCompanies[0];
-                        const companyId = String(selectedCompany.id);
-                        const companyName = selectedCompany.name;
-                        
-                        // Add to dashboard data with company info preserved
-                        this.dashboard.dashboardData.push({
-                            ...agreement,
-                            type: 'agreement',
-                            usage: usage,
-                            company_id: companyId,
-                            company_name: companyName,
-                            company_info: selectedCompany
-                        });
-                        
-                        // Add company to order if not already there
-                        if (!this.dashboard.companyOrder.includes(companyId)) {
-                            this.dashboard.companyOrder.push(companyId);
-                        }
-                    }
+                    // Get the item's details and hours/usage; we know the company from the selection process
+                    const selectedCompany = this.dashboard.selectedCompanies[0];
+                    const companyId = String(selectedCompany.id);
                     
-                    // Small delay to avoid rate limiting
-                    await new Promise(resolve => setTimeout(resolve, 100));
+                    this.dashboard.dashboardData.push({
+                        ...await ItemTypes.fetchItem(item.type, item.id, selectedCompany, window.acceloAPI),
+                        syncedAt
+                    });
+                    
+                    // Add company to order if not already there
+                    if (!this.dashboard.companyOrder.includes(companyId)) {
+                        this.dashboard.companyOrder.push(companyId);
+                    }
                     
                 } catch (error) {
                     console.error(`Failed to add ${item.type} ${item.id}:`, error);
@@ -778,6 +701,10 @@ export default class ModalManager {
                 }
             }
             
+            // Measure the burn rate behind each new block's forecast
+            await Promise.all(this.dashboard.dashboardData.slice(itemCountBefore)
+                .map(item => this.dashboard.dataManager.loadBurnRate(item)));
+            
             // Save state
             this.dashboard.dataManager.saveDashboardState();
             
@@ -833,7 +760,7 @@ export default class ModalManager {
     /**
      * Save dashboard rename
      */
-    saveDashboardRename() {
+    async saveDashboardRename() {
         const input = document.getElementById('newDashboardName');
         const newName = input.value.trim();
         
@@ -844,7 +771,7 @@ export default class ModalManager {
 
         try {
             // Rename the dashboard
-            window.dashboardManager.renameDashboard(this.dashboard.currentDashboardId, newName);
+            await window.dashboardManager.renameDashboard(this.dashboard.currentDashboardId, newName);
             
             // Update the navbar badge
             this.dashboard.updateDashboardNameBadge(newName);
@@ -0,0 +1,305 @@
+/**
+ * RefreshManager - Starts dashboard refreshes and schedules background auto-refresh
+ *
+ * - The interval is a per-dashboard setting (DashboardManager.getDashboardSettings().autoRefreshMinutes)
+ * - Scheduled refreshes wait while the tab is hidden and run as soon as it is visible again
+ * - After failed refreshes the interval doubles each time, up to MAX_BACKOFF
+ * - The navbar shows when the data was last refreshed and the progress of a running refresh
+ * - Refreshes only re-fetch items changed since the last one (see DataManager.getItemsToRefresh) unless asked for a full refresh
+ */
+
+const INTERVAL_OPTIONS = [0, 5, 15, 30, 60]; // Minutes; 0 = off
+const MAX_BACKOFF = 60 * 60 * 1000;
+const STATUS_UPDATE_INTERVAL = 30 * 1000; // Keeps "N min ago" current
+const MINUTE = 60 * 1000;
+
+export default class RefreshManager {
+    /**
+     * Creates a new RefreshManager instance
+     * @param {Dashboard} dashboard - Reference to the main Dashboard instance
+     */
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.isRefreshing = false;
+        this.refreshTimer = null;
+        this.statusTimer = null;
+        this.nextRefreshAt = null;
+        this.failures = 0; // Consecutive failed refreshes
+        this.lastFailed = null; // { failed, total } of the last refresh when items failed
+        this.pendingWhileHidden = false;
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleDocumentClick = this.handleDocumentClick.bind(this);
+    }
+
+    /**
+     * Initialize the refresh manager
+     * Renders the navbar status and schedules the first background refresh
+     */
+    init() {
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        document.addEventListener('click', this.handleDocumentClick);
+        this.statusTimer = setInterval(() => this.updateStatus(), STATUS_UPDATE_INTERVAL);
+
+        this.renderIntervalMenu();
+        this.schedule();
+        this.updateStatus();
+
+        // Items a webhook marked stale since the dashboard was last open
+        if (this.dashboard.dashboardData.some(item => item.stale)) {
+            this.refresh({ background: true });
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        document.removeEventListener('click', this.handleDocumentClick);
+        clearTimeout(this.refreshTimer);
+        clearInterval(this.statusTimer);
+        this.refreshTimer = null;
+        this.statusTimer = null;
+    }
+
+    getIntervalMinutes() {
+        return window.dashboardManager.getDashboardSettings(this.dashboard.currentDashboardId).autoRefreshMinutes || 0;
+    }
+
+    /**
+     * Change the current dashboard's auto-refresh interval
+     * @param {number} minutes - One of INTERVAL_OPTIONS; 0 turns auto-refresh off
+     */
+    async setIntervalMinutes(minutes) {
+        document.getElementById('autoRefreshMenu')?.classList.remove('open');
+
+        if (!INTERVAL_OPTIONS.includes(minutes)) {
+            return;
+        }
+
+        try {
+            await window.dashboardManager.updateDashboardSettings(this.dashboard.currentDashboardId, { autoRefreshMinutes: minutes });
+        } catch (error) {
+            console.error('Failed to save auto-refresh setting:', error);
+            UIComponents.showToast('Failed to save auto-refresh setting: ' + error.message, 'error');
+            return;
+        }
+
+        this.failures = 0;
+        this.renderIntervalMenu();
+        this.schedule();
+        this.updateStatus();
+        UIComponents.showToast(minutes ? `Auto-refresh every ${minutes} min` : 'Auto-refresh off', 'success');
+    }
+
+    /**
+     * Schedule the next background refresh from the last refresh, or from now after a failure
+     */
+    schedule() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        this.nextRefreshAt = null;
+        this.pendingWhileHidden = false;
+
+        const minutes = this.getIntervalMinutes();
+        if (!minutes) {
+            return;
+        }
+
+        const interval = minutes * MINUTE;
+        const now = Date.now();
+        const lastRefreshed = Date.parse(this.dashboard.lastRefreshed) || 0;
+
+        this.nextRefreshAt = this.failures > 0
+            ? now + Math.min(interval * Math.pow(2, this.failures), MAX_BACKOFF)
+            : Math.max(now, lastRefreshed + interval);
+
+        this.refreshTimer = setTimeout(() => this.runScheduledRefresh(), this.nextRefreshAt - now);
+    }
+
+    runScheduledRefresh() {
+        this.refreshTimer = null;
+
+        // Don't spend API calls on a tab nobody is looking at
+        if (document.hidden) {
+            this.pendingWhileHidden = true;
+            this.updateStatus();
+            return;
+        }
+
+        this.refresh({ background: true });
+    }
+
+    handleVisibilityChange() {
+        if (document.hidden) {
+            return;
+        }
+
+        this.updateStatus();
+        if (this.pendingWhileHidden) {
+            this.pendingWhileHidden = false;
+            this.refresh({ background: true });
+        }
+    }
+
+    /**
+     * Refresh the dashboard now
+     * @param {Object} [options]
+     * @param {boolean} [options.background] - A scheduled refresh: no toasts, failures back off
+     * @param {boolean} [options.full] - Re-fetch every item instead of only those changed since the last refresh
+     */
+    async refresh({ background = false, full = false } = {}) {
+        if (this.isRefreshing) {
+            return;
+        }
+
+        this.isRefreshing = true;
+        clearTimeout(this.refreshTimer);
+        this.setProgress(0);
+
+        try {
+            const { total, failed } = await this.dashboard.dataManager.refreshDashboardData({
+                quiet: background,
+                full,
+                onProgress: (done, count) => this.setProgress(done, count)
+            });
+            this.failures = failed > 0 ? this.failures + 1 : 0;
+            this.lastFailed = failed > 0 ? { failed, total } : null;
+        } finally {
+            this.isRefreshing = false;
+            this.setProgress(null);
+            this.schedule();
+            this.updateStatus();
+        }
+    }
+
+    /**
+     * Show refresh progress in the navbar
+     * @param {number|null} done - Items refreshed so far, or null when the refresh is over
+     * @param {number} [total]
+     */
+    setProgress(done, total = 0) {
+        const status = document.getElementById('refreshStatus');
+        const fill = document.querySelector('#refreshStatus .refresh-progress-fill');
+        const icon = document.querySelector('#refreshButton i');
+        const isActive = done !== null;
+
+        status?.classList.toggle('is-refreshing', isActive);
+        icon?.classList.toggle('fa-spin', isActive);
+        if (fill) {
+            fill.style.width = isActive && total > 0 ? `${Math.round((done / total) * 100)}%` : '0%';
+        }
+        if (isActive) {
+            this.setStatusText(total > 0 ? `Refreshing ${done}/${total}` : 'Checking for changes');
+        }
+    }
+
+    /**
+     * Update the navbar "last updated" text and its tooltip
+     */
+    updateStatus() {
+        const status = document.getElementById('refreshStatus');
+        if (!status || this.isRefreshing) {
+            return;
+        }
+
+        const minutes = this.getIntervalMinutes();
+        const lastRefreshed = Date.parse(this.dashboard.lastRefreshed);
+        const details = [];
+
+        let text = isNaN(lastRefreshed) ? 'Not refreshed yet' : `Updated ${this.formatAge(Date.now() - lastRefreshed)}`;
+
+        if (this.lastFailed) {
+            text = this.lastFailed.failed === this.lastFailed.total
+                ? 'Refresh failed'
+                : `${text} · ${this.lastFailed.failed} failed`;
+            details.push(`${this.lastFailed.failed} of ${this.lastFailed.total} item(s) could not be refreshed`);
+        }
+
+        if (!minutes) {
+            details.push('Auto-refresh is off');
+        } else if (this.pendingWhileHidden) {
+            details.push('Auto-refresh paused while the tab is hidden');
+        } else if (this.nextRefreshAt) {
+            const wait = Math.max(0, this.nextRefreshAt - Date.now());
+            details.push(this.failures > 0
+                ? `Retrying in ${this.formatDuration(wait)} (backing off after ${this.failures} failed refresh${this.failures === 1 ? '' : 'es'})`
+                : `Auto-refresh every ${minutes} min, next in ${this.formatDuration(wait)}`);
+        }
+
+        const liveStatus = this.dashboard.liveUpdateManager?.getStatusText();
+        if (liveStatus) {
+            details.push(liveStatus);
+        }
+
+        status.classList.toggle('has-error', Boolean(this.lastFailed));
+        status.title = details.join('\n');
+        this.setStatusText(text);
+    }
+
+    setStatusText(text) {
+        const element = document.querySelector('#refreshStatus .refresh-status-text');
+        if (element) {
+            element.textContent = text;
+        }
+    }
+
+    /**
+     * "just now", "5 min ago", "3 h ago", "2 days ago"
+     */
+    formatAge(ms) {
+        const minutes = Math.floor(ms / MINUTE);
+        if (minutes < 1) {
+            return 'just now';
+        }
+        if (minutes < 60) {
+            return `${minutes} min ago`;
+        }
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) {
+            return `${hours} h ago`;
+        }
+        const days = Math.floor(hours / 24);
+        return `${days} day${days === 1 ? '' : 's'} ago`;
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.ceil(ms / MINUTE);
+        return minutes < 60 ? `${minutes} min` : `${Math.round(minutes / 60)} h`;
+    }
+
+    /**
+     * Toggle the navbar auto-refresh menu
+     */
+    toggleIntervalMenu(event) {
+        event?.stopPropagation();
+        document.getElementById('autoRefreshMenu')?.classList.toggle('open');
+    }
+
+    handleDocumentClick(event) {
+        const menu = document.getElementById('autoRefreshMenu');
+        if (menu && menu.classList.contains('open') && !menu.contains(event.target)) {
+            menu.classList.remove('open');
+        }
+    }
+
+    /**
+     * Fill the auto-refresh menu, marking the current dashboard's interval
+     */
+    renderIntervalMenu() {
+        const list = document.querySelector('#autoRefreshMenu .export-menu-list');
+        if (!list) {
+            return;
+        }
+
+        const current = this.getIntervalMinutes();
+        list.innerHTML = INTERVAL_OPTIONS.map(minutes => `
+            <button class="export-menu-item${minutes === current ? ' active' : ''}" onclick="dashboard.setAutoRefreshInterval(${minutes})">
+                <i class="fa-solid ${minutes === current ? 'fa-check' : ''}"></i>
+                ${minutes ? `Every ${minutes} min` : 'Auto-refresh off'}
+            </button>
+        `).join('');
+
+        document.querySelector('#autoRefreshMenu > button')?.classList.toggle('is-active', current > 0);
+    }
+}
@@ -1,6 +1,9 @@
 /**
  * RenderManager - Handles all dashboard rendering and layout functionality
  */
+
+const SLA_WARNING_TIME = 4 * 60 * 60 * 1000; // Issues due within this are shown as due soon
+
 export default class RenderManager {
     /**
      * Creates a new RenderManager instance
@@ -101,10 +104,12 @@ export default class RenderManager {
         const companyWidth = savedCompanyWidth ? parseInt(savedCompanyWidth) : 150;
         document.documentElement.style.setProperty('--company-blocks-width', companyWidth + 'px');
         
+        this.dashboard.filterManager.updateToolbar(0);
+        
         if (companyOrder.length === 0) {
             const emptyState = UIComponents.createEnhancedEmptyState(
                 'No items on dashboard',
-                'Click the "Add Items" button to add projects and agreements to your dashboard',
+                'Click the "Add Items" button to add projects, agreements and issues to your dashboard',
                 'fa-clipboard'
             );
             layoutContainer.appendChild(emptyState);
@@ -120,10 +125,22 @@ export default class RenderManager {
         }
         
         // Create company blocks and progress containers
-        companyOrder.forEach((companyId, index) => {
+        const filterManager = this.dashboard.filterManager;
+        let shownCount = 0;
+        let shownCompanies = 0;
+        companyOrder.forEach((companyId) => {
             const companyData = companies[companyId];
             if (!companyData) return;
             
+            // Add progress blocks for this specific company in the correct order
+            const companyItems = this.getShownCompanyItems(companyId);
+            
+            // Companies with nothing left after filtering are hidden
+            if (companyItems.length === 0) return;
+            shownCount += companyItems.length;
+            // Position among the companies shown, which pairs each company block with its progress container
+            const index = shownCompanies++;
+            
             const company = companyData.company;
             
             // Create company block
@@ -164,15 +181,10 @@ export default class RenderManager {
             const progressBlocksContainer = document.createElement('div');
             progressBlocksContainer.className = 'progress-blocks-container';
             
-            // Add progress blocks for this specific company in the correct order
-            // Filter items from dashboardData to maintain order
-            const companyItems = this.dashboard.dashboardData.filter(item => {
-                const itemCompanyId = item.company_id || (item.company_info ? item.company_info.id : null);
-                return String(itemCompanyId) === String(companyId);
-            });
-            
             companyItems.forEach(item => {
                 const block = this.createCompactProgressBlock(item);
+                // A sorted view is not the saved order, so blocks can't be rearranged in it
+                block.draggable = !filterManager.isSorted();
                 progressBlocksContainer.appendChild(block);
             });
             
@@ -180,6 +192,20 @@ export default class RenderManager {
             allProgressBlocksSection.appendChild(companyProgressContainer);
         });
         
+        filterManager.updateToolbar(shownCount);
+        
+        if (shownCount === 0) {
+            const emptyState = UIComponents.createEmptyState(
+                'No matching items',
+                'No items on this dashboard match the filters. Clear them to see everything again.',
+                'fa-filter'
+            );
+            layoutContainer.appendChild(emptyState);
+            contentGrid.innerHTML = '';
+            contentGrid.appendChild(layoutContainer);
+            return;
+        }
+        
         // Create the single global resizer
         const globalResizer = document.createElement('div');
         globalResizer.className = 'global-split-resizer';
@@ -303,135 +329,48 @@ export default class RenderManager {
     }
     
     /**
-     * Create a compact progress block matching the user's mockup design
+     * Determine an item's type (see ItemTypes)
+     * Uses the explicit type when present and falls back to the fields each type recognizes
+     * @param {Object} item - Dashboard item
+     * @returns {string} A registered type, e.g. 'project', 'agreement' or 'issue'
      */
-    /**
-     * Create compact progress block for an individual item
-     * Generates the visual representation of projects and agreements with progress indicators
-     * @param {Object} item - The project or agreement item to render
-     * @returns {HTMLElement} The created progress block element
-     */
-    createCompactProgressBlock(item) {
-        // Track click state to distinguish from drag
-        let isClick = false;
-        let mouseDownTime = 0;
-        let mouseDownX = 0;
-        let mouseDownY = 0;
-        const CLICK_TIME_THRESHOLD = 200; // ms
-        const CLICK_DISTANCE_THRESHOLD = 5; // pixels
-        // Determine type and icon - improved logic
-        let isProject = false;
-        let type = 'agreement'; // default to agreement
-        
-        // Check explicit type first
-        if (item.type === 'project') {
-            isProject = true;
-            type = 'project';
-        } else if (item.type === 'agreement' || item.type === 'contract') {
-            isProject = false;
-            type = 'agreement';
-        } else {
-            // Fallback logic based on properties
-            // Projects typically have job-specific fields
-            if (item.date_due || item.billable_seconds !== undefined || item.unbillable_seconds !== undefined) {
-                isProject = true;
-                type = 'project';
-            }
-            // Agreements/contracts typically have contract-specific fields  
-            else if (item.retainer_type || item.retainer_value || item.date_expires || item.date_started) {
-                isProject = false;
-                type = 'agreement';
-            }
-            // Final fallback - if it has typical project structure but no contract fields
-            else if (item.status && !item.retainer_type) {
-                isProject = true;
-                type = 'project';
-            }
+    getItemType(item) {
+        const type = ItemTypes.typeOf(item);
+        if (type) {
+            return type;
         }
-        
-        const icon = isProject ? '<i class="fa-solid fa-diagram-project"></i>' : '<i class="fa-solid fa-file-contract"></i>';
-        const title = item.title || item.name || `${type} #${item.id}`;
-        
-        // Determine agreement budget type and create appropriate type label
-        let typeLabel = 'PROJECT';
-        let budgetType = null;
-        let showProgressBar = true;
-        
-        if (!isProject) {
-            budgetType = item.usage?.budgetType || 'none';
-            switch (budgetType) {
-                case 'time':
-                    typeLabel = 'AGREEMENT | TIME BUDGET';
-                    break;
-                case 'value':
-                    typeLabel = 'AGREEMENT | VALUE BUDGET';
-                    break;
-                case 'none':
-                default:
-                    typeLabel = 'AGREEMENT';
-                    showProgressBar = false;
-                    break;
-            }
+        // Final fallback - if it has typical project structure but no contract fields
+        if (item.status && !item.retainer_type) {
+            return 'project';
         }
-        
-        // Calculate hours and percentage
-        let loggedHours = 0;
-        let totalHours = 0;
-        let percentage = 0;
-        let isBudgetSuspicious = false;
-        let displayValue = '';
-        let remainingValue = '';
+        return 'agreement';
+    }
+
+    /**
+     * Calculate the progress figures shown on a compact progress block
+     * Shared with exports and reports so they always match what the dashboard displays
+     * @param {Object} item - Dashboard item
+     * @returns {Object} Type, budget type, hours/value used and allowed, percentage and status
+     */
+    calculateProgress(item) {
+        const type = this.getItemType(item);
+        
+        // The type label, budget type and figures come from the item's type
+        const {
+            typeLabel,
+            budgetType = 'none',
+            showProgressBar = true,
+            loggedHours = 0,
+            totalHours = 0,
+            loggedValue = 0,
+            totalValue = 0,
+            percentage = 0,
+            periodStart = null,
+            periodEnd = null
+        } = ItemTypes.get(type).calculateProgress(item);
         let progressStatus = 'success';
         let statusClass = '';
         
-        if (isProject && item.hours) {
-            loggedHours = (item.hours.billableHours || 0) + (item.hours.nonBillableHours || 0);
-            
-            // Look for budget in custom fields or use known project budgets
-            totalHours = this.getProjectBudget(item.id, item.title, loggedHours);
-            percentage = totalHours > 0 ? (loggedHours / totalHours) * 100 : 0;
-            
-            // Check if budget seems suspicious (likely calculated fallback)
-            isBudgetSuspicious = this.isProjectBudgetSuspicious(item.id, item.title, loggedHours, totalHours);
-        } else if (!isProject && item.usage) {
-            if (budgetType === 'time') {
-                // Time budget agreement
-                loggedHours = item.usage.timeUsed || 0;
-                totalHours = item.usage.timeAllowance || 0;
-                percentage = totalHours > 0 ? (loggedHours / totalHours) * 100 : 0;
-            } else if (budgetType === 'value') {
-                // Value budget agreement
-                const loggedValue = item.usage.valueUsed || 0;
-                const totalValue = item.usage.valueAllowance || 0;
-                percentage = totalValue > 0 ? (loggedValue / totalValue) * 100 : 0;
-                
-                // For value budgets, show monetary amounts
-                displayValue = `$${loggedValue.toFixed(2)} / $${totalValue.toFixed(2)}`;
-                const remainingAmount = Math.max(0, totalValue - loggedValue);
-                remainingValue = `$${remainingAmount.toFixed(2)} remaining`;
-            } else {
-                // No budget agreement - just show time worked
-                loggedHours = item.usage.timeUsed || 0;
-                totalHours = 0; // No budget to compare against
-                percentage = 0;
-                showProgressBar = false;
-            }
-        }
-        
-        // If no hours data, use default for projects
-        if (isProject && totalHours === 0 && loggedHours === 0) {
-            totalHours = 100;
-            loggedHours = 0;
-            percentage = 0;
-        }
-        
-        // Format hours as "XXXh XXm"
-        const formatHours = (hours) => {
-            const h = Math.floor(hours);
-            const m = Math.round((hours - h) * 60);
-            return `${h}h ${m}m`;
-        };
-        
         // Calculate remaining hours and over budget status
         const remainingHours = Math.max(0, totalHours - loggedHours);
         const overBudgetHours = Math.max(0, loggedHours - totalHours);
@@ -454,37 +393,157 @@ export default class RenderManager {
             }
         }
         
-        // Format period dates for agreements
-        let periodInfo = '';
-        if (!isProject && item.usage && item.usage.periodStart && item.usage.periodEnd) {
-            const startDate = new Date(item.usage.periodStart + 'T00:00:00');
-            const endDate = new Date(item.usage.periodEnd + 'T00:00:00');
-            
-            const formatDate = (date) => {
-                return date.toLocaleDateString('en-US', { 
-                    month: 'short', 
-                    day: 'numeric',
-                    year: 'numeric'
-                });
+        return {
+            type,
+            typeLabel,
+            budgetType,
+            showProgressBar,
+            loggedHours,
+            totalHours,
+            loggedValue,
+            totalValue,
+            percentage,
+            remainingHours,
+            overBudgetHours,
+            isOverBudget,
+            progressStatus,
+            statusClass,
+            periodStart,
+            periodEnd
+        };
+    }
+
+    /**
+     * Countdown to an issue's SLA (resolution due date), e.g. "SLA due in 5h 12m" or "SLA breached 2d 3h ago"
+     * Kept current by TickerManager while the issue is unresolved
+     * @param {Object} usage - Issue usage from AcceloAPI.getIssueUsage
+     * @param {number} [now] - Milliseconds since the epoch
+     * @returns {Object|null} { status: 'resolved'|'on-track'|'due-soon'|'breached', label }; null without a due date
+     */
+    getSlaCountdown(usage, now = Date.now()) {
+        const due = Date.parse(usage?.slaDue);
+        if (!usage || isNaN(due)) {
+            return null;
+        }
+
+        const resolved = Date.parse(usage.resolvedAt);
+        if (!isNaN(resolved)) {
+            return {
+                status: 'resolved',
+                label: resolved <= due ? 'Resolved within SLA' : 'Resolved after SLA'
             };
-            
-            if (!isNaN(startDate.getTime()) && !isNaN(endDate.getTime())) {
-                periodInfo = `<div class="compact-period-info">${formatDate(startDate)} - ${formatDate(endDate)}</div>`;
-            }
         }
 
+        const formatDuration = (ms) => {
+            const minutes = Math.floor(ms / 60000);
+            const days = Math.floor(minutes / 1440);
+            const hours = Math.floor((minutes % 1440) / 60);
+            return days > 0 ? `${days}d ${hours}h` : `${hours}h ${minutes % 60}m`;
+        };
+
+        if (due <= now) {
+            return { status: 'breached', label: `SLA breached ${formatDuration(now - due)} ago` };
+        }
+        return {
+            status: due - now <= SLA_WARNING_TIME ? 'due-soon' : 'on-track',
+            label: `SLA due in ${formatDuration(due - now)}`
+        };
+    }
+
+    /**
+     * Forecast for an item at its measured burn rate (loaded on refresh by DataManager.loadBurnRate)
+     * @param {Object} item - The project, agreement or issue item
+     * @param {number} [now] - Milliseconds since the epoch
+     * @returns {Object|null} See Forecast.forecast; null before the burn rate has been measured
+     */
+    getForecast(item, now = Date.now()) {
+        if (!item.burnRate || typeof Forecast === 'undefined') {
+            return null;
+        }
+
+        const progress = this.calculateProgress(item);
+        const isValue = progress.budgetType === 'value';
+
+        return Forecast.forecast({
+            unit: isValue ? 'value' : 'hours',
+            used: isValue ? progress.loggedValue : progress.loggedHours,
+            budget: isValue ? progress.totalValue : progress.totalHours,
+            periodEnd: progress.periodEnd
+        }, item.burnRate, { now });
+    }
+
+    /**
+     * Create a compact progress block matching the user's mockup design
+     */
+    /**
+     * Create compact progress block for an individual item
+     * Generates the visual representation of projects, agreements and issues with progress indicators
+     * @param {Object} item - The project, agreement or issue item to render
+     * @returns {HTMLElement} The created progress block element
+     */
+    createCompactProgressBlock(item) {
+        // Track click state to distinguish from drag
+        let isClick = false;
+        let mouseDownTime = 0;
+        let mouseDownX = 0;
+        let mouseDownY = 0;
+        const CLICK_TIME_THRESHOLD = 200; // ms
+        const CLICK_DISTANCE_THRESHOLD = 5; // pixels
+        const {
+            type,
+            typeLabel,
+            budgetType,
+            showProgressBar,
+            loggedHours,
+            totalHours,
+            loggedValue,
+            totalValue,
+            percentage,
+            remainingHours,
+            overBudgetHours,
+            isOverBudget,
+            progressStatus,
+            statusClass
+        } = this.calculateProgress(item);
+        
+        const itemType = ItemTypes.get(type);
+        const icon = `<i class="fa-solid ${itemType.icon}"></i>`;
+        const title = item.title || item.name || `${type} #${item.id}`;
+        
+        // For value budgets, show monetary amounts
+        let displayValue = '';
+        let remainingValue = '';
+        if (budgetType === 'value') {
+            displayValue = `$${loggedValue.toFixed(2)} / $${totalValue.toFixed(2)}`;
+            remainingValue = `$${Math.max(0, totalValue - loggedValue).toFixed(2)} remaining`;
+        }
+        
+        // Format hours as "XXXh XXm"
+        const formatHours = (hours) => {
+            const h = Math.floor(hours);
+            const m = Math.round((hours - h) * 60);
+            return `${h}h ${m}m`;
+        };
+        
+        // Type specific details under the type label, e.g. an agreement's period or an issue's SLA
+        const periodInfo = itemType.renderBlockDetails(item, this);
+
+        // Projection at the current pace, e.g. "At current pace exhausts budget on 12 Nov"
+        const forecast = this.getForecast(item);
+        const forecastHtml = forecast
+            ? `<div class="compact-forecast compact-forecast-${forecast.status}" title="${UIComponents.escapeHtml(forecast.detail || forecast.label)}">${UIComponents.escapeHtml(forecast.label)}</div>`
+            : '';
+
+        // Sparkline slot, filled in by the history manager (also once history has loaded)
+        const sparklineHtml = `<div class="compact-sparkline" data-history-key="${type}_${item.id}">${this.dashboard?.historyManager?.createSparkline(item) || ''}</div>`;
+
         // Create block element with status class
         const block = document.createElement('div');
         block.className = `compact-progress-block ${statusClass}`;
         block.dataset.itemId = item.id;
         block.draggable = true;
         
-        // Add specific type dataset
-        if (isProject) {
-            block.dataset.projectId = item.id;
-        } else {
-            block.dataset.agreementId = item.id;
-        }
+        block.dataset.itemType = type;
         
         // Add company association for theming
         const companyId = item.company_id || (item.company_info ? item.company_info.id : null);
@@ -498,8 +557,8 @@ export default class RenderManager {
         // Build the content based on budget type
         let contentHtml;
         
-        if (!isProject && budgetType === 'none') {
-            // No-budget agreement: show time worked with grayed-out progress bar for alignment
+        if (!showProgressBar) {
+            // No-budget project, agreement or issue: show time worked with grayed-out progress bar for alignment
             contentHtml = `
                 <div class="compact-block-content">
                     <div class="compact-block-left">
@@ -514,10 +573,13 @@ export default class RenderManager {
                     </div>
                     
                     <div class="compact-block-type-section">
-                        <div class="compact-block-type">${typeLabel}</div>
+                        <div class="compact-block-type">${UIComponents.escapeHtml(typeLabel)}</div>
                         ${periodInfo}
+                        ${forecastHtml}
                     </div>
                     
+                    ${sparklineHtml}
+                    
                     <div class="compact-hours-section">
                         <div class="compact-hours-display">
                             <span class="compact-hours-logged">${formatHours(loggedHours)}</span>
@@ -538,7 +600,7 @@ export default class RenderManager {
                         </div>
                     </div>
                 </div>`;
-        } else if (!isProject && budgetType === 'value') {
+        } else if (budgetType === 'value') {
             // Value budget agreement: show monetary amounts
             contentHtml = `
                 <div class="compact-block-content">
@@ -554,10 +616,13 @@ export default class RenderManager {
                     </div>
                     
                     <div class="compact-block-type-section">
-                        <div class="compact-block-type">${typeLabel}</div>
+                        <div class="compact-block-type">${UIComponents.escapeHtml(typeLabel)}</div>
                         ${periodInfo}
+                        ${forecastHtml}
                     </div>
                     
+                    ${sparklineHtml}
+                    
                     <div class="compact-value-section">
                         <div class="compact-value-display">${displayValue}</div>
                     </div>
@@ -569,11 +634,11 @@ export default class RenderManager {
                     </div>
                     
                     <div class="compact-remaining-section">
-                        <div class="compact-remaining-value" ${percentage > 100 ? `data-over-budget-value="${(item.usage.valueUsed - item.usage.valueAllowance).toFixed(2)}" data-start-time="${Date.now()}"` : ''}>${percentage > 100 ? `$${(item.usage.valueUsed - item.usage.valueAllowance).toFixed(2)} Over Budget` : remainingValue}</div>
+                        <div class="compact-remaining-value" ${percentage > 100 ? `data-over-budget-value="${(item.usage.valueUsed - item.usage.valueAllowance).toFixed(2)}" data-start-time="${Date.now()}" data-item-key="${type}_${item.id}"` : ''}>${percentage > 100 ? `$${(item.usage.valueUsed - item.usage.valueAllowance).toFixed(2)} Over Budget` : remainingValue}</div>
                     </div>
                 </div>`;
         } else {
-            // Time budget agreement or project: show hours with progress bar
+            // Time budget agreement, project or issue: show hours with progress bar
             contentHtml = `
                 <div class="compact-block-content">
                     <div class="compact-block-left">
@@ -588,16 +653,18 @@ export default class RenderManager {
                     </div>
                     
                     <div class="compact-block-type-section">
-                        <div class="compact-block-type">${typeLabel}</div>
+                        <div class="compact-block-type">${UIComponents.escapeHtml(typeLabel)}</div>
                         ${periodInfo}
+                        ${forecastHtml}
                     </div>
                     
+                    ${sparklineHtml}
+                    
                     <div class="compact-hours-section">
                         <div class="compact-hours-display">
                             <span class="compact-hours-logged">${formatHours(loggedHours)}</span>
                             <span class="compact-hours-separator">/</span>
                             <span class="compact-hours-total">${formatHours(totalHours)}</span>
-                            ${isBudgetSuspicious ? '<span class="budget-warning" title="Budget may be estimated. Consider setting actual project budget.">⚠️</span>' : ''}
                         </div>
                     </div>
                     
@@ -608,7 +675,7 @@ export default class RenderManager {
                     </div>
                     
                     <div class="compact-remaining-section">
-                        <div class="compact-remaining-time" ${isOverBudget ? `data-over-budget="${overBudgetHours}" data-start-time="${Date.now()}"` : ''}>${isOverBudget ? formatHours(overBudgetHours) : formatHours(remainingHours)}</div>
+                        <div class="compact-remaining-time" ${isOverBudget ? `data-over-budget="${overBudgetHours}" data-start-time="${Date.now()}" data-item-key="${type}_${item.id}"` : ''}>${isOverBudget ? formatHours(overBudgetHours) : formatHours(remainingHours)}</div>
                         <div class="compact-remaining-label">${isOverBudget ? 'Over Budget' : 'Remaining'}</div>
                     </div>
                 </div>`;
@@ -676,108 +743,115 @@ export default class RenderManager {
         return block;
     }
 
-    /**
-     * Create Accelo URL for a project or agreement
-     */
     /**
      * Create Accelo URL for opening items in new tab
      * @param {string|number} itemId - The ID of the item
-     * @param {string} type - The type of item ('project' or 'agreement')
+     * @param {string} type - A registered item type, e.g. 'project'
      * @returns {string} The complete Accelo URL
      */
     createAcceloUrl(itemId, type) {
-        if (!window.acceloAPI || !window.acceloAPI.deployment) {
+        const itemType = ItemTypes.get(type);
+        if (!itemType || !window.acceloAPI || !window.acceloAPI.deployment) {
             return '#';
         }
         
-        const deployment = window.acceloAPI.deployment;
-        
-        if (type === 'project') {
-            return `https://${deployment}.accelo.com/app/projects/${itemId}?tab=Overview`;
-        } else if (type === 'agreement') {
-            // Agreements use a different URL format
-            return `https://${deployment}.accelo.com/?action=view_contract&id=${itemId}#?selected_tab=overview#END`;
-        }
-        
-        return '#';
+        return itemType.acceloUrl(window.acceloAPI.deployment, itemId);
     }
 
     /**
-     * Get project budget/maximum hours with better fallback handling
+     * Get project budget hours as reported by AcceloAPI.getProjectHours
+     * @param {Object} item - The project item with its hours data
+     * @returns {number} Budget hours, or 0 when the project has no budget set
      */
-    getProjectBudget(projectId, projectTitle, loggedHours) {
-        // Known project budgets based on user's data
-        const knownBudgets = {
-            '415': 200, // PGG002 - 200h budget
-            '423': 40,  // DLF - 40h budget  
-            '268': 572, // Mussels App - 572h budget (confirmed from Project Plan)
-            '352': 80,  // LMS Feature Requests Q1 2025 - 80h budget
-        };
-        
-        // Check by ID first
-        if (knownBudgets[projectId]) {
-            return knownBudgets[projectId];
-        }
-        
-        // Check by title patterns for known projects
-        const titleLower = (projectTitle || '').toLowerCase();
-        
-        if (titleLower.includes('pgg002') || titleLower.includes('backlog development')) {
-            return 200;
-        }
-        if (titleLower.includes('dlf') || titleLower.includes('tenant migration')) {
-            return 40;
-        }
-        if (titleLower.includes('mussels app')) {
-            return 572;
-        }
-        if (titleLower.includes('lms feature requests')) {
-            return 80;
+    getProjectBudget(item) {
+        return item.hours?.budgetHours || 0;
+    }
+
+    /**
+     * A company's items as shown: in dashboard order, then through the toolbar's filters and sort
+     * @param {string|number} companyId
+     * @returns {Array} Dashboard items
+     */
+    getShownCompanyItems(companyId) {
+        return this.dashboard.filterManager.apply(this.dashboard.dashboardData.filter(item => {
+            const itemCompanyId = item.company_id || (item.company_info ? item.company_info.id : null);
+            return String(itemCompanyId) === String(companyId);
+        }));
+    }
+
+    /**
+     * Whether the rendered progress blocks are still the items the filters and sort select, in the same order
+     * @returns {boolean}
+     */
+    isLayoutCurrent() {
+        const shown = Array.from(document.querySelectorAll('.compact-progress-block'),
+            block => `${block.dataset.itemType}_${block.dataset.itemId}`);
+        const expected = this.dashboard.companyOrder.flatMap(companyId =>
+            this.getShownCompanyItems(companyId).map(item => `${this.getItemType(item)}_${item.id}`));
+        return shown.length === expected.length && shown.every((key, index) => key === expected[index]);
+    }
+
+    /**
+     * Re-render some items' progress blocks in place, leaving the rest of the layout alone
+     * Used for live updates and refreshes; an open drawer stays open and reloads its details
+     * When the changes move items in or out of the filtered view or along the sort, the dashboard is re-rendered
+     * @param {Array} items - Dashboard items whose data changed
+     */
+    updateProgressBlocks(items) {
+        const filterManager = this.dashboard.filterManager;
+        if ((filterManager.isFiltering() || filterManager.isSorted()) && !this.isLayoutCurrent()) {
+            this.renderDashboard();
+            return;
         }
-        
-        // For unknown projects, implement a smarter fallback system
-        if (loggedHours > 0) {
-            // Instead of arbitrary 120%, use different strategies based on logged hours
-            if (loggedHours < 10) {
-                // Small projects: assume 20-40h budget
-                return Math.max(Math.ceil(loggedHours * 2), 20);
-            } else if (loggedHours < 50) {
-                // Medium projects: assume 10-25% buffer
-                return Math.ceil(loggedHours * 1.15);
-            } else if (loggedHours < 100) {
-                // Large projects: assume 5-15% buffer
-                return Math.ceil(loggedHours * 1.1);
-            } else {
-                // Very large projects: assume 5-10% buffer
-                return Math.ceil(loggedHours * 1.05);
+
+        items.forEach(item => {
+            const type = this.getItemType(item);
+            const existing = document.querySelector(`.compact-progress-block[data-item-type="${type}"][data-item-id="${item.id}"]`);
+            if (!existing) {
+                return;
             }
-        }
-        
-        // Final fallback - return a reasonable default based on company/project patterns
-        return 40; // Conservative default for new projects
+
+            const block = this.createCompactProgressBlock(item);
+            block.draggable = !filterManager.isSorted(); // As in renderCompanyGroupedLayout
+            const isExpanded = existing.classList.contains('is-expanded');
+            block.classList.toggle('is-expanded', isExpanded);
+            block.style.cssText = existing.style.cssText; // Company color
+            block.classList.add('is-updated');
+            existing.replaceWith(block);
+            setTimeout(() => block.classList.remove('is-updated'), 2000);
+
+            const drawer = isExpanded ? block.closest('.progress-block-wrapper')?.querySelector('.expanded-drawer') : null;
+            if (drawer) {
+                this.dashboard.expandedViewManager.loadDrawerContent(drawer, item);
+            }
+        });
+
+        this.updateCompanyBlockHeights();
+        this.dashboard.tickerManager.start();
     }
 
     /**
-     * Check if a project budget should be flagged as potentially incorrect
+     * Scroll to and briefly highlight a company block or progress block
+     * @param {string} itemKey - "company_<id>" or "<type>_<id>", e.g. "project_12"
+     * @returns {boolean} Whether the item is on the dashboard
      */
-    isProjectBudgetSuspicious(projectId, projectTitle, loggedHours, budgetHours) {
-        // Known projects shouldn't be flagged
-        const knownBudgets = {
-            '415': 200, '423': 40, '268': 572, '352': 80
-        };
-        
-        if (knownBudgets[projectId]) {
+    focusItem(itemKey) {
+        const [, type, id] = String(itemKey).match(/^([a-z]+)_(\d+)$/) || [];
+        let selector = null;
+        if (type === 'company') {
+            selector = `.company-block[data-company-id="${id}"]`;
+        } else if (ItemTypes.get(type)) {
+            selector = `.compact-progress-block[data-item-type="${ItemTypes.get(type).type}"][data-item-id="${id}"]`;
+        }
+        const element = selector ? document.querySelector(selector) : null;
+        if (!element) {
             return false;
         }
-        
-        // Flag if logged hours are significantly over budget and budget seems calculated
-        const usagePercentage = (loggedHours / budgetHours) * 100;
-        const seemsCalculated = budgetHours === Math.ceil(loggedHours * 1.2) || 
-                               budgetHours === Math.ceil(loggedHours * 1.15) ||
-                               budgetHours === Math.ceil(loggedHours * 1.1) ||
-                               budgetHours === Math.ceil(loggedHours * 1.05);
-        
-        return usagePercentage > 90 && seemsCalculated;
+
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('item-focused');
+        setTimeout(() => element.classList.remove('item-focused'), 2500);
+        return true;
     }
 
     /**
@@ -1,9 +1,19 @@
 /**
- * TickerManager - Handles over budget time and value tickers
- * 
- * Manages the periodic updates of over-budget displays that show increasing
- * time and value amounts for items that have exceeded their budgets.
+ * TickerManager - Handles over budget time and value tickers, and issue SLA countdowns
+ *
+ * Over-budget displays keep counting up only while time is really being logged:
+ * - Running Accelo timers add an hour per timer per hour to the item they log time to: the job or one of
+ *   its tasks or milestones, the contract or the issue (see the timerTargets item type hook)
+ * - Without a running timer the display stays at the last refreshed figure and the ticker stops
+ * - Timers are polled every TIMER_POLL_INTERVAL; renders reuse the last timers instead of asking Accelo again
+ * Value overruns grow at the rates actually charged on the agreement's time this period.
+ * SLA countdowns of unresolved issues count down (and past a breach, up) with the clock.
  */
+
+const TICK_INTERVAL = 1000; // Display updates while something is ticking
+const TIMER_POLL_INTERVAL = 60 * 1000; // How often running timers are checked
+const HOUR = 60 * 60 * 1000;
+
 export default class TickerManager {
     /**
      * Creates a new TickerManager instance
@@ -12,8 +22,13 @@ export default class TickerManager {
     constructor(dashboard) {
         this.dashboard = dashboard;
         this.overBudgetTickerInterval = null;
+        this.timerPollInterval = null;
+        this.timers = []; // Running timers from the last poll
+        this.lastTimerPoll = 0;
+        this.runningTimers = new Map(); // "project_123" / "agreement_456" / "issue_789" -> number of running timers
+        this.ticked = new WeakMap(); // ticker element -> { hours, lastTick }
     }
-    
+
     /**
      * Initialize ticker manager
      * Starts the ticker intervals for over-budget items
@@ -23,7 +38,7 @@ export default class TickerManager {
         // Start tickers - will be called from dashboard init
         this.start();
     }
-    
+
     /**
      * Cleanup ticker resources
      * Stops all ticker intervals and clears timers
@@ -31,71 +46,213 @@ export default class TickerManager {
      */
     cleanup() {
         this.stop();
+        this.timers = [];
+        this.lastTimerPoll = 0;
+        this.runningTimers.clear();
     }
-    
+
     /**
-     * Start ticking timers for over budget items
-     * Updates over-budget displays every second to show real-time increases
+     * Start tickers for over budget items and SLA countdowns (called after each render)
+     * Polls running timers while any item is over budget and ticks only while time is being logged
+     * or an SLA is counting down. Renders reuse the last poll's timers, counted against the items now shown,
+     * and only poll when those timers are older than TIMER_POLL_INTERVAL
      */
     start() {
-        // Clear any existing ticker
-        this.stop();
-        
-        // Update every second
-        this.overBudgetTickerInterval = setInterval(() => {
+        this.stopTicking();
+
+        if (this.getTickerElements().length === 0) {
+            this.stop();
             this.update();
-        }, 1000);
+            return;
+        }
+
+        this.runningTimers = this.countTimers(this.timers);
+        if (!this.timerPollInterval) {
+            this.timerPollInterval = setInterval(() => this.pollTimers(), TIMER_POLL_INTERVAL);
+        }
+        if (Date.now() - this.lastTimerPoll >= TIMER_POLL_INTERVAL) {
+            this.pollTimers();
+        }
+        this.update();
     }
-    
+
     /**
      * Stop over budget tickers
-     * Clears the ticker interval and resets the timer reference
+     * Clears the ticker and timer polling intervals
      */
     stop() {
+        this.stopTicking();
+        if (this.timerPollInterval) {
+            clearInterval(this.timerPollInterval);
+            this.timerPollInterval = null;
+        }
+    }
+
+    stopTicking() {
         if (this.overBudgetTickerInterval) {
             clearInterval(this.overBudgetTickerInterval);
             this.overBudgetTickerInterval = null;
         }
     }
-    
+
+    getTickerElements() {
+        return document.querySelectorAll('.compact-remaining-time[data-over-budget], .compact-remaining-value[data-over-budget-value]');
+    }
+
+    /**
+     * Refresh the running timer counts from Accelo
+     * Skipped while the tab is hidden; on failure the previous counts are kept
+     */
+    async pollTimers() {
+        if (document.hidden) {
+            return;
+        }
+
+        this.lastTimerPoll = Date.now();
+        try {
+            this.timers = await window.acceloAPI.getRunningTimers();
+            this.runningTimers = this.countTimers(this.timers);
+        } catch (error) {
+            console.warn('Failed to check running timers:', error.message);
+        }
+
+        this.update();
+    }
+
+    /**
+     * Count running timers per dashboard item
+     * Timers run against Accelo records ("job", "task", "contract", ...); each item type says which
+     * records log time to it, e.g. a timer on a task counts for the task's project
+     * @param {Array} timers - From AcceloAPI.getRunningTimers
+     * @returns {Map} "project_123" -> number of running timers
+     */
+    countTimers(timers) {
+        const itemKeys = new Map(); // "task_404" -> "project_201"
+        this.dashboard.dashboardData.forEach(item => {
+            const type = this.dashboard.renderManager.getItemType(item);
+            (ItemTypes.get(type)?.timerTargets(item) || []).forEach(({ againstType, againstId }) => {
+                itemKeys.set(`${againstType}_${againstId}`, `${type}_${item.id}`);
+            });
+        });
+
+        const counts = new Map();
+        timers.forEach(timer => {
+            const key = itemKeys.get(`${timer.againstType}_${timer.againstId}`);
+            if (key) {
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        });
+        return counts;
+    }
+
+    /**
+     * How fast an item's logged time is growing right now
+     * @param {Object} item - Dashboard item
+     * @returns {Object|null} { hoursPerHour, source } or null when no timer is running on it
+     */
+    getTickRate(item) {
+        const key = `${this.dashboard.renderManager.getItemType(item)}_${item.id}`;
+        const timerCount = this.runningTimers.get(key) || 0;
+        if (timerCount === 0) {
+            return null;
+        }
+
+        return {
+            hoursPerHour: timerCount,
+            source: `${timerCount} timer${timerCount === 1 ? '' : 's'} running in Accelo`
+        };
+    }
+
+    /**
+     * Value charged per hour logged this period, from the rates on the agreement's time entries
+     * (periodValue, see Forecast.getBurnRate)
+     * @returns {number|null} Null when no charged time has been logged this period
+     */
+    getValuePerHour(item) {
+        const periodHours = item.burnRate?.periodHours;
+        const periodValue = item.burnRate?.periodValue;
+        return periodHours > 0 && periodValue > 0 ? periodValue / periodHours : null;
+    }
+
+    /**
+     * Advance an element's ticked hours since its last update at the item's current rate
+     * Accumulating per tick keeps earlier growth when the rate changes (e.g. a timer stops)
+     * @returns {Object} { hours, rate }
+     */
+    advance(element, item, now) {
+        const state = this.ticked.get(element) || { hours: 0, lastTick: parseInt(element.dataset.startTime) || now };
+        const rate = item ? this.getTickRate(item) : null;
+
+        if (rate) {
+            state.hours += rate.hoursPerHour * (now - state.lastTick) / HOUR;
+        }
+        state.lastTick = now;
+        this.ticked.set(element, state);
+
+        return { hours: state.hours, rate };
+    }
+
+    findItem(element) {
+        const key = element.dataset.itemKey;
+        return this.dashboard.dashboardData.find(item =>
+            `${this.dashboard.renderManager.getItemType(item)}_${item.id}` === key
+        );
+    }
+
     /**
      * Update all over budget time and value displays
-     * Calculates elapsed time since dashboard load and updates ticker displays
-     * to show continuously increasing over-budget amounts
+     * Keeps the 1 second ticker running only while at least one display is growing
      */
     update() {
+        const now = Date.now();
+        let isTicking = false;
+
         // Handle time budget over budget tickers
-        const overBudgetTimeElements = document.querySelectorAll('.compact-remaining-time[data-over-budget]');
-        
-        overBudgetTimeElements.forEach(element => {
-            const baseOverBudgetHours = parseFloat(element.dataset.overBudget);
-            const startTime = parseInt(element.dataset.startTime);
-            const currentTime = Date.now();
-            
-            // Calculate additional time elapsed since the dashboard was loaded (in hours)
-            const additionalHours = (currentTime - startTime) / (1000 * 60 * 60);
-            const totalOverBudgetHours = baseOverBudgetHours + additionalHours;
-            
+        document.querySelectorAll('.compact-remaining-time[data-over-budget]').forEach(element => {
+            const { hours, rate } = this.advance(element, this.findItem(element), now);
+            const totalOverBudgetHours = parseFloat(element.dataset.overBudget) + hours;
+
             // Format hours as "XXXh XXm"
             const h = Math.floor(totalOverBudgetHours);
             const m = Math.round((totalOverBudgetHours - h) * 60);
             element.textContent = `${h}h ${m}m`;
+
+            this.setTickingState(element, rate);
+            isTicking = isTicking || Boolean(rate);
         });
-        
+
         // Handle value budget over budget tickers
-        const overBudgetValueElements = document.querySelectorAll('.compact-remaining-value[data-over-budget-value]');
-        
-        overBudgetValueElements.forEach(element => {
-            const baseOverBudgetValue = parseFloat(element.dataset.overBudgetValue);
-            const startTime = parseInt(element.dataset.startTime);
-            const currentTime = Date.now();
-            
-            // Calculate additional value based on elapsed time (assuming some hourly rate)
-            // For now, we'll just tick up slowly as time passes
-            const additionalValue = (currentTime - startTime) / (1000 * 60 * 60) * 0.01; // $0.01 per hour
-            const totalOverBudgetValue = baseOverBudgetValue + additionalValue;
-            
+        document.querySelectorAll('.compact-remaining-value[data-over-budget-value]').forEach(element => {
+            const item = this.findItem(element);
+            const valuePerHour = item ? this.getValuePerHour(item) : null;
+            const { hours, rate } = this.advance(element, valuePerHour ? item : null, now);
+            const totalOverBudgetValue = parseFloat(element.dataset.overBudgetValue) + hours * (valuePerHour || 0);
+
             element.textContent = `$${totalOverBudgetValue.toFixed(2)} Over Budget`;
+
+            this.setTickingState(element, rate && { ...rate, source: `${rate.source}, at $${valuePerHour.toFixed(2)}/h` });
+            isTicking = isTicking || Boolean(rate);
+        });
+
+        // Handle SLA countdowns of unresolved issues
+        document.querySelectorAll('.compact-sla[data-sla-due]').forEach(element => {
+            const sla = this.dashboard.renderManager.getSlaCountdown({ slaDue: element.dataset.slaDue }, now);
+            if (sla) {
+                element.textContent = sla.label;
+                element.className = `compact-sla compact-sla-${sla.status}`;
+                isTicking = true;
+            }
         });
+
+        if (isTicking && !this.overBudgetTickerInterval) {
+            this.overBudgetTickerInterval = setInterval(() => this.update(), TICK_INTERVAL);
+        } else if (!isTicking) {
+            this.stopTicking();
+        }
+    }
+
+    setTickingState(element, rate) {
+        element.classList.toggle('is-ticking', Boolean(rate));
+        element.title = rate ? rate.source : 'No time is being logged right now';
     }
 }
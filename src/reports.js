@@ -0,0 +1,681 @@
+/**
+ * Reports page functionality
+ * Builds cross-dashboard reports from the items saved on one or more dashboards,
+ * optionally refreshed from Accelo through AcceloAPI
+ */
+import RenderManager from './managers/render-manager.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NEARING_THRESHOLD = 75; // Same point where progress blocks turn yellow
+const DEFAULT_EXPIRING_DAYS = 30;
+
+class ReportsPage {
+    constructor() {
+        this.items = []; // Unique items across the selected dashboards
+        this.selectedDashboardIds = [];
+        this.filters = {
+            company: '',
+            from: '',
+            to: '',
+            expiringDays: DEFAULT_EXPIRING_DAYS
+        };
+        this.lastRefreshed = null;
+        this.isRefreshing = false;
+
+        // Progress figures come from the same calculation as the dashboard's progress blocks
+        this.renderManager = new RenderManager(null);
+    }
+
+    /**
+     * Initialize the reports page
+     */
+    async init() {
+        try {
+            UIComponents.showLoading();
+            await window.dashboardManager.init();
+
+            // Only needed for links into Accelo and live refreshes, so reports still work without it
+            await window.acceloAPI.init().catch(error => {
+                console.warn('Accelo API not available:', error.message);
+            });
+
+            this.readUrlState();
+            this.renderDashboardPicker();
+            this.setupEventListeners();
+
+            await this.loadItems();
+            this.render();
+        } catch (error) {
+            console.error('Failed to initialize reports:', error);
+            UIComponents.showToast('Failed to load reports: ' + error.message, 'error');
+        } finally {
+            UIComponents.hideLoading();
+        }
+    }
+
+    /**
+     * Restore dashboards and filters from the URL so a report can be bookmarked or shared
+     * Defaults to the current dashboard, or every dashboard when there is none
+     */
+    readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const knownIds = window.dashboardManager.getAllDashboards().map(d => d.id);
+
+        const requested = (params.get('dashboards') || '').split(',').filter(id => knownIds.includes(id));
+        const currentId = window.dashboardManager.getCurrentDashboardId();
+        this.selectedDashboardIds = requested.length > 0
+            ? requested
+            : (currentId && knownIds.includes(currentId) ? [currentId] : knownIds);
+
+        this.filters.company = params.get('company') || '';
+        this.filters.from = isDateString(params.get('from')) ? params.get('from') : '';
+        this.filters.to = isDateString(params.get('to')) ? params.get('to') : '';
+
+        const days = parseInt(params.get('days'), 10);
+        this.filters.expiringDays = days > 0 ? days : DEFAULT_EXPIRING_DAYS;
+
+        document.getElementById('filterFrom').value = this.filters.from;
+        document.getElementById('filterTo').value = this.filters.to;
+        document.getElementById('filterExpiringDays').value = this.filters.expiringDays;
+    }
+
+    writeUrlState() {
+        const params = new URLSearchParams();
+        params.set('dashboards', this.selectedDashboardIds.join(','));
+        if (this.filters.company) params.set('company', this.filters.company);
+        if (this.filters.from) params.set('from', this.filters.from);
+        if (this.filters.to) params.set('to', this.filters.to);
+        if (this.filters.expiringDays !== DEFAULT_EXPIRING_DAYS) params.set('days', this.filters.expiringDays);
+
+        window.history.replaceState(null, '', `/reports?${params}`);
+    }
+
+    setupEventListeners() {
+        document.getElementById('filterCompany').addEventListener('change', (e) => {
+            this.filters.company = e.target.value;
+            this.render();
+        });
+
+        ['filterFrom', 'filterTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                this.filters[id === 'filterFrom' ? 'from' : 'to'] = e.target.value;
+                this.render();
+            });
+        });
+
+        document.getElementById('filterExpiringDays').addEventListener('change', (e) => {
+            const days = parseInt(e.target.value, 10);
+            this.filters.expiringDays = days > 0 ? days : DEFAULT_EXPIRING_DAYS;
+            e.target.value = this.filters.expiringDays;
+            this.render();
+        });
+    }
+
+    /**
+     * Render the dashboard checkboxes
+     */
+    renderDashboardPicker() {
+        const container = document.getElementById('dashboardPicker');
+        const dashboards = window.dashboardManager.getAllDashboards();
+
+        if (dashboards.length === 0) {
+            container.innerHTML = '<span class="reports-muted">No dashboards yet</span>';
+            return;
+        }
+
+        container.innerHTML = dashboards.map(dashboard => `
+            <label class="reports-dashboard-option">
+                <input type="checkbox" value="${UIComponents.escapeHtml(dashboard.id)}"
+                       ${this.selectedDashboardIds.includes(dashboard.id) ? 'checked' : ''}
+                       onchange="reportsPage.toggleDashboard(this.value, this.checked)">
+                ${UIComponents.escapeHtml(dashboard.name)}
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Add or remove a dashboard from the report
+     */
+    async toggleDashboard(dashboardId, selected) {
+        this.selectedDashboardIds = window.dashboardManager.getAllDashboards()
+            .map(d => d.id)
+            .filter(id => id === dashboardId ? selected : this.selectedDashboardIds.includes(id));
+
+        try {
+            UIComponents.showLoading();
+            await this.loadItems();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load dashboards:', error);
+            UIComponents.showToast('Failed to load dashboards: ' + error.message, 'error');
+        } finally {
+            UIComponents.hideLoading();
+        }
+    }
+
+    /**
+     * Load the saved items of every selected dashboard
+     * Items on several dashboards are reported once
+     */
+    async loadItems() {
+        const results = await Promise.all(this.selectedDashboardIds.map(id => window.dashboardManager.loadDashboardData(id)));
+
+        const items = new Map();
+        results.forEach(data => {
+            (data?.dashboardData || []).forEach(item => {
+                const key = `${this.renderManager.getItemType(item)}_${item.id}`;
+                if (!items.has(key)) {
+                    items.set(key, { ...item });
+                }
+            });
+        });
+
+        this.items = Array.from(items.values());
+        this.lastRefreshed = null;
+        this.renderCompanyOptions();
+    }
+
+    /**
+     * Re-fetch hours, period usage and expiry dates for every item from Accelo
+     * Updates the report only; dashboards keep their saved data until they are refreshed themselves
+     */
+    async refreshFromAccelo() {
+        if (this.isRefreshing || this.items.length === 0) {
+            return;
+        }
+
+        const button = document.getElementById('refreshReportsBtn');
+        this.isRefreshing = true;
+        button.disabled = true;
+
+        try {
+            await window.acceloAPI.init();
+
+            let done = 0;
+            let failed = 0;
+            const updateProgress = () => {
+                button.innerHTML = `<i class="fa-solid fa-arrows-rotate fa-spin"></i> ${done}/${this.items.length}`;
+            };
+            updateProgress();
+
+            await Promise.all(this.items.map(async item => {
+                try {
+                    const itemType = ItemTypes.get(this.renderManager.getItemType(item));
+                    const [progress, details] = await Promise.all([
+                        itemType.fetchProgress(item.id, window.acceloAPI),
+                        // e.g. agreement titles and dates feed the expiring and nearing reports
+                        itemType.reportFields.length > 0 ? itemType.fetchDetails(item.id, window.acceloAPI) : null
+                    ]);
+                    if (progress) {
+                        item[itemType.progressField] = progress;
+                    } else {
+                        failed++;
+                    }
+                    if (details) {
+                        itemType.reportFields.forEach(field => {
+                            item[field] = details[field];
+                        });
+                    }
+                } catch (error) {
+                    console.warn(`Failed to refresh ${item.type} ${item.id}:`, error.message);
+                    failed++;
+                } finally {
+                    done++;
+                    updateProgress();
+                }
+            }));
+
+            this.lastRefreshed = new Date();
+            this.render();
+
+            if (failed > 0) {
+                UIComponents.showToast(`Refreshed with ${failed} item(s) that could not be loaded`, 'warning');
+            } else {
+                UIComponents.showToast('Reports refreshed from Accelo', 'success');
+            }
+        } catch (error) {
+            console.error('Failed to refresh reports:', error);
+            UIComponents.showToast('Failed to refresh: ' + error.message, 'error');
+        } finally {
+            this.isRefreshing = false;
+            button.disabled = false;
+            button.innerHTML = '<i class="fa-solid fa-arrows-rotate"></i> Refresh from Accelo';
+        }
+    }
+
+    /**
+     * Fill the company filter from the loaded items
+     */
+    renderCompanyOptions() {
+        const select = document.getElementById('filterCompany');
+        const companies = new Map();
+        this.items.forEach(item => {
+            companies.set(String(getCompanyId(item)), getCompanyName(item));
+        });
+
+        if (this.filters.company && !companies.has(this.filters.company)) {
+            this.filters.company = '';
+        }
+
+        const options = Array.from(companies.entries())
+            .sort((a, b) => a[1].localeCompare(b[1]))
+            .map(([id, name]) => `<option value="${UIComponents.escapeHtml(id)}" ${id === this.filters.company ? 'selected' : ''}>${UIComponents.escapeHtml(name)}</option>`);
+
+        select.innerHTML = `<option value="">All companies</option>${options.join('')}`;
+    }
+
+    /**
+     * Items matching the company and date range filters
+     */
+    getFilteredItems() {
+        const from = parseDate(this.filters.from);
+        const to = parseDate(this.filters.to);
+
+        return this.items.filter(item => {
+            if (this.filters.company && String(getCompanyId(item)) !== this.filters.company) {
+                return false;
+            }
+            return overlaps(this.getItemWindow(item), from, to);
+        });
+    }
+
+    /**
+     * The dates an item is active for the date range filter (see the getActiveWindow item type hook)
+     */
+    getItemWindow(item) {
+        const { start, end } = ItemTypes.get(this.renderManager.getItemType(item)).getActiveWindow(item);
+        return {
+            start: start ? new Date(start) : null,
+            end: end ? new Date(end) : null
+        };
+    }
+
+    /**
+     * Build every report from the filtered items
+     */
+    buildReports() {
+        const items = this.getFilteredItems();
+        const rows = items.map(item => ({
+            item,
+            company: getCompanyName(item),
+            title: item.title || item.name || `${item.type} #${item.id}`,
+            progress: this.renderManager.calculateProgress(item)
+        }));
+
+        return {
+            overBudget: this.buildOverBudgetReport(rows),
+            nearing: this.buildNearingReport(rows),
+            hoursByCompany: this.buildHoursByCompanyReport(rows),
+            billableRatio: this.buildBillableRatioReport(rows),
+            expiring: this.buildExpiringReport(rows)
+        };
+    }
+
+    /**
+     * Items that have used more than their budget
+     */
+    buildOverBudgetReport(rows) {
+        return rows
+            .filter(row => row.progress.showProgressBar && row.progress.isOverBudget)
+            .sort((a, b) => b.progress.percentage - a.progress.percentage);
+    }
+
+    /**
+     * Budgeted agreements at or above the warning threshold but not yet over
+     */
+    buildNearingReport(rows) {
+        return rows
+            .filter(row => row.progress.type === 'agreement' && row.progress.showProgressBar)
+            .filter(row => row.progress.percentage >= NEARING_THRESHOLD && row.progress.percentage <= 100)
+            .sort((a, b) => b.progress.percentage - a.progress.percentage);
+    }
+
+    /**
+     * Logged hours per company, split by item type ({ hours: { project, agreement, issue } })
+     * Value budget agreements do not report hours and are not counted
+     */
+    buildHoursByCompanyReport(rows) {
+        const companies = new Map();
+
+        rows.forEach(row => {
+            const key = String(getCompanyId(row.item));
+            const entry = companies.get(key) || {
+                company: row.company,
+                hours: Object.fromEntries(ItemTypes.names().map(type => [type, 0])),
+                items: 0
+            };
+
+            entry.hours[row.progress.type] += row.progress.loggedHours;
+            entry.items++;
+            companies.set(key, entry);
+        });
+
+        return Array.from(companies.values())
+            .map(entry => ({ ...entry, totalHours: Object.values(entry.hours).reduce((sum, hours) => sum + hours, 0) }))
+            .sort((a, b) => b.totalHours - a.totalHours);
+    }
+
+    /**
+     * Billable vs non-billable hours per company
+     * Only items whose time is split by billability are included (see the getBillability item type hook)
+     */
+    buildBillableRatioReport(rows) {
+        const companies = new Map();
+
+        rows.forEach(row => {
+            const billability = ItemTypes.get(row.progress.type).getBillability(row.item);
+            if (!billability) {
+                return;
+            }
+
+            const key = String(getCompanyId(row.item));
+            const entry = companies.get(key) || { company: row.company, billableHours: 0, nonBillableHours: 0 };
+            entry.billableHours += billability.billableHours;
+            entry.nonBillableHours += billability.nonBillableHours;
+            companies.set(key, entry);
+        });
+
+        return Array.from(companies.values())
+            .map(entry => ({ ...entry, ratio: billableRatio(entry.billableHours, entry.nonBillableHours) }))
+            .sort((a, b) => (b.billableHours + b.nonBillableHours) - (a.billableHours + a.nonBillableHours));
+    }
+
+    /**
+     * Agreements whose expiry date falls within the next N days
+     * Expired agreements are left out; the date range filter also limits the expiry date
+     */
+    buildExpiringReport(rows) {
+        const today = startOfDay(new Date());
+        const limit = new Date(today.getTime() + this.filters.expiringDays * DAY_MS);
+
+        return rows
+            .filter(row => row.progress.type === 'agreement')
+            .map(row => ({ ...row, expires: parseDate(row.item.date_expires) }))
+            .filter(row => row.expires && row.expires >= today && row.expires <= limit)
+            .map(row => ({ ...row, daysLeft: Math.round((startOfDay(row.expires) - today) / DAY_MS) }))
+            .sort((a, b) => a.expires - b.expires);
+    }
+
+    /**
+     * Render all reports with the current filters
+     */
+    render() {
+        this.writeUrlState();
+        this.renderSummary();
+
+        const container = document.getElementById('reportsContent');
+        if (this.selectedDashboardIds.length === 0) {
+            container.innerHTML = UIComponents.createEmptyState('No Dashboards Selected', 'Choose one or more dashboards to report on.', 'fa-chart-bar').outerHTML;
+            return;
+        }
+        if (this.items.length === 0) {
+            container.innerHTML = UIComponents.createEmptyState('No Items', 'The selected dashboards have no projects, agreements or issues yet.', 'fa-chart-bar').outerHTML;
+            return;
+        }
+
+        const reports = this.buildReports();
+        container.innerHTML = [
+            this.renderOverBudget(reports.overBudget),
+            this.renderNearing(reports.nearing),
+            this.renderHoursByCompany(reports.hoursByCompany),
+            this.renderBillableRatio(reports.billableRatio),
+            this.renderExpiring(reports.expiring)
+        ].join('');
+    }
+
+    /**
+     * Describe the active filters (shown on screen and at the top of printouts)
+     */
+    renderSummary() {
+        const dashboards = this.selectedDashboardIds
+            .map(id => window.dashboardManager.getDashboard(id)?.name)
+            .filter(Boolean);
+        const companySelect = document.getElementById('filterCompany');
+        const company = this.filters.company
+            ? companySelect.options[companySelect.selectedIndex]?.text
+            : 'All companies';
+
+        let range = 'All dates';
+        if (this.filters.from || this.filters.to) {
+            range = `${this.filters.from ? formatDay(this.filters.from) : 'Any'} – ${this.filters.to ? formatDay(this.filters.to) : 'Any'}`;
+        }
+
+        const source = this.lastRefreshed
+            ? `Live from Accelo at ${this.lastRefreshed.toLocaleString()}`
+            : 'Saved dashboard data';
+
+        document.getElementById('reportsSummary').innerHTML = [
+            ['Dashboards', dashboards.length > 0 ? dashboards.join(', ') : 'None'],
+            ['Company', company],
+            ['Date range', range],
+            ['Data', source]
+        ].map(([label, value]) => `<span><strong>${label}:</strong> ${UIComponents.escapeHtml(value)}</span>`).join('');
+    }
+
+    renderSection(id, title, description, count, body) {
+        return `
+            <section class="report-section" id="${id}">
+                <div class="report-section-header">
+                    <h2 class="report-section-title">${title} <span class="report-count">${count}</span></h2>
+                    <p class="report-section-description">${description}</p>
+                </div>
+                ${body}
+            </section>`;
+    }
+
+    renderTable(headers, rows, footer = null) {
+        if (rows.length === 0) {
+            return '<div class="report-empty">Nothing to report for the current filters.</div>';
+        }
+
+        const cell = (value, index) => `<td class="${index === 0 || index === 1 ? '' : 'numeric'}">${value}</td>`;
+        return `
+            <table class="report-table">
+                <thead><tr>${headers.map((header, index) => `<th class="${index === 0 || index === 1 ? '' : 'numeric'}">${header}</th>`).join('')}</tr></thead>
+                <tbody>${rows.map(row => `<tr>${row.map(cell).join('')}</tr>`).join('')}</tbody>
+                ${footer ? `<tfoot><tr>${footer.map(cell).join('')}</tr></tfoot>` : ''}
+            </table>`;
+    }
+
+    renderOverBudget(rows) {
+        const tableRows = rows.map(row => {
+            const { progress } = row;
+            const isValue = progress.budgetType === 'value';
+            const used = isValue ? progress.loggedValue : progress.loggedHours;
+            const budget = isValue ? progress.totalValue : progress.totalHours;
+            const format = isValue ? formatMoney : formatHours;
+            return [
+                UIComponents.escapeHtml(row.company),
+                this.renderItemLink(row),
+                format(used),
+                format(budget),
+                `<span class="status-danger">${format(used - budget)}</span>`,
+                `${Math.round(progress.percentage)}%`
+            ];
+        });
+
+        return this.renderSection('report-over-budget', 'Over Budget',
+            'Projects, agreements and issues that have used more than their budget.',
+            rows.length,
+            this.renderTable(['Company', 'Item', 'Used', 'Budget', 'Over By', '%'], tableRows));
+    }
+
+    renderNearing(rows) {
+        const tableRows = rows.map(row => {
+            const { progress } = row;
+            const isValue = progress.budgetType === 'value';
+            const format = isValue ? formatMoney : formatHours;
+            const used = isValue ? progress.loggedValue : progress.loggedHours;
+            const allowance = isValue ? progress.totalValue : progress.totalHours;
+            return [
+                UIComponents.escapeHtml(row.company),
+                this.renderItemLink(row),
+                `${format(used)} / ${format(allowance)}`,
+                format(Math.max(0, allowance - used)),
+                row.item.usage?.periodEnd ? formatDay(row.item.usage.periodEnd) : '—',
+                `<span class="status-warning">${Math.round(progress.percentage)}%</span>`
+            ];
+        });
+
+        return this.renderSection('report-nearing', 'Nearing Allowance',
+            `Agreements that have used ${NEARING_THRESHOLD}–100% of their current period budget.`,
+            rows.length,
+            this.renderTable(['Company', 'Agreement', 'Used / Allowance', 'Remaining', 'Period Ends', '%'], tableRows));
+    }
+
+    renderHoursByCompany(entries) {
+        const types = ItemTypes.all();
+        const tableRows = entries.map(entry => [
+            UIComponents.escapeHtml(entry.company),
+            entry.items,
+            ...types.map(itemType => formatHours(entry.hours[itemType.type])),
+            `<strong>${formatHours(entry.totalHours)}</strong>`
+        ]);
+
+        const total = (value) => entries.reduce((sum, entry) => sum + value(entry), 0);
+        const footer = entries.length > 1
+            ? [
+                '<strong>Total</strong>',
+                total(entry => entry.items),
+                ...types.map(itemType => formatHours(total(entry => entry.hours[itemType.type]))),
+                `<strong>${formatHours(total(entry => entry.totalHours))}</strong>`
+            ]
+            : null;
+
+        return this.renderSection('report-hours-by-company', 'Hours by Company',
+            'Hours logged on projects and issues (all time) and in the current agreement periods. Value budget agreements are not counted.',
+            entries.length,
+            this.renderTable(['Company', 'Items', ...types.map(itemType => `${itemType.label} Hours`), 'Total'], tableRows, footer));
+    }
+
+    renderBillableRatio(entries) {
+        const ratioBar = (ratio) => ratio === null ? '—' : `
+            <div class="report-ratio">
+                <div class="report-ratio-bar"><div class="report-ratio-fill" style="width: ${ratio}%"></div></div>
+                <span>${Math.round(ratio)}%</span>
+            </div>`;
+
+        const tableRows = entries.map(entry => [
+            UIComponents.escapeHtml(entry.company),
+            formatHours(entry.billableHours),
+            formatHours(entry.nonBillableHours),
+            ratioBar(entry.ratio)
+        ]);
+
+        const billable = entries.reduce((sum, entry) => sum + entry.billableHours, 0);
+        const nonBillable = entries.reduce((sum, entry) => sum + entry.nonBillableHours, 0);
+        const footer = entries.length > 1
+            ? ['<strong>Total</strong>', formatHours(billable), formatHours(nonBillable), ratioBar(billableRatio(billable, nonBillable))]
+            : null;
+
+        return this.renderSection('report-billable-ratio', 'Billable vs Non-Billable',
+            'Share of project and issue hours that are billable. Agreement usage is not split by billability and is left out.',
+            entries.length,
+            this.renderTable(['Company', 'Billable', 'Non-Billable', 'Billable %'], tableRows, footer));
+    }
+
+    renderExpiring(rows) {
+        const tableRows = rows.map(row => {
+            const { progress } = row;
+            let usage = '—';
+            if (progress.showProgressBar) {
+                usage = `${Math.round(progress.percentage)}% used`;
+            } else if (progress.loggedHours > 0) {
+                usage = `${formatHours(progress.loggedHours)} logged`;
+            }
+            return [
+                UIComponents.escapeHtml(row.company),
+                this.renderItemLink(row),
+                UIComponents.formatDate(row.item.date_expires),
+                row.daysLeft === 0 ? 'Today' : `${row.daysLeft} day${row.daysLeft === 1 ? '' : 's'}`,
+                usage
+            ];
+        });
+
+        return this.renderSection('report-expiring', 'Expiring Agreements',
+            `Agreements expiring in the next ${this.filters.expiringDays} days.`,
+            rows.length,
+            this.renderTable(['Company', 'Agreement', 'Expires', 'Time Left', 'Current Period'], tableRows));
+    }
+
+    renderItemLink(row) {
+        const url = this.renderManager.createAcceloUrl(row.item.id, row.progress.type);
+        return `<a href="${url}" target="_blank" class="report-item-link">${UIComponents.escapeHtml(row.title)}</a>`;
+    }
+
+    print() {
+        window.print();
+    }
+}
+
+function getCompanyId(item) {
+    return item.company_id || item.company_info?.id || 'unknown';
+}
+
+function getCompanyName(item) {
+    return item.company_name || item.company_info?.name || 'Unknown Company';
+}
+
+function isDateString(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+}
+
+/**
+ * Parse Accelo dates (Unix seconds) and YYYY-MM-DD strings to a local Date
+ * Missing, zero and invalid values return null
+ */
+function parseDate(value) {
+    if (!value || value === '0') {
+        return null;
+    }
+    const date = isDateString(value)
+        ? new Date(value + 'T00:00:00')
+        : new Date(Number(value) * 1000);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Whether an item's active window overlaps the filter range
+ * Open-ended windows and ranges match on the side that is open
+ */
+function overlaps(period, from, to) {
+    if (to && period.start && period.start > to) {
+        return false;
+    }
+    if (from && period.end && period.end < from) {
+        return false;
+    }
+    return true;
+}
+
+function billableRatio(billable, nonBillable) {
+    const total = billable + nonBillable;
+    return total > 0 ? (billable / total) * 100 : null;
+}
+
+function formatHours(hours) {
+    const h = Math.floor(hours);
+    const m = Math.round((hours - h) * 60);
+    return `${h}h ${m}m`;
+}
+
+function formatMoney(value) {
+    return `$${value.toFixed(2)}`;
+}
+
+function formatDay(value) {
+    return parseDate(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+// Initialize reports page on load
+const reportsPage = new ReportsPage();
+document.addEventListener('DOMContentLoaded', () => {
+    reportsPage.init();
+});
+
+// Export to window for access from HTML
+window.reportsPage = reportsPage;
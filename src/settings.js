@@ -114,9 +114,7 @@ async function checkCurrentConnection() {
                     name: currentSettings.userName,
                     email: currentSettings.userEmail,
                     deployment: currentSettings.deployment,
-                    expiryInfo: daysRemaining > 0 
-                        ? `Token expires in ${daysRemaining} days` 
-                        : `Token expires in ${hoursRemaining} hours`
+                    expiryInfo: formatExpiryInfo(currentSettings)
                 });
                 
                 log(`Connected as ${currentSettings.userName} (${currentSettings.userEmail})`, 'success');
@@ -135,6 +133,17 @@ async function checkCurrentConnection() {
     }
 }
 
+// Describe token expiry and whether the server renews it automatically
+function formatExpiryInfo(settings) {
+    const hoursRemaining = Math.round((new Date(settings.tokenExpiry) - new Date()) / (1000 * 60 * 60));
+    const daysRemaining = Math.floor(hoursRemaining / 24);
+    const expiry = daysRemaining > 0 
+        ? `Token expires in ${daysRemaining} days` 
+        : `Token expires in ${hoursRemaining} hours`;
+    
+    return settings.autoRenew ? `${expiry} (renews automatically)` : expiry;
+}
+
 // Handle form submission
 async function handleConnect(e) {
     e.preventDefault();
@@ -158,64 +167,29 @@ async function handleConnect(e) {
     setLoadingState(true);
     
     try {
-        // Step 1: Get access token
-        const tokenUrl = `https://${deployment}.api.accelo.com/oauth2/v0/token`;
-        const credentials = btoa(`${clientId}:${clientSecret}`);
+        // The server requests the token and keeps the client secret so it can renew it automatically
+        log(`Requesting access token for deployment ${deployment}`);
         
-        log(`Requesting access token from ${tokenUrl}`);
-        
-        const tokenResponse = await fetch('/api/proxy', {
+        const connectResponse = await fetch('/api/auth/connect', {
             method: 'POST',
             headers: {
-                'Authorization': `Basic ${credentials}`,
-                'Content-Type': 'application/x-www-form-urlencoded',
-                'X-Target-URL': tokenUrl
+                'Content-Type': 'application/json'
             },
-            body: new URLSearchParams({
-                'grant_type': 'client_credentials'
-            })
+            body: JSON.stringify({ deployment, clientId, clientSecret })
         });
         
-        if (!tokenResponse.ok) {
-            const error = await tokenResponse.text();
-            throw new Error(`Authentication failed: ${error}`);
+        const result = await connectResponse.json().catch(() => ({}));
+        if (!connectResponse.ok) {
+            throw new Error(result.message || result.error || 'Authentication failed');
         }
         
-        const tokenData = await tokenResponse.json();
+        const settings = result.settings;
+        const userName = settings.userName;
+        const userEmail = settings.userEmail;
         log('Access token received successfully', 'success');
         
-        // Calculate token expiry
-        const expiresIn = tokenData.expires_in || 2592000; // Default 30 days
-        const tokenExpiry = new Date(Date.now() + (expiresIn * 1000));
-        
-        // Extract user information
-        const userName = tokenData.account_details 
-            ? `${tokenData.account_details.firstname} ${tokenData.account_details.surname}`
-            : 'Unknown User';
-        const userEmail = tokenData.account_details?.email || '';
-        
-        // Save settings to server (without client secret)
-        const settings = {
-            deployment,
-            clientId,
-            accessToken: tokenData.access_token,
-            tokenExpiry: tokenExpiry.toISOString(),
-            userName,
-            userEmail,
-            deploymentName: tokenData.deployment_name,
-            deploymentUri: tokenData.deployment_uri
-        };
-        
-        const saveResponse = await fetch('/api/settings', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(settings)
-        });
-        
-        if (!saveResponse.ok) {
-            throw new Error('Failed to save settings');
+        if (!result.persisted) {
+            log('Settings are kept in server memory only - set SETTINGS_ENCRYPTION_KEY to persist them', 'warning');
         }
         
         log('Settings saved successfully', 'success');
@@ -226,7 +200,7 @@ async function handleConnect(e) {
             name: userName,
             email: userEmail,
             deployment: deployment,
-            expiryInfo: `Token expires in 30 days`
+            expiryInfo: formatExpiryInfo(settings)
         });
         
         showAlert('Successfully connected to Accelo!', 'success');
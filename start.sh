@@ -29,6 +29,14 @@ if [ ! -f ".env" ] && [ -f ".env.example" ]; then
     echo ""
 fi
 
+# Generate a settings encryption key if none is set, so settings survive restarts
+if [ -f ".env" ] && grep -q '^SETTINGS_ENCRYPTION_KEY=$' .env; then
+    echo "🔑 Generating SETTINGS_ENCRYPTION_KEY in .env..."
+    KEY=$(node -e "console.log(require('crypto').randomBytes(32).toString('base64'))")
+    sed -i.bak "s|^SETTINGS_ENCRYPTION_KEY=$|SETTINGS_ENCRYPTION_KEY=$KEY|" .env && rm -f .env.bak
+    echo ""
+fi
+
 # Start the server
 echo "🌐 Starting server on http://localhost:8080"
 echo "📊 Dashboard: http://localhost:8080"
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AgreementUsage = require('../src/agreement-usage');
+
+const DAY = 24 * 60 * 60;
+const NOW = Date.UTC(2024, 5, 15); // 2024-06-15
+const nowSeconds = NOW / 1000;
+
+function period(id, startOffsetDays, endOffsetDays, fields = {}) {
+    return {
+        id,
+        date_commenced: String(nowSeconds + startOffsetDays * DAY),
+        date_expires: String(nowSeconds + endOffsetDays * DAY),
+        standing: 'closed',
+        ...fields
+    };
+}
+
+test('no periods gives no usage', () => {
+    assert.equal(AgreementUsage.selectCurrentPeriod([], NOW), null);
+    assert.equal(AgreementUsage.selectCurrentPeriod(undefined, NOW), null);
+    assert.equal(AgreementUsage.getAgreementUsage([], { now: NOW }), null);
+    assert.equal(AgreementUsage.getAgreementUsage(null, { now: NOW }), null);
+});
+
+test('an opened period wins over one containing today', () => {
+    const periods = [
+        period(2, -5, 25),
+        period(1, -40, -10, { standing: 'opened' })
+    ];
+    assert.equal(AgreementUsage.selectCurrentPeriod(periods, NOW).id, 1);
+});
+
+test('overlapping periods containing today pick the one that commenced last', () => {
+    const older = period(1, -60, 30);
+    const newer = period(2, -10, 20);
+    assert.equal(AgreementUsage.selectCurrentPeriod([older, newer], NOW).id, 2);
+    assert.equal(AgreementUsage.selectCurrentPeriod([newer, older], NOW).id, 2);
+});
+
+test('overlapping opened periods pick the one that commenced last', () => {
+    const periods = [
+        period(1, -60, 30, { standing: 'opened' }),
+        period(2, -10, 20, { standing: 'opened' })
+    ];
+    assert.equal(AgreementUsage.selectCurrentPeriod(periods, NOW).id, 2);
+});
+
+test('only expired periods fall back to the most recent', () => {
+    const periods = [
+        period(1, -90, -60),
+        period(3, -30, -1),
+        period(2, -60, -30)
+    ];
+    const usage = AgreementUsage.getAgreementUsage(periods, { now: NOW });
+    assert.equal(usage.periodId, 3);
+    assert.equal(usage.periodEnd, '2024-06-14');
+});
+
+test('a period that expired today is not preferred over a current one', () => {
+    const periods = [
+        period(1, -30, -1),
+        period(2, 0, 30)
+    ];
+    assert.equal(AgreementUsage.selectCurrentPeriod(periods, NOW).id, 2);
+});
+
+test('time budgets convert seconds to hours', () => {
+    const usage = AgreementUsage.getPeriodUsage(period(1, -5, 25, {
+        standing: 'opened',
+        allowance: { billable: String(40 * 3600) },
+        budget_used: { value: String(10.5 * 3600) }
+    }));
+
+    assert.deepEqual(usage, {
+        periodId: 1,
+        standing: 'opened',
+        budgetType: 'time',
+        periodStart: '2024-06-10',
+        periodEnd: '2024-07-10',
+        timeAllowance: 40,
+        timeUsed: 10.5,
+        timeRemaining: 29.5,
+        valueAllowance: 0,
+        valueUsed: 0,
+        valueRemaining: 0,
+        percentage: 26.3
+    });
+});
+
+test('value-only allowances use the money budget', () => {
+    const usage = AgreementUsage.getPeriodUsage(period(1, -5, 25, {
+        allowance: { billable: '0', value: '5000.00' },
+        budget_used: { value: String(3 * 3600), amount: '1250.505' }
+    }));
+
+    assert.equal(usage.budgetType, 'value');
+    assert.equal(usage.valueAllowance, 5000);
+    assert.equal(usage.valueUsed, 1250.51);
+    assert.equal(usage.valueRemaining, 3749.5);
+    assert.equal(usage.percentage, 25);
+    // Time worked is not a budget for value agreements
+    assert.equal(usage.timeAllowance, 0);
+    assert.equal(usage.timeUsed, 0);
+});
+
+test('an amount allowance counts as a value budget', () => {
+    const current = period(1, -5, 25, { allowance: { amount: '800' }, budget_used: { amount: '1000' } });
+    const usage = AgreementUsage.getPeriodUsage(current);
+
+    assert.equal(AgreementUsage.getBudgetType(current), 'value');
+    assert.equal(usage.valueAllowance, 800);
+    assert.equal(usage.valueRemaining, -200);
+    assert.equal(usage.percentage, 125);
+});
+
+test('periods without a budget track time worked only', () => {
+    const usage = AgreementUsage.getPeriodUsage(period(1, -5, 25, {
+        allowance: { billable: '0', value: '0' },
+        budget_used: { value: String(7.25 * 3600) }
+    }));
+
+    assert.equal(usage.budgetType, 'none');
+    assert.equal(usage.timeUsed, 7.25);
+    assert.equal(usage.timeAllowance, 0);
+    assert.equal(usage.percentage, null);
+    assert.equal(AgreementUsage.getBudgetType({}), 'none');
+});
+
+test('missing dates are reported as null', () => {
+    const usage = AgreementUsage.getPeriodUsage({ id: 9, date_commenced: '0' });
+    assert.equal(usage.periodStart, null);
+    assert.equal(usage.periodEnd, null);
+});
+
+test('period history is oldest first with over/under and rollover', () => {
+    const hours = h => String(h * 3600);
+    const periods = [
+        period(3, -5, 25, { standing: 'opened', allowance: { billable: hours(10) }, budget_used: { value: hours(4) } }),
+        period(2, -35, -6, { allowance: { billable: hours(10) }, budget_used: { value: hours(13) } }),
+        period(1, -65, -36, { allowance: { billable: hours(10) }, budget_used: { value: hours(8) } }),
+        period(4, 26, 55, { allowance: { billable: hours(10) } })
+    ];
+
+    const history = AgreementUsage.getPeriodHistory(periods, { now: NOW });
+
+    // Periods that have not started are left out
+    assert.deepEqual(history.map(p => p.periodId), [1, 2, 3]);
+    assert.deepEqual(history.map(p => p.variance), [2, -3, 6]);
+    assert.deepEqual(history.map(p => p.rollover), [0, 2, -1]);
+    assert.deepEqual(history.map(p => p.isCurrent), [false, false, true]);
+});
+
+test('period history has no variance without a budget', () => {
+    const history = AgreementUsage.getPeriodHistory([
+        period(1, -5, 25, { budget_used: { value: String(3600) } })
+    ], { now: NOW });
+
+    assert.equal(history.length, 1);
+    assert.equal(history[0].variance, null);
+    assert.equal(history[0].rollover, null);
+    assert.equal(history[0].timeUsed, 1);
+    assert.deepEqual(AgreementUsage.getPeriodHistory([], { now: NOW }), []);
+});
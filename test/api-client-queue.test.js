@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/browser');
+
+/**
+ * An initialized AcceloAPI whose proxy requests are answered by respond(call), with short retry delays
+ * @param {Function} respond - (call number) => Response, or throws for a network error
+ */
+function createApi(respond) {
+    const calls = [];
+    const context = loadScript('api-client.js', {
+        fetch: async (url, options) => {
+            calls.push(options.headers['X-Target-URL']);
+            return respond(calls.length);
+        }
+    });
+    const api = context.window.acceloAPI;
+    api.baseUrl = 'https://demo.api.accelo.com/api/v0';
+    api.accessToken = 'token';
+    api.tokenExpiry = new Date(Date.now() + 60 * 60 * 1000);
+    api.retryBaseDelay = 1;
+    return { api, calls };
+}
+
+function jsonResponse(status, headers = {}) {
+    return new Response(JSON.stringify(status < 400 ? { response: [] } : { error: 'Failed' }), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+test('the queue runs at most maxConcurrentRequests at once, in order', async () => {
+    const { api } = createApi(() => jsonResponse(200));
+    let active = 0;
+    let maxActive = 0;
+    const started = [];
+
+    await Promise.all(Array.from({ length: 10 }, (_, index) => api.schedule(async () => {
+        started.push(index);
+        maxActive = Math.max(maxActive, ++active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+    })));
+
+    assert.equal(maxActive, api.maxConcurrentRequests);
+    assert.deepEqual(started, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+});
+
+test('429 and 5xx responses and network errors are retried', async () => {
+    const responses = [
+        () => jsonResponse(429, { 'Retry-After': '0' }),
+        () => jsonResponse(503),
+        () => { throw new TypeError('fetch failed'); },
+        () => jsonResponse(200)
+    ];
+    const { api, calls } = createApi(call => responses[call - 1]());
+
+    assert.deepEqual(await api.request('/companies', { cache: false }), { response: [] });
+    assert.equal(calls.length, 4);
+});
+
+test('retries stop after maxRetries and the last error is reported', async () => {
+    const { api, calls } = createApi(() => jsonResponse(500));
+
+    await assert.rejects(api.request('/companies', { cache: false }), /Failed/);
+    assert.equal(calls.length, api.maxRetries + 1);
+});
+
+test('server errors and network errors are retried only for GET and HEAD requests', async () => {
+    const failed = createApi(() => jsonResponse(500));
+    await assert.rejects(failed.api.request('/activities', { method: 'POST', body: { subject: 'Call' }, cache: false }), /Failed/);
+    assert.equal(failed.calls.length, 1);
+
+    const offline = createApi(() => { throw new TypeError('fetch failed'); });
+    await assert.rejects(offline.api.request('/jobs/201', { method: 'PUT', body: { title: 'Website' }, cache: false }), /fetch failed/);
+    assert.equal(offline.calls.length, 1);
+
+    const limited = [() => jsonResponse(429, { 'Retry-After': '0' }), () => jsonResponse(200)];
+    const { api, calls } = createApi(call => limited[call - 1]());
+    assert.deepEqual(await api.request('/activities', { method: 'POST', body: { subject: 'Call' }, cache: false }), { response: [] });
+    assert.equal(calls.length, 2);
+});
+
+test('client errors other than 429 are not retried', async () => {
+    const { api, calls } = createApi(() => jsonResponse(404));
+
+    await assert.rejects(api.request('/jobs/999', { cache: false }));
+    assert.equal(calls.length, 1);
+});
+
+test('backoff doubles with jitter and Retry-After wins when present', () => {
+    const { api } = createApi(() => jsonResponse(200));
+    api.retryBaseDelay = 1000;
+
+    [0, 1, 2].forEach(attempt => {
+        const delay = api.getRetryDelay(null, attempt);
+        const base = 1000 * Math.pow(2, attempt);
+        assert.ok(delay >= base && delay <= base * 1.5, `attempt ${attempt}: ${delay}ms`);
+    });
+    assert.equal(api.getRetryDelay(jsonResponse(429, { 'Retry-After': '7' }), 0), 7000);
+});
+
+test('requests slow down as the rate limit budget runs low and never stall for the whole window', () => {
+    const { api } = createApi(() => jsonResponse(200));
+    const throttleWith = (headers) => {
+        api.updateRateLimit(new Headers(headers));
+        return { ...api.getThrottle() };
+    };
+
+    assert.deepEqual(throttleWith({ 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '4000' }),
+        { concurrency: api.maxConcurrentRequests, spacing: 0 });
+
+    // 100 requests left for the next 100 seconds
+    const low = throttleWith({ 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '100', 'x-ratelimit-reset': '100' });
+    assert.equal(low.concurrency, 1);
+    assert.ok(low.spacing > 900 && low.spacing <= 1000, `${low.spacing}ms`);
+
+    // Low without a reset time spreads over an hour, capped
+    assert.equal(throttleWith({ 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '10' }).spacing, api.maxRequestSpacing);
+
+    // Exhausted: wait for a reset a few seconds away, capped for a distant one, and back off without one
+    const soon = throttleWith({ 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '3' });
+    assert.ok(soon.spacing > 2000 && soon.spacing <= 3000, `${soon.spacing}ms`);
+    assert.equal(throttleWith({ 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '3600' }).spacing, api.maxRequestSpacing);
+    assert.equal(throttleWith({ 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '0' }).spacing, api.retryBaseDelay);
+});
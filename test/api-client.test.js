@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AgreementUsage = require('../src/agreement-usage');
+const Forecast = require('../src/forecast');
+const ItemTypes = require('../src/item-types');
+const { startTestServer } = require('./helpers/test-server');
+const { createFetch, loadScript } = require('./helpers/browser');
+
+let server;
+let api;
+
+test.before(async () => {
+    server = await startTestServer();
+    await server.connect();
+
+    const context = loadScript('api-client.js', {
+        fetch: createFetch(server.url),
+        AgreementUsage,
+        Forecast,
+        ItemTypes
+    });
+    api = context.window.acceloAPI;
+    await api.init();
+});
+
+test.after(() => server.close());
+
+test('requests go through the server proxy to the configured Accelo', async () => {
+    assert.equal(api.baseUrl, 'https://demo.api.accelo.com/api/v0');
+
+    const companies = await api.getCompanies({ search: 'globex' });
+    assert.deepEqual(Array.from(companies, company => company.name), ['Globex Corporation']);
+});
+
+test('time budget agreements are detected from a billable allowance', async () => {
+    const usage = await api.getAgreementUsage(501);
+
+    assert.equal(usage.budgetType, 'time');
+    assert.equal(usage.periodId, '5012');
+    assert.equal(usage.standing, 'opened');
+    assert.equal(usage.timeAllowance, 20);
+    assert.equal(usage.timeUsed, 15);
+    assert.equal(usage.percentage, 75);
+    assert.equal(usage.truncated, false);
+});
+
+test('value budget agreements are detected from a value allowance', async () => {
+    const usage = await api.getAgreementUsage(502);
+
+    assert.equal(usage.budgetType, 'value');
+    assert.equal(usage.valueAllowance, 5000);
+    assert.equal(usage.valueUsed, 3850);
+    assert.equal(usage.valueRemaining, 1150);
+    assert.equal(usage.percentage, 77);
+    assert.equal(usage.timeUsed, 0);
+});
+
+test('agreements without an allowance track time worked with no budget', async () => {
+    const usage = await api.getAgreementUsage(503);
+
+    assert.equal(usage.budgetType, 'none');
+    assert.equal(usage.timeUsed, 9);
+    assert.equal(usage.timeAllowance, 0);
+    assert.equal(usage.percentage, null);
+});
+
+test('an agreement that cannot be read has no usage', async () => {
+    assert.equal(await api.getAgreementUsage(999), null);
+});
+
+test('project hours total the job, its tasks and its milestones', async () => {
+    const hours = await api.getProjectHours(201);
+
+    assert.equal(hours.billableHours, 55.5);
+    assert.equal(hours.nonBillableHours, 8.5);
+    assert.equal(hours.loggedHours, 64);
+    assert.equal(hours.budgetHours, 80);
+    assert.equal(hours.budgetSource, 'job');
+    assert.equal(hours.milestones.length, 2);
+    assert.equal(hours.tasks.find(task => task.id === '402').milestoneId, '301');
+});
+
+test('project charged hours include time charged on its tasks', async () => {
+    const hours = await api.getProjectHours(201);
+
+    // All billable time is charged except 1h written off on the weekly status meetings task
+    assert.equal(hours.chargedHours, 54.5);
+    assert.equal(hours.milestones.find(milestone => milestone.id === '301').loggedHours, 12);
+});
+
+test('a project without a job budget falls back to its plan', async () => {
+    const hours = await api.getProjectHours(202);
+
+    // Design milestone (20h) plus the Development milestone's tasks (30h + 20h)
+    assert.equal(hours.budgetSource, 'plan');
+    assert.equal(hours.budgetHours, 70);
+    assert.equal(hours.loggedHours, 15);
+});
+
+test('issue usage compares logged time with the budget and carries the SLA and contract', async () => {
+    const usage = await api.getIssueUsage(801);
+
+    assert.equal(usage.budgetType, 'time');
+    assert.equal(usage.timeAllowance, 4);
+    assert.equal(usage.timeUsed, 2.5);
+    assert.equal(usage.timeRemaining, 1.5);
+    assert.equal(usage.percentage, 62.5);
+    assert.ok(Date.parse(usage.slaDue) > Date.now());
+    assert.equal(usage.resolvedAt, null);
+    assert.equal(usage.contract.title, 'Northwind Support Retainer');
+});
+
+test('resolved issues without a budget track time worked only', async () => {
+    const resolved = await api.getIssueUsage(803);
+    assert.equal(resolved.budgetType, 'none');
+    assert.equal(resolved.timeUsed, 1.5);
+    assert.equal(resolved.billableHours, 1);
+    assert.equal(resolved.percentage, null);
+    assert.ok(resolved.resolvedAt);
+
+    const withoutContract = await api.getIssueUsage(804);
+    assert.equal(withoutContract.contract, null);
+    assert.equal(await api.getIssueUsage(999), null);
+});
+
+test('issues listed for a company can be filtered by standing', async () => {
+    const open = await api.getIssues(101, { standing: 'submitted,open' });
+    assert.deepEqual(Array.from(open, issue => issue.id), ['801', '802']);
+    assert.equal((await api.getIssues(102, { standing: 'submitted,open' })).length, 0);
+});
+
+test('list calls follow pages up to the ceiling and report truncation', async () => {
+    api.pageSize = 2;
+    try {
+        const all = await api.listAll('/companies', { _fields: 'id' }, { cache: false });
+        assert.equal(all.items.length, 3);
+        assert.equal(all.truncated, false);
+
+        const limited = await api.listAll('/activities', { _fields: 'id' }, { cache: false, maxItems: 3 });
+        assert.equal(limited.items.length, 3);
+        assert.equal(limited.truncated, true);
+    } finally {
+        api.pageSize = 100;
+    }
+});
+
+test('changed items are found from modified jobs and recently logged time', async () => {
+    const since = Date.now() - 3.5 * 24 * 60 * 60 * 1000;
+    const changed = await api.getChangedItems({ projectIds: ['201', '203', '205'], agreementIds: ['501', '502'], issueIds: ['801', '803', '804'], since });
+
+    // Every job was modified 2 days ago; time was logged on 501 and on 201/203 tasks since then
+    assert.deepEqual([...changed.projects].map(String).sort(), ['201', '203', '205']);
+    assert.deepEqual([...changed.agreements].map(String).sort(), ['501', '502']);
+    // Every issue was modified in the last 3 days
+    assert.deepEqual([...changed.issues].map(String).sort(), ['801', '803', '804']);
+    assert.equal(changed.truncated, false);
+});
+
+test('project time entries include time on the job, its tasks, milestone tasks and milestones', async () => {
+    const project = await api.getTimeEntries('project', 201);
+    // 1 on the job, 2 on its own task 401, 12 on milestone tasks 402-404 and 1 on milestone 301
+    assert.equal(project.entries.length, 16);
+    assert.equal(project.truncated, false);
+    assert.ok(project.entries.every((entry, index) => index === 0 || project.entries[index - 1].loggedAt <= entry.loggedAt));
+
+    const issue = await api.getTimeEntries('issue', 801);
+    assert.equal(issue.entries.length, 2);
+});
+
+test('project managers and issue assignees come back as staff members, not IDs', async () => {
+    const project = await api.getProject(201);
+    assert.deepEqual({ ...project.manager }, { id: '11', firstname: 'Sam', surname: 'Rivera' });
+
+    const issues = await api.getIssues(101);
+    const checkout = issues.find(issue => String(issue.id) === '801');
+    assert.deepEqual({ ...checkout.assignee }, { id: '12', firstname: 'Alex', surname: 'Chen' });
+});
@@ -0,0 +1,323 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/test-server');
+const { createFetch, createLocalStorage, loadScript } = require('./helpers/browser');
+const ItemTypes = require('../src/item-types');
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+/**
+ * A fresh DashboardManager, as on page load, with this browser's localStorage
+ */
+function createManager(localStorage = createLocalStorage()) {
+    const context = loadScript('dashboard-manager.js', {
+        fetch: createFetch(server.url),
+        localStorage,
+        ItemTypes
+    });
+    return context.window.dashboardManager;
+}
+
+async function deleteAllDashboards() {
+    const { body } = await server.request('/api/dashboards');
+    for (const dashboard of body.dashboards) {
+        await server.request(`/api/dashboards/${dashboard.id}`, { method: 'DELETE' });
+    }
+}
+
+test('a first visit creates a Main Dashboard and remembers it in this browser', async () => {
+    await deleteAllDashboards();
+    const localStorage = createLocalStorage();
+    const manager = createManager(localStorage);
+
+    await manager.init();
+
+    assert.equal(manager.dashboards.length, 1);
+    assert.equal(manager.dashboards[0].name, 'Main Dashboard');
+    assert.equal(localStorage.getItem('current_dashboard_id'), manager.currentDashboardId);
+});
+
+test('dashboards and their data persist on the server between page loads', async () => {
+    await deleteAllDashboards();
+    const first = createManager();
+    await first.init();
+
+    const team = await first.createDashboard('Team Board');
+    await first.saveDashboardData(team.id, {
+        dashboardData: [{ id: 201, type: 'project', company_id: '101' }],
+        companyOrder: ['101'],
+        companyColors: { 101: '#ff0000' }
+    });
+    await first.renameDashboard(team.id, 'Delivery Board');
+    await first.updateDashboardSettings(team.id, { autoRefreshMinutes: 15 });
+
+    const second = createManager();
+    await second.init();
+
+    const reloaded = second.getDashboard(team.id);
+    assert.equal(reloaded.name, 'Delivery Board');
+    assert.equal(second.getDashboardSettings(team.id).autoRefreshMinutes, 15);
+
+    const data = await second.loadDashboardData(team.id);
+    assert.deepEqual(data.dashboardData, [{ id: 201, type: 'project', company_id: '101' }]);
+    assert.deepEqual(data.companyColors, { 101: '#ff0000' });
+});
+
+test('progress block filters are saved per dashboard with defaults for the rest', async () => {
+    await deleteAllDashboards();
+    const first = createManager();
+    await first.init();
+    const id = first.currentDashboardId;
+
+    assert.equal(first.getDashboardFilters(id).type, '');
+
+    const saved = await first.updateDashboardFilters(id, { type: 'issue', sort: 'due', search: 'checkout', color: 'red' });
+    assert.equal(saved.color, undefined);
+
+    const second = createManager();
+    await second.init();
+    assert.deepEqual({ ...second.getDashboardFilters(id) }, {
+        type: 'issue', budgetType: '', status: '', manager: '', standing: '', sort: 'due', search: 'checkout'
+    });
+});
+
+test('a save based on data another browser has since saved over is refused', async () => {
+    await deleteAllDashboards();
+    const first = createManager();
+    await first.init();
+    const id = first.currentDashboardId;
+    const second = createManager();
+    await second.init();
+
+    const items = count => ({
+        dashboardData: Array.from({ length: count }, (_, index) => ({ id: index + 1, type: 'project', company_id: '101' })),
+        companyOrder: ['101'],
+        companyColors: {}
+    });
+
+    await first.loadDashboardData(id);
+    await second.loadDashboardData(id);
+    await first.saveDashboardData(id, items(1));
+    await first.saveDashboardData(id, items(2));
+
+    await assert.rejects(second.saveDashboardData(id, items(5)), error => error.status === 409);
+    assert.equal((await second.loadDashboardData(id)).dashboardData.length, 2);
+
+    // Once it has the latest version it can save again
+    await second.saveDashboardData(id, items(3));
+    assert.equal((await first.loadDashboardData(id)).dashboardData.length, 3);
+});
+
+test('a refused save is merged onto the saved version: fresher figures and one-sided layout changes are kept', async () => {
+    await deleteAllDashboards();
+    const first = createManager();
+    await first.init();
+    const id = first.currentDashboardId;
+    const second = createManager();
+    await second.init();
+
+    const item = (itemId, syncedAt, loggedHours) => ({ id: itemId, type: 'project', company_id: '101', syncedAt, hours: { loggedHours } });
+    await first.saveDashboardData(id, { dashboardData: [item(201, '2024-06-01T00:00:00.000Z', 1), item(202, '2024-06-01T00:00:00.000Z', 1)], companyOrder: ['101'], companyColors: {} });
+    const loaded = await second.loadDashboardData(id);
+
+    // The first browser adds an item and colors the company; the second refreshes 201 and caches its drawer
+    await first.loadDashboardData(id);
+    await first.saveDashboardData(id, {
+        dashboardData: [item(201, '2024-06-01T00:00:00.000Z', 1), item(202, '2024-06-01T00:00:00.000Z', 1), item(203, '2024-06-02T00:00:00.000Z', 4)],
+        companyOrder: ['101'],
+        companyColors: { 101: '#ff0000' }
+    });
+    const local = {
+        ...loaded,
+        dashboardData: [item(201, '2024-06-03T00:00:00.000Z', 7), loaded.dashboardData[1]],
+        expandedViewData: { project_201: { tasks: [], cachedAt: '2024-06-03T00:00:00.000Z' } },
+        lastRefreshed: '2024-06-03T00:00:00.000Z'
+    };
+    await assert.rejects(second.saveDashboardData(id, local), error => error.status === 409);
+
+    const { data, conflicts } = await second.rebaseData(id, local);
+    assert.deepEqual([...conflicts], []);
+    assert.deepEqual(data.dashboardData.map(entry => [entry.id, entry.hours.loggedHours]), [[201, 7], [202, 1], [203, 4]]);
+    assert.deepEqual({ ...data.companyColors }, { 101: '#ff0000' });
+    assert.ok(data.expandedViewData.project_201);
+    assert.equal(data.lastRefreshed, '2024-06-03T00:00:00.000Z');
+
+    // The merged data is based on the current revision
+    await second.saveDashboardData(id, data);
+    assert.equal((await first.loadDashboardData(id)).dashboardData.length, 3);
+});
+
+test('layout changed in both browsers keeps the saved version and reports the conflict', async () => {
+    await deleteAllDashboards();
+    const first = createManager();
+    await first.init();
+    const id = first.currentDashboardId;
+    const second = createManager();
+    await second.init();
+
+    const items = ids => ids.map(itemId => ({ id: itemId, type: 'project', company_id: '101' }));
+    await first.saveDashboardData(id, { dashboardData: items([201, 202]), companyOrder: ['101'], companyColors: {} });
+    await second.loadDashboardData(id);
+    await first.saveDashboardData(id, { dashboardData: items([202, 201]), companyOrder: ['101'], companyColors: {} });
+
+    // Reordered there, an item removed here
+    const local = { dashboardData: items([201]), companyOrder: ['101'], companyColors: { 101: '#00ff00' } };
+    await assert.rejects(second.saveDashboardData(id, local), error => error.status === 409);
+
+    const { data, conflicts } = await second.rebaseData(id, local);
+    assert.deepEqual([...conflicts], ['items']);
+    assert.deepEqual(data.dashboardData.map(entry => entry.id), [202, 201]);
+    assert.deepEqual({ ...data.companyColors }, { 101: '#00ff00' });
+});
+
+test('settings changed in different browsers are merged rather than overwritten', async () => {
+    await deleteAllDashboards();
+    const first = createManager();
+    await first.init();
+    const id = first.currentDashboardId;
+    const second = createManager();
+    await second.init();
+
+    await first.updateDashboardSettings(id, { autoRefreshMinutes: 15 });
+    await second.updateDashboardFilters(id, { status: 'over' });
+
+    const third = createManager();
+    await third.init();
+    assert.equal(third.getDashboardSettings(id).autoRefreshMinutes, 15);
+    assert.equal(third.getDashboardFilters(id).status, 'over');
+});
+
+test('saves made while one is in flight are coalesced into the latest data', async () => {
+    await deleteAllDashboards();
+    const manager = createManager();
+    await manager.init();
+    const id = manager.currentDashboardId;
+
+    const saves = [1, 2, 3].map(count => manager.saveDashboardData(id, {
+        dashboardData: Array.from({ length: count }, (_, index) => ({ id: index + 1, type: 'project', company_id: '101' })),
+        companyOrder: ['101'],
+        companyColors: {}
+    }));
+    await Promise.all(saves);
+
+    const data = await manager.loadDashboardData(id);
+    assert.equal(data.dashboardData.length, 3);
+    assert.equal(manager.getDashboard(id).itemCount, 3);
+});
+
+test('a dashboard without saved data loads as empty', async () => {
+    await deleteAllDashboards();
+    const manager = createManager();
+    await manager.init();
+
+    const data = await manager.loadDashboardData(manager.currentDashboardId);
+    assert.deepEqual(data.dashboardData, []);
+    assert.deepEqual(data.companyOrder, []);
+});
+
+test('the last dashboard cannot be deleted, and deleting the current one switches to another', async () => {
+    await deleteAllDashboards();
+    const manager = createManager();
+    await manager.init();
+
+    await assert.rejects(manager.deleteDashboard(manager.currentDashboardId), /last dashboard/);
+
+    const other = await manager.createDashboard('Other');
+    await manager.deleteDashboard(other.id);
+    assert.equal(manager.dashboards.length, 1);
+    assert.equal(manager.currentDashboardId, manager.dashboards[0].id);
+});
+
+test('a current dashboard deleted from another browser falls back to the first one', async () => {
+    await deleteAllDashboards();
+    const manager = createManager(createLocalStorage({ current_dashboard_id: 'deleted-elsewhere' }));
+    await manager.init();
+
+    assert.equal(manager.currentDashboardId, manager.dashboards[0].id);
+});
+
+test('old single-dashboard data is migrated to a Main Dashboard', async () => {
+    await deleteAllDashboards();
+    const localStorage = createLocalStorage({
+        accelo_dashboard_state: JSON.stringify({
+            dashboardData: [{ id: 501, type: 'agreement', company_id: '101' }],
+            companyOrder: ['101'],
+            lastUpdated: '2024-01-01T00:00:00.000Z'
+        }),
+        company_colors: JSON.stringify({ 101: '#00ff00' })
+    });
+    const manager = createManager(localStorage);
+
+    await manager.init();
+
+    assert.equal(manager.dashboards.length, 1);
+    assert.equal(manager.dashboards[0].name, 'Main Dashboard');
+    const data = await manager.loadDashboardData(manager.currentDashboardId);
+    assert.deepEqual(data.dashboardData, [{ id: 501, type: 'agreement', company_id: '101' }]);
+    assert.deepEqual(data.companyColors, { 101: '#00ff00' });
+    assert.equal(localStorage.getItem('accelo_dashboard_state'), null);
+    assert.equal(localStorage.getItem('company_colors'), null);
+});
+
+test('dashboards from the localStorage index are uploaded with their IDs', async () => {
+    await deleteAllDashboards();
+    const localStorage = createLocalStorage({
+        dashboards_index: JSON.stringify({
+            currentDashboardId: 'local-b',
+            dashboards: [
+                { id: 'local-a', name: 'Sales', createdAt: '2024-01-01T00:00:00.000Z' },
+                { id: 'local-b', name: 'Support', createdAt: '2024-02-01T00:00:00.000Z' }
+            ]
+        }),
+        'dashboard_data_local-b': JSON.stringify({
+            dashboardData: [{ id: 502, type: 'agreement', company_id: '102' }],
+            companyOrder: ['102'],
+            companyColors: {}
+        })
+    });
+    const manager = createManager(localStorage);
+
+    await manager.init();
+
+    assert.deepEqual(manager.dashboards.map(dashboard => dashboard.id).sort(), ['local-a', 'local-b']);
+    assert.equal(manager.currentDashboardId, 'local-b');
+    const data = await manager.loadDashboardData('local-b');
+    assert.equal(data.dashboardData[0].id, 502);
+    assert.equal(localStorage.getItem('dashboards_index'), null);
+    assert.equal(localStorage.getItem('dashboard_data_local-b'), null);
+
+    // Uploading again (another tab, a retry) doesn't duplicate them
+    const again = createManager(createLocalStorage({ dashboards_index: JSON.stringify({ dashboards: [{ id: 'local-a', name: 'Sales' }] }) }));
+    await again.init();
+    assert.equal(again.dashboards.length, 2);
+});
+
+test('exported bundles validate and hold the layout without cached figures', async () => {
+    await deleteAllDashboards();
+    const manager = createManager();
+    await manager.init();
+    await manager.saveDashboardData(manager.currentDashboardId, {
+        dashboardData: [{ id: 201, type: 'project', company_id: '101', company_name: 'Northwind Traders', hours: { loggedHours: 5 } }],
+        companyOrder: ['101'],
+        companyColors: {}
+    });
+
+    const bundle = await manager.exportDashboards();
+    manager.validateBundle(bundle);
+    // Built inside the page's context, so compared as plain JSON
+    assert.deepEqual(JSON.parse(JSON.stringify(bundle.dashboards[0].items)), [
+        { id: 201, type: 'project', company_id: '101', company_name: 'Northwind Traders' }
+    ]);
+
+    assert.throws(() => manager.validateBundle({ ...bundle, version: 99 }), /unsupported version 99/);
+    assert.throws(() => manager.validateBundle({
+        ...bundle,
+        dashboards: [{ name: 'Bad', items: [{ id: 'abc', type: 'ticket' }] }]
+    }), /type must be "project", "agreement" or "issue".*id must be a numeric Accelo ID/);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ItemTypes = require('../src/item-types');
+
+let DataManager;
+test.before(async () => {
+    globalThis.ItemTypes = ItemTypes;
+    ({ default: DataManager } = await import('../src/managers/data-manager.js'));
+});
+
+/**
+ * A DataManager whose saves are answered by the given responses in turn ('ok' or 409)
+ * and whose merges report the given conflicts
+ */
+function createDataManager(t, responses, conflicts = []) {
+    const toasts = [];
+    const saves = [];
+    const dashboard = {
+        currentDashboardId: 'dash',
+        dashboardData: [{ id: 201, type: 'project', syncedAt: '2024-06-03T00:00:00.000Z' }],
+        companyOrder: ['101'],
+        companyColors: {},
+        renders: 0,
+        renderDashboard: () => { dashboard.renders++; }
+    };
+    globalThis.UIComponents = { showToast: (message, type) => toasts.push(type) };
+    globalThis.window = {
+        dashboardManager: {
+            saveDashboardData: async (id, data) => {
+                saves.push(JSON.parse(JSON.stringify(data)));
+                if (responses.shift() === 409) {
+                    throw Object.assign(new Error('Changed elsewhere'), { status: 409 });
+                }
+            },
+            rebaseData: async (id, data) => ({
+                data: { ...data, dashboardData: [...data.dashboardData, { id: 202, type: 'project' }] },
+                conflicts
+            }),
+            loadDashboardData: async () => ({ dashboardData: [], companyOrder: [], companyColors: {} })
+        }
+    };
+    t.after(() => {
+        delete globalThis.UIComponents;
+        delete globalThis.window;
+    });
+    return { dataManager: new DataManager(dashboard), dashboard, toasts, saves };
+}
+
+test('a refused save is merged and saved again without bothering the user', async (t) => {
+    const { dataManager, dashboard, toasts, saves } = createDataManager(t, [409, 'ok']);
+
+    await dataManager.saveDashboardState();
+
+    assert.equal(saves.length, 2);
+    assert.deepEqual(saves[1].dashboardData.map(item => item.id), [201, 202]);
+    assert.equal(dashboard.renders, 1);
+    assert.deepEqual(toasts, []);
+});
+
+test('the user is told when a layout change was dropped in the merge', async (t) => {
+    const { dataManager, toasts } = createDataManager(t, [409, 'ok'], ['companyOrder']);
+
+    await dataManager.saveDashboardState();
+
+    assert.deepEqual(toasts, ['warning']);
+});
+
+test('saves that keep being refused fall back to the saved version', async (t) => {
+    const { dataManager, dashboard, toasts, saves } = createDataManager(t, [409, 409, 409, 409, 'ok']);
+
+    await dataManager.saveDashboardState();
+
+    assert.equal(saves.length, 4);
+    assert.deepEqual(dashboard.dashboardData, []);
+    assert.deepEqual(toasts, ['warning']);
+});
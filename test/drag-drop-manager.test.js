@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+let DragDropManager;
+const toasts = [];
+
+test.before(async () => {
+    globalThis.UIComponents = { showToast: (message, type) => toasts.push({ message, type }) };
+    globalThis.document = { body: { classList: { add: () => {}, remove: () => {} } } };
+    ({ default: DragDropManager } = await import('../src/managers/drag-drop-manager.js'));
+});
+
+test.after(() => {
+    delete globalThis.UIComponents;
+    delete globalThis.document;
+});
+
+function createDashboard(dashboardData, companyOrder = []) {
+    const dashboard = {
+        dashboardData,
+        companyOrder,
+        saves: 0,
+        renders: 0,
+        dataManager: { saveDashboardState: () => dashboard.saves++ },
+        renderDashboard: () => dashboard.renders++,
+        applySavedCompanyColors: () => {},
+        groupItemsByCompany: () => {
+            const companies = {};
+            dashboard.dashboardData.forEach(item => {
+                companies[item.company_id] = companies[item.company_id] || { items: [] };
+                companies[item.company_id].items.push(item);
+            });
+            return companies;
+        }
+    };
+    return dashboard;
+}
+
+function item(type, id, companyId) {
+    return { type, id, company_id: companyId };
+}
+
+// Stands in for the progress block / company block the item was dropped after
+function blockFor(target) {
+    if (target.company) {
+        return { dataset: { companyId: target.company } };
+    }
+    return { dataset: { itemType: target.type, itemId: String(target.id) } };
+}
+
+const keys = dashboard => dashboard.dashboardData.map(entry => `${entry.type}_${entry.id}`);
+
+test('moving a block down places it after the drop target', () => {
+    const data = [item('project', 1, '10'), item('project', 2, '10'), item('agreement', 3, '10'), item('project', 4, '20')];
+    const dashboard = createDashboard(data);
+    const manager = new DragDropManager(dashboard);
+
+    manager.moveProgressBlock(data[0], '10', blockFor(data[2]));
+
+    assert.deepEqual(keys(dashboard), ['project_2', 'agreement_3', 'project_1', 'project_4']);
+    assert.equal(dashboard.saves, 1);
+    assert.equal(dashboard.renders, 1);
+});
+
+test('moving a block up places it after the drop target', () => {
+    const data = [item('project', 1, '10'), item('project', 2, '10'), item('agreement', 3, '10')];
+    const dashboard = createDashboard(data);
+
+    new DragDropManager(dashboard).moveProgressBlock(data[2], '10', blockFor(data[0]));
+
+    assert.deepEqual(keys(dashboard), ['project_1', 'agreement_3', 'project_2']);
+});
+
+test('the drop target is matched by type as well as ID', () => {
+    const data = [item('project', 5, '10'), item('agreement', 5, '10'), item('project', 6, '10')];
+    const dashboard = createDashboard(data);
+
+    new DragDropManager(dashboard).moveProgressBlock(data[2], '10', blockFor({ type: 'agreement', id: 5 }));
+
+    assert.deepEqual(keys(dashboard), ['project_5', 'agreement_5', 'project_6']);
+});
+
+test('dropping at the top of a company moves the block before its first item', () => {
+    const data = [item('project', 1, '20'), item('project', 2, '10'), item('project', 3, '10'), item('agreement', 4, '10')];
+    const dashboard = createDashboard(data);
+
+    new DragDropManager(dashboard).moveProgressBlock(data[3], '10', null);
+
+    assert.deepEqual(keys(dashboard), ['project_1', 'agreement_4', 'project_2', 'project_3']);
+});
+
+test('blocks cannot move to another company', () => {
+    toasts.length = 0;
+    const data = [item('project', 1, '10'), item('project', 2, '20')];
+    const dashboard = createDashboard(data);
+
+    new DragDropManager(dashboard).moveProgressBlock(data[0], '20', blockFor(data[1]));
+
+    assert.deepEqual(keys(dashboard), ['project_1', 'project_2']);
+    assert.equal(dashboard.saves, 0);
+    assert.equal(toasts[0].type, 'warning');
+});
+
+test('company IDs compare as strings', () => {
+    const data = [item('project', 1, 10), item('project', 2, 10)];
+    const dashboard = createDashboard(data);
+
+    new DragDropManager(dashboard).moveProgressBlock(data[0], '10', blockFor(data[1]));
+
+    assert.deepEqual(keys(dashboard), ['project_2', 'project_1']);
+});
+
+test('reordering companies moves the company after the drop target and regroups the items', () => {
+    const data = [item('project', 1, '10'), item('project', 2, '20'), item('agreement', 3, '10'), item('project', 4, '30')];
+    const dashboard = createDashboard(data, ['10', '20', '30']);
+
+    new DragDropManager(dashboard).reorderCompanies('10', blockFor({ company: '20' }));
+
+    assert.deepEqual(dashboard.companyOrder, ['20', '10', '30']);
+    assert.deepEqual(keys(dashboard), ['project_2', 'project_1', 'agreement_3', 'project_4']);
+    assert.equal(dashboard.saves, 1);
+});
+
+test('reordering a company without a drop target moves it first', () => {
+    const data = [item('project', 1, '10'), item('project', 2, '20'), item('project', 3, '30')];
+    const dashboard = createDashboard(data, ['10', '20', '30']);
+
+    new DragDropManager(dashboard).reorderCompanies(30, null);
+
+    assert.deepEqual(dashboard.companyOrder, ['30', '10', '20']);
+    assert.deepEqual(keys(dashboard), ['project_3', 'project_1', 'project_2']);
+});
+
+test('without a saved company order the order comes from the items', () => {
+    const data = [item('project', 1, '10'), item('project', 2, '20'), item('project', 3, '30')];
+    const dashboard = createDashboard(data, []);
+
+    new DragDropManager(dashboard).reorderCompanies('10', blockFor({ company: '30' }));
+
+    assert.deepEqual(dashboard.companyOrder, ['20', '30', '10']);
+    assert.deepEqual(keys(dashboard), ['project_2', 'project_3', 'project_1']);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const Forecast = require('../src/forecast');
+const ItemTypes = require('../src/item-types');
+
+let ExportManager;
+let RenderManager;
+test.before(async () => {
+    globalThis.Forecast = Forecast;
+    globalThis.ItemTypes = ItemTypes;
+    globalThis.window = { dashboardManager: { getDashboard: () => ({ name: 'Team: Q3/Q4' }) } };
+    ({ default: ExportManager } = await import('../src/managers/export-manager.js'));
+    ({ default: RenderManager } = await import('../src/managers/render-manager.js'));
+});
+
+function createExportManager() {
+    const dashboard = { dashboardData: [], companyOrder: [], currentDashboardId: '1' };
+    dashboard.renderManager = new RenderManager(dashboard);
+    return new ExportManager(dashboard);
+}
+
+/**
+ * Read a stored (uncompressed) ZIP archive through its central directory, checking each entry's CRC
+ * @returns {Object<string, string>} File contents keyed by path
+ */
+function readZip(zip) {
+    const bytes = Buffer.from(zip);
+    const end = bytes.length - 22;
+    assert.equal(bytes.readUInt32LE(end), 0x06054B50);
+    const count = bytes.readUInt16LE(end + 10);
+    let position = bytes.readUInt32LE(end + 16);
+
+    const files = {};
+    for (let i = 0; i < count; i++) {
+        assert.equal(bytes.readUInt32LE(position), 0x02014B50);
+        const crc = bytes.readUInt32LE(position + 16);
+        const size = bytes.readUInt32LE(position + 20);
+        const nameLength = bytes.readUInt16LE(position + 28);
+        const offset = bytes.readUInt32LE(position + 42);
+        const name = bytes.toString('utf8', position + 46, position + 46 + nameLength);
+
+        assert.equal(bytes.readUInt32LE(offset), 0x04034B50);
+        const dataStart = offset + 30 + bytes.readUInt16LE(offset + 26) + bytes.readUInt16LE(offset + 28);
+        const data = bytes.subarray(dataStart, dataStart + size);
+        assert.equal(zlib.crc32(data), crc, `CRC of ${name}`);
+
+        files[name] = data.toString('utf8');
+        position += 46 + nameLength;
+    }
+    return files;
+}
+
+const rows = [
+    { company: 'Northwind, Inc.', title: 'Say "hi"\nthen leave', type: 'Project', loggedHours: 12.5, remaining: 0 },
+    { company: 'Globex', title: '=HYPERLINK("x")', type: 'Issue', loggedHours: -1 },
+    { company: '@risk', title: '+1 call', type: 'Agreement', budgetType: '-none' }
+];
+
+test('CSV quotes commas, quotes and line breaks, with a BOM and CRLF endings', () => {
+    const csv = createExportManager().toCsv(rows.slice(0, 1));
+
+    assert.ok(csv.startsWith('\uFEFFCompany,Item,Type,Budget Type,Logged Hours,'));
+    assert.ok(csv.endsWith('\r\n'));
+    assert.equal(csv.split('\r\n')[1], '"Northwind, Inc.","Say ""hi""\nthen leave",Project,,12.5,,,,,,0,,,');
+});
+
+test('text that would run as a formula is prefixed with an apostrophe; numbers are left alone', () => {
+    const lines = createExportManager().toCsv(rows).split('\r\n');
+
+    assert.equal(lines[2], 'Globex,"\'=HYPERLINK(""x"")",Issue,,-1,,,,,,,,,');
+    assert.equal(lines[3], '\'@risk,\'+1 call,Agreement,\'-none,,,,,,,,,,');
+    assert.doesNotMatch(lines.join('\n'), /(^|,)"?=/m);
+});
+
+test('XLSX is a valid zip holding the workbook, with numbers as numbers and text guarded and escaped', () => {
+    const files = readZip(createExportManager().toXlsx(rows));
+
+    assert.deepEqual(Object.keys(files), [
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/worksheets/sheet1.xml'
+    ]);
+    // Sheet names cannot contain : or /
+    assert.match(files['xl/workbook.xml'], /<sheet name="Team  Q3 Q4"/);
+
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    assert.match(sheet, /<c r="A1" t="inlineStr"><is><t>Company<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="E2"><v>12.5<\/v><\/c>/);
+    assert.match(sheet, /<c r="B2" t="inlineStr"><is><t>Say &quot;hi&quot;\nthen leave<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="B3" t="inlineStr"><is><t>'=HYPERLINK\(&quot;x&quot;\)<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="E3"><v>-1<\/v><\/c>/);
+    // Empty cells are left out
+    assert.doesNotMatch(sheet, /<c r="F2"/);
+});
+
+test('export rows report each item in its budget unit', () => {
+    const exportManager = createExportManager();
+
+    const project = exportManager.createExportRow({
+        id: 201, type: 'project', title: 'Website',
+        hours: { billableHours: 30, nonBillableHours: 10, budgetHours: 80 }
+    }, 'Northwind');
+    assert.equal(project.type, 'Project');
+    assert.equal(project.budgetType, 'time');
+    assert.equal(project.unit, 'hours');
+    assert.equal(project.allowance, 80);
+    assert.equal(project.used, 40);
+    assert.equal(project.billableHours, 30);
+    assert.equal(project.percentage, 50);
+
+    const agreement = exportManager.createExportRow({
+        id: 502, type: 'agreement', title: 'Retainer',
+        usage: { budgetType: 'value', valueAllowance: 5000, valueUsed: 3850, timeUsed: 0 }
+    }, 'Northwind');
+    assert.equal(agreement.unit, 'value');
+    assert.equal(agreement.remaining, 1150);
+    assert.equal(agreement.loggedHours, null);
+    assert.equal(agreement.billableHours, null);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Forecast = require('../src/forecast');
+const ItemTypes = require('../src/item-types');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+let FilterManager;
+let RenderManager;
+test.before(async () => {
+    globalThis.Forecast = Forecast;
+    globalThis.ItemTypes = ItemTypes;
+    ({ default: FilterManager } = await import('../src/managers/filter-manager.js'));
+    ({ default: RenderManager } = await import('../src/managers/render-manager.js'));
+});
+
+function createFilterManager(filters = {}) {
+    const dashboard = { dashboardData: [], companyOrder: [] };
+    dashboard.renderManager = new RenderManager(dashboard);
+    const filterManager = new FilterManager(dashboard);
+    filterManager.filters = { ...filterManager.filters, ...filters };
+    return filterManager;
+}
+
+const now = Math.floor(Date.now() / 1000);
+
+// Staff fields as requested with manager(id,firstname,surname) / assignee(...)
+const alex = { id: '12', firstname: 'Alex', surname: 'Chen' };
+
+const website = {
+    id: 201, type: 'project', title: 'Website Redesign', manager: alex, standing: 'active',
+    date_due: String(now + 30 * DAY_SECONDS),
+    hours: { billableHours: 70, nonBillableHours: 10, budgetHours: 100 }
+};
+const migration = {
+    id: 202, type: 'project', title: 'Data Migration', manager: { id: '11', firstname: 'Sam', surname: 'Rivera' }, standing: 'pending',
+    hours: { billableHours: 5, nonBillableHours: 0, budgetHours: 0 }
+};
+const retainer = {
+    id: 301, type: 'agreement', title: 'Support Retainer', standing: 'active',
+    usage: { budgetType: 'value', valueUsed: 1200, valueAllowance: 1000, periodEnd: new Date((now + 5 * DAY_SECONDS) * 1000).toISOString().slice(0, 10) }
+};
+const checkout = {
+    id: 801, type: 'issue', title: 'Checkout errors on mobile', assignee: alex, standing: 'open',
+    usage: { budgetType: 'time', timeUsed: 2 * 3600, timeAllowance: 10 * 3600, slaDue: new Date((now + DAY_SECONDS) * 1000).toISOString() }
+};
+const items = [website, migration, retainer, checkout];
+
+function ids(list) {
+    return list.map(item => item.id);
+}
+
+test('URL parameters win over the saved filters and unknown values are dropped', () => {
+    const filterManager = createFilterManager();
+    const saved = { type: 'project', sort: 'title', manager: 'Alex Chen' };
+
+    assert.deepEqual(filterManager.readParams(new URLSearchParams(''), saved), {
+        type: 'project', budgetType: '', status: '', manager: 'Alex Chen', standing: '', sort: 'title', search: ''
+    });
+    assert.deepEqual(filterManager.readParams(new URLSearchParams('type=ticket&status=over&sort=size&q=+checkout+'), saved), {
+        type: '', budgetType: '', status: 'over', manager: '', standing: '', sort: '', search: 'checkout'
+    });
+});
+
+test('items are filtered by type, budget type, status, manager and standing', () => {
+    const shown = filters => ids(createFilterManager(filters).apply(items));
+
+    assert.deepEqual(shown({}), [201, 202, 301, 801]);
+    assert.deepEqual(shown({ type: 'agreement' }), [301]);
+    assert.deepEqual(shown({ budgetType: 'time' }), [201, 801]);
+    assert.deepEqual(shown({ budgetType: 'none' }), [202]);
+    assert.deepEqual(shown({ status: 'warning' }), [201]);
+    assert.deepEqual(shown({ status: 'over' }), [301]);
+    assert.deepEqual(shown({ manager: 'Alex Chen' }), [201, 801]);
+    assert.deepEqual(shown({ standing: 'active', type: 'project' }), [201]);
+});
+
+test('search matches every word in the title, ignoring case', () => {
+    assert.deepEqual(ids(createFilterManager({ search: 'MOBILE checkout' }).apply(items)), [801]);
+    assert.deepEqual(ids(createFilterManager({ search: 'checkout desktop' }).apply(items)), []);
+});
+
+test('sorting orders items with a value first and keeps ties in dashboard order', () => {
+    const sorted = sort => ids(createFilterManager({ sort }).apply(items));
+
+    assert.deepEqual(sorted('percentage'), [301, 201, 801, 202]);
+    assert.deepEqual(sorted('remaining'), [301, 201, 801, 202]);
+    assert.deepEqual(sorted('due'), [801, 301, 201, 202]);
+    assert.deepEqual(sorted('title'), [801, 202, 301, 201]);
+    assert.deepEqual(sorted(''), [201, 202, 301, 801]);
+});
+
+test('sorting alone is not filtering', () => {
+    assert.equal(createFilterManager({ sort: 'due' }).isFiltering(), false);
+    assert.equal(createFilterManager({ sort: 'due' }).isSorted(), true);
+    assert.equal(createFilterManager({ standing: 'open' }).isFiltering(), true);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Forecast = require('../src/forecast');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2024, 5, 15, 12).getTime(); // 15 Jun 2024, local noon
+
+function entry(daysAgo, hours) {
+    return { loggedAt: NOW - daysAgo * DAY, seconds: hours * 3600 };
+}
+
+function burnRate(hoursPerDay, fields = {}) {
+    return { windowDays: 28, windowHours: hoursPerDay * 28, hoursPerDay, periodHours: null, entryCount: 10, ...fields };
+}
+
+test('burn rate averages the time logged in the window', () => {
+    const rate = Forecast.getBurnRate([entry(40, 100), entry(20, 14), entry(1, 14)], { now: NOW });
+
+    assert.equal(rate.windowDays, 28);
+    assert.equal(rate.windowHours, 28);
+    assert.equal(rate.hoursPerDay, 1);
+    assert.equal(rate.entryCount, 2);
+    assert.equal(rate.periodHours, null);
+    assert.equal(rate.measuredAt, new Date(NOW).toISOString());
+});
+
+test('burn rate totals hours and charged value since the period start when asked', () => {
+    const charged = (daysAgo, hours, value) => ({ ...entry(daysAgo, hours), value });
+    const rate = Forecast.getBurnRate([charged(40, 5, 750), charged(10, 3, 450), charged(2, 4, 480)], { now: NOW, periodStart: '2024-06-01' });
+    assert.equal(rate.periodHours, 7);
+    assert.equal(rate.periodValue, 930);
+    assert.equal(Forecast.getBurnRate([entry(2, 4)], { now: NOW }).periodValue, null);
+});
+
+test('no burn rate gives no forecast', () => {
+    assert.equal(Forecast.forecast({ used: 5, budget: 10 }, null, { now: NOW }), null);
+});
+
+test('items with no recent time have no projection', () => {
+    const rate = Forecast.getBurnRate([], { now: NOW });
+    const result = Forecast.forecast({ used: 5, budget: 10 }, rate, { now: NOW });
+
+    assert.equal(rate.hoursPerDay, 0);
+    assert.equal(result.status, 'no-history');
+    assert.equal(result.label, 'No time logged in the last 28 days');
+    assert.equal(result.exhaustsOn, null);
+});
+
+test('projects without a period end project the date the budget runs out', () => {
+    const result = Forecast.forecast({ used: 30, budget: 40 }, burnRate(2), { now: NOW });
+
+    assert.equal(result.status, 'exhausts');
+    assert.equal(result.exhaustsOn, '2024-06-20');
+    assert.equal(result.label, 'At current pace exhausts budget on 20 Jun');
+    assert.equal(result.projectedPercentage, null);
+});
+
+test('agreements that will overrun show the exhaust date and the projected percentage', () => {
+    const result = Forecast.forecast({ used: 30, budget: 40, periodEnd: '2024-06-30' }, burnRate(2), { now: NOW });
+
+    assert.equal(result.status, 'overrun');
+    assert.equal(result.exhaustsOn, '2024-06-20');
+    // 15.5 days left in the period at 2h/day
+    assert.equal(result.projectedUsed, 61);
+    assert.equal(result.projectedPercentage, 152.5);
+    assert.match(result.detail, /^Projected 153% by period end/);
+});
+
+test('agreements on track show the projected percentage by period end', () => {
+    const result = Forecast.forecast({ used: 10, budget: 40, periodEnd: '2024-06-30' }, burnRate(1), { now: NOW });
+
+    assert.equal(result.status, 'on-track');
+    assert.equal(result.exhaustsOn, null);
+    assert.equal(result.projectedUsed, 25.5);
+    assert.equal(result.label, 'Projected 64% by period end');
+});
+
+test('items already over budget say so', () => {
+    const result = Forecast.forecast({ used: 45, budget: 40, periodEnd: '2024-06-30' }, burnRate(1.5), { now: NOW });
+
+    assert.equal(result.status, 'over-budget');
+    assert.equal(result.label, 'Over budget, still using 1.5h/day');
+});
+
+test('value budgets burn at the value per hour of the current period', () => {
+    // $1000 used over 20 hours this period is $50/hour; 2h/day is $100/day
+    const rate = burnRate(2, { periodHours: 20 });
+    const result = Forecast.forecast({ unit: 'value', used: 1000, budget: 2000, periodEnd: '2024-06-30' }, rate, { now: NOW });
+
+    assert.equal(result.ratePerDay, 100);
+    assert.equal(result.status, 'overrun');
+    assert.equal(result.exhaustsOn, '2024-06-25');
+    assert.equal(result.projectedUsed, 2550);
+    assert.equal(result.label, 'At current pace exhausts budget on 25 Jun');
+});
+
+test('value budgets need time logged this period to forecast', () => {
+    const result = Forecast.forecast({ unit: 'value', used: 0, budget: 2000, periodEnd: '2024-06-30' }, burnRate(2, { periodHours: 0 }), { now: NOW });
+    assert.equal(result.status, 'no-rate');
+});
+
+test('items without a budget project the time worked', () => {
+    const withPeriod = Forecast.forecast({ used: 10, budget: 0, periodEnd: '2024-06-30' }, burnRate(1), { now: NOW });
+    const withoutPeriod = Forecast.forecast({ used: 10, budget: 0 }, burnRate(1.25), { now: NOW });
+
+    assert.equal(withPeriod.status, 'no-budget');
+    assert.equal(withPeriod.label, 'Projected 25.5h by period end');
+    assert.equal(withoutPeriod.label, 'Averaging 1.3h/day');
+});
+
+test('a slow pace far into the future does not show a date', () => {
+    const result = Forecast.forecast({ used: 0, budget: 1000 }, burnRate(0.1), { now: NOW });
+
+    assert.equal(result.status, 'exhausts');
+    assert.equal(result.exhaustsOn, null);
+    assert.equal(result.label, 'At current pace lasts over a year');
+});
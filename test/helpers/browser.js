@@ -0,0 +1,72 @@
+/**
+ * Browser helpers - run the dashboard's browser scripts under Node without a browser
+ * - loadScript() evaluates a classic script (src/*.js) in its own context, with window and the given globals
+ * - createLocalStorage() is an in-memory localStorage
+ * The ES-module managers (src/managers/*.js) are imported directly; their tests set the globals they use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+
+function createLocalStorage(initial = {}) {
+    const values = new Map(Object.entries(initial));
+    return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key),
+        clear: () => values.clear(),
+        get length() {
+            return values.size;
+        },
+        keys: () => [...values.keys()]
+    };
+}
+
+/**
+ * Quiet console for scripts that log every request and every handled failure; tests assert on the outcome
+ */
+const quietConsole = {
+    log: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {}
+};
+
+/**
+ * Evaluate a script from src/ the way a <script> tag would
+ * @param {string} file - e.g. 'api-client.js'
+ * @param {Object} [globals] - Extra globals (fetch, localStorage, AgreementUsage, ...)
+ * @returns {Object} The context; window.* assignments land on context.window
+ */
+function loadScript(file, globals = {}) {
+    const context = vm.createContext({
+        console: quietConsole,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        URL,
+        URLSearchParams,
+        ...globals
+    });
+    context.window = context.window || context;
+    vm.runInContext(fs.readFileSync(path.join(SRC_DIR, file), 'utf8'), context, { filename: file });
+    return context;
+}
+
+/**
+ * fetch() that resolves the page's relative URLs ("/api/...") against a server
+ */
+function createFetch(baseUrl) {
+    return (url, options) => fetch(String(url).startsWith('/') ? `${baseUrl}${url}` : url, options);
+}
+
+module.exports = {
+    createLocalStorage,
+    createFetch,
+    loadScript,
+    quietConsole
+};
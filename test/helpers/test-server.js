@@ -0,0 +1,104 @@
+/**
+ * Test server - the real server.js app on a free port, talking to the mock Accelo (lib/mock-accelo.js)
+ * Each test file runs in its own process, so each gets a fresh server, stores and fixtures.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadFixtures, listenMockAccelo } = require('../../lib/mock-accelo');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+function listen(app) {
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+        server.on('error', reject);
+    });
+}
+
+/**
+ * Start the server with temporary stores and the mock Accelo
+ * The environment is set before server.js is loaded so a developer's .env doesn't leak in
+ * @returns {Promise<Object>} { url, fixtures, dataDir, request, connect, close }
+ */
+async function startTestServer() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'accelo-dashboard-test-'));
+    const fixtures = loadFixtures();
+    const mock = await listenMockAccelo({ fixtures });
+
+    Object.assign(process.env, {
+        SETTINGS_STORE: 'memory',
+        SETTINGS_ENCRYPTION_KEY: '',
+        DASHBOARDS_DIR: path.join(dataDir, 'dashboards'),
+        HISTORY_DIR: path.join(dataDir, 'history'),
+        ACCELO_MOCK: '',
+        ACCELO_MOCK_URL: mock.url,
+        ACCELO_WEBHOOK_SECRET: WEBHOOK_SECRET,
+        WEBHOOK_RECORD_DIR: '',
+        LIVE_POLL_SECONDS: '0',
+        CHAT_PROVIDER: 'stub'
+    });
+
+    // The server logs every request to the console; /api/logs still has them
+    const consoleLog = console.log;
+    console.log = () => {};
+
+    const { app, tokenManager, liveUpdates } = require('../../server');
+    const server = await listen(app);
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Call a route; JSON bodies are sent and parsed
+     * @returns {Promise<{status: number, headers: Headers, body: *}>}
+     */
+    async function request(route, { method = 'GET', body, headers = {} } = {}) {
+        const response = await fetch(`${url}${route}`, {
+            method,
+            headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // Not JSON - keep the text
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    /**
+     * Connect to the mock Accelo the way the settings page does
+     * @returns {Promise<Object>} The public settings, including the access token
+     */
+    async function connect() {
+        const { status, body } = await request('/api/auth/connect', {
+            method: 'POST',
+            body: { deployment: 'demo', clientId: 'test-client', clientSecret: 'test-secret' }
+        });
+        if (status !== 200) {
+            throw new Error(`Connect failed: ${JSON.stringify(body)}`);
+        }
+        return body.settings;
+    }
+
+    async function close() {
+        liveUpdates.stop();
+        tokenManager.stopAutoRenew();
+        server.closeAllConnections();
+        mock.server.closeAllConnections();
+        await Promise.all([
+            new Promise(resolve => server.close(resolve)),
+            new Promise(resolve => mock.server.close(resolve))
+        ]);
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        console.log = consoleLog;
+    }
+
+    return { url, fixtures, dataDir, request, connect, close, webhookSecret: WEBHOOK_SECRET };
+}
+
+module.exports = {
+    startTestServer
+};
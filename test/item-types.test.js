@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ItemTypes = require('../src/item-types');
+
+test('projects, agreements and issues are registered in that order', () => {
+    assert.deepEqual(ItemTypes.names(), ['project', 'agreement', 'issue']);
+    assert.equal(ItemTypes.get('contract').type, 'agreement');
+    assert.equal(ItemTypes.get('ticket'), null);
+    assert.deepEqual(ItemTypes.all().map(itemType => itemType.acceloType), ['job', 'contract', 'issue']);
+});
+
+test('the type of untyped records comes from the fields each type recognizes', () => {
+    assert.equal(ItemTypes.typeOf({ type: 'contract' }), 'agreement');
+    assert.equal(ItemTypes.typeOf({ unbillable_seconds: '0' }), 'project');
+    assert.equal(ItemTypes.typeOf({ date_expires: '1700000000' }), 'agreement');
+    assert.equal(ItemTypes.typeOf({ title: 'Unknown' }), null);
+});
+
+test('items are fetched through their type with the company they are shown under', async () => {
+    const api = {
+        getIssue: async id => ({ id, title: 'Checkout errors' }),
+        getIssueUsage: async () => ({ budgetType: 'none', timeUsed: 1 }),
+        getProject: async () => null,
+        getProjectHours: async () => ({ billableHours: 0 })
+    };
+    const company = { id: 101, name: 'Northwind' };
+
+    const issue = await ItemTypes.fetchItem('issue', '801', company, api);
+    assert.equal(issue.type, 'issue');
+    assert.equal(issue.usage.timeUsed, 1);
+    assert.equal(issue.company_id, '101');
+    assert.equal(issue.company_name, 'Northwind');
+
+    await assert.rejects(ItemTypes.fetchItem('project', '999', company, api), /Project not found/);
+    await assert.rejects(ItemTypes.fetchItem('ticket', '1', company, api), /Unknown item type "ticket"/);
+});
+
+test('items serialize to their type, ID and company', () => {
+    const item = { id: 201, type: 'project', title: 'Website', hours: {}, company_info: { id: 101, name: 'Northwind' } };
+    assert.deepEqual(ItemTypes.get('project').serialize(item), { id: 201, type: 'project', company_id: '101', company_name: 'Northwind' });
+});
+
+test('a registered type needs every hook the managers call', () => {
+    assert.throws(() => ItemTypes.register({ type: 'quote', label: 'Quote' }), /Item type quote is missing pluralLabel, icon/);
+});
+
+test('managers are the names of the staff a project or issue is linked to', () => {
+    const sam = { id: '11', firstname: 'Sam', surname: 'Rivera' };
+    assert.equal(ItemTypes.get('project').getManager({ manager: sam }), 'Sam Rivera');
+    assert.equal(ItemTypes.get('issue').getManager({ assignee: { id: '12', firstname: 'Alex', surname: '' } }), 'Alex');
+    // A bare staff ID is not a name
+    assert.equal(ItemTypes.get('project').getManager({ manager: '11' }), '');
+    assert.equal(ItemTypes.get('issue').getManager({ assignee: null }), '');
+    assert.equal(ItemTypes.get('agreement').getManager({ manager: sam }), '');
+});
+
+test('billability and active dates come from each type', () => {
+    const project = ItemTypes.get('project');
+    const agreement = ItemTypes.get('agreement');
+    const issue = ItemTypes.get('issue');
+
+    assert.deepEqual(project.getBillability({ hours: { billableHours: 6, nonBillableHours: 2 } }), { billableHours: 6, nonBillableHours: 2 });
+    assert.deepEqual(issue.getBillability({ usage: null }), { billableHours: 0, nonBillableHours: 0 });
+    assert.equal(agreement.getBillability({ usage: { timeUsed: 4 } }), null);
+
+    assert.deepEqual(project.getActiveWindow({ date_started: '1700000000', date_completed: '0', date_due: '1710000000' }),
+        { start: 1700000000000, end: 1710000000000 });
+    assert.deepEqual(agreement.getActiveWindow({ usage: { periodStart: '2024-06-01', periodEnd: '2024-06-30' }, date_expires: '1710000000' }),
+        { start: new Date('2024-06-01T00:00:00').getTime(), end: new Date('2024-06-30T00:00:00').getTime() });
+    assert.deepEqual(issue.getActiveWindow({ usage: { submittedAt: '2024-06-01T09:00:00.000Z', slaDue: '2024-06-03T09:00:00.000Z' } }),
+        { start: Date.parse('2024-06-01T09:00:00.000Z'), end: Date.parse('2024-06-03T09:00:00.000Z') });
+});
+
+test('project time and timers are logged against the job, its tasks and its milestones', async () => {
+    const project = ItemTypes.get('project');
+    const item = { id: 201, hours: { tasks: [{ id: 404, milestoneId: 501 }], milestones: [{ id: 501 }] } };
+
+    assert.deepEqual(project.timerTargets(item), [
+        { againstType: 'job', againstId: 201 },
+        { againstType: 'task', againstId: 404 },
+        { againstType: 'milestone', againstId: 501 }
+    ]);
+    assert.deepEqual(ItemTypes.get('issue').timerTargets({ id: 801 }), [{ againstType: 'issue', againstId: 801 }]);
+
+    const api = { getProjectTimeTargets: async id => ({ targets: [['job', [id]]], truncated: true }) };
+    assert.deepEqual(await project.fetchTimeTargets(201, api), { targets: [['job', [201]]], truncated: true });
+    assert.deepEqual(await ItemTypes.get('agreement').fetchTimeTargets(301, api), { targets: [['contract', [301]]], truncated: false });
+});
+
+test('registering a type makes it available to the managers', async () => {
+    const quote = ItemTypes.register({
+        type: 'quote',
+        label: 'Quote',
+        pluralLabel: 'Quotes',
+        icon: 'fa-file-invoice',
+        listKey: 'quotes',
+        progressField: 'usage',
+        fetchDetails: async () => null,
+        fetchProgress: async () => null,
+        calculateProgress: () => ({ typeLabel: 'QUOTE', showProgressBar: false }),
+        loadDrawer: async () => ({}),
+        renderDrawer: () => 'Nothing to show',
+        acceloUrl: (deployment, id) => `https://${deployment}.accelo.com/?action=view_quote&id=${id}`
+    });
+
+    assert.equal(ItemTypes.get('quote'), quote);
+    assert.equal(ItemTypes.typeOf({ type: 'quote' }), 'quote');
+    assert.equal(quote.acceloType, 'quote');
+    assert.equal(quote.renderBlockDetails({}), '');
+    assert.equal(quote.getBillability({}), null);
+    assert.deepEqual(quote.getActiveWindow({}), { start: null, end: null });
+    assert.deepEqual(quote.timerTargets({ id: 7 }), [{ againstType: 'quote', againstId: 7 }]);
+    assert.deepEqual(await quote.fetchTimeTargets(7, {}), { targets: [['quote', [7]]], truncated: false });
+    assert.equal(ItemTypes.names().at(-1), 'quote');
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+let LiveUpdateManager;
+test.before(async () => {
+    ({ default: LiveUpdateManager } = await import('../src/managers/live-update-manager.js'));
+});
+
+/**
+ * A stand-in for the browser's EventSource that tests can emit events on
+ */
+class FakeEventSource {
+    static CLOSED = 2;
+    static opened = [];
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = 1;
+        this.listeners = {};
+        FakeEventSource.opened.push(this);
+    }
+
+    addEventListener(name, listener) {
+        this.listeners[name] = listener;
+    }
+
+    emit(name, data, lastEventId) {
+        this.listeners[name]({ data: JSON.stringify(data), lastEventId });
+    }
+
+    close() {
+        this.readyState = FakeEventSource.CLOSED;
+    }
+}
+
+function createManager(t) {
+    const listeners = {};
+    FakeEventSource.opened = [];
+    globalThis.EventSource = FakeEventSource;
+    globalThis.window = { EventSource: FakeEventSource };
+    globalThis.document = { hidden: false, addEventListener: (name, listener) => { listeners[name] = listener; }, removeEventListener: () => {} };
+
+    const dashboard = {
+        currentDashboardId: 'dash',
+        applied: [],
+        refreshes: [],
+        refreshManager: { isRefreshing: false, updateStatus: () => {}, refresh: options => dashboard.refreshes.push(options) },
+        dataManager: { applyLiveChanges: async changes => { dashboard.applied.push(...changes); return changes; } }
+    };
+    const manager = new LiveUpdateManager(dashboard);
+    manager.init();
+
+    t.after(() => {
+        manager.cleanup();
+        delete globalThis.EventSource;
+        delete globalThis.window;
+        delete globalThis.document;
+    });
+    return { manager, dashboard, setHidden: hidden => { globalThis.document.hidden = hidden; listeners.visibilitychange(); } };
+}
+
+test('pushed changes are applied and the stream resumes from the last cursor', async (t) => {
+    const { manager, dashboard, setHidden } = createManager(t);
+    const source = FakeEventSource.opened[0];
+    assert.equal(source.url, '/api/events?dashboard=dash');
+
+    source.emit('ready', {}, 'boot-1');
+    assert.equal(manager.getStatusText(), 'Live updates on');
+    source.emit('changes', { items: [{ key: 'agreement_501', type: 'agreement', id: '501', changes: { usage: {} } }] }, 'boot-2');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(dashboard.applied.map(change => change.key), ['agreement_501']);
+
+    setHidden(true);
+    assert.equal(source.readyState, FakeEventSource.CLOSED);
+    assert.equal(manager.getStatusText(), 'Live updates paused while the tab is hidden');
+
+    setHidden(false);
+    assert.equal(FakeEventSource.opened[1].url, '/api/events?dashboard=dash&cursor=boot-2');
+});
+
+test('a stale mark is not downgraded by a later change carrying data', (t) => {
+    const { manager, dashboard } = createManager(t);
+    dashboard.refreshManager.isRefreshing = true;
+
+    manager.queueChanges([{ key: 'project_201', stale: true }]);
+    manager.queueChanges([{ key: 'project_201', changes: { loggedHours: 12 } }]);
+    assert.deepEqual(manager.pending.get('project_201'), { key: 'project_201', changes: { loggedHours: 12 }, stale: true });
+});
+
+test('resync runs an incremental refresh in the background', (t) => {
+    const { dashboard } = createManager(t);
+    FakeEventSource.opened[0].emit('resync', { reason: 'Missed updates are no longer available' }, 'boot-9');
+    assert.deepEqual(dashboard.refreshes, [{ background: true }]);
+});
+
+test('closed streams reconnect with backoff', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { manager } = createManager(t);
+
+    for (const delay of [5000, 10000]) {
+        const source = FakeEventSource.opened.at(-1);
+        source.close();
+        source.onerror();
+        assert.equal(manager.getStatusText(), 'Live updates reconnecting');
+
+        const opened = FakeEventSource.opened.length;
+        t.mock.timers.tick(delay - 1);
+        assert.equal(FakeEventSource.opened.length, opened);
+        t.mock.timers.tick(1);
+        assert.equal(FakeEventSource.opened.length, opened + 1);
+    }
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ItemTypes = require('../src/item-types');
+const { LiveUpdates } = require('../lib/live-updates');
+
+const API_SETTINGS = { deployment: 'demo', accessToken: 'token' };
+
+/**
+ * A stand-in for makeAcceloRequest answering by path, e.g. { 'jobs': query => [...], 'jobs/201': query => ({...}) }
+ * @returns {Function} With the requested paths and queries as .requests
+ */
+function fakeAccelo(routes) {
+    const makeAcceloRequest = async (url) => {
+        const { pathname, searchParams } = new URL(url);
+        const path = pathname.replace('/api/v0/', '');
+        const query = Object.fromEntries(searchParams);
+        makeAcceloRequest.requests.push({ path, query });
+        const route = routes[path];
+        if (!route) {
+            throw new Error(`No route for ${path}`);
+        }
+        return { response: route(query) };
+    };
+    makeAcceloRequest.requests = [];
+    return makeAcceloRequest;
+}
+
+/**
+ * Live updates watching one dashboard with the given items
+ */
+function createLiveUpdates(items, makeAcceloRequest) {
+    const dashboardStore = {
+        getData: () => ({ dashboardData: items }),
+        markItemsStale: keys => keys.filter(key => items.some(item => `${item.type}_${item.id}` === key))
+    };
+    const liveUpdates = new LiveUpdates({ dashboardStore, getApiSettings: async () => API_SETTINGS, makeAcceloRequest, pollInterval: 0 });
+    liveUpdates.watch('dash');
+    return liveUpdates;
+}
+
+// Filters such as "id(1,2),date_modified_after(0)" -> ['1', '2']
+const idsIn = query => (query._filters.match(/id\(([^)]*)\)/)?.[1] || '').split(',').filter(Boolean);
+
+test('changes are looked up through each item type, including time on a project\'s tasks and milestones', async () => {
+    const makeAcceloRequest = fakeAccelo({
+        jobs: query => idsIn(query).filter(id => id === '201').map(id => ({ id })),
+        contracts: () => [],
+        issues: () => [],
+        activities: query => query._filters.includes('date_logged_after')
+            ? [{ id: '1', against_type: 'task', against_id: '403' }, { id: '2', against_type: 'issue', against_id: '801' }]
+            : [{ id: '3', against_type: 'milestone', against_id: '303' }],
+        tasks: () => [{ id: '403', against_type: 'milestone', against_id: '302' }],
+        milestones: query => idsIn(query).map(id => ({ id, job: id === '302' ? '202' : '203' }))
+    });
+    const liveUpdates = createLiveUpdates([
+        { type: 'project', id: 201 }, { type: 'project', id: 202 }, { type: 'project', id: 203 }, { type: 'project', id: 204 },
+        { type: 'agreement', id: 501 }, { type: 'issue', id: 801 }
+    ], makeAcceloRequest);
+
+    const changed = await liveUpdates.findChangedKeys(API_SETTINGS, liveUpdates.watchedKeys(), 0);
+    assert.deepEqual([...changed].sort(), ['issue_801', 'project_201', 'project_202', 'project_203']);
+});
+
+test('a newly registered type is watched, looked up and read through its hooks', async () => {
+    ItemTypes.register({
+        type: 'quote',
+        label: 'Quote',
+        pluralLabel: 'Quotes',
+        icon: 'fa-file-invoice',
+        listKey: 'quotes',
+        progressField: 'usage',
+        fetchDetails: async () => null,
+        fetchProgress: async () => null,
+        calculateProgress: () => ({ typeLabel: 'QUOTE', showProgressBar: false }),
+        loadDrawer: async () => ({}),
+        renderDrawer: () => 'Nothing to show',
+        acceloUrl: (deployment, id) => `https://${deployment}.accelo.com/?action=view_quote&id=${id}`,
+        readLiveFigures: async (id, getRecord) => ({ loggedHours: (await getRecord(`quotes/${id}`, {})).response.hours })
+    });
+
+    const makeAcceloRequest = fakeAccelo({
+        quotes: query => idsIn(query).map(id => ({ id })),
+        activities: () => [],
+        'quotes/7': () => ({ id: '7', hours: 3 })
+    });
+    const liveUpdates = createLiveUpdates([{ type: 'quote', id: 7 }], makeAcceloRequest);
+    liveUpdates.lastPollAt = 0;
+
+    const changes = await liveUpdates.poll();
+    assert.deepEqual(changes, [{ key: 'quote_7', type: 'quote', id: '7', changes: { loggedHours: 3 } }]);
+    assert.deepEqual(await liveUpdates.resolveObjectKeys('quote', 7), ['quote_7']);
+});
+
+/**
+ * A browser's event stream: the request carries its cursor, the response collects the events written to it
+ */
+function connect(liveUpdates, cursor) {
+    const req = { headers: {}, query: cursor ? { cursor } : {}, on: (name, listener) => { req.close = listener; } };
+    const res = { output: '', writeHead: () => {}, write: chunk => { res.output += chunk; } };
+    liveUpdates.subscribe(req, res, 'dash');
+    res.events = () => [...res.output.matchAll(/id: (\S+)\nevent: (\S+)\ndata: (.*)\n\n/g)]
+        .map(([, id, name, data]) => ({ id, name, data: JSON.parse(data) }));
+    return { req, res };
+}
+
+test('a reconnecting browser gets the events it missed, or resync when they are gone', (t) => {
+    const liveUpdates = createLiveUpdates([{ type: 'project', id: 201 }, { type: 'issue', id: 801 }], fakeAccelo({}));
+    t.after(() => liveUpdates.stop());
+
+    liveUpdates.markStale(['project_201'], 'job.updated webhook');
+    const cursor = liveUpdates.cursor;
+    liveUpdates.markStale(['issue_801'], 'issue.updated webhook');
+
+    const resumed = connect(liveUpdates, cursor).res.events();
+    assert.deepEqual(resumed.map(event => event.name), ['changes', 'ready']);
+    assert.deepEqual(resumed[0].data.items, [{ key: 'issue_801', type: 'issue', id: '801', stale: true }]);
+
+    // A cursor from before a restart, or ahead of the server's sequence
+    const restarted = connect(liveUpdates, `old-${liveUpdates.sequence}`).res.events();
+    assert.deepEqual(restarted.map(event => event.name), ['resync', 'ready']);
+    assert.deepEqual(connect(liveUpdates, `${liveUpdates.bootId}-99`).res.events().map(event => event.name), ['resync', 'ready']);
+});
+
+test('a cursor older than the buffered events gets resync', (t) => {
+    const liveUpdates = createLiveUpdates([{ type: 'project', id: 201 }], fakeAccelo({}));
+    t.after(() => liveUpdates.stop());
+
+    const cursor = liveUpdates.cursor;
+    for (let i = 0; i < 201; i++) {
+        liveUpdates.publish('changes', { items: [{ key: 'project_201' }] });
+    }
+
+    assert.deepEqual(connect(liveUpdates, cursor).res.events().map(event => event.name), ['resync', 'ready']);
+});
+
+test('polls publish only the items whose figures moved', async (t) => {
+    let hours = 10;
+    const makeAcceloRequest = fakeAccelo({
+        jobs: query => idsIn(query).map(id => ({ id })),
+        activities: () => [],
+        'jobs/201': () => ({ id: '201', billable_seconds: hours * 3600, unbillable_seconds: 0 })
+    });
+    const liveUpdates = createLiveUpdates([{ type: 'project', id: 201 }], makeAcceloRequest);
+    const { res } = connect(liveUpdates);
+    t.after(() => liveUpdates.stop());
+    liveUpdates.lastPollAt = 0;
+
+    assert.equal((await liveUpdates.poll()).length, 1);
+    assert.deepEqual(await liveUpdates.poll(), []);
+
+    hours = 12;
+    const [change] = await liveUpdates.poll();
+    assert.equal(change.changes.loggedHours, 12);
+    assert.equal(res.events().filter(event => event.name === 'changes').length, 2);
+});
+
+test('too many changes to list means every watched item is re-read', async () => {
+    const makeAcceloRequest = fakeAccelo({
+        jobs: () => [],
+        contracts: () => [],
+        activities: () => Array.from({ length: 100 }, (_, i) => ({ id: String(i), against_type: 'job', against_id: '999' }))
+    });
+    const liveUpdates = createLiveUpdates([{ type: 'project', id: 201 }, { type: 'agreement', id: 501 }], makeAcceloRequest);
+
+    const changed = await liveUpdates.findChangedKeys(API_SETTINGS, liveUpdates.watchedKeys(), 0);
+    assert.deepEqual([...changed].sort(), ['agreement_501', 'project_201']);
+});
+
+test('stale marks are published for items on a dashboard only', (t) => {
+    const liveUpdates = createLiveUpdates([{ type: 'project', id: 201 }], fakeAccelo({}));
+    const { res } = connect(liveUpdates);
+    t.after(() => liveUpdates.stop());
+
+    assert.deepEqual(liveUpdates.markStale(['project_999'], 'job.updated webhook'), []);
+    assert.deepEqual(liveUpdates.markStale(['project_201', 'project_999'], 'job.updated webhook'), ['project_201']);
+
+    const changes = res.events().filter(event => event.name === 'changes');
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].data.reason, 'job.updated webhook');
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { AcceloQueryError } = require('../lib/accelo-queries');
+const { FileDashboardStore } = require('../lib/dashboard-store');
+const { PROTOCOL_VERSIONS, McpServer, createMcpTools, serveStdio, createMcpHttpHandler } = require('../lib/mcp-server');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accelo-mcp-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Stand-ins for the Accelo lookups; the real ones are covered through the chat routes
+const queries = {
+    listCompanies: async ({ search, limit }) => ({ success: true, companies: [{ id: 101, name: 'Northwind Traders' }], meta: { search, limit } }),
+    getCompany: async () => {
+        throw new AcceloQueryError({ error: 'Company not found', message: 'No company with ID 999', action: 'Search companies first' }, 404);
+    },
+    getProject: async () => {
+        throw new Error('socket hang up');
+    },
+    getAgreement: async id => ({ success: true, agreement: { id } })
+};
+
+function createServer() {
+    const dashboardStore = new FileDashboardStore({ dir });
+    return new McpServer({ tools: createMcpTools({ queries, dashboardStore }) });
+}
+
+function call(server, method, params, id = 1) {
+    return server.handlePayload({ jsonrpc: '2.0', id, method, params });
+}
+
+function toolBody(response) {
+    return JSON.parse(response.result.content[0].text);
+}
+
+test('initialize answers with the client\'s protocol version when supported, otherwise the newest', async () => {
+    const server = createServer();
+
+    const older = await call(server, 'initialize', { protocolVersion: '2024-11-05', clientInfo: { name: 'test' } });
+    assert.equal(older.result.protocolVersion, '2024-11-05');
+    assert.equal(older.result.serverInfo.name, 'accelo-prototype-dashboard');
+    assert.deepEqual(older.result.capabilities, { tools: { listChanged: false } });
+
+    const unknown = await call(server, 'initialize', { protocolVersion: '1999-01-01' });
+    assert.equal(unknown.result.protocolVersion, PROTOCOL_VERSIONS[0]);
+});
+
+test('tools are listed with their input schemas', async () => {
+    const { result } = await call(createServer(), 'tools/list');
+
+    assert.deepEqual(result.tools.map(tool => tool.name),
+        ['search_companies', 'get_company', 'get_project', 'get_agreement_usage', 'list_dashboards']);
+    assert.deepEqual(result.tools[1].inputSchema.required, ['id']);
+    assert.equal(result.tools[0].handler, undefined);
+});
+
+test('tools/call returns the lookup as JSON text', async () => {
+    const response = await call(createServer(), 'tools/call', { name: 'search_companies', arguments: { search: 'north' } });
+
+    assert.equal(response.result.isError, false);
+    assert.equal(response.result.content[0].type, 'text');
+    assert.deepEqual(toolBody(response).meta, { search: 'north', limit: 10 });
+});
+
+test('failed tool calls are isError results with an error, message and action', async () => {
+    const server = createServer();
+
+    const invalid = await call(server, 'tools/call', { name: 'get_company', arguments: { id: 'abc' } });
+    assert.equal(invalid.result.isError, true);
+    assert.deepEqual(toolBody(invalid), {
+        error: 'Invalid tool arguments',
+        message: 'Argument "id" must be an integer',
+        action: 'Check the arguments against the get_company input schema'
+    });
+
+    const notFound = await call(server, 'tools/call', { name: 'get_company', arguments: { id: 999 } });
+    assert.equal(notFound.result.isError, true);
+    assert.equal(toolBody(notFound).error, 'Company not found');
+
+    const failed = await call(server, 'tools/call', { name: 'get_project', arguments: { id: 201 } });
+    assert.equal(failed.result.isError, true);
+    assert.deepEqual(Object.keys(toolBody(failed)), ['error', 'message', 'action']);
+    assert.equal(toolBody(failed).message, 'socket hang up');
+});
+
+test('protocol errors use the JSON-RPC error codes', async () => {
+    const server = createServer();
+
+    assert.deepEqual(await server.handleText('{ not json'), { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    assert.equal((await server.handlePayload({ id: 4, method: 'ping' })).error.code, -32600);
+    assert.equal((await server.handlePayload([])).error.code, -32600);
+    assert.deepEqual((await call(server, 'resources/list', {}, 5)).error, { code: -32601, message: 'Method not found: resources/list' });
+    assert.deepEqual((await call(server, 'tools/call', { name: 'delete_everything' }, 6)).error, { code: -32602, message: 'Unknown tool: delete_everything' });
+});
+
+test('notifications get no response and batches answer each request', async () => {
+    const server = createServer();
+
+    assert.equal(await server.handlePayload({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+
+    const responses = await server.handlePayload([
+        { jsonrpc: '2.0', id: 'a', method: 'ping' },
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        { jsonrpc: '2.0', id: 'b', method: 'ping' }
+    ]);
+    assert.deepEqual(responses, [{ jsonrpc: '2.0', id: 'a', result: {} }, { jsonrpc: '2.0', id: 'b', result: {} }]);
+});
+
+test('list_dashboards shows dashboards created by another process after it started', async () => {
+    const server = createServer();
+    const listed = async () => toolBody(await call(server, 'tools/call', { name: 'list_dashboards', arguments: {} })).dashboards;
+    assert.deepEqual(await listed(), []);
+
+    // server.js has its own store over the same directory
+    new FileDashboardStore({ dir }).create({ name: 'Created Later' });
+
+    assert.deepEqual((await listed()).map(dashboard => dashboard.name), ['Created Later']);
+});
+
+test('stdio answers newline-delimited messages in order', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const done = serveStdio(createServer(), { input, output });
+
+    input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n\n');
+    input.write('{"jsonrpc":"2.0","method":"notifications/initialized"}\n');
+    input.end('{"jsonrpc":"2.0","id":2,"method":"tools/list"}\n');
+    await done;
+
+    const lines = output.read().toString().trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.id), [1, 2]);
+    assert.equal(lines[1].result.tools.length, 5);
+});
+
+test('the HTTP endpoint accepts POSTs from non-browser clients and local pages, and refuses other origins', async (t) => {
+    const app = express();
+    app.use(express.json());
+    app.all('/mcp', createMcpHttpHandler(createServer(), { allowedOrigins: ['https://tools.example.com'] }));
+    const listener = await new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+    t.after(() => listener.close());
+    const url = `http://127.0.0.1:${listener.address().port}/mcp`;
+
+    const post = (body, headers = {}) => fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    const ping = { jsonrpc: '2.0', id: 1, method: 'ping' };
+
+    assert.deepEqual(await (await post(ping)).json(), { jsonrpc: '2.0', id: 1, result: {} });
+    assert.equal((await post(ping, { Origin: 'http://localhost:3000' })).status, 200);
+    assert.equal((await post(ping, { Origin: 'https://tools.example.com' })).status, 200);
+
+    const rebound = await post(ping, { Origin: 'http://attacker.example' });
+    assert.equal(rebound.status, 403);
+    assert.equal((await rebound.json()).error, 'Origin not allowed');
+
+    assert.equal((await post({ jsonrpc: '2.0', method: 'notifications/initialized' })).status, 202);
+    assert.equal((await fetch(url)).status, 405);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+let RefreshManager;
+test.before(async () => {
+    ({ default: RefreshManager } = await import('../src/managers/refresh-manager.js'));
+});
+
+const MINUTE = 60 * 1000;
+
+/**
+ * A RefreshManager on a dashboard refreshing every 5 minutes, whose refreshes fail the given number of items in turn
+ * Timers are mocked; the page has no navbar elements
+ */
+function createRefreshManager(t, failures = []) {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: 60 * MINUTE });
+    const listeners = {};
+    globalThis.document = {
+        hidden: false,
+        addEventListener: (name, listener) => { listeners[name] = listener; },
+        removeEventListener: () => {},
+        getElementById: () => null,
+        querySelector: () => null
+    };
+    globalThis.window = { dashboardManager: { getDashboardSettings: () => ({ autoRefreshMinutes: 5 }) } };
+
+    const dashboard = {
+        currentDashboardId: 'dash',
+        dashboardData: [],
+        lastRefreshed: new Date(0).toISOString(),
+        refreshes: 0,
+        dataManager: {
+            refreshDashboardData: async () => {
+                dashboard.refreshes++;
+                const failed = failures.shift() || 0;
+                if (failed < 10) {
+                    dashboard.lastRefreshed = new Date(Date.now()).toISOString();
+                }
+                return { total: 10, failed };
+            }
+        }
+    };
+    const manager = new RefreshManager(dashboard);
+    manager.init();
+
+    t.after(() => {
+        manager.cleanup();
+        delete globalThis.document;
+        delete globalThis.window;
+    });
+    const setHidden = hidden => {
+        globalThis.document.hidden = hidden;
+        listeners.visibilitychange();
+    };
+    return { manager, dashboard, setHidden };
+}
+
+/**
+ * Move the mocked clock on and let the refresh it started finish
+ */
+async function advance(t, ms) {
+    t.mock.timers.tick(ms);
+    for (let i = 0; i < 5; i++) {
+        await Promise.resolve();
+    }
+}
+
+test('refreshes run on the dashboard\'s interval from the last refresh', async (t) => {
+    const { manager, dashboard } = createRefreshManager(t);
+    await advance(t, 0);
+    assert.equal(dashboard.refreshes, 1, 'overdue since the last refresh');
+
+    await advance(t, 5 * MINUTE - 1);
+    assert.equal(dashboard.refreshes, 1);
+    await advance(t, 1);
+    assert.equal(dashboard.refreshes, 2);
+    assert.equal(manager.failures, 0);
+});
+
+test('failed refreshes back off, doubling the interval up to an hour', async (t) => {
+    const { manager, dashboard } = createRefreshManager(t, [10, 10, 10, 10, 10, 0]);
+    await advance(t, 0);
+    assert.equal(manager.failures, 1);
+
+    for (const [wait, failures] of [[10, 2], [20, 3], [40, 4], [60, 5]]) {
+        await advance(t, wait * MINUTE - 1);
+        assert.equal(manager.failures, failures - 1, `still waiting ${wait} min`);
+        await advance(t, 1);
+        assert.equal(manager.failures, failures);
+    }
+
+    // The hour cap holds, and a successful refresh goes back to the interval
+    await advance(t, 60 * MINUTE);
+    assert.equal(dashboard.refreshes, 6);
+    assert.equal(manager.failures, 0);
+    assert.equal(manager.nextRefreshAt - Date.now(), 5 * MINUTE);
+});
+
+test('a refresh due while the tab is hidden waits until it is visible again', async (t) => {
+    const { manager, dashboard, setHidden } = createRefreshManager(t);
+    await advance(t, 0);
+
+    setHidden(true);
+    await advance(t, 5 * MINUTE);
+    assert.equal(dashboard.refreshes, 1);
+    assert.equal(manager.pendingWhileHidden, true);
+
+    // Nothing more is scheduled while waiting
+    await advance(t, 30 * MINUTE);
+    assert.equal(dashboard.refreshes, 1);
+
+    setHidden(false);
+    await advance(t, 0);
+    assert.equal(dashboard.refreshes, 2);
+    assert.equal(manager.pendingWhileHidden, false);
+    assert.equal(manager.nextRefreshAt - Date.now(), 5 * MINUTE);
+});
+
+test('showing the tab again does not refresh when nothing was due', async (t) => {
+    const { dashboard, setHidden } = createRefreshManager(t);
+    await advance(t, 0);
+
+    setHidden(true);
+    await advance(t, MINUTE);
+    setHidden(false);
+    await advance(t, 0);
+    assert.equal(dashboard.refreshes, 1);
+});
@@ -0,0 +1,231 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Forecast = require('../src/forecast');
+const ItemTypes = require('../src/item-types');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let RenderManager;
+let FilterManager;
+test.before(async () => {
+    globalThis.Forecast = Forecast;
+    globalThis.ItemTypes = ItemTypes;
+    ({ default: RenderManager } = await import('../src/managers/render-manager.js'));
+    ({ default: FilterManager } = await import('../src/managers/filter-manager.js'));
+});
+
+function createRenderManager(dashboardData = []) {
+    return new RenderManager({ dashboardData, companyOrder: [] });
+}
+
+function project(hours, fields = {}) {
+    return { id: 1, type: 'project', title: 'Website', hours, ...fields };
+}
+
+function agreement(usage, fields = {}) {
+    return { id: 2, type: 'agreement', title: 'Retainer', usage, ...fields };
+}
+
+function issue(usage, fields = {}) {
+    return { id: 3, type: 'issue', title: 'Checkout errors', usage, ...fields };
+}
+
+test('item type comes from the explicit type, then from job or contract fields', () => {
+    const renderManager = createRenderManager();
+    assert.equal(renderManager.getItemType({ type: 'project' }), 'project');
+    assert.equal(renderManager.getItemType({ type: 'issue', date_due: '1700000000' }), 'issue');
+    assert.equal(renderManager.getItemType({ type: 'contract' }), 'agreement');
+    assert.equal(renderManager.getItemType({ billable_seconds: '0' }), 'project');
+    assert.equal(renderManager.getItemType({ retainer_type: 'time' }), 'agreement');
+    assert.equal(renderManager.getItemType({ status: 'active' }), 'project');
+    assert.equal(renderManager.getItemType({}), 'agreement');
+});
+
+test('project progress compares billable plus non-billable hours with the budget', () => {
+    const progress = createRenderManager().calculateProgress(project({ billableHours: 30, nonBillableHours: 10, budgetHours: 80 }));
+
+    assert.equal(progress.typeLabel, 'PROJECT');
+    assert.equal(progress.loggedHours, 40);
+    assert.equal(progress.totalHours, 80);
+    assert.equal(progress.percentage, 50);
+    assert.equal(progress.remainingHours, 40);
+    assert.equal(progress.statusClass, 'status-success');
+    assert.equal(progress.showProgressBar, true);
+    assert.equal(progress.periodEnd, null);
+});
+
+test('progress status turns warning at 75% and danger over 100%', () => {
+    const renderManager = createRenderManager();
+
+    const warning = renderManager.calculateProgress(project({ billableHours: 75, nonBillableHours: 0, budgetHours: 100 }));
+    assert.equal(warning.progressStatus, 'warning');
+    assert.equal(warning.statusClass, 'status-warning');
+
+    const over = renderManager.calculateProgress(project({ billableHours: 110, nonBillableHours: 5, budgetHours: 100 }));
+    assert.equal(over.progressStatus, 'danger');
+    assert.equal(over.isOverBudget, true);
+    assert.equal(over.overBudgetHours, 15);
+    assert.equal(over.remainingHours, 0);
+});
+
+test('a project without a budget shows time worked and no progress bar', () => {
+    const progress = createRenderManager().calculateProgress(project({ billableHours: 12, nonBillableHours: 3, budgetHours: null }));
+
+    assert.equal(progress.loggedHours, 15);
+    assert.equal(progress.totalHours, 0);
+    assert.equal(progress.percentage, 0);
+    assert.equal(progress.showProgressBar, false);
+    assert.equal(progress.budgetType, 'none');
+    assert.equal(progress.statusClass, '');
+});
+
+test('a project whose hours have not loaded counts as no time logged', () => {
+    const progress = createRenderManager().calculateProgress(project(null));
+    assert.equal(progress.loggedHours, 0);
+    assert.equal(progress.showProgressBar, false);
+});
+
+test('time budget agreements use time used against the allowance', () => {
+    const progress = createRenderManager().calculateProgress(agreement({
+        budgetType: 'time',
+        timeUsed: 18,
+        timeAllowance: 20,
+        periodStart: '2024-06-01',
+        periodEnd: '2024-06-30'
+    }));
+
+    assert.equal(progress.typeLabel, 'AGREEMENT | TIME BUDGET');
+    assert.equal(progress.percentage, 90);
+    assert.equal(progress.statusClass, 'status-warning');
+    assert.equal(progress.periodStart, '2024-06-01');
+    assert.equal(progress.periodEnd, '2024-06-30');
+});
+
+test('value budget agreements use value used against the allowance', () => {
+    const progress = createRenderManager().calculateProgress(agreement({ budgetType: 'value', valueUsed: 3850, valueAllowance: 5000 }));
+
+    assert.equal(progress.typeLabel, 'AGREEMENT | VALUE BUDGET');
+    assert.equal(progress.loggedValue, 3850);
+    assert.equal(progress.totalValue, 5000);
+    assert.equal(progress.percentage, 77);
+    assert.equal(progress.loggedHours, 0);
+});
+
+test('agreements without a budget show time worked only', () => {
+    const renderManager = createRenderManager();
+
+    const none = renderManager.calculateProgress(agreement({ budgetType: 'none', timeUsed: 9 }));
+    assert.equal(none.typeLabel, 'AGREEMENT');
+    assert.equal(none.loggedHours, 9);
+    assert.equal(none.showProgressBar, false);
+
+    const notLoaded = renderManager.calculateProgress(agreement(null));
+    assert.equal(notLoaded.budgetType, 'none');
+    assert.equal(notLoaded.loggedHours, 0);
+});
+
+test('issues compare logged time with their budget and have no period', () => {
+    const renderManager = createRenderManager();
+
+    const budgeted = renderManager.calculateProgress(issue({ budgetType: 'time', timeUsed: 3, timeAllowance: 2, status: 'Open' }));
+    assert.equal(budgeted.typeLabel, 'ISSUE | OPEN');
+    assert.equal(budgeted.type, 'issue');
+    assert.equal(budgeted.percentage, 150);
+    assert.equal(budgeted.overBudgetHours, 1);
+    assert.equal(budgeted.statusClass, 'status-danger');
+    assert.equal(budgeted.periodEnd, null);
+
+    const unbudgeted = renderManager.calculateProgress(issue({ budgetType: 'none', timeUsed: 1.5 }));
+    assert.equal(unbudgeted.typeLabel, 'ISSUE');
+    assert.equal(unbudgeted.loggedHours, 1.5);
+    assert.equal(unbudgeted.showProgressBar, false);
+});
+
+test('the SLA countdown runs to the due date and stops once resolved', () => {
+    const renderManager = createRenderManager();
+    const now = Date.UTC(2024, 5, 10, 12);
+    const at = (offsetMs) => new Date(now + offsetMs).toISOString();
+    const HOUR_MS = 60 * 60 * 1000;
+
+    assert.equal(renderManager.getSlaCountdown({ slaDue: null }, now), null);
+    assert.deepEqual(renderManager.getSlaCountdown({ slaDue: at(2 * DAY_MS + 5 * HOUR_MS) }, now),
+        { status: 'on-track', label: 'SLA due in 2d 5h' });
+    assert.deepEqual(renderManager.getSlaCountdown({ slaDue: at(3 * HOUR_MS + 12 * 60000) }, now),
+        { status: 'due-soon', label: 'SLA due in 3h 12m' });
+    assert.deepEqual(renderManager.getSlaCountdown({ slaDue: at(-2 * HOUR_MS) }, now),
+        { status: 'breached', label: 'SLA breached 2h 0m ago' });
+    assert.equal(renderManager.getSlaCountdown({ slaDue: at(-HOUR_MS), resolvedAt: at(-2 * HOUR_MS) }, now).label, 'Resolved within SLA');
+    assert.equal(renderManager.getSlaCountdown({ slaDue: at(-2 * HOUR_MS), resolvedAt: at(-HOUR_MS) }, now).status, 'resolved');
+});
+
+test('a forecast needs a measured burn rate', () => {
+    const renderManager = createRenderManager();
+    const item = agreement({ budgetType: 'time', timeUsed: 10, timeAllowance: 20, periodEnd: '2024-06-30' });
+
+    assert.equal(renderManager.getForecast(item), null);
+
+    const now = Date.UTC(2024, 5, 10);
+    const forecast = renderManager.getForecast({ ...item, burnRate: { windowDays: 14, windowHours: 28, hoursPerDay: 2, entryCount: 10 } }, now);
+    assert.ok(forecast);
+    assert.equal(forecast.exhaustsOn, new Date(now + 5 * DAY_MS).toISOString().slice(0, 10));
+});
+
+test('Accelo links use the deployment from the API client', () => {
+    const renderManager = createRenderManager();
+    globalThis.window = {};
+    assert.equal(renderManager.createAcceloUrl(5, 'project'), '#');
+
+    globalThis.window = { acceloAPI: { deployment: 'acme' } };
+    assert.equal(renderManager.createAcceloUrl(5, 'project'), 'https://acme.accelo.com/app/projects/5?tab=Overview');
+    assert.match(renderManager.createAcceloUrl(7, 'agreement'), /^https:\/\/acme\.accelo\.com\/\?action=view_contract&id=7/);
+    assert.equal(renderManager.createAcceloUrl(9, 'issue'), 'https://acme.accelo.com/?action=view_issue&id=9');
+    delete globalThis.window;
+});
+
+test('items are grouped by company in dashboard order', () => {
+    const renderManager = createRenderManager([
+        { id: 1, type: 'project', company_id: '10', company_name: 'Northwind' },
+        { id: 2, type: 'agreement', company_info: { id: '20', name: 'Globex' } },
+        { id: 3, type: 'project', company_id: '10', company_name: 'Northwind' },
+        { id: 4, type: 'project' }
+    ]);
+
+    const companies = renderManager.groupItemsByCompany();
+    assert.deepEqual(Object.keys(companies), ['10', '20', 'unknown']);
+    assert.deepEqual(companies['10'].items.map(item => item.id), [1, 3]);
+    assert.equal(companies['20'].company.name, 'Globex');
+    assert.equal(companies.unknown.company.name, 'Unknown Company');
+});
+
+test('updates that reorder a sorted view or change what a filter shows re-render the dashboard', () => {
+    const website = project({ billableHours: 50, nonBillableHours: 0, budgetHours: 100 }, { id: 1, company_id: '10' });
+    const migration = project({ billableHours: 90, nonBillableHours: 0, budgetHours: 100 }, { id: 2, company_id: '10' });
+    const dashboard = { dashboardData: [website, migration], companyOrder: ['10'] };
+    dashboard.renderManager = new RenderManager(dashboard);
+    dashboard.filterManager = new FilterManager(dashboard);
+    dashboard.filterManager.filters.sort = 'percentage';
+    const renderManager = dashboard.renderManager;
+
+    let rendered = 0;
+    renderManager.renderDashboard = () => rendered++;
+    const blocks = ids => ids.map(id => ({ dataset: { itemType: 'project', itemId: String(id) } }));
+    globalThis.document = { querySelectorAll: () => blocks([2, 1]) };
+    try {
+        assert.equal(renderManager.isLayoutCurrent(), true);
+
+        // Website is now the most used, so it moves ahead of the migration
+        website.hours.billableHours = 95;
+        assert.equal(renderManager.isLayoutCurrent(), false);
+        renderManager.updateProgressBlocks([website]);
+        assert.equal(rendered, 1);
+
+        // A filtered out item that now matches appears
+        dashboard.filterManager.filters = { ...dashboard.filterManager.filters, sort: '', status: 'over' };
+        globalThis.document = { querySelectorAll: () => blocks([]) };
+        migration.hours.billableHours = 120;
+        renderManager.updateProgressBlocks([migration]);
+        assert.equal(rendered, 2);
+    } finally {
+        delete globalThis.document;
+    }
+});
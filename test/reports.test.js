@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AgreementUsage = require('../src/agreement-usage');
+const Forecast = require('../src/forecast');
+const ItemTypes = require('../src/item-types');
+const { startTestServer } = require('./helpers/test-server');
+const { createFetch, loadScript } = require('./helpers/browser');
+
+let server;
+let reportsPage;
+
+// Every project, agreement and issue of the mock Accelo, as a dashboard holds them
+const COMPANIES = { 101: 'Northwind Traders', 102: 'Globex Corporation', 103: 'Initech' };
+const ITEMS = [
+    ['project', 201, 101], ['project', 202, 101], ['project', 203, 102], ['project', 204, 103], ['project', 205, 103],
+    ['agreement', 501, 101], ['agreement', 502, 102], ['agreement', 503, 103],
+    ['issue', 801, 101], ['issue', 802, 101], ['issue', 803, 102], ['issue', 804, 103]
+];
+
+test.before(async () => {
+    server = await startTestServer();
+    await server.connect();
+
+    const api = loadScript('api-client.js', { fetch: createFetch(server.url), AgreementUsage, Forecast, ItemTypes }).window.acceloAPI;
+    await api.init();
+
+    globalThis.ItemTypes = ItemTypes;
+    globalThis.Forecast = Forecast;
+    globalThis.window = { acceloAPI: api };
+    globalThis.document = { addEventListener: () => {} };
+    await import('../src/reports.js');
+    reportsPage = window.reportsPage;
+
+    reportsPage.items = await Promise.all(ITEMS.map(([type, id, companyId]) =>
+        ItemTypes.fetchItem(type, id, { id: String(companyId), name: COMPANIES[companyId] }, api)));
+});
+
+test.after(() => {
+    server.close();
+    delete globalThis.window;
+    delete globalThis.document;
+});
+
+test.afterEach(() => {
+    reportsPage.filters = { company: '', from: '', to: '', expiringDays: 30 };
+});
+
+test('hours by company add up each type\'s logged hours, leaving out value budget agreements', () => {
+    const hours = reportsPage.buildReports().hoursByCompany;
+
+    assert.deepEqual(hours.map(entry => [entry.company, entry.items, { ...entry.hours }, entry.totalHours]), [
+        ['Northwind Traders', 5, { project: 79, agreement: 15, issue: 5.5 }, 99.5],
+        ['Globex Corporation', 3, { project: 36, agreement: 0, issue: 1.5 }, 37.5],
+        ['Initech', 4, { project: 28, agreement: 9, issue: 0 }, 37]
+    ]);
+});
+
+test('over budget and nearing allowance reports hold the items past and close to their budgets', () => {
+    const { overBudget, nearing } = reportsPage.buildReports();
+
+    // Most over first
+    assert.deepEqual(overBudget.map(row => [row.item.type, row.item.id, row.progress.overBudgetHours]), [
+        ['issue', '802', 1],
+        ['project', '204', 4]
+    ]);
+    // Time and value budgets alike, from 75%
+    assert.deepEqual(nearing.map(row => [row.item.id, row.progress.budgetType, row.progress.percentage]), [
+        ['502', 'value', 77],
+        ['501', 'time', 75]
+    ]);
+});
+
+test('billable ratios count project and issue time, not agreement usage', () => {
+    const ratios = reportsPage.buildReports().billableRatio;
+
+    assert.deepEqual(ratios.map(entry => [entry.company, entry.billableHours, entry.nonBillableHours, Math.round(entry.ratio)]), [
+        ['Northwind Traders', 75.5, 9, 89],
+        ['Globex Corporation', 33, 4.5, 88],
+        ['Initech', 28, 0, 100]
+    ]);
+});
+
+test('the company filter limits every report', () => {
+    reportsPage.filters.company = '102';
+    const reports = reportsPage.buildReports();
+
+    assert.deepEqual(reports.hoursByCompany.map(entry => entry.company), ['Globex Corporation']);
+    assert.deepEqual(reports.billableRatio.map(entry => [entry.billableHours, entry.nonBillableHours]), [[33, 4.5]]);
+    assert.deepEqual(reports.overBudget, []);
+    assert.deepEqual(reports.nearing.map(row => row.item.id), ['502']);
+});
+
+test('expiring agreements are those ending within the chosen number of days', () => {
+    assert.deepEqual(reportsPage.buildReports().expiring, []);
+
+    reportsPage.filters.expiringDays = 290;
+    assert.deepEqual(reportsPage.buildReports().expiring.map(row => [row.item.id, row.daysLeft]), [['501', 245], ['502', 285]]);
+});
@@ -0,0 +1,436 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signPayload } = require('../lib/webhooks');
+const { startTestServer } = require('./helpers/test-server');
+
+let server;
+let settings;
+
+test.before(async () => {
+    server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+const json = (method, body) => ({ method, body });
+
+/**
+ * Read a Server-Sent Events stream until an event arrives
+ * @returns {Promise<{event: string, id: string, data: *}>}
+ */
+async function readEvent(route, eventName) {
+    const controller = new AbortController();
+    const response = await fetch(`${server.url}${route}`, { signal: controller.signal });
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+            for (const message of messages) {
+                const fields = Object.fromEntries(message.split('\n')
+                    .filter(line => line && !line.startsWith(':'))
+                    .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+                if (fields.event === eventName) {
+                    return { event: fields.event, id: fields.id, data: JSON.parse(fields.data) };
+                }
+            }
+        }
+    } finally {
+        controller.abort();
+    }
+    throw new Error(`Stream ended before a "${eventName}" event`);
+}
+
+function postWebhook(payload, secret = server.webhookSecret) {
+    const raw = JSON.stringify(payload);
+    return server.request('/api/webhooks/accelo', {
+        method: 'POST',
+        body: raw,
+        headers: { 'X-Hub-Signature-256': signPayload(raw, secret) }
+    });
+}
+
+test('settings and connection', async (t) => {
+    await t.test('GET /api/settings is 404 before connecting', async () => {
+        const { status } = await server.request('/api/settings');
+        assert.equal(status, 404);
+    });
+
+    await t.test('POST /api/auth/connect needs all three credentials', async () => {
+        const { status, body } = await server.request('/api/auth/connect', json('POST', { deployment: 'demo' }));
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Connection failed');
+        assert.ok(body.action);
+    });
+
+    await t.test('POST /api/auth/connect exchanges credentials for a token', async () => {
+        settings = await server.connect();
+        assert.equal(settings.deployment, 'demo');
+        assert.equal(settings.userName, 'Sam Rivera');
+        assert.match(settings.accessToken, /^mock-/);
+        assert.equal(settings.clientSecret, undefined);
+    });
+
+    await t.test('GET /api/settings never returns the client secret', async () => {
+        const { status, body } = await server.request('/api/settings');
+        assert.equal(status, 200);
+        assert.equal(body.accessToken, settings.accessToken);
+        assert.equal(body.clientSecret, undefined);
+    });
+
+    await t.test('POST /api/auth/connect refuses a deployment that is not a subdomain', async () => {
+        const { status, body } = await server.request('/api/auth/connect', json('POST', {
+            deployment: 'x@evil.com#', clientId: 'id', clientSecret: 'secret'
+        }));
+        assert.equal(status, 400);
+        assert.match(body.message, /Invalid deployment name/);
+    });
+
+    await t.test('POST /api/settings updates the stored settings', async () => {
+        const { body } = await server.request('/api/settings', json('POST', { ...settings, userEmail: 'changed@example.com' }));
+        assert.equal(body.success, true);
+        assert.equal((await server.request('/api/settings')).body.userEmail, 'changed@example.com');
+    });
+
+    await t.test('POST /api/settings keeps the credentials and token it does not let the browser change', async () => {
+        const { status } = await server.request('/api/settings', json('POST', {
+            userName: 'Alex Chen', deployment: 'other', accessToken: 'forged', clientSecret: 'replaced'
+        }));
+        assert.equal(status, 200);
+
+        const stored = (await server.request('/api/settings')).body;
+        assert.equal(stored.userName, 'Alex Chen');
+        assert.equal(stored.deployment, 'demo');
+        assert.equal(stored.accessToken, settings.accessToken);
+        assert.equal(stored.autoRenew, true);
+
+        const rejected = await server.request('/api/settings', json('POST', { clientSecret: 'replaced' }));
+        assert.equal(rejected.status, 400);
+    });
+
+    await t.test('POST /api/settings with an empty body clears them', async () => {
+        await server.request('/api/settings', json('POST', {}));
+        assert.equal((await server.request('/api/settings')).status, 404);
+
+        // Reconnect so the client credentials are stored again for renewal
+        settings = await server.connect();
+    });
+});
+
+test('ALL /api/proxy', async (t) => {
+    const proxy = (target, headers = {}) => server.request('/api/proxy', {
+        headers: { 'X-Target-URL': target, Authorization: `Bearer ${settings.accessToken}`, ...headers }
+    });
+
+    await t.test('answers CORS preflight requests', async () => {
+        const { status, headers } = await server.request('/api/proxy', { method: 'OPTIONS' });
+        assert.equal(status, 200);
+        assert.match(headers.get('access-control-allow-headers'), /X-Target-URL/);
+    });
+
+    await t.test('needs a target URL on an Accelo host', async () => {
+        assert.equal((await server.request('/api/proxy')).status, 400);
+        assert.equal((await proxy('not a url')).status, 400);
+        assert.equal((await proxy('https://example.com/api/v0/companies')).status, 403);
+    });
+
+    await t.test('forwards _fields, _filters, _search, _limit and _offset', async () => {
+        const filtered = await proxy('https://demo.api.accelo.com/api/v0/jobs?_filters=against_type(company),against_id(101)&_fields=id,title');
+        assert.equal(filtered.status, 200);
+        assert.deepEqual(filtered.body.response, [
+            { id: '201', title: 'Northwind Website Redesign' },
+            { id: '202', title: 'Northwind Mobile App' }
+        ]);
+
+        const searched = await proxy('https://demo.api.accelo.com/api/v0/contracts?_search=retainer&_fields=id');
+        assert.deepEqual(searched.body.response, [{ id: '501' }]);
+
+        const secondPage = await proxy('https://demo.api.accelo.com/api/v0/companies?_fields=name&_limit=2&_offset=1');
+        assert.deepEqual(secondPage.body.response, [{ id: '103', name: 'Initech' }]);
+    });
+
+    await t.test('passes Accelo errors through', async () => {
+        const { status, body } = await proxy('https://demo.api.accelo.com/api/v0/jobs/999');
+        assert.equal(status, 404);
+        assert.equal(body.meta.status, 'not_found');
+    });
+
+    await t.test('renews a rejected token and retries once', async () => {
+        const { status, headers, body } = await proxy('https://demo.api.accelo.com/api/v0/companies/101?_fields=name', {
+            Authorization: 'Bearer revoked-token'
+        });
+        assert.equal(status, 200);
+        assert.equal(headers.get('x-accelo-token-renewed'), 'true');
+        assert.equal(body.response.name, 'Northwind Traders');
+
+        settings = (await server.request('/api/settings')).body;
+    });
+});
+
+test('dashboards', async (t) => {
+    let dashboard;
+
+    await t.test('POST /api/dashboards creates a dashboard', async () => {
+        const { status, body } = await server.request('/api/dashboards', json('POST', { name: 'Routes' }));
+        assert.equal(status, 201);
+        assert.equal(body.name, 'Routes');
+        dashboard = body;
+    });
+
+    await t.test('GET /api/dashboards lists dashboards', async () => {
+        const { body } = await server.request('/api/dashboards');
+        assert.ok(body.dashboards.some(entry => entry.id === dashboard.id));
+    });
+
+    await t.test('GET /api/dashboards/:id reads one, or 404', async () => {
+        assert.equal((await server.request(`/api/dashboards/${dashboard.id}`)).body.name, 'Routes');
+        assert.equal((await server.request('/api/dashboards/missing')).status, 404);
+    });
+
+    await t.test('PATCH /api/dashboards/:id renames and changes settings', async () => {
+        const { body } = await server.request(`/api/dashboards/${dashboard.id}`, json('PATCH', {
+            name: 'Route Tests',
+            settings: { autoRefreshMinutes: 5 }
+        }));
+        assert.equal(body.name, 'Route Tests');
+        assert.equal(body.settings.autoRefreshMinutes, 5);
+    });
+
+    await t.test('PUT /api/dashboards updates metadata in bulk', async () => {
+        const { body: listed } = await server.request('/api/dashboards');
+        const updated = listed.dashboards.map(entry => (entry.id === dashboard.id ? { ...entry, name: 'Bulk Renamed' } : entry));
+        const { status, body } = await server.request('/api/dashboards', json('PUT', { dashboards: updated }));
+        assert.equal(status, 200);
+        assert.equal(body.dashboards.find(entry => entry.id === dashboard.id).name, 'Bulk Renamed');
+    });
+
+    await t.test('PUT and GET /api/dashboards/:id/data save and load the data', async () => {
+        const data = {
+            dashboardData: [
+                { id: '201', type: 'project', company_id: '101', syncedAt: new Date().toISOString() },
+                { id: '501', type: 'agreement', company_id: '101', syncedAt: new Date().toISOString() }
+            ],
+            companyOrder: ['101'],
+            companyColors: {}
+        };
+        const saved = await server.request(`/api/dashboards/${dashboard.id}/data`, json('PUT', data));
+        assert.equal(saved.status, 200);
+        assert.equal(saved.body.itemCount, 2);
+
+        const { body } = await server.request(`/api/dashboards/${dashboard.id}/data`);
+        assert.deepEqual(body.dashboardData.map(item => item.id), ['201', '501']);
+    });
+
+    await t.test('PUT /api/dashboards/:id/data with a stale If-Match is refused', async () => {
+        const { headers, body } = await server.request(`/api/dashboards/${dashboard.id}/data`);
+        const etag = headers.get('etag');
+        assert.equal(etag, `"${body.revision}"`);
+
+        const saved = await server.request(`/api/dashboards/${dashboard.id}/data`, {
+            ...json('PUT', body),
+            headers: { 'If-Match': etag }
+        });
+        assert.equal(saved.status, 200);
+        assert.equal(saved.body.revision, body.revision + 1);
+
+        const stale = await server.request(`/api/dashboards/${dashboard.id}/data`, {
+            ...json('PUT', { dashboardData: [] }),
+            headers: { 'If-Match': etag }
+        });
+        assert.equal(stale.status, 409);
+        assert.equal((await server.request(`/api/dashboards/${dashboard.id}/data`)).body.dashboardData.length, 2);
+    });
+
+    await t.test('PATCH merges settings and PUT /api/dashboards leaves them alone', async () => {
+        await server.request(`/api/dashboards/${dashboard.id}`, json('PATCH', { settings: { filters: { sort: 'due' } } }));
+        const { body: listed } = await server.request('/api/dashboards');
+        const stale = listed.dashboards.map(entry => ({ ...entry, settings: {} }));
+        await server.request('/api/dashboards', json('PUT', { dashboards: stale }));
+
+        const { body } = await server.request(`/api/dashboards/${dashboard.id}`);
+        assert.equal(body.settings.autoRefreshMinutes, 5);
+        assert.equal(body.settings.filters.sort, 'due');
+    });
+
+    await t.test('GET /api/events streams a dashboard\'s changes', async () => {
+        const missing = await server.request('/api/events?dashboard=missing');
+        assert.equal(missing.status, 404);
+
+        const ready = await readEvent(`/api/events?dashboard=${dashboard.id}`, 'ready');
+        assert.ok(ready.id);
+    });
+
+    await t.test('POST /api/webhooks/accelo marks the affected items stale', async () => {
+        const unsigned = await postWebhook({ event: 'job.updated', object_type: 'job', object_id: 201 }, 'wrong-secret');
+        assert.equal(unsigned.status, 401);
+
+        const invalid = await postWebhook({ event: 'job.updated' });
+        assert.equal(invalid.status, 400);
+
+        const ignored = await postWebhook({ event: 'company.updated', object_type: 'company', object_id: 101 });
+        assert.equal(ignored.body.ignored, true);
+
+        // Time logged on a milestone task counts towards its project
+        const { status, body } = await postWebhook({ event: 'activity.created', object_type: 'activity', object_id: 9001, data: { against_type: 'task', against_id: 403 } });
+        assert.equal(status, 200);
+        assert.deepEqual(body.items, ['project_201']);
+
+        const { body: data } = await server.request(`/api/dashboards/${dashboard.id}/data`);
+        assert.equal(data.dashboardData.find(item => item.id === '201').stale, true);
+        assert.equal(data.dashboardData.find(item => item.id === '501').stale, undefined);
+    });
+
+    await t.test('stale marks survive saves of copies synced before the webhook', async () => {
+        const { body: data } = await server.request(`/api/dashboards/${dashboard.id}/data`);
+        const staleAt = Date.parse(data.dashboardData.find(item => item.id === '201').staleAt);
+        const copy = (syncedAt) => ({
+            dashboardData: data.dashboardData.map(({ stale, staleAt, ...item }) => ({ ...item, syncedAt: new Date(syncedAt).toISOString() })),
+            companyOrder: data.companyOrder
+        });
+
+        // Saves don't move past the mark's revision, so a browser loaded before the webhook isn't refused
+        const before = await server.request(`/api/dashboards/${dashboard.id}/data`, {
+            ...json('PUT', copy(staleAt - 1000)),
+            headers: { 'If-Match': `"${data.revision}"` }
+        });
+        assert.equal(before.status, 200);
+        let { body: saved } = await server.request(`/api/dashboards/${dashboard.id}/data`);
+        assert.equal(saved.dashboardData.find(item => item.id === '201').stale, true);
+
+        await server.request(`/api/dashboards/${dashboard.id}/data`, json('PUT', copy(staleAt + 1000)));
+        ({ body: saved } = await server.request(`/api/dashboards/${dashboard.id}/data`));
+        assert.equal(saved.dashboardData.find(item => item.id === '201').stale, undefined);
+    });
+
+    await t.test('DELETE /api/dashboards/:id deletes a dashboard', async () => {
+        assert.equal((await server.request(`/api/dashboards/${dashboard.id}`, { method: 'DELETE' })).body.success, true);
+        assert.equal((await server.request(`/api/dashboards/${dashboard.id}`)).status, 404);
+    });
+});
+
+test('history', async (t) => {
+    const key = 'agreement_501';
+
+    await t.test('POST /api/history records snapshots', async () => {
+        const { body } = await server.request('/api/history', json('POST', {
+            snapshots: [{ key, used: 12, budget: 20, unit: 'hours', periodStart: '2024-06-01' }]
+        }));
+        assert.equal(body.saved, 1);
+    });
+
+    await t.test('POST /api/history rejects malformed snapshots', async () => {
+        const { status } = await server.request('/api/history', json('POST', { snapshots: [{ key: '../etc', used: 1 }] }));
+        assert.equal(status, 400);
+    });
+
+    await t.test('POST /api/history/:key/backfill adds earlier snapshots', async () => {
+        const { body } = await server.request(`/api/history/${key}/backfill`, json('POST', {
+            snapshots: [{ at: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString(), used: 4, budget: 20, unit: 'hours' }]
+        }));
+        assert.equal(body.added, 1);
+        assert.equal(body.snapshots.length, 2);
+    });
+
+    await t.test('GET /api/history returns snapshots per item', async () => {
+        const { body } = await server.request(`/api/history?items=${key},project_1`);
+        assert.equal(body.history[key].length, 2);
+        assert.deepEqual(body.history.project_1, []);
+    });
+
+    await t.test('DELETE /api/history/:key deletes an item\'s history', async () => {
+        await server.request(`/api/history/${key}`, { method: 'DELETE' });
+        const { body } = await server.request(`/api/history?items=${key}`);
+        assert.deepEqual(body.history[key], []);
+    });
+});
+
+test('logs', async (t) => {
+    await t.test('GET /api/logs returns recent server logs', async () => {
+        const { body } = await server.request('/api/logs');
+        assert.ok(body.count > 0);
+        assert.ok(body.logs.some(log => log.message.includes('Connected to Accelo')));
+    });
+
+    await t.test('POST /api/logs/clear empties them', async () => {
+        await server.request('/api/logs/clear', { method: 'POST' });
+        const { body } = await server.request('/api/logs');
+        assert.equal(body.count, 1); // The "logs cleared" entry
+    });
+});
+
+test('chat', async (t) => {
+    await t.test('GET /api/chat/status reports the connection', async () => {
+        const { body } = await server.request('/api/chat/status');
+        assert.equal(body.status, 'connected');
+        assert.equal(body.deployment, 'demo');
+        assert.equal(body.auto_renew, true);
+    });
+
+    await t.test('GET /api/chat/companies searches companies', async () => {
+        const { body } = await server.request('/api/chat/companies?search=init');
+        assert.deepEqual(body.companies.map(company => company.name), ['Initech']);
+    });
+
+    await t.test('GET /api/chat/company/:id includes projects and agreements', async () => {
+        const { body } = await server.request('/api/chat/company/101');
+        assert.equal(body.company.name, 'Northwind Traders');
+        assert.deepEqual(body.projects.map(project => project.id).sort(), ['201', '202']);
+        assert.deepEqual(body.agreements.map(agreement => agreement.id), ['501']);
+    });
+
+    await t.test('GET /api/chat/project/:id includes logged hours', async () => {
+        const { body } = await server.request('/api/chat/project/201');
+        assert.equal(body.project.title, 'Northwind Website Redesign');
+        // Allocations against the job itself, not its tasks and milestones
+        assert.equal(body.time_summary.total_hours, '2.00');
+    });
+
+    await t.test('GET /api/chat/agreement/:id includes current usage', async () => {
+        const { body } = await server.request('/api/chat/agreement/502');
+        assert.equal(body.agreement.title, 'Globex Managed Services');
+        assert.equal(body.usage_summary.budget_type, 'value');
+        assert.equal(body.usage_summary.usage_percentage, 77);
+    });
+
+    await t.test('unknown items are reported with an action', async () => {
+        const { status, body } = await server.request('/api/chat/project/999');
+        assert.ok(status >= 400);
+        assert.ok(body.error);
+        assert.ok(body.action);
+    });
+
+    await t.test('GET /api/chat/debug/agreement/:id/periods shows the period calculation', async () => {
+        const { body } = await server.request('/api/chat/debug/agreement/501/periods');
+        assert.equal(body.data.currentPeriod.id, '5012');
+        assert.equal(body.data.calculation.timeUsedFormatted, '15h 0m');
+    });
+
+    await t.test('GET /api/chat/test/* calls any Accelo endpoint', async () => {
+        const { body } = await server.request('/api/chat/test/timers?_fields=id,running');
+        assert.equal(body.success, true);
+        assert.deepEqual(body.response.response.filter(timer => timer.running).map(timer => timer.id), ['601']);
+    });
+
+    await t.test('GET /api/chat/provider names the chat provider', async () => {
+        const { body } = await server.request('/api/chat/provider');
+        assert.equal(body.name, 'stub');
+    });
+
+    await t.test('POST /api/chat/messages answers using the chat endpoints as tools', async () => {
+        const invalid = await server.request('/api/chat/messages', json('POST', { messages: [{ role: 'assistant', content: 'Hi' }] }));
+        assert.equal(invalid.status, 400);
+
+        const { status, body } = await server.request('/api/chat/messages', json('POST', {
+            messages: [{ role: 'user', content: 'How is agreement 502 doing?' }]
+        }));
+        assert.equal(status, 200);
+        assert.equal(body.message.role, 'assistant');
+        assert.deepEqual(body.toolCalls.map(call => call.name), ['get_agreement']);
+        assert.ok(body.toolCalls.every(call => call.ok));
+        assert.deepEqual(body.references.map(ref => `${ref.type}_${ref.id}`), ['agreement_502']);
+    });
+});
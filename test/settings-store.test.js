@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemorySettingsStore, EncryptedFileSettingsStore, createSettingsStore } = require('../lib/settings-store');
+
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const SETTINGS = { deployment: 'northwind', clientId: 'service_app@northwind', clientSecret: 'secret', accessToken: 'token' };
+
+/**
+ * A settings file path in a fresh temporary directory, and a logger that records what it was given
+ */
+function setup() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accelo-settings-test-'));
+    dirs.push(dir);
+    const logs = [];
+    return {
+        dir,
+        filePath: path.join(dir, 'settings.enc.json'),
+        logs,
+        log: (type, message) => logs.push({ type, message })
+    };
+}
+
+function corruptFiles(dir) {
+    return fs.readdirSync(dir).filter(name => name.startsWith('settings.enc.json.corrupt-'));
+}
+
+test('settings are encrypted on disk and load again with the same key', () => {
+    const { filePath, log } = setup();
+    new EncryptedFileSettingsStore({ filePath, key: 'first-key', log }).set(SETTINGS);
+
+    const onDisk = fs.readFileSync(filePath, 'utf8');
+    assert.doesNotMatch(onDisk, /secret|northwind/);
+    assert.deepEqual(new EncryptedFileSettingsStore({ filePath, key: 'first-key', log }).get(), SETTINGS);
+});
+
+test('a key rotation re-encrypts the file with the new key', () => {
+    const { filePath, log, logs } = setup();
+    new EncryptedFileSettingsStore({ filePath, key: 'old-key', log }).set(SETTINGS);
+
+    const rotated = new EncryptedFileSettingsStore({ filePath, key: 'new-key', previousKey: 'old-key', log });
+    assert.deepEqual(rotated.get(), SETTINGS);
+    assert.ok(logs.some(entry => /re-encrypted/.test(entry.message)));
+
+    // The previous key is no longer needed
+    assert.deepEqual(new EncryptedFileSettingsStore({ filePath, key: 'new-key', log }).get(), SETTINGS);
+});
+
+test('a file the key cannot decrypt is quarantined and the store starts empty', () => {
+    const { dir, filePath, log, logs } = setup();
+    new EncryptedFileSettingsStore({ filePath, key: 'right-key', log }).set(SETTINGS);
+
+    const store = new EncryptedFileSettingsStore({ filePath, key: 'wrong-key', log });
+    assert.equal(store.get(), null);
+    assert.equal(fs.existsSync(filePath), false);
+    assert.equal(corruptFiles(dir).length, 1);
+    assert.ok(logs.some(entry => entry.type === 'error' && /could not be decrypted/.test(entry.message)));
+});
+
+test('a corrupt file is quarantined and the store starts empty', () => {
+    const { dir, filePath, log } = setup();
+    fs.writeFileSync(filePath, '{ not json');
+    assert.equal(new EncryptedFileSettingsStore({ filePath, key: 'key', log }).get(), null);
+
+    const envelope = new EncryptedFileSettingsStore({ filePath, key: 'key', log }).encrypt(SETTINGS, 'key');
+    fs.writeFileSync(filePath, JSON.stringify({ ...envelope, tag: Buffer.alloc(16).toString('base64') }));
+    assert.equal(new EncryptedFileSettingsStore({ filePath, key: 'key', log }).get(), null);
+
+    assert.equal(corruptFiles(dir).length, 2);
+});
+
+test('clearing deletes the settings file', () => {
+    const { filePath } = setup();
+    const store = new EncryptedFileSettingsStore({ filePath, key: 'key' });
+    store.set(SETTINGS);
+    store.clear();
+
+    assert.equal(store.get(), null);
+    assert.equal(fs.existsSync(filePath), false);
+});
+
+test('reload picks up settings another process saved, and leaves an unchanged file alone', () => {
+    const { filePath, log, logs } = setup();
+    const reader = new EncryptedFileSettingsStore({ filePath, key: 'shared-key', log });
+    assert.equal(reader.reload(), null);
+
+    new EncryptedFileSettingsStore({ filePath, key: 'shared-key', log }).set(SETTINGS);
+    assert.deepEqual(reader.reload(), SETTINGS);
+
+    const loads = logs.length;
+    assert.deepEqual(reader.reload(), SETTINGS);
+    assert.equal(logs.length, loads);
+
+    new EncryptedFileSettingsStore({ filePath, key: 'shared-key', log }).set({ ...SETTINGS, accessToken: 'renewed' });
+    assert.equal(reader.reload().accessToken, 'renewed');
+});
+
+test('without a key, settings fall back to memory with a warning unless the file store was asked for', () => {
+    const { dir } = setup();
+    const warnings = [];
+    const warn = message => warnings.push(message);
+
+    const store = createSettingsStore({ env: {}, baseDir: dir, warn });
+    assert.ok(store instanceof MemorySettingsStore);
+    assert.equal(store.persistent, false);
+    assert.match(warnings.join('\n'), /SETTINGS_ENCRYPTION_KEY is not set/);
+
+    assert.throws(() => createSettingsStore({ env: { SETTINGS_STORE: 'file' }, baseDir: dir, warn }), /SETTINGS_ENCRYPTION_KEY is not set/);
+    assert.throws(() => createSettingsStore({ env: { SETTINGS_STORE: 'redis' }, baseDir: dir, warn }), /Unknown SETTINGS_STORE "redis"/);
+
+    const fileStore = createSettingsStore({ env: { SETTINGS_ENCRYPTION_KEY: 'key', SETTINGS_FILE: 'settings.enc.json' }, baseDir: dir, warn });
+    assert.ok(fileStore instanceof EncryptedFileSettingsStore);
+    assert.equal(fileStore.filePath, path.join(dir, 'settings.enc.json'));
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Forecast = require('../src/forecast');
+const ItemTypes = require('../src/item-types');
+
+let TickerManager;
+let RenderManager;
+test.before(async () => {
+    globalThis.Forecast = Forecast;
+    globalThis.ItemTypes = ItemTypes;
+    ({ default: TickerManager } = await import('../src/managers/ticker-manager.js'));
+    ({ default: RenderManager } = await import('../src/managers/render-manager.js'));
+});
+
+const website = {
+    id: 201, type: 'project', title: 'Website Redesign',
+    hours: {
+        billableHours: 120, nonBillableHours: 0, budgetHours: 100,
+        milestones: [{ id: 501, title: 'Design' }],
+        tasks: [{ id: 404, title: 'Build header', milestoneId: 501 }, { id: 405, title: 'Launch', milestoneId: null }]
+    },
+    burnRate: { hoursPerDay: 6, windowDays: 28 }
+};
+const retainer = { id: 301, type: 'agreement', title: 'Support Retainer', usage: { budgetType: 'time' } };
+const checkout = { id: 801, type: 'issue', title: 'Checkout errors on mobile', usage: { budgetType: 'time' } };
+
+function createTickerManager() {
+    const dashboard = { dashboardData: [website, retainer, checkout], companyOrder: [] };
+    dashboard.renderManager = new RenderManager(dashboard);
+    return new TickerManager(dashboard);
+}
+
+test('timers on a project\'s tasks and milestones count for the project', () => {
+    const ticker = createTickerManager();
+    const counts = ticker.countTimers([
+        { againstType: 'task', againstId: 404 },
+        { againstType: 'milestone', againstId: 501 },
+        { againstType: 'job', againstId: 201 },
+        { againstType: 'contract', againstId: 301 },
+        { againstType: 'issue', againstId: 801 },
+        { againstType: 'task', againstId: 999 }
+    ]);
+
+    assert.deepEqual([...counts], [['project_201', 3], ['agreement_301', 1], ['issue_801', 1]]);
+});
+
+test('items only tick while a timer is running on them', () => {
+    const ticker = createTickerManager();
+    assert.equal(ticker.getTickRate(website), null);
+
+    ticker.runningTimers = ticker.countTimers([{ againstType: 'task', againstId: 405 }]);
+    assert.deepEqual(ticker.getTickRate(website), { hoursPerHour: 1, source: '1 timer running in Accelo' });
+    assert.equal(ticker.getTickRate(retainer), null);
+});
+
+test('renders reuse the last running timers until the poll interval has passed', async (t) => {
+    let polls = 0;
+    globalThis.window = { acceloAPI: { getRunningTimers: async () => { polls++; return [{ againstType: 'task', againstId: 404 }]; } } };
+    globalThis.document = { hidden: false, querySelectorAll: () => [{ dataset: {} }] };
+    const ticker = createTickerManager();
+    ticker.update = () => {};
+    t.after(() => {
+        ticker.stop();
+        delete globalThis.window;
+        delete globalThis.document;
+    });
+
+    ticker.start();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(polls, 1);
+    assert.equal(ticker.runningTimers.get('project_201'), 1);
+
+    // Filtering, searching and live updates re-render and start again
+    ticker.start();
+    ticker.start();
+    assert.equal(polls, 1);
+    assert.equal(ticker.runningTimers.get('project_201'), 1);
+
+    ticker.lastTimerPoll -= 60 * 1000;
+    ticker.start();
+    assert.equal(polls, 2);
+});
+
+test('value overruns grow at the rates charged this period', () => {
+    const ticker = createTickerManager();
+    assert.equal(ticker.getValuePerHour({ burnRate: { periodHours: 8, periodValue: 1200 }, usage: { valueUsed: 5000 } }), 150);
+    assert.equal(ticker.getValuePerHour({ burnRate: { periodHours: 8, periodValue: 0 }, usage: { valueUsed: 5000 } }), null);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signPayload, verifySignature, parseEvent, createWebhookHandler, WebhookError } = require('../lib/webhooks');
+
+const SECRET = 'test-webhook-secret';
+const body = Buffer.from(JSON.stringify({ event: 'job.updated', object_type: 'job', object_id: 201 }));
+
+/**
+ * An Express-like response that keeps the status and JSON body
+ */
+function fakeResponse() {
+    const res = { statusCode: 200, body: null };
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = value => { res.body = value; return res; };
+    return res;
+}
+
+test('signatures must match the body and the secret', () => {
+    const signature = signPayload(body, SECRET);
+    assert.equal(verifySignature(body, signature, SECRET), true);
+    assert.equal(verifySignature(body, signature.replace('sha256=', ''), SECRET), true);
+
+    assert.equal(verifySignature(body, signPayload(body, 'another-secret'), SECRET), false);
+    assert.equal(verifySignature(Buffer.from('{}'), signature, SECRET), false);
+    assert.equal(verifySignature(body, 'sha256=abc', SECRET), false);
+    assert.equal(verifySignature(body, undefined, SECRET), false);
+    assert.equal(verifySignature(body, signature, ''), false);
+});
+
+test('events name the object they are about', () => {
+    assert.deepEqual(parseEvent({ event: 'job.updated', object_type: 'job', object_id: 201 }),
+        { event: 'job.updated', objectType: 'job', objectId: '201', data: {} });
+    // The object type and ID can come from the event name and its data
+    assert.deepEqual(parseEvent({ event: 'activity.created', data: { id: 9001, against_type: 'task', against_id: 403 } }),
+        { event: 'activity.created', objectType: 'activity', objectId: '9001', data: { id: 9001, against_type: 'task', against_id: 403 } });
+
+    assert.throws(() => parseEvent(null), WebhookError);
+    assert.throws(() => parseEvent({ event: 'job.updated' }), { statusCode: 400 });
+    assert.throws(() => parseEvent({ object_type: 'job', object_id: 'abc' }), { statusCode: 400 });
+});
+
+test('bad signatures are refused and unknown event types are acknowledged without marking anything', async () => {
+    const marked = [];
+    const liveUpdates = {
+        resolveObjectKeys: async (objectType, objectId) => [`project_${objectId}`],
+        markStale: keys => { marked.push(...keys); return keys; }
+    };
+    const handle = createWebhookHandler({ liveUpdates, secret: SECRET });
+    const request = (payload, secret) => {
+        const rawBody = Buffer.from(JSON.stringify(payload));
+        return { rawBody, body: payload, headers: { 'x-hub-signature-256': signPayload(rawBody, secret) } };
+    };
+
+    const refused = fakeResponse();
+    await handle(request({ event: 'job.updated', object_type: 'job', object_id: 201 }, 'wrong-secret'), refused);
+    assert.equal(refused.statusCode, 401);
+
+    const ignored = fakeResponse();
+    await handle(request({ event: 'invoice.created', object_type: 'invoice', object_id: 7 }, SECRET), ignored);
+    assert.deepEqual(ignored.body, { received: true, ignored: true, items: [] });
+    assert.deepEqual(marked, []);
+
+    const handled = fakeResponse();
+    await handle(request({ event: 'job.updated', object_type: 'job', object_id: 201 }, SECRET), handled);
+    assert.deepEqual(handled.body, { received: true, ignored: false, items: ['project_201'] });
+
+    const unconfigured = fakeResponse();
+    await createWebhookHandler({ liveUpdates })(request({ event: 'job.updated', object_type: 'job', object_id: 201 }, SECRET), unconfigured);
+    assert.equal(unconfigured.statusCode, 503);
+});